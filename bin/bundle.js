@@ -54,6 +54,12 @@ const jsBundles = [
     outfile: resolve(repoRoot, 'popup/js/initBookmarkManager.bundle.min.js'),
     globalName: 'bookmarkManager',
   },
+  {
+    name: 'initBackground',
+    entry: resolve(repoRoot, 'popup/js/initBackground.js'),
+    outfile: resolve(repoRoot, 'popup/js/initBackground.bundle.min.js'),
+    globalName: 'backgroundWorker',
+  },
 ]
 
 // Shared esbuild options keep bundle output consistent between entry points
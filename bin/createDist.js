@@ -33,8 +33,8 @@ export async function createDist(clean = true) {
   await fs.ensureDir('dist/chrome')
   await fs.ensureDir('dist/chrome/images')
 
-  // Copy manifest
-  await fs.copy('manifest.json', 'dist/chrome/manifest.json')
+  // Copy manifest, pointing the background service worker to its bundle
+  await writeDistManifest('manifest.json', 'dist/chrome/manifest.json')
 
   // Copy images
   const images = ['logo-16.png', 'logo-32.png', 'logo-48.png', 'logo-128.png']
@@ -142,6 +142,29 @@ async function removeTestArtifacts(dir) {
   }
 }
 
+/**
+ * Copy the manifest and swap the background entry point for its bundled equivalent.
+ * The bundle is an IIFE, so the service worker no longer needs to be an ES module.
+ * @param {string} source Manifest to read.
+ * @param {string} target Destination path.
+ * @returns {Promise<void>}
+ */
+async function writeDistManifest(source, target) {
+  const manifest = await fs.readJson(source)
+  const background = manifest.background
+  if (background) {
+    const toBundle = (path) => path.replace(/\.js$/, '.bundle.min.js')
+    if (background.service_worker) {
+      background.service_worker = toBundle(background.service_worker)
+    }
+    if (background.scripts) {
+      background.scripts = background.scripts.map(toBundle)
+    }
+    delete background.type
+  }
+  await fs.writeJson(target, manifest, { spaces: 2 })
+}
+
 /**
  * Swap development script tags with production bundles in an HTML file.
  * @param {string} filePath HTML file to update.
@@ -18,6 +18,8 @@ async function updateLibs() {
 
   await Promise.all([
     fs.copy('node_modules/@leeoniya/ufuzzy/dist/uFuzzy.iife.min.js', 'popup/lib/uFuzzy.iife.min.js'),
+    // ES module build for the omnibox service worker, which cannot load classic scripts lazily
+    fs.copy('node_modules/@leeoniya/ufuzzy/dist/uFuzzy.mjs', 'popup/lib/uFuzzy.mjs'),
     fs.copy('node_modules/js-yaml/dist/browser/js-yaml.umd.min.js', 'popup/lib/js-yaml.min.js'),
     fs.copy('node_modules/@yaireo/tagify/dist/tagify.js', 'popup/lib/tagify.min.js'),
     fs.copy('node_modules/@yaireo/tagify/dist/tagify.css', 'popup/lib/tagify.min.css'),
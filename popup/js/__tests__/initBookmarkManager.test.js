@@ -4,6 +4,7 @@ import { clearTestExt, flushPromises } from './testUtils.js'
 
 const BOOKMARKS = [
   {
+    type: 'bookmark',
     originalId: 'bookmark-1',
     id: 'bookmark-1',
     title: 'First Bookmark',
@@ -22,6 +23,7 @@ const BOOKMARKS = [
     searchStringLower: 'first bookmark example.com/first folder',
   },
   {
+    type: 'bookmark',
     originalId: 'bookmark-2',
     id: 'bookmark-2',
     title: 'Second Bookmark',
@@ -47,6 +49,10 @@ function setupDom() {
     <div id="manager-status"></div>
     <input id="bookmark-manager-search" />
     <div id="bookmark-folder-tree"></div>
+    <div id="bookmark-saved-searches"></div>
+    <button id="export-saved-searches"></button>
+    <button id="import-saved-searches"></button>
+    <input id="import-saved-searches-file" type="file" />
     <div id="bookmark-browser-summary"></div>
     <div id="managed-bookmark-list"></div>
     <button id="select-visible-bookmarks"></button>
@@ -186,6 +192,8 @@ describe('initBookmarkManager cleanup apply', () => {
     }))
     await jest.unstable_mockModule('../model/searchData.js', () => ({
       __esModule: true,
+      clearBookmarkOpenTabState: jest.fn(),
+      flagBookmarksWithOpenTabs: jest.fn(),
       getSearchData: jest.fn(() =>
         Promise.resolve({
           bookmarks: BOOKMARKS.map((bookmark) => ({ ...bookmark })),
@@ -244,6 +252,30 @@ describe('initBookmarkManager cleanup apply', () => {
     )
   })
 
+  test('lists the bookmarks of a saved search as virtual folder and deletes it', async () => {
+    ext.browserApi.storage = { sync: { set: jest.fn(() => Promise.resolve()) } }
+    ext.model.savedSearches = [{ id: 'second', name: 'Second', query: 'b second', createdAt: 1 }]
+    document.getElementById('bookmark-manager-search').dispatchEvent(new Event('input'))
+    await flushPromises()
+
+    document.querySelector('[data-manager-folder-id="saved:second"]').click()
+    await flushPromises()
+
+    const rowIds = () =>
+      [...document.querySelectorAll('[data-managed-bookmark-row-id]')].map((row) => row.dataset.managedBookmarkRowId)
+    expect(rowIds()).toEqual(['bookmark-2'])
+    expect(window.location.search).toContain('folder=saved%3Asecond')
+
+    document.querySelector('[data-delete-saved-search-id="second"]').click()
+    await flushPromises()
+    await flushPromises()
+
+    expect(window.confirm).toHaveBeenCalledWith('Delete saved search "Second"?')
+    expect(ext.browserApi.storage.sync.set).toHaveBeenCalledWith({ savedSearches: [] })
+    expect(ext.model.bookmarkManagerFolderId).toBe('all')
+    expect(rowIds()).toEqual(['bookmark-1', 'bookmark-2'])
+  })
+
   test('allows aborting local AI tag suggestions for large selections before prompting the model', async () => {
     window.confirm = jest.fn(() => false)
     globalThis.LanguageModel = {
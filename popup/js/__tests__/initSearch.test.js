@@ -46,6 +46,13 @@ const mockDependencies = async (overrides = {}) => {
     }),
     renderSearchResults: jest.fn(),
     search: jest.fn(() => Promise.resolve()),
+    getStoredSearchData: jest.fn(() => Promise.resolve({ windowNames: {} })),
+    loadResultSelections: jest.fn(() => Promise.resolve({ react: { 'react.dev': [1] } })),
+    loadSearchIndex: jest.fn(() => Promise.resolve(null)),
+    saveSearchIndex: jest.fn(() => Promise.resolve()),
+    resetSimpleSearchState: jest.fn(),
+    resetFuzzySearchState: jest.fn(),
+    subscribeToSearchDataChanges: jest.fn(() => () => {}),
   }
   const config = { ...defaults, ...overrides }
 
@@ -72,6 +79,36 @@ const mockDependencies = async (overrides = {}) => {
   await jest.unstable_mockModule('../model/searchData.js', () => ({
     __esModule: true,
     getSearchData: config.getSearchData,
+    getStoredSearchData: config.getStoredSearchData,
+  }))
+  await jest.unstable_mockModule('../model/resultSelections.js', () => ({
+    __esModule: true,
+    loadResultSelections: config.loadResultSelections,
+  }))
+  await jest.unstable_mockModule('../model/workspaces.js', () => ({
+    __esModule: true,
+    loadWorkspaces: jest.fn(() => Promise.resolve([])),
+  }))
+  await jest.unstable_mockModule('../model/searchIndex.js', () => ({
+    __esModule: true,
+    loadSearchIndex: config.loadSearchIndex,
+    saveSearchIndex: config.saveSearchIndex,
+  }))
+  await jest.unstable_mockModule('../model/searchDataChanges.js', () => ({
+    __esModule: true,
+    subscribeToSearchDataChanges: config.subscribeToSearchDataChanges,
+  }))
+  await jest.unstable_mockModule('../search/simpleSearch.js', () => ({
+    __esModule: true,
+    resetSimpleSearchState: config.resetSimpleSearchState,
+  }))
+  await jest.unstable_mockModule('../search/fuzzySearch.js', () => ({
+    __esModule: true,
+    resetFuzzySearchState: config.resetFuzzySearchState,
+  }))
+  await jest.unstable_mockModule('../search/taxonomySearch.js', () => ({
+    __esModule: true,
+    resetUniqueFoldersCache: jest.fn(),
   }))
   await jest.unstable_mockModule('../search/common.js', () => ({
     __esModule: true,
@@ -100,6 +137,10 @@ const mockDependencies = async (overrides = {}) => {
     openResultItem: jest.fn(),
     setupResultItemsEvents: jest.fn(),
   }))
+  await jest.unstable_mockModule('../view/searchCommands.js', () => ({
+    __esModule: true,
+    registerDefaultCommands: jest.fn(),
+  }))
 
   return config
 }
@@ -146,6 +187,131 @@ describe('initSearch entry point', () => {
     expect(document.getElementById('results-load')).toBeNull()
   })
 
+  test('initExtension saves freshly loaded data as search index when enabled', async () => {
+    const mocks = await mockDependencies({
+      getEffectiveOptions: jest.fn(() => Promise.resolve({ enableSearchIndexCache: true })),
+    })
+
+    const module = await import('../initSearch.js')
+    moduleUnderTest = module
+    await flushPromises()
+
+    expect(mocks.loadSearchIndex).toHaveBeenCalledWith({ enableSearchIndexCache: true })
+    expect(mocks.getSearchData).toHaveBeenCalledTimes(1)
+    expect(mocks.saveSearchIndex).toHaveBeenCalledWith(expect.objectContaining({ bookmarks: [{ originalId: 'b1' }] }), {
+      enableSearchIndexCache: true,
+    })
+  })
+
+  test('initExtension searches the persisted index first and refreshes it in the background', async () => {
+    const freshData = createDeferred()
+    const mocks = await mockDependencies({
+      getEffectiveOptions: jest.fn(() => Promise.resolve({ enableSearchIndexCache: true })),
+      loadSearchIndex: jest.fn(() => Promise.resolve({ tabs: [], bookmarks: [{ originalId: 'cached' }], history: [] })),
+      getStoredSearchData: jest.fn(() => Promise.resolve({ windowNames: { 1: 'Work' } })),
+      getSearchData: jest.fn(() => freshData.promise),
+    })
+
+    const module = await import('../initSearch.js')
+    moduleUnderTest = module
+    await flushPromises()
+
+    expect(module.ext.initialized).toBe(true)
+    expect(module.ext.model.bookmarks).toEqual([{ originalId: 'cached' }])
+    expect(mocks.getStoredSearchData).toHaveBeenCalledTimes(1)
+    expect(module.ext.model.windowNames).toEqual({ 1: 'Work' })
+    expect(mocks.renderSearchResults).toHaveBeenCalled()
+    expect(document.getElementById('results-load')).toBeNull()
+
+    module.ext.searchCache.set('stale', [])
+    freshData.resolve({ tabs: [], bookmarks: [{ originalId: 'fresh' }], history: [] })
+    await module.ext.model.refreshPromise
+
+    expect(module.ext.model.bookmarks).toEqual([{ originalId: 'fresh' }])
+    expect(module.ext.searchCache.size).toBe(0)
+    expect(mocks.resetSimpleSearchState).toHaveBeenCalled()
+    expect(mocks.resetFuzzySearchState).toHaveBeenCalled()
+    expect(mocks.search).toHaveBeenCalledWith({ bypassInitializedGuard: true })
+    expect(mocks.saveSearchIndex).toHaveBeenCalledWith(
+      expect.objectContaining({ bookmarks: [{ originalId: 'fresh' }] }),
+      { enableSearchIndexCache: true },
+    )
+  })
+
+  test('initExtension loads learned result selections before searching the persisted index', async () => {
+    const freshData = createDeferred()
+    const mocks = await mockDependencies({
+      getEffectiveOptions: jest.fn(() =>
+        Promise.resolve({ enableSearchIndexCache: true, scoreSelectionBonusScore: 5 }),
+      ),
+      loadSearchIndex: jest.fn(() => Promise.resolve({ tabs: [], bookmarks: [], history: [] })),
+      getSearchData: jest.fn(() => freshData.promise),
+    })
+
+    const module = await import('../initSearch.js')
+    moduleUnderTest = module
+    await flushPromises()
+
+    expect(mocks.loadResultSelections).toHaveBeenCalledTimes(1)
+    expect(module.ext.model.resultSelections).toEqual({ react: { 'react.dev': [1] } })
+    const selections = module.ext.model.resultSelections
+
+    freshData.resolve({ tabs: [], bookmarks: [], history: [] })
+    await module.ext.model.refreshPromise
+    expect(module.ext.model.resultSelections).toBe(selections)
+  })
+
+  test('initExtension skips learned result selections when the selection bonus is disabled', async () => {
+    const mocks = await mockDependencies()
+
+    const module = await import('../initSearch.js')
+    moduleUnderTest = module
+    await flushPromises()
+
+    expect(mocks.loadResultSelections).not.toHaveBeenCalled()
+    expect(module.ext.model.resultSelections).toEqual({})
+  })
+
+  test('initExtension ignores the search index when disabled', async () => {
+    const mocks = await mockDependencies()
+
+    const module = await import('../initSearch.js')
+    moduleUnderTest = module
+    await flushPromises()
+
+    expect(mocks.loadSearchIndex).not.toHaveBeenCalled()
+    expect(mocks.saveSearchIndex).not.toHaveBeenCalled()
+  })
+
+  test('initExtension subscribes to data changes and re-runs the search for outdated results', async () => {
+    const mocks = await mockDependencies()
+
+    const module = await import('../initSearch.js')
+    moduleUnderTest = module
+    await flushPromises()
+
+    expect(mocks.subscribeToSearchDataChanges).toHaveBeenCalledWith(module.updateOutdatedResults)
+
+    module.ext.model.tabs = [{ originalId: 't1', originalUrl: 'https://a.test/', title: 'A' }]
+    module.ext.model.result = [
+      { type: 'tab', originalId: 't1', originalUrl: 'https://a.test/', title: 'A' },
+      { type: 'search', originalUrl: 'https://www.google.com/search?q=a' },
+    ]
+    mocks.search.mockClear()
+
+    await module.updateOutdatedResults()
+    expect(mocks.search).not.toHaveBeenCalled()
+
+    module.ext.model.tabs[0] = { originalId: 't1', originalUrl: 'https://a.test/', title: 'A (updated)' }
+    await module.updateOutdatedResults()
+    expect(mocks.search).toHaveBeenCalledWith({ bypassInitializedGuard: true })
+
+    mocks.search.mockClear()
+    module.ext.model.tabs.length = 0
+    await module.updateOutdatedResults()
+    expect(mocks.search).toHaveBeenCalledTimes(1)
+  })
+
   test('initExtension does not inject a separate favicon stylesheet', async () => {
     await mockDependencies()
 
@@ -1,3 +1,4 @@
+import { jest } from '@jest/globals'
 import { convertBrowserBookmarks, convertBrowserHistory, convertBrowserTabs } from '../helper/browserApi.js'
 import { defaultOptions } from '../model/optionsDefaults.js'
 
@@ -86,6 +87,54 @@ export function clearTestExt() {
   // Note: fuzzy search state should be reset in individual test cleanup
 }
 
+/**
+ * Answers the open inline dialog of `view/inlineDialog.js`.
+ *
+ * @param {string|boolean|null} answer - Text to enter, true to confirm, null or false to cancel.
+ */
+export async function answerInlineDialog(answer) {
+  await flushPromises()
+  const dialog = document.getElementById('inline-dialog')
+  if (!dialog || dialog.hidden) {
+    throw new Error('No inline dialog is open')
+  }
+  if (answer === null || answer === false) {
+    dialog.querySelector('.inline-dialog-cancel').click()
+    return
+  }
+  const input = dialog.querySelector('input')
+  if (input && typeof answer === 'string') {
+    input.value = answer
+  }
+  dialog.querySelector('.inline-dialog-submit').click()
+}
+
+/**
+ * Creates an in-memory `storage.local` / `storage.sync` area.
+ *
+ * Values are cloned through JSON like the browser does, and `get` / `remove` accept a key or an array of keys.
+ * The stored values are exposed as `store` for direct assertions and setup.
+ *
+ * @returns {{store: Object, get: Function, set: Function, remove: Function}} Storage area mock.
+ */
+export function createStorageMock() {
+  const store = {}
+  return {
+    store,
+    get: jest.fn(async (keys) => {
+      const result = {}
+      for (const key of [keys].flat()) {
+        if (key in store) result[key] = JSON.parse(JSON.stringify(store[key]))
+      }
+      return result
+    }),
+    set: jest.fn(async (items) => Object.assign(store, JSON.parse(JSON.stringify(items)))),
+    remove: jest.fn(async (keys) => {
+      for (const key of [keys].flat()) delete store[key]
+    }),
+  }
+}
+
 /**
  * Internal: Wraps browser API conversion calls with basic ext setup
  */
@@ -2,7 +2,11 @@ import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals
 import {
   browserApi,
   convertBrowserBookmarks,
+  convertBrowserDevices,
+  convertBrowserDownloads,
   convertBrowserHistory,
+  convertBrowserReadingList,
+  convertBrowserSessions,
   convertBrowserTabs,
   createSearchStringLower,
   getBrowserTabGroups,
@@ -117,6 +121,18 @@ describe('convertBrowserTabs', () => {
     expect(tab.lastVisitSecondsAgo).toBe(1)
   })
 
+  it('adds pinned, muted and discarded states only when set', () => {
+    const [plain, stateful] = convertBrowserTabs([
+      { id: 1, url: 'https://plain.test/', mutedInfo: { muted: false } },
+      { id: 2, url: 'https://state.test/', pinned: true, mutedInfo: { muted: true }, discarded: true },
+    ])
+
+    expect(plain).not.toHaveProperty('pinned')
+    expect(plain).not.toHaveProperty('muted')
+    expect(plain).not.toHaveProperty('discarded')
+    expect(stateful).toMatchObject({ pinned: true, muted: true, discarded: true })
+  })
+
   it('skips tabs without a usable url', () => {
     const tabs = [
       { id: 1, title: 'Missing url' },
@@ -459,3 +475,158 @@ describe('convertBrowserHistory', () => {
     expect(result[0].title).toBe('Kept')
   })
 })
+
+describe('convertBrowserSessions', () => {
+  it('converts recently closed tabs and windows', () => {
+    const now = Date.now()
+    const result = convertBrowserSessions([
+      {
+        lastModified: Math.floor(now / 1000) - 120,
+        tab: { sessionId: 't1', title: 'Docs', url: 'https://docs.test/page', favIconUrl: 'icon.png' },
+      },
+      {
+        lastModified: now - 60000,
+        window: {
+          sessionId: 'w1',
+          tabs: [
+            { title: 'Mail', url: 'https://mail.test/' },
+            { title: '', url: 'https://news.test/today' },
+          ],
+        },
+      },
+    ])
+
+    expect(result).toHaveLength(2)
+    expect(result[0]).toMatchObject({
+      type: 'session',
+      title: 'Docs',
+      url: 'docs.test/page',
+      originalUrl: 'https://docs.test/page',
+      originalId: 't1',
+      sessionId: 't1',
+      favIconUrl: 'icon.png',
+    })
+    expect(result[0].lastVisitSecondsAgo).toBeGreaterThanOrEqual(119)
+    expect(result[0].lastVisitSecondsAgo).toBeLessThan(130)
+
+    expect(result[1]).toMatchObject({
+      type: 'session',
+      title: '2 tabs: Mail, news.test/today',
+      url: 'mail.test',
+      sessionId: 'w1',
+      sessionTabCount: 2,
+    })
+    expect(result[1].searchStringLower).toContain('news.test/today')
+    expect(result[1].lastVisitSecondsAgo).toBeGreaterThanOrEqual(59)
+    expect(result[1].lastVisitSecondsAgo).toBeLessThan(70)
+  })
+
+  it('skips sessions without URL or session ID', () => {
+    expect(
+      convertBrowserSessions([
+        { tab: { sessionId: 't1', url: '' } },
+        { tab: { url: 'https://a.test' } },
+        { window: { sessionId: 'w1', tabs: [] } },
+      ]),
+    ).toEqual([])
+    expect(convertBrowserSessions(undefined)).toEqual([])
+  })
+})
+
+describe('convertBrowserDevices', () => {
+  it('converts the open tabs of synced devices with their device name', () => {
+    const now = Date.now()
+    const result = convertBrowserDevices([
+      {
+        deviceName: 'Work Laptop',
+        sessions: [
+          {
+            lastModified: Math.floor(now / 1000) - 300,
+            window: {
+              tabs: [
+                { sessionId: '4', title: 'Docs', url: 'https://docs.test/page' },
+                { sessionId: '5', title: 'No URL', url: '' },
+              ],
+            },
+          },
+        ],
+      },
+      { deviceName: 'Desktop', sessions: [{ lastModified: now, tab: { sessionId: '4', url: 'https://mail.test/' } }] },
+    ])
+
+    expect(result).toHaveLength(2)
+    expect(result[0]).toMatchObject({
+      type: 'syncedTab',
+      title: 'Docs',
+      url: 'docs.test/page',
+      originalUrl: 'https://docs.test/page',
+      originalId: 'Work Laptop:4',
+      deviceName: 'Work Laptop',
+      deviceNameLower: 'work laptop',
+    })
+    expect(result[0].lastVisitSecondsAgo).toBeGreaterThanOrEqual(299)
+    expect(result[0].lastVisitSecondsAgo).toBeLessThan(310)
+    expect(result[1]).toMatchObject({ title: 'mail.test', originalId: 'Desktop:4', deviceName: 'Desktop' })
+  })
+
+  it('handles missing devices and sessions', () => {
+    expect(convertBrowserDevices(undefined)).toEqual([])
+    expect(convertBrowserDevices([{ deviceName: 'Empty' }])).toEqual([])
+  })
+})
+
+describe('convertBrowserReadingList', () => {
+  it('converts reading list entries with their read state', () => {
+    const result = convertBrowserReadingList([
+      { url: 'https://article.test/post', title: 'Article', hasBeenRead: false, creationTime: 1700000000000 },
+      { url: 'https://read.test/', title: '', hasBeenRead: true, creationTime: 1600000000000 },
+      { url: '', title: 'Invalid' },
+    ])
+
+    expect(result).toEqual([
+      expect.objectContaining({
+        type: 'readingList',
+        title: 'Article',
+        url: 'article.test/post',
+        originalUrl: 'https://article.test/post',
+        originalId: 'https://article.test/post',
+        unread: true,
+        dateAdded: 1700000000000,
+      }),
+      expect.objectContaining({ title: 'read.test', unread: false }),
+    ])
+  })
+})
+
+describe('convertBrowserDownloads', () => {
+  it('converts finished downloads titled by their file name', () => {
+    const startTime = new Date(Date.now() - 3600 * 1000).toISOString()
+    const result = convertBrowserDownloads([
+      {
+        id: 7,
+        url: 'https://cdn.test/redirect',
+        finalUrl: 'https://files.test/report.pdf',
+        filename: 'C:\\Users\\me\\Downloads\\Report 2024.pdf',
+        state: 'complete',
+        exists: true,
+        startTime,
+      },
+      { id: 8, url: 'https://files.test/gone.zip', filename: '/home/me/gone.zip', state: 'complete', exists: false },
+      { id: 9, url: 'https://files.test/partial.iso', filename: '/tmp/partial.iso', state: 'interrupted' },
+    ])
+
+    expect(result).toHaveLength(2)
+    expect(result[0]).toMatchObject({
+      type: 'download',
+      title: 'Report 2024.pdf',
+      url: 'files.test/report.pdf',
+      originalUrl: 'https://files.test/report.pdf',
+      originalId: 7,
+      fileExists: true,
+    })
+    expect(result[0].searchStringLower).toContain('report 2024.pdf')
+    expect(result[0].lastVisitSecondsAgo).toBeGreaterThanOrEqual(3599)
+    expect(result[0].lastVisitSecondsAgo).toBeLessThan(3610)
+    expect(result[1]).toMatchObject({ title: 'gone.zip', fileExists: false, lastVisitSecondsAgo: undefined })
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, expect, it } from '@jest/globals'
+import { findKeybindingConflicts, getKeybindings, matchesKeybinding, parseKeyChord } from '../keybindings.js'
+
+function key(name, modifiers = {}) {
+  return { key: name, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers }
+}
+
+describe('parseKeyChord', () => {
+  it('parses modifiers, named keys and aliases', () => {
+    expect(parseKeyChord('Ctrl+Shift+K')).toEqual({ key: 'k', ctrl: true, alt: false, shift: true, meta: false })
+    expect(parseKeyChord('Shift+F10')).toEqual({ key: 'F10', ctrl: false, alt: false, shift: true, meta: false })
+    expect(parseKeyChord('Space').key).toBe(' ')
+    expect(parseKeyChord('Ctrl++')).toEqual({ key: '+', ctrl: true, alt: false, shift: false, meta: false })
+  })
+
+  it('rejects chords without key or with unknown modifiers', () => {
+    expect(parseKeyChord('')).toBeNull()
+    expect(parseKeyChord('Hyper+K')).toBeNull()
+    expect(parseKeyChord(undefined)).toBeNull()
+  })
+})
+
+describe('getKeybindings', () => {
+  it('merges user keybindings onto the defaults and normalizes single chords', () => {
+    const keybindings = getKeybindings({ selectNext: 'Alt+J', back: [] })
+
+    expect(keybindings.selectNext).toEqual(['Alt+J'])
+    expect(keybindings.back).toEqual([])
+    expect(keybindings.selectPrevious).toEqual(['ArrowUp', 'Ctrl+P', 'Ctrl+K'])
+  })
+})
+
+describe('matchesKeybinding', () => {
+  it('matches the default chords of an action', () => {
+    expect(matchesKeybinding(key('ArrowDown'), 'selectNext', {})).toBe(true)
+    expect(matchesKeybinding(key('j', { ctrlKey: true }), 'selectNext', {})).toBe(true)
+    expect(matchesKeybinding(key('j'), 'selectNext', {})).toBe(false)
+    expect(matchesKeybinding(key('F', { ctrlKey: true, shiftKey: true }), 'toggleSearchApproach', {})).toBe(true)
+  })
+
+  it('compares Shift for named keys', () => {
+    expect(matchesKeybinding(key('F10', { shiftKey: true }), 'openActionMenu', {})).toBe(true)
+    expect(matchesKeybinding(key('F10'), 'openActionMenu', {})).toBe(false)
+    expect(matchesKeybinding(key('Tab', { shiftKey: true }), 'insertSeparator', {})).toBe(false)
+  })
+
+  it('lets additional modifiers through when opening a result', () => {
+    expect(matchesKeybinding(key('Enter', { ctrlKey: true }), 'openResult', {})).toBe(true)
+    expect(matchesKeybinding(key('Enter', { shiftKey: true }), 'openResult', {})).toBe(true)
+    expect(matchesKeybinding(key('Enter'), 'openResult', { openResult: ['Alt+Enter'] })).toBe(false)
+  })
+
+  it('uses the configured chords instead of the defaults', () => {
+    const keybindings = { selectNext: ['Alt+ArrowDown'] }
+
+    expect(matchesKeybinding(key('ArrowDown'), 'selectNext', keybindings)).toBe(false)
+    expect(matchesKeybinding(key('ArrowDown', { altKey: true }), 'selectNext', keybindings)).toBe(true)
+    expect(matchesKeybinding(key('ArrowDown'), 'unknownAction', keybindings)).toBe(false)
+  })
+})
+
+describe('findKeybindingConflicts', () => {
+  it('accepts the default keybindings', () => {
+    expect(findKeybindingConflicts({})).toEqual([])
+  })
+
+  it('reports chords bound to two actions of the same page', () => {
+    expect(findKeybindingConflicts({ editBookmark: ['Ctrl+k'] })).toEqual([
+      '"keybindings.editBookmark" uses "Ctrl+k", which is already bound to "selectPrevious"',
+    ])
+  })
+
+  it('allows the same chord on the popup and in the Bookmark Manager', () => {
+    expect(findKeybindingConflicts({ managerUndo: ['Ctrl+F'] })).toEqual([])
+  })
+})
@@ -1,9 +1,15 @@
 const BONUS_SCORE_REGEX = /[ ][+]([0-9]+)/
 const TAG_NUMERIC_CHECK_REGEX = /^\d/
 const REGEX_SPECIAL_CHARS_REGEX = /[.*+?^${}()|[\]/-]/g
+/** Session timestamps below this value are seconds (Chrome), larger ones are milliseconds (Firefox). */
+const SESSION_SECONDS_THRESHOLD = 1e11
+/** Maximum number of most recent downloads to load. */
+const DOWNLOADS_MAX_ITEMS = 500
+const FILE_PATH_SEPARATOR_REGEX = /[\\/]/
 
 /**
- * @file Normalizes browser APIs for bookmarks, tabs, and history sources.
+ * @file Normalizes browser APIs for bookmarks, tabs, history, recently closed (session), synced device tab,
+ *   reading list and download sources.
  *
  * Responsibilities:
  * - Fetch raw entries with defensive fallbacks for browsers that omit certain APIs.
@@ -15,7 +21,7 @@ const REGEX_SPECIAL_CHARS_REGEX = /[.*+?^${}()|[\]/-]/g
 
 import { cleanUpUrl } from './utils.js'
 
-export const browserApi = window.chrome || window.browser || {}
+export const browserApi = globalThis.chrome || globalThis.browser || {}
 
 /**
  * Get the favicon URL for a given page URL using Chrome's _favicon API.
@@ -108,6 +114,11 @@ export function convertBrowserTabs(chromeTabs, groupMap) {
         lastVisitSecondsAgo: el.lastAccessed ? (Date.now() - el.lastAccessed) / 1000 : undefined,
       }
 
+      // Only add tab states that are set, most tabs have none
+      if (el.pinned) tabItem.pinned = true
+      if (el.mutedInfo?.muted) tabItem.muted = true
+      if (el.discarded) tabItem.discarded = true
+
       // Only add group properties if the tab actually has a named group
       if (group) {
         tabItem.groupId = el.groupId
@@ -327,6 +338,254 @@ export async function getBrowserTabGroups() {
   }
 }
 
+/**
+ * Retrieve recently closed tabs and windows from the sessions API.
+ *
+ * @returns {Promise<Array>} Session objects, most recently closed first, or empty array when unsupported.
+ */
+export async function getBrowserSessions() {
+  if (browserApi.sessions?.getRecentlyClosed) {
+    try {
+      return await browserApi.sessions.getRecentlyClosed({})
+    } catch (err) {
+      console.warn(`Error fetching recently closed sessions: ${err.message}`)
+      return []
+    }
+  } else {
+    return []
+  }
+}
+
+/**
+ * Normalize recently closed tabs and windows into the shared search item shape.
+ *
+ * Closed windows become a single `session` item that is found by the titles and URLs of all its tabs.
+ *
+ * @param {Array<Object>} sessions - Raw session entries from `sessions.getRecentlyClosed()`.
+ * @returns {Array<Object>} Standardized session entries.
+ */
+export function convertBrowserSessions(sessions) {
+  const result = []
+  const now = Date.now()
+
+  for (const session of sessions || []) {
+    const lastVisitSecondsAgo = getSessionSecondsAgo(session.lastModified, now)
+
+    if (session.tab) {
+      const tab = session.tab
+      if (typeof tab.url !== 'string' || !tab.url.trim() || !tab.sessionId) continue
+
+      const cleanUrl = cleanUpUrl(tab.url)
+      const title = getTitle(tab.title, cleanUrl)
+      result.push({
+        type: 'session',
+        title,
+        titleLower: title.toLowerCase().trim(),
+        url: cleanUrl,
+        originalUrl: tab.url,
+        originalId: tab.sessionId,
+        sessionId: tab.sessionId,
+        favIconUrl: tab.favIconUrl,
+        lastVisitSecondsAgo,
+        searchStringLower: createSearchStringLower(title, cleanUrl),
+      })
+    } else if (session.window) {
+      const tabs = (session.window.tabs || []).filter((tab) => typeof tab.url === 'string' && tab.url.trim())
+      if (!tabs.length || !session.window.sessionId) continue
+
+      const cleanUrl = cleanUpUrl(tabs[0].url)
+      const tabTitles = tabs.map((tab) => getTitle(tab.title, cleanUpUrl(tab.url)))
+      const title = `${tabs.length} ${tabs.length === 1 ? 'tab' : 'tabs'}: ${shortenTitle(tabTitles.join(', '))}`
+      result.push({
+        type: 'session',
+        title,
+        titleLower: title.toLowerCase().trim(),
+        url: cleanUrl,
+        originalUrl: tabs[0].url,
+        originalId: session.window.sessionId,
+        sessionId: session.window.sessionId,
+        sessionTabCount: tabs.length,
+        lastVisitSecondsAgo,
+        searchStringLower: createSearchStringLower(
+          tabTitles.join(' '),
+          tabs.map((tab) => cleanUpUrl(tab.url)).join(' '),
+        ),
+      })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Retrieve the tabs open on other devices signed in to the same browser sync account.
+ *
+ * @returns {Promise<Array>} Device objects with their sessions, or empty array when unsupported.
+ */
+export async function getBrowserDevices() {
+  if (browserApi.sessions?.getDevices) {
+    try {
+      return await browserApi.sessions.getDevices({})
+    } catch (err) {
+      console.warn(`Error fetching synced devices: ${err.message}`)
+      return []
+    }
+  } else {
+    return []
+  }
+}
+
+/**
+ * Normalize the open tabs of synced devices into the shared search item shape.
+ *
+ * The original ID is prefixed with the device name, as tab session IDs are only unique per device.
+ *
+ * @param {Array<Object>} devices - Raw device entries from `sessions.getDevices()`.
+ * @returns {Array<Object>} Standardized synced tab entries.
+ */
+export function convertBrowserDevices(devices) {
+  const result = []
+  const now = Date.now()
+
+  for (const device of devices || []) {
+    const deviceName = device.deviceName || device.info || 'Unknown Device'
+    for (const session of device.sessions || []) {
+      const lastVisitSecondsAgo = getSessionSecondsAgo(session.lastModified, now)
+      const tabs = session.window ? session.window.tabs || [] : [session.tab].filter(Boolean)
+
+      for (const tab of tabs) {
+        if (typeof tab.url !== 'string' || !tab.url.trim()) continue
+
+        const cleanUrl = cleanUpUrl(tab.url)
+        const title = getTitle(tab.title, cleanUrl)
+        result.push({
+          type: 'syncedTab',
+          title,
+          titleLower: title.toLowerCase().trim(),
+          url: cleanUrl,
+          originalUrl: tab.url,
+          originalId: `${deviceName}:${tab.sessionId ?? tab.index}`,
+          deviceName,
+          deviceNameLower: deviceName.toLowerCase(),
+          favIconUrl: tab.favIconUrl,
+          lastVisitSecondsAgo,
+          searchStringLower: createSearchStringLower(title, cleanUrl),
+        })
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Retrieve all Reading List entries (Chrome only).
+ *
+ * @returns {Promise<Array>} Reading list entries or empty array when unsupported.
+ */
+export async function getBrowserReadingList() {
+  if (browserApi.readingList?.query) {
+    try {
+      return await browserApi.readingList.query({})
+    } catch (err) {
+      console.warn(`Error fetching reading list: ${err.message}`)
+      return []
+    }
+  } else {
+    return []
+  }
+}
+
+/**
+ * Normalize Reading List entries into the shared search item shape.
+ *
+ * @param {Array<Object>} entries - Raw entries from `readingList.query()`.
+ * @returns {Array<Object>} Standardized reading list entries.
+ */
+export function convertBrowserReadingList(entries) {
+  const result = []
+  for (const entry of entries || []) {
+    if (typeof entry.url !== 'string' || !entry.url.trim()) continue
+
+    const cleanUrl = cleanUpUrl(entry.url)
+    const title = getTitle(entry.title, cleanUrl)
+    result.push({
+      type: 'readingList',
+      title,
+      titleLower: title.toLowerCase().trim(),
+      url: cleanUrl,
+      originalUrl: entry.url,
+      originalId: entry.url,
+      unread: entry.hasBeenRead === false,
+      dateAdded: entry.creationTime,
+      searchStringLower: createSearchStringLower(title, cleanUrl),
+    })
+  }
+  return result
+}
+
+/**
+ * Retrieve the most recent downloads from the downloads history.
+ *
+ * @returns {Promise<Array>} Download items, newest first, or empty array when unsupported.
+ */
+export async function getBrowserDownloads() {
+  if (browserApi.downloads?.search) {
+    try {
+      return await browserApi.downloads.search({ orderBy: ['-startTime'], limit: DOWNLOADS_MAX_ITEMS })
+    } catch (err) {
+      console.warn(`Error fetching downloads: ${err.message}`)
+      return []
+    }
+  } else {
+    return []
+  }
+}
+
+/**
+ * Normalize finished downloads into the shared search item shape.
+ *
+ * Downloads are titled and found by their file name. Interrupted and running downloads are skipped.
+ *
+ * @param {Array<Object>} downloads - Raw download items from `downloads.search()`.
+ * @returns {Array<Object>} Standardized download entries.
+ */
+export function convertBrowserDownloads(downloads) {
+  const result = []
+  const now = Date.now()
+  for (const download of downloads || []) {
+    const downloadUrl = download.finalUrl || download.url
+    if (download.state !== 'complete' || typeof downloadUrl !== 'string' || !downloadUrl.trim()) continue
+
+    const cleanUrl = cleanUpUrl(downloadUrl)
+    const fileName = download.filename?.split(FILE_PATH_SEPARATOR_REGEX).pop()
+    const title = getTitle(fileName, cleanUrl)
+    const startTime = Date.parse(download.startTime)
+    result.push({
+      type: 'download',
+      title,
+      titleLower: title.toLowerCase().trim(),
+      url: cleanUrl,
+      originalUrl: downloadUrl,
+      originalId: download.id,
+      fileExists: download.exists !== false,
+      lastVisitSecondsAgo: Number.isFinite(startTime) ? Math.max(0, (now - startTime) / 1000) : undefined,
+      searchStringLower: createSearchStringLower(title, cleanUrl),
+    })
+  }
+  return result
+}
+
+/**
+ * Convert a session `lastModified` timestamp into seconds ago.
+ * Chrome reports seconds, Firefox milliseconds since the epoch.
+ */
+function getSessionSecondsAgo(lastModified, now) {
+  if (!lastModified) return undefined
+  const lastModifiedMs = lastModified < SESSION_SECONDS_THRESHOLD ? lastModified * 1000 : lastModified
+  return Math.max(0, (now - lastModifiedMs) / 1000)
+}
+
 export function convertBrowserHistory(history) {
   const historyIgnoreList = ext.opts.historyIgnoreList
   let ignoreRegex = null
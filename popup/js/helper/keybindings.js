@@ -0,0 +1,158 @@
+/**
+ * @file Configurable keyboard shortcuts for the search popup and the Bookmark Manager.
+ *
+ * Responsibilities:
+ * - Parse key chords like `Ctrl+K`, `Shift+F10` or `/` from the `keybindings` option.
+ * - Merge user keybindings with the defaults, so users only need to list the actions they change.
+ * - Match keyboard events against the chords of an action.
+ * - Detect chords that are bound to more than one action of the same page.
+ *
+ * Chords are written as optional `Ctrl+`, `Alt+`, `Shift+` and `Meta+` modifiers followed by a
+ * `KeyboardEvent.key` value. `Space` stands for the space bar. Letters are matched case-insensitively.
+ * Shift is only compared for single characters when the chord names it, because the character
+ * itself already reflects Shift (e.g. `?`).
+ * Opening a result also accepts additional modifiers, as they choose where the result opens (e.g. Ctrl+Enter).
+ */
+
+import { defaultOptions } from '../model/optionsDefaults.js'
+
+/** Page each keybinding action belongs to. Chords only conflict within the same page. */
+export const KEYBINDING_CONTEXTS = {
+  selectPrevious: 'search',
+  selectNext: 'search',
+  openResult: 'search',
+  toggleSearchApproach: 'search',
+  editBookmark: 'search',
+  markResult: 'search',
+  insertSeparator: 'search',
+  openActionMenu: 'search',
+  back: 'search',
+  recallPreviousSearch: 'search',
+  recallNextSearch: 'search',
+  saveSearch: 'search',
+  managerFocusSearch: 'bookmarkManager',
+  managerSave: 'bookmarkManager',
+  managerUndo: 'bookmarkManager',
+  managerClearSelection: 'bookmarkManager',
+}
+
+/** Actions that still match while additional modifier keys are pressed. */
+const EXTRA_MODIFIER_ACTIONS = new Set(['openResult'])
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta']
+const KEY_ALIASES = { Space: ' ' }
+
+/** Parsed chords per keybindings object, so key events do not parse the option again. */
+const parsedKeybindingsCache = new WeakMap()
+
+/**
+ * Parse a key chord.
+ *
+ * @param {string} chord - Chord like `Ctrl+Shift+K`.
+ * @returns {{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}|null}
+ *   Parsed chord, or null if the chord has no key or an unknown modifier.
+ */
+export function parseKeyChord(chord) {
+  if (typeof chord !== 'string' || !chord) return null
+
+  // A trailing `+` is the plus key itself, e.g. `Ctrl++`
+  const parts = chord.endsWith('+') ? [...chord.slice(0, -1).split('+').slice(0, -1), '+'] : chord.split('+')
+  const key = parts.pop()
+  if (!key) return null
+
+  const parsed = { key: KEY_ALIASES[key] || key, ctrl: false, alt: false, shift: false, meta: false }
+  for (const modifier of parts) {
+    if (!MODIFIERS.includes(modifier)) return null
+    parsed[modifier.toLowerCase()] = true
+  }
+  if (parsed.key.length === 1) {
+    parsed.key = parsed.key.toLowerCase()
+  }
+  return parsed
+}
+
+/**
+ * Merge user keybindings onto the defaults.
+ *
+ * @param {Object<string, string|Array<string>>} [userKeybindings] - Keybindings from the options.
+ *   An action bound to an empty list has no shortcut.
+ * @returns {Object<string, Array<string>>} Chords per action.
+ */
+export function getKeybindings(userKeybindings) {
+  const keybindings = {}
+  for (const [action, chords] of Object.entries({ ...defaultOptions.keybindings, ...userKeybindings })) {
+    keybindings[action] = Array.isArray(chords) ? chords : [chords]
+  }
+  return keybindings
+}
+
+/**
+ * Check if a keyboard event matches one of the chords bound to an action.
+ *
+ * @param {KeyboardEvent} event - Keyboard event.
+ * @param {string} action - Keybinding action, see `KEYBINDING_CONTEXTS`.
+ * @param {Object<string, string|Array<string>>} [userKeybindings] - Defaults to `ext.opts.keybindings`.
+ * @returns {boolean} True if the event triggers the action.
+ */
+export function matchesKeybinding(event, action, userKeybindings = ext.opts?.keybindings) {
+  const chords = getParsedKeybindings(userKeybindings)[action] || []
+  const allowExtraModifiers = EXTRA_MODIFIER_ACTIONS.has(action)
+  return chords.some((chord) => matchesChord(event, chord, allowExtraModifiers))
+}
+
+/**
+ * Find chords that are bound to more than one action of the same page.
+ *
+ * @param {Object<string, string|Array<string>>} [userKeybindings] - Keybindings from the options.
+ * @returns {Array<string>} One error message per conflict.
+ */
+export function findKeybindingConflicts(userKeybindings) {
+  const errors = []
+  const actionsByChord = new Map()
+
+  for (const [action, chords] of Object.entries(getKeybindings(userKeybindings))) {
+    for (const chord of chords) {
+      const parsed = parseKeyChord(chord)
+      if (!parsed) continue
+      const id = `${KEYBINDING_CONTEXTS[action]}:${formatParsedChord(parsed)}`
+      const otherAction = actionsByChord.get(id)
+      if (otherAction && otherAction !== action) {
+        errors.push(`"keybindings.${action}" uses "${chord}", which is already bound to "${otherAction}"`)
+      } else {
+        actionsByChord.set(id, action)
+      }
+    }
+  }
+
+  return errors
+}
+
+function getParsedKeybindings(userKeybindings) {
+  const cacheKey = userKeybindings && typeof userKeybindings === 'object' ? userKeybindings : defaultOptions
+  let parsed = parsedKeybindingsCache.get(cacheKey)
+  if (!parsed) {
+    parsed = {}
+    for (const [action, chords] of Object.entries(getKeybindings(userKeybindings))) {
+      parsed[action] = chords.map(parseKeyChord).filter(Boolean)
+    }
+    parsedKeybindingsCache.set(cacheKey, parsed)
+  }
+  return parsed
+}
+
+function matchesChord(event, chord, allowExtraModifiers) {
+  const key = event.key?.length === 1 ? event.key.toLowerCase() : event.key
+  if (key !== chord.key) return false
+  return MODIFIERS.every((modifier) => {
+    const name = modifier.toLowerCase()
+    const pressed = Boolean(event[`${name}Key`])
+    if (pressed === chord[name] || (pressed && allowExtraModifiers)) return true
+    // The character of a single character key already reflects Shift
+    return name === 'shift' && chord.key.length === 1 && !chord.shift
+  })
+}
+
+function formatParsedChord(parsed) {
+  const modifiers = MODIFIERS.filter((modifier) => parsed[modifier.toLowerCase()])
+  return [...modifiers, parsed.key].join('+')
+}
@@ -2,7 +2,8 @@
  * @file Optional local AI tag suggestions for bookmarks.
  */
 
-const LANGUAGE_MODEL_OPTIONS = {
+/** Local `LanguageModel` options, shared with the semantic search strategy. */
+export const LANGUAGE_MODEL_OPTIONS = {
   expectedInputs: [{ type: 'text', languages: ['en'] }],
   expectedOutputs: [{ type: 'text', languages: ['en'] }],
 }
@@ -6,6 +6,7 @@
  * - URL cleanup helpers to normalize and compare bookmark addresses reliably.
  * - Lazy script loading with deduplication for libraries like uFuzzy.
  * - HTML escaping helpers (`escapeHtml`) to keep rendered content safe.
+ * - File downloads of generated content (`downloadFile`) for exports.
  */
 
 const HTML_ESCAPE_REGEX = /[&<>"']/g
@@ -235,3 +236,22 @@ export function loadScript(url) {
 
   return load
 }
+
+/**
+ * Download generated content as a file through a temporary object URL.
+ *
+ * @param {string} content - File content.
+ * @param {string} filename - Suggested file name.
+ * @param {string} type - MIME type, e.g. `text/html;charset=utf-8`.
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+
+  link.href = url
+  link.download = filename
+  document.body.append(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
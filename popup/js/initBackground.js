@@ -0,0 +1,75 @@
+/**
+ * @file Coordinates the background service worker entry point.
+ *
+ * Responsibilities:
+ * - Create the shared extension context on `globalThis.ext`, as service workers have no `window`.
+ * - Provide uFuzzy eagerly, since the popup's lazy `<script>` loading needs a document.
+ * - Register the omnibox listeners that reload search data, suggest results and open the selection.
+ * - Invalidate the persisted search index when bookmarks or history entries change or are removed.
+ * - Capture the readable text of bookmarked pages for the opt-in page content index.
+ */
+
+import uFuzzy from '../lib/uFuzzy.mjs'
+import { createExtensionContext } from './helper/extensionContext.js'
+import { indexPageContent, removePageContent } from './model/pageContentIndex.js'
+import { clearSearchIndex } from './model/searchIndex.js'
+import { handleOmniboxInputChanged, handleOmniboxInputEntered, loadOmniboxSearchData } from './search/omnibox.js'
+
+/** Browser extension namespace */
+export const ext = createExtensionContext()
+
+globalThis.ext = ext
+globalThis.uFuzzy = uFuzzy
+
+const omnibox = ext.browserApi.omnibox
+
+if (omnibox) {
+  omnibox.setDefaultSuggestion({ description: 'Search bookmarks, history and tabs' })
+
+  omnibox.onInputStarted.addListener(() => {
+    loadOmniboxSearchData().catch((err) => console.error('Could not load omnibox search data', err))
+  })
+
+  omnibox.onInputChanged.addListener((text, suggest) => {
+    handleOmniboxInputChanged(text, suggest).catch((err) => console.error('Could not create omnibox suggestions', err))
+  })
+
+  omnibox.onInputEntered.addListener((text, disposition) => {
+    handleOmniboxInputEntered(text, disposition).catch((err) => console.error('Could not open omnibox result', err))
+  })
+}
+
+/**
+ * Bookmark and history changes that make the persisted search index outdated.
+ * New visits are not included: they happen constantly, and the popup refreshes
+ * visit data in the background after opening anyway.
+ */
+const SEARCH_INDEX_INVALIDATING_EVENTS = [
+  ['bookmarks', 'onCreated'],
+  ['bookmarks', 'onRemoved'],
+  ['bookmarks', 'onChanged'],
+  ['bookmarks', 'onMoved'],
+  ['bookmarks', 'onImportEnded'],
+  ['history', 'onVisitRemoved'],
+]
+
+for (const [api, event] of SEARCH_INDEX_INVALIDATING_EVENTS) {
+  ext.browserApi[api]?.[event]?.addListener(() => {
+    clearSearchIndex()
+  })
+}
+
+// Page content index (opt-in via `enablePageContentIndex`, checked when a page finished loading)
+ext.browserApi.tabs?.onUpdated?.addListener((_tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete') return
+  indexPageContent(tab).catch((err) => console.warn('Could not index page content', err))
+})
+
+ext.browserApi.bookmarks?.onRemoved?.addListener((_id, removeInfo) => {
+  const url = removeInfo?.node?.url
+  if (!url) return
+  // Keep the text while another bookmark still points to the same page
+  Promise.resolve(ext.browserApi.bookmarks.search?.({ url }))
+    .then((remaining) => (remaining?.length ? undefined : removePageContent(url)))
+    .catch((err) => console.warn('Could not remove page content', err))
+})
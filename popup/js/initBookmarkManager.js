@@ -2,7 +2,7 @@
  * @file Coordinates the dedicated bookmark manager page.
  */
 
-import { createSearchStringLower } from './helper/browserApi.js'
+import { createSearchStringLower, getBrowserBookmarks } from './helper/browserApi.js'
 import { createExtensionContext } from './helper/extensionContext.js'
 import {
   createLargeLocalAiTagSelectionWarning,
@@ -10,7 +10,7 @@ import {
   LOCAL_AI_TAG_SELECTION_WARNING_LIMIT,
   suggestBookmarkTags,
 } from './helper/localAiTags.js'
-import { cleanUpUrl } from './helper/utils.js'
+import { cleanUpUrl, downloadFile } from './helper/utils.js'
 import {
   createCleanupApplyEntry,
   createCleanupApplyResult,
@@ -52,9 +52,21 @@ import {
   saveBookmarkUndoSnapshot,
 } from './model/bookmarkManagerUndo.js'
 import { getEffectiveOptions } from './model/optionsStorage.js'
+import {
+  createSavedSearchesExport,
+  createSavedSearchesExportFilename,
+  deleteSavedSearch,
+  findSavedSearch,
+  findSavedSearchByFolderId,
+  importSavedSearches,
+  loadSavedSearches,
+  parseSavedSearchesImport,
+} from './model/savedSearches.js'
 import { getSearchData } from './model/searchData.js'
+import { subscribeToSearchDataChanges } from './model/searchDataChanges.js'
 import { calculateFinalScore, executeSearch, sortResults } from './search/common.js'
 import { resetFuzzySearchState } from './search/fuzzySearch.js'
+import { resolveSearchMode } from './search/queryParser.js'
 import { resetSimpleSearchState } from './search/simpleSearch.js'
 import { resetUniqueFoldersCache } from './search/taxonomySearch.js'
 import {
@@ -87,6 +99,18 @@ import { printError } from './view/errorView.js'
 
 const LOCAL_AI_PROMPT_TIMEOUT_MS = 45000
 const LOCAL_AI_DEBUG_STORAGE_KEY = 'bookmarkManagerDebugLocalAi'
+const BOOKMARK_SYNC_DELAY_MS = 250
+
+/** Search modes of saved search queries that can list bookmarks in the manager. */
+const SAVED_SEARCH_BOOKMARK_MODES = {
+  all: 'bookmarks',
+  bookmarks: 'bookmarks',
+  tags: 'tags',
+  folders: 'folders',
+}
+
+let bookmarkSyncTimer = null
+let unsubscribeFromBookmarkChanges = null
 
 export const ext = createExtensionContext()
 window.ext = ext
@@ -106,6 +130,10 @@ export async function initBookmarkManager() {
   // Load tabs only to enrich local AI prompts when a bookmark is already open.
   ext.opts.enableTabs = true
   ext.opts.enableHistory = false
+  ext.opts.enableSessions = false
+  ext.opts.enableSyncedTabs = false
+  ext.opts.enableReadingList = false
+  ext.opts.enableDownloads = false
   ext.opts.enableBookmarks = true
   ext.opts.bookmarksIgnoreFolderList = []
   applyManagerColors()
@@ -129,6 +157,9 @@ export async function initBookmarkManager() {
     onExportBookmarks: exportBookmarks,
     onExportUndoHistory: exportUndoHistory,
     onImportUndoHistory: importUndoHistory,
+    onExportSavedSearches: exportSavedSearches,
+    onImportSavedSearches: importSavedSearchFile,
+    onDeleteSavedSearch: deleteManagedSavedSearch,
     onGenerateCleanupPrompt: generateCleanupPrompt,
     onGenerateCleanupPromptFull: generateCleanupPromptFull,
     onCleanupScopeChange: resetCleanupPrompt,
@@ -148,6 +179,7 @@ export async function initBookmarkManager() {
   }
 
   await reloadBookmarkManager()
+  subscribeToBookmarkChanges()
   checkLocalAiTagSupport()
   ext.initialized = true
 }
@@ -158,9 +190,64 @@ async function loadBookmarkManagerAfterOptionsNavigation() {
   }
 
   await reloadBookmarkManager()
+  subscribeToBookmarkChanges()
   checkLocalAiTagSupport()
 }
 
+/**
+ * Keep the manager in sync with bookmark changes made elsewhere (other windows, the popup, sync).
+ * Bursts of changes, e.g. from bulk operations, are applied with a single re-render.
+ */
+function subscribeToBookmarkChanges() {
+  if (unsubscribeFromBookmarkChanges) {
+    return
+  }
+
+  unsubscribeFromBookmarkChanges = subscribeToSearchDataChanges((datasets) => {
+    if (!datasets.includes('bookmarks')) {
+      return
+    }
+    scheduleBookmarkManagerSync()
+  })
+}
+
+function scheduleBookmarkManagerSync() {
+  clearTimeout(bookmarkSyncTimer)
+  bookmarkSyncTimer = setTimeout(() => {
+    syncBookmarkManager().catch((error) => {
+      printError(error, 'Could not update bookmark manager data.')
+    })
+  }, BOOKMARK_SYNC_DELAY_MS)
+}
+
+/**
+ * Rebuild the manager model from the patched bookmarks and re-render it, keeping the current selection.
+ */
+export async function syncBookmarkManager() {
+  if (!ext.model.bookmarkManagerLoaded) {
+    return
+  }
+
+  // Do not replace a form while the user is editing it
+  const activeElement = document.activeElement
+  if (activeElement?.matches?.('input, textarea, select') && activeElement !== ext.dom.manager.bookmarkSearch) {
+    scheduleBookmarkManagerSync()
+    return
+  }
+
+  const selection = getBookmarkSelectionState()
+  ext.model.bookmarkTree = await getBrowserBookmarks()
+  ext.model.bookmarkManager = createBookmarkManagerModel(ext.model.bookmarks, ext.model.bookmarkTree)
+  restoreBookmarkSelectionState(selection, ext.model.bookmarks)
+
+  renderBookmarkManager(ext.model.bookmarkManager, canModifyBookmarks(), canUpdateBookmarks())
+  renderBookmarkCleanupScopeOptions(
+    ext.model.bookmarkManager.folderTree,
+    ext.model.bookmarkCleanupFolderId || ext.dom.manager.cleanupFolderScope.value || 'all',
+  )
+  await updateBookmarkBrowser()
+}
+
 /**
  * Reload bookmark data and rerender the manager.
  *
@@ -172,6 +259,7 @@ export async function reloadBookmarkManager(options = {}) {
 
   try {
     const { bookmarks, bookmarkTree } = await getSearchData()
+    ext.model.savedSearches = await loadSavedSearches()
     ext.model.bookmarks = bookmarks
     ext.model.bookmarkTree = bookmarkTree
     ext.model.bookmarkManager = createBookmarkManagerModel(bookmarks, bookmarkTree)
@@ -259,7 +347,7 @@ function applyBookmarkDeepLinkState() {
 
   if (hasAllFolder) {
     ext.model.bookmarkManagerFolderId = 'all'
-  } else if (folder) {
+  } else if (folder || findSavedSearchByFolderId(ext.model.savedSearches, folderId)) {
     ext.model.bookmarkManagerFolderId = folderId
   }
 
@@ -352,9 +440,41 @@ async function getVisibleBookmarks() {
     results = sortResults(calculateFinalScore(results, searchTerm), 'score')
   }
 
+  const savedSearch = findSavedSearchByFolderId(ext.model.savedSearches, folderId)
+  if (savedSearch) {
+    const savedSearchResults = await searchSavedSearchBookmarks(savedSearch)
+    if (!searchTerm) {
+      return savedSearchResults
+    }
+    const resultIds = new Set(results.map((bookmark) => String(bookmark.originalId)))
+    return savedSearchResults.filter((bookmark) => resultIds.has(String(bookmark.originalId)))
+  }
+
   return filterBookmarksByFolder(results, ext.model.bookmarkManager?.folderTree, folderId)
 }
 
+/**
+ * Run the query of a saved search against the bookmarks, so it can be browsed as virtual folder.
+ * Saved searches for other sources, like tabs or history, list no bookmarks.
+ *
+ * @param {Object} savedSearch Saved search.
+ * @returns {Promise<Array<Object>>} Matching bookmarks, best match first.
+ */
+async function searchSavedSearchBookmarks(savedSearch) {
+  const { mode, term } = resolveSearchMode(savedSearch.query.trimStart().toLowerCase())
+  const searchMode = SAVED_SEARCH_BOOKMARK_MODES[mode]
+  const searchTerm = term.trim()
+  if (!searchMode) {
+    return []
+  }
+  if (!searchTerm) {
+    return ext.model.bookmarkManager?.bookmarks || []
+  }
+
+  const results = await executeSearch(searchTerm, searchMode, ext.model, ext.opts)
+  return sortResults(calculateFinalScore(results, searchTerm), 'score')
+}
+
 async function saveManagedBookmark() {
   const bookmarkId = getCurrentManagedBookmarkId()
   if (!bookmarkId || !canUpdateBookmarks()) {
@@ -1498,17 +1618,7 @@ function exportBookmarks() {
   const bookmarkTree = ext.model.bookmarkTree || []
 
   try {
-    const html = createBookmarkExportHtml(bookmarkTree)
-    const blob = new Blob([html], { type: 'text/html;charset=utf-8' })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-
-    link.href = url
-    link.download = createBookmarkExportFilename()
-    document.body.append(link)
-    link.click()
-    link.remove()
-    URL.revokeObjectURL(url)
+    downloadFile(createBookmarkExportHtml(bookmarkTree), createBookmarkExportFilename(), 'text/html;charset=utf-8')
     showManagerStatus('Exported bookmarks', 'success')
   } catch (error) {
     showManagerStatus('Export failed', 'error')
@@ -1525,16 +1635,7 @@ function exportUndoHistory() {
 
   try {
     const payload = createUndoHistoryExport(snapshots)
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json;charset=utf-8' })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-
-    link.href = url
-    link.download = createUndoHistoryExportFilename()
-    document.body.append(link)
-    link.click()
-    link.remove()
-    URL.revokeObjectURL(url)
+    downloadFile(JSON.stringify(payload, null, 2), createUndoHistoryExportFilename(), 'application/json;charset=utf-8')
     showManagerStatus('Exported undo history', 'success')
   } catch (error) {
     showManagerStatus('Undo export failed', 'error')
@@ -1572,6 +1673,78 @@ async function importUndoHistory(file) {
   }
 }
 
+async function deleteManagedSavedSearch(savedSearchId) {
+  const savedSearch = findSavedSearch(ext.model.savedSearches, savedSearchId)
+  if (!savedSearch || !window.confirm(`Delete saved search "${savedSearch.name}"?`)) {
+    return
+  }
+
+  const isActiveFolder =
+    findSavedSearchByFolderId(ext.model.savedSearches, ext.model.bookmarkManagerFolderId) === savedSearch
+
+  try {
+    await deleteSavedSearch(ext.model.savedSearches, savedSearchId)
+    if (isActiveFolder) {
+      ext.model.bookmarkManagerFolderId = 'all'
+      writeBookmarkBrowserUrl()
+    }
+    showManagerStatus(`Deleted saved search "${savedSearch.name}"`, 'success')
+    await updateBookmarkBrowser()
+  } catch (error) {
+    showManagerStatus('Delete failed', 'error')
+    printError(error, 'Could not delete saved search.')
+  }
+}
+
+function exportSavedSearches() {
+  const savedSearches = ext.model.savedSearches || []
+  if (!savedSearches.length) {
+    showManagerStatus('No saved searches to export', 'error')
+    return
+  }
+
+  try {
+    const payload = createSavedSearchesExport(savedSearches)
+    downloadFile(
+      JSON.stringify(payload, null, 2),
+      createSavedSearchesExportFilename(),
+      'application/json;charset=utf-8',
+    )
+    showManagerStatus('Exported saved searches', 'success')
+  } catch (error) {
+    showManagerStatus('Saved search export failed', 'error')
+    printError(error, 'Could not export saved searches.')
+  }
+}
+
+async function importSavedSearchFile(file) {
+  if (!file) {
+    return
+  }
+
+  try {
+    const text = await file.text()
+    const importedSearches = parseSavedSearchesImport(JSON.parse(text))
+
+    if (!importedSearches.length) {
+      showManagerStatus('No saved searches found', 'error')
+      return
+    }
+
+    ext.model.savedSearches ||= []
+    const count = await importSavedSearches(ext.model.savedSearches, importedSearches)
+    await updateBookmarkBrowser()
+    showManagerStatus(`Imported ${count} saved search(es)`, 'success')
+  } catch (error) {
+    showManagerStatus('Saved search import failed', 'error')
+    printError(error, 'Could not import saved searches.')
+  } finally {
+    if (ext.dom.manager?.importSavedSearchesFile) {
+      ext.dom.manager.importSavedSearchesFile.value = ''
+    }
+  }
+}
+
 async function restoreBookmarkSnapshot(snapshot) {
   const bookmarks = snapshot.bookmarks.slice().sort(compareSnapshotBookmarks)
 
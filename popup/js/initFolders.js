@@ -35,6 +35,10 @@ export async function initFoldersPage() {
 
     ext.opts.enableTabs = false
     ext.opts.enableHistory = false
+    ext.opts.enableSessions = false
+    ext.opts.enableSyncedTabs = false
+    ext.opts.enableReadingList = false
+    ext.opts.enableDownloads = false
     const { bookmarks } = await getSearchData()
     ext.model.bookmarks = bookmarks
 
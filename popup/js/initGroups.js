@@ -5,11 +5,13 @@
  * - Initialise the shared extension context while disabling bookmarks/history sources to focus on tabs.
  * - Load tab data, aggregate unique groups with usage counts, and render them as clickable navigation chips.
  * - Link each group back into the main search view via hash routing so users can drill into results immediately.
+ * - Load the saved workspaces so they can be restored or deleted on the page.
  */
 
 import { createExtensionContext } from './helper/extensionContext.js'
 import { getEffectiveOptions } from './model/optionsStorage.js'
 import { getSearchData } from './model/searchData.js'
+import { loadWorkspaces } from './model/workspaces.js'
 import { printError } from './view/errorView.js'
 import { loadGroupsOverview } from './view/groupsView.js'
 
@@ -32,9 +34,14 @@ export async function initGroupsPage() {
     // Disable features not needed on the page
     ext.opts.enableBookmarks = false
     ext.opts.enableHistory = false
+    ext.opts.enableSessions = false
+    ext.opts.enableSyncedTabs = false
+    ext.opts.enableReadingList = false
+    ext.opts.enableDownloads = false
 
     const { tabs } = await getSearchData()
     ext.model.tabs = tabs
+    ext.model.workspaces = await loadWorkspaces()
 
     loadGroupsOverview()
     ext.initialized = true
@@ -4,23 +4,46 @@
  * Responsibilities:
  * - Initialize the shared extension context and expose it on `window.ext` for debugging.
  * - Load options plus bookmarks, tabs, and history data before wiring up search handlers.
+ * - Start from the persisted search index when available and refresh the data in the background.
+ * - Patch the loaded data on bookmark, history and tab changes and refresh outdated results.
  * - Bind navigation listeners, search input handling, and strategy toggles for simple/fuzzy/taxonomy flows.
  * - Maintain hash-based routing (`#search/<term>`) and restore cached results to keep navigation snappy.
  */
 
 import { createExtensionContext } from './helper/extensionContext.js'
 import { getEffectiveOptions } from './model/optionsStorage.js'
-import { getSearchData } from './model/searchData.js'
+import { loadResultSelections } from './model/resultSelections.js'
+import { loadSavedSearches } from './model/savedSearches.js'
+import { getSearchData, getStoredSearchData } from './model/searchData.js'
+import { subscribeToSearchDataChanges } from './model/searchDataChanges.js'
+import { loadSearchIndex, saveSearchIndex } from './model/searchIndex.js'
+import { loadSearchHistory } from './model/searchQueryHistory.js'
+import { loadWorkspaces } from './model/workspaces.js'
 
 import { addDefaultEntries, search } from './search/common.js'
+import { resetFuzzySearchState } from './search/fuzzySearch.js'
+import { resetSimpleSearchState } from './search/simpleSearch.js'
+import { resetUniqueFoldersCache } from './search/taxonomySearch.js'
 
 import { closeErrors, printError } from './view/errorView.js'
+import { registerDefaultCommands } from './view/searchCommands.js'
 import { toggleSearchApproach, updateSearchApproachToggle } from './view/searchEvents.js'
 import { navigationKeyListener } from './view/searchNavigation.js'
 import { renderSearchResults } from './view/searchView.js'
 
 export { closeErrors } from './view/errorView.js'
 
+/** Maps result types to the `ext.model` dataset they are taken from. */
+const RESULT_DATASETS = {
+  bookmark: 'bookmarks',
+  tab: 'tabs',
+  history: 'history',
+  session: 'sessions',
+  syncedTab: 'syncedTabs',
+  readingList: 'readingList',
+  download: 'downloads',
+}
+
 /** Browser extension namespace */
 export const ext = createExtensionContext()
 
@@ -51,9 +74,27 @@ export async function initExtension() {
     ext.dom.searchApproachToggle = document.getElementById('toggle')
 
     updateSearchApproachToggle()
-
-    // Load bookmarks, tabs, and history data for searching
-    Object.assign(ext.model, await getSearchData())
+    registerDefaultCommands()
+
+    // Recent queries are shown in the default results and recalled with the keyboard
+    ext.model.searchHistory = ext.opts.enableSearchHistory ? await loadSearchHistory() : []
+    ext.model.savedSearches = await loadSavedSearches()
+    // Loaded once and independent of the search index, so selections made before the data refresh are kept
+    ext.model.resultSelections = ext.opts.scoreSelectionBonusScore ? await loadResultSelections() : {}
+    ext.model.workspaces = await loadWorkspaces()
+
+    // Load bookmarks, tabs, and history data for searching.
+    // A valid persisted search index lets the popup search immediately, fresh data follows in the background.
+    const cachedData = ext.opts.enableSearchIndexCache ? await loadSearchIndex(ext.opts) : null
+    if (cachedData) {
+      Object.assign(ext.model, cachedData, await getStoredSearchData())
+    } else {
+      const data = await getSearchData()
+      Object.assign(ext.model, data)
+      if (ext.opts.enableSearchIndexCache) {
+        saveSearchIndex(data, ext.opts)
+      }
+    }
 
     // Register Events
     document.addEventListener('keydown', navigationKeyListener)
@@ -72,11 +113,65 @@ export async function initExtension() {
 
     await hashRouter()
     ext.initialized = true
+
+    // Keep the data in sync with changes made while the popup is open
+    subscribeToSearchDataChanges(updateOutdatedResults)
+
+    if (cachedData) {
+      ext.model.refreshPromise = refreshSearchData().catch((err) => {
+        printError(err, 'Could not refresh search data')
+      })
+    }
   } finally {
     document.getElementById('results-load')?.remove()
   }
 }
 
+/**
+ * Replace the (cached) search data with fresh browser data and update the visible results.
+ *
+ * @returns {Promise<void>}
+ */
+export async function refreshSearchData() {
+  const data = await getSearchData()
+  Object.assign(ext.model, data)
+
+  // Drop everything derived from the previous data
+  ext.searchCache.clear()
+  ext.index.taxonomy = {}
+  resetUniqueFoldersCache()
+  resetSimpleSearchState()
+  resetFuzzySearchState()
+
+  // Re-run the current query (or default results) against the fresh data
+  await search({ bypassInitializedGuard: true })
+
+  await saveSearchIndex(data, ext.opts)
+}
+
+/**
+ * Re-run the current search when a displayed result was changed or removed by a browser data change.
+ * Other changes only invalidate the search state, so the next keystroke searches the current data
+ * without resetting the selection on every background tab update.
+ *
+ * @returns {Promise<void>}
+ */
+export async function updateOutdatedResults() {
+  const results = ext.model.result || []
+  if (results.some(isOutdatedResult)) {
+    await search({ bypassInitializedGuard: true })
+  }
+}
+
+function isOutdatedResult(result) {
+  const dataset = RESULT_DATASETS[result.type]
+  if (!dataset) {
+    return false
+  }
+  const item = (ext.model[dataset] || []).find((el) => el.originalId === result.originalId)
+  return !item || item.originalUrl !== result.originalUrl || item.title !== result.title
+}
+
 //////////////////////////////////////////
 // GENERAL NAVIGATION                   //
 //////////////////////////////////////////
@@ -0,0 +1,163 @@
+/**
+ * Tests for pageContentIndex.js - the opt-in store of readable page text for `content:` searches.
+ *
+ * ✅ Covered behaviors: text normalization, save/load round trip, one storage key per page, page limit, removal,
+ *    concurrent saves, lazy loading into the model, capturing bookmarked tabs and skipping disabled, unbookmarked, incognito or non-http pages.
+ * ⚠️ Known gaps: `extractReadablePageText` runs inside real pages and is only covered by a basic DOM test.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createStorageMock, createTestExt } from '../../__tests__/testUtils.js'
+
+const mockGetEffectiveOptions = jest.fn()
+
+let pageContentIndex
+
+beforeAll(async () => {
+  const optionsStorageModule = await import('../optionsStorage.js')
+  await jest.unstable_mockModule('../optionsStorage.js', () => ({
+    __esModule: true,
+    ...optionsStorageModule,
+    getEffectiveOptions: mockGetEffectiveOptions,
+  }))
+  pageContentIndex = await import('../pageContentIndex.js')
+})
+
+describe('pageContentIndex', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = createStorageMock()
+    createTestExt({ browserApi: { storage: { local: storage } } })
+    mockGetEffectiveOptions.mockResolvedValue({ enablePageContentIndex: true })
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    clearTestExt()
+  })
+
+  test('normalizes whitespace and caps the text length', () => {
+    const { normalizePageText, PAGE_CONTENT_MAX_LENGTH } = pageContentIndex
+    expect(normalizePageText('  Hello \n\n  World\t ')).toBe('Hello World')
+    expect(normalizePageText('x'.repeat(PAGE_CONTENT_MAX_LENGTH + 10))).toHaveLength(PAGE_CONTENT_MAX_LENGTH)
+    expect(normalizePageText(undefined)).toBe('')
+  })
+
+  test('round-trips page text by normalized URL', async () => {
+    await pageContentIndex.savePageContent('https://www.example.com/docs', 'Error Budgets\n explained', 1000)
+
+    const pages = await pageContentIndex.loadPageContent()
+    expect(pages.get('example.com/docs')).toEqual({
+      text: 'Error Budgets explained',
+      textLower: 'error budgets explained',
+    })
+  })
+
+  test('stores every page under its own key and writes only the index and the captured page', async () => {
+    const { PAGE_CONTENT_KEY_PREFIX, PAGE_CONTENT_STORAGE_KEY } = pageContentIndex
+    await pageContentIndex.savePageContent('https://a.test', 'A', 1000)
+    storage.set.mockClear()
+
+    await pageContentIndex.savePageContent('https://b.test', 'B', 2000)
+
+    expect(storage.set).toHaveBeenCalledWith({
+      [`${PAGE_CONTENT_KEY_PREFIX}b.test`]: { text: 'B', capturedAt: 2000 },
+      [PAGE_CONTENT_STORAGE_KEY]: { 'a.test': 1000, 'b.test': 2000 },
+    })
+    expect(storage.store[`${PAGE_CONTENT_KEY_PREFIX}a.test`]).toEqual({ text: 'A', capturedAt: 1000 })
+  })
+
+  test('keeps concurrent saves and drops the oldest pages above the limit', async () => {
+    const { PAGE_CONTENT_KEY_PREFIX, PAGE_CONTENT_MAX_PAGES, PAGE_CONTENT_STORAGE_KEY } = pageContentIndex
+    const index = {}
+    for (let i = 0; i < PAGE_CONTENT_MAX_PAGES - 1; i++) {
+      index[`page-${i}.test`] = i + 10
+    }
+    index['oldest.test'] = 1
+    storage.store[PAGE_CONTENT_STORAGE_KEY] = index
+    storage.store[`${PAGE_CONTENT_KEY_PREFIX}oldest.test`] = { text: 'Text', capturedAt: 1 }
+
+    await Promise.all([
+      pageContentIndex.savePageContent('https://first.test', 'First', 5000),
+      pageContentIndex.savePageContent('https://second.test', 'Second', 5001),
+    ])
+
+    const stored = storage.store[PAGE_CONTENT_STORAGE_KEY]
+    expect(Object.keys(stored)).toHaveLength(PAGE_CONTENT_MAX_PAGES)
+    expect(storage.store[`${PAGE_CONTENT_KEY_PREFIX}first.test`].text).toBe('First')
+    expect(storage.store[`${PAGE_CONTENT_KEY_PREFIX}second.test`].text).toBe('Second')
+    expect(stored['oldest.test']).toBeUndefined()
+    expect(storage.store[`${PAGE_CONTENT_KEY_PREFIX}oldest.test`]).toBeUndefined()
+    expect(stored['page-0.test']).toBeUndefined()
+  })
+
+  test('removes and clears stored pages', async () => {
+    await pageContentIndex.savePageContent('https://a.test', 'A')
+    await pageContentIndex.savePageContent('https://b.test', 'B')
+
+    await pageContentIndex.removePageContent('https://a.test')
+    expect([...(await pageContentIndex.loadPageContent()).keys()]).toEqual(['b.test'])
+
+    await pageContentIndex.clearPageContent()
+    expect((await pageContentIndex.loadPageContent()).size).toBe(0)
+    expect(storage.store).toEqual({})
+  })
+
+  test('loads the page content into the model once, on first use', async () => {
+    await pageContentIndex.savePageContent('https://a.test', 'Alpha Text')
+    ext.opts.enablePageContentIndex = true
+    storage.get.mockClear()
+
+    await Promise.all([pageContentIndex.ensurePageContentLoaded(), pageContentIndex.ensurePageContentLoaded()])
+
+    expect(ext.model.pageContent.get('a.test')).toEqual({ text: 'Alpha Text', textLower: 'alpha text' })
+    expect(storage.get).toHaveBeenCalledTimes(2)
+  })
+
+  describe('indexPageContent', () => {
+    const tab = { id: 3, url: 'https://blog.test/post' }
+
+    beforeEach(() => {
+      ext.browserApi.bookmarks = { search: jest.fn(async () => [{ id: 'b1', url: tab.url }]) }
+      ext.browserApi.scripting = { executeScript: jest.fn(async () => [{ result: ' Page  text ' }]) }
+    })
+
+    test('captures the text of bookmarked pages', async () => {
+      await expect(pageContentIndex.indexPageContent(tab)).resolves.toBe(true)
+
+      expect(ext.browserApi.bookmarks.search).toHaveBeenCalledWith({ url: tab.url })
+      expect(ext.browserApi.scripting.executeScript).toHaveBeenCalledWith({
+        target: { tabId: 3 },
+        func: pageContentIndex.extractReadablePageText,
+      })
+      expect((await pageContentIndex.loadPageContent()).get('blog.test/post').text).toBe('Page text')
+    })
+
+    test('skips pages that are not bookmarked', async () => {
+      ext.browserApi.bookmarks.search.mockResolvedValue([])
+
+      await expect(pageContentIndex.indexPageContent(tab)).resolves.toBe(false)
+      expect(ext.browserApi.scripting.executeScript).not.toHaveBeenCalled()
+    })
+
+    test('skips capturing while the option is disabled', async () => {
+      mockGetEffectiveOptions.mockResolvedValue({ enablePageContentIndex: false })
+
+      await expect(pageContentIndex.indexPageContent(tab)).resolves.toBe(false)
+      expect(ext.browserApi.bookmarks.search).not.toHaveBeenCalled()
+    })
+
+    test('skips incognito and non-http pages', async () => {
+      await expect(pageContentIndex.indexPageContent({ ...tab, incognito: true })).resolves.toBe(false)
+      await expect(pageContentIndex.indexPageContent({ ...tab, url: 'chrome://settings' })).resolves.toBe(false)
+      expect(mockGetEffectiveOptions).not.toHaveBeenCalled()
+    })
+  })
+
+  test('extractReadablePageText prefers the main content area', () => {
+    document.body.innerHTML = '<nav>Menu</nav><main>Main text</main>'
+    expect(pageContentIndex.extractReadablePageText().trim()).toBe('Main text')
+  })
+})
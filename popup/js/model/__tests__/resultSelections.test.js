@@ -0,0 +1,105 @@
+/**
+ * Tests for resultSelections.js - learned (query → opened result) selections for the selection bonus.
+ *
+ * ✅ Covered behaviors: recording and persisting selections, per-URL and per-query limits,
+ *    prefix matching, half-life decay, disabled bonus, loading and clearing.
+ * ⚠️ Known gaps: storage quota errors are only logged.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { clearTestExt, createStorageMock, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  clearResultSelections,
+  getSelectionBonuses,
+  loadResultSelections,
+  normalizeSelectionQuery,
+  RESULT_SELECTIONS_MAX_PER_URL,
+  RESULT_SELECTIONS_MAX_QUERIES,
+  RESULT_SELECTIONS_STORAGE_KEY,
+  recordResultSelection,
+} from '../resultSelections.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe('resultSelections', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = createStorageMock()
+    createTestExt({ browserApi: { storage: { local: storage } } })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('normalizes queries for storage', () => {
+    expect(normalizeSelectionQuery('  React   Hooks ')).toBe('react hooks')
+    expect(normalizeSelectionQuery('x'.repeat(100))).toHaveLength(60)
+    expect(normalizeSelectionQuery(undefined)).toBe('')
+  })
+
+  test('records selections in memory and persists them right away', async () => {
+    const selections = {}
+
+    await recordResultSelection(selections, 'React Hooks', 'react.dev/hooks', 1000)
+    await recordResultSelection(selections, 'react hooks', 'react.dev/hooks', 2000)
+
+    expect(selections).toEqual({ 'react hooks': { 'react.dev/hooks': [1000, 2000] } })
+    expect(storage.store[RESULT_SELECTIONS_STORAGE_KEY]).toEqual(selections)
+    await expect(loadResultSelections()).resolves.toEqual(selections)
+  })
+
+  test('ignores empty queries and keeps the stored selections bounded', async () => {
+    const selections = {}
+    await recordResultSelection(selections, '   ', 'a.test')
+    expect(storage.set).not.toHaveBeenCalled()
+
+    for (let i = 0; i < RESULT_SELECTIONS_MAX_PER_URL + 5; i++) {
+      await recordResultSelection(selections, 'a', 'a.test', i)
+    }
+    expect(selections.a['a.test']).toHaveLength(RESULT_SELECTIONS_MAX_PER_URL)
+    expect(selections.a['a.test'][0]).toBe(5)
+
+    for (let i = 0; i < RESULT_SELECTIONS_MAX_QUERIES; i++) {
+      await recordResultSelection(selections, `query ${i}`, 'b.test', i)
+    }
+    expect(Object.keys(selections)).toHaveLength(RESULT_SELECTIONS_MAX_QUERIES)
+    expect(selections.a).toBeUndefined()
+  })
+
+  test('calculates decaying bonuses for stored queries starting with the current query', () => {
+    const now = 100 * DAY_MS
+    const selections = {
+      'react hooks': { 'react.dev/hooks': [now, now - 30 * DAY_MS] },
+      react: { 'react.dev': [now - 60 * DAY_MS] },
+      vue: { 'vuejs.org': [now] },
+    }
+    const opts = { scoreSelectionBonusScore: 4, scoreSelectionHalfLifeDays: 30 }
+
+    const bonuses = getSelectionBonuses(selections, 'React', opts, now)
+
+    expect(bonuses.get('react.dev/hooks')).toBeCloseTo(6)
+    expect(bonuses.get('react.dev')).toBeCloseTo(1)
+    expect(bonuses.has('vuejs.org')).toBe(false)
+    expect(getSelectionBonuses(selections, 'react hooks api', opts, now).size).toBe(0)
+  })
+
+  test('does not decay without half-life and returns no bonus when disabled', () => {
+    const selections = { react: { 'react.dev': [0] } }
+
+    expect(getSelectionBonuses(selections, 'r', { scoreSelectionBonusScore: 3 }, 365 * DAY_MS).get('react.dev')).toBe(3)
+    expect(getSelectionBonuses(selections, 'r', { scoreSelectionBonusScore: 0 }).size).toBe(0)
+  })
+
+  test('clears stored and loaded selections', async () => {
+    ext.model.resultSelections = { a: { 'a.test': [1] } }
+    storage.store[RESULT_SELECTIONS_STORAGE_KEY] = ext.model.resultSelections
+
+    await clearResultSelections()
+
+    expect(ext.model.resultSelections).toEqual({})
+    expect(storage.store[RESULT_SELECTIONS_STORAGE_KEY]).toBeUndefined()
+  })
+})
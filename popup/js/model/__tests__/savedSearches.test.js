@@ -0,0 +1,146 @@
+/**
+ * Tests for savedSearches.js - named saved searches of the popup and the Bookmark Manager.
+ *
+ * ✅ Covered behaviors: saving and replacing by name, entry limit, serialized size limit, deleting, loading from sync storage,
+ *    matching for the `saved:` mode, Bookmark Manager folder IDs and JSON export/import.
+ * ⚠️ Known gaps: sync storage quota errors are only surfaced by the callers.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { clearTestExt, createStorageMock, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  createSavedSearchesExport,
+  createSavedSearchFolderId,
+  createSavedSearchResults,
+  deleteSavedSearch,
+  findSavedSearchByFolderId,
+  importSavedSearches,
+  loadSavedSearches,
+  parseSavedSearchesImport,
+  SAVED_SEARCHES_MAX_BYTES,
+  SAVED_SEARCHES_MAX_ENTRIES,
+  SAVED_SEARCHES_STORAGE_KEY,
+  saveSearch,
+} from '../savedSearches.js'
+
+describe('savedSearches', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = createStorageMock()
+    createTestExt({ browserApi: { storage: { sync: storage } } })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('saves queries sorted by name and replaces a search with the same name', async () => {
+    const savedSearches = []
+
+    const roadmap = await saveSearch(savedSearches, ' Roadmap ', '#work ~Projects  roadmap', 1000)
+    await saveSearch(savedSearches, 'Docs', 'b docs', 2000)
+    await saveSearch(savedSearches, 'roadmap', '#work roadmap', 3000)
+
+    expect(savedSearches.map(({ name, query }) => ({ name, query }))).toEqual([
+      { name: 'Docs', query: 'b docs' },
+      { name: 'roadmap', query: '#work roadmap' },
+    ])
+    expect(savedSearches[1].id).toBe(roadmap.id)
+    expect(storage.store[SAVED_SEARCHES_STORAGE_KEY]).toEqual(savedSearches)
+    await expect(loadSavedSearches()).resolves.toEqual(savedSearches)
+  })
+
+  test('rejects empty names and more than the maximum number of saved searches', async () => {
+    const savedSearches = Array.from({ length: SAVED_SEARCHES_MAX_ENTRIES }, (_, i) => ({
+      id: String(i),
+      name: `Search ${i}`,
+      query: `query ${i}`,
+      createdAt: i,
+    }))
+
+    await expect(saveSearch(savedSearches, ' ', 'query')).rejects.toThrow('needs a name and a query')
+    await expect(saveSearch(savedSearches, 'One more', 'query')).rejects.toThrow('Delete one first')
+    await expect(saveSearch(savedSearches, 'Search 1', 'changed')).resolves.toMatchObject({ id: '1' })
+  })
+
+  test('rejects saved searches that exceed the sync storage item quota in bytes', async () => {
+    // Multibyte characters and escaped quotes take more bytes than characters
+    const query = `"${'日本語'.repeat(60)}"`
+    const savedSearches = []
+    for (let i = 0; i < 13; i++) {
+      await saveSearch(savedSearches, `Search ${i}`, query, i)
+    }
+    expect(savedSearches).toHaveLength(13)
+
+    await expect(saveSearch(savedSearches, 'One more', query)).rejects.toThrow(`${SAVED_SEARCHES_MAX_BYTES} bytes`)
+    expect(savedSearches).toHaveLength(13)
+    expect(storage.store[SAVED_SEARCHES_STORAGE_KEY]).toHaveLength(13)
+    const storedBytes = new Blob([
+      SAVED_SEARCHES_STORAGE_KEY + JSON.stringify(storage.store[SAVED_SEARCHES_STORAGE_KEY]),
+    ])
+    expect(storedBytes.size).toBeLessThanOrEqual(SAVED_SEARCHES_MAX_BYTES)
+
+    const importedSearches = [{ id: 'x', name: 'Imported', query, createdAt: 1 }]
+    await expect(importSavedSearches(savedSearches, importedSearches)).rejects.toThrow('Delete some first')
+    expect(savedSearches).toHaveLength(13)
+  })
+
+  test('deletes saved searches', async () => {
+    const savedSearches = [{ id: 'a', name: 'A', query: 'a', createdAt: 1 }]
+
+    await expect(deleteSavedSearch(savedSearches, 'missing')).resolves.toBe(false)
+    await expect(deleteSavedSearch(savedSearches, 'a')).resolves.toBe(true)
+
+    expect(savedSearches).toEqual([])
+    expect(storage.set).toHaveBeenCalledWith({ [SAVED_SEARCHES_STORAGE_KEY]: [] })
+  })
+
+  test('matches saved searches by name and query', () => {
+    const savedSearches = [
+      { id: 'a', name: 'Roadmap', query: '#work ~Projects  roadmap', createdAt: 1 },
+      { id: 'b', name: 'Reading', query: 'rl ', createdAt: 2 },
+    ]
+
+    expect(createSavedSearchResults(savedSearches).map((result) => result.title)).toEqual(['Roadmap', 'Reading'])
+    expect(createSavedSearchResults(savedSearches, 'projects road')).toEqual([
+      {
+        type: 'savedSearch',
+        title: 'Roadmap',
+        titleLower: 'roadmap',
+        description: '#work ~Projects  roadmap',
+        query: '#work ~Projects  roadmap',
+        originalId: 'a',
+      },
+    ])
+  })
+
+  test('maps saved searches to Bookmark Manager folder IDs', () => {
+    const savedSearches = [{ id: 'a', name: 'A', query: 'a', createdAt: 1 }]
+    const folderId = createSavedSearchFolderId(savedSearches[0])
+
+    expect(folderId).toBe('saved:a')
+    expect(findSavedSearchByFolderId(savedSearches, folderId)).toBe(savedSearches[0])
+    expect(findSavedSearchByFolderId(savedSearches, 'a')).toBeUndefined()
+    expect(findSavedSearchByFolderId(savedSearches, 'all')).toBeUndefined()
+  })
+
+  test('exports and imports saved searches, replacing searches with the same name', async () => {
+    const savedSearches = [{ id: 'a', name: 'Roadmap', query: 'roadmap', createdAt: 1000 }]
+    const payload = createSavedSearchesExport([
+      { id: 'x', name: 'roadmap', query: '#work roadmap', createdAt: 2000 },
+      { id: 'y', name: 'Docs', query: 'b docs', createdAt: 3000 },
+    ])
+
+    const importedSearches = parseSavedSearchesImport(JSON.parse(JSON.stringify(payload)))
+    await expect(importSavedSearches(savedSearches, importedSearches)).resolves.toBe(2)
+
+    expect(savedSearches.map(({ id, name, query, createdAt }) => ({ id, name, query, createdAt }))).toEqual([
+      { id: expect.any(String), name: 'Docs', query: 'b docs', createdAt: 3000 },
+      { id: 'a', name: 'roadmap', query: '#work roadmap', createdAt: 2000 },
+    ])
+    expect(() => parseSavedSearchesImport({ version: 'other', savedSearches: [] })).toThrow('saved-searches/v1')
+    expect(() => parseSavedSearchesImport({ version: payload.version })).toThrow('savedSearches array')
+  })
+})
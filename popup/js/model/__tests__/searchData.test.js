@@ -1,5 +1,5 @@
 /**
- * ✅ Covered behaviors: history merging, mock-data fallback, debug logging, feature gating
+ * ✅ Covered behaviors: history merging, mock-data fallback, debug logging, feature gating, recently closed sessions, synced device tabs, reading list and downloads, window labels
  * ⚠️ Known gaps: does not execute real browser API error paths beyond happy/fallback flows
  * 🐞 Added BUG tests: none – verified lazy merge regression via reference assertions
  */
@@ -26,8 +26,10 @@ let browserApi
 let actualConvertBrowserTabs
 let actualConvertBrowserBookmarks
 let actualConvertBrowserHistory
+let applyWindowLabels
 
 let getSearchData
+let getStoredSearchData
 
 let currentTabs = []
 let currentBookmarks = []
@@ -63,7 +65,8 @@ beforeAll(async () => {
   actualConvertBrowserTabs = helperModule.convertBrowserTabs
   actualConvertBrowserBookmarks = helperModule.convertBrowserBookmarks
   actualConvertBrowserHistory = helperModule.convertBrowserHistory
-  ;({ getSearchData } = await import('../searchData.js'))
+  ;({ getSearchData, getStoredSearchData } = await import('../searchData.js'))
+  ;({ applyWindowLabels } = await import('../windowLabels.js'))
 })
 
 describe('getSearchData', () => {
@@ -163,7 +166,7 @@ describe('getSearchData', () => {
           },
         ],
       })
-      const tabsAfterConvert = actualConvertBrowserTabs(mockState.tabs)
+      const tabsAfterConvert = applyWindowLabels(actualConvertBrowserTabs(mockState.tabs))
       const historyAfterConvert = actualConvertBrowserHistory(mockState.history)
 
       const result = await getSearchData()
@@ -358,7 +361,7 @@ describe('getSearchData', () => {
       expect(bookmarksGetTreeMock).not.toHaveBeenCalled()
       expect(historySearchMock).not.toHaveBeenCalled()
 
-      const expectedTabs = actualConvertBrowserTabs(mockResponse.tabs)
+      const expectedTabs = applyWindowLabels(actualConvertBrowserTabs(mockResponse.tabs))
       const expectedBookmarks = actualConvertBrowserBookmarks(mockResponse.bookmarks)
       const expectedHistory = actualConvertBrowserHistory(mockResponse.history)
 
@@ -420,6 +423,110 @@ describe('getSearchData', () => {
     expect(result.bookmarks).toEqual(actualConvertBrowserBookmarks(mockState.bookmarks))
   })
 
+  test('loads the window names without reading browser data or the captured page content', async () => {
+    const stored = { pageContentIndex: { 'example.com/docs': 1000 }, windowNames: { 2: 'Research' } }
+    const storageGet = jest.fn(async (key) => ({ [key]: stored[key] }))
+    ext.browserApi = { storage: { local: { get: storageGet } } }
+    ext.opts.enablePageContentIndex = true
+
+    const result = await getStoredSearchData()
+
+    expect(result).toEqual({ windowNames: { 2: 'Research' } })
+    expect(storageGet).not.toHaveBeenCalledWith('pageContentIndex')
+    expect(tabsQueryMock).not.toHaveBeenCalled()
+    expect(bookmarksGetTreeMock).not.toHaveBeenCalled()
+  })
+
+  test('labels tabs with the assigned window name or the title of the active tab', async () => {
+    setBrowserData({
+      tabs: [
+        { id: 1, windowId: 1, url: 'https://a.test', title: 'A', active: true },
+        { id: 2, windowId: 1, url: 'https://b.test', title: 'B' },
+        { id: 3, windowId: 2, url: 'https://c.test', title: 'C', active: true },
+      ],
+    })
+    const storageGet = jest.fn(async (key) => (key === 'windowNames' ? { windowNames: { 2: 'Research' } } : {}))
+    ext.browserApi = { storage: { local: { get: storageGet } } }
+
+    const result = await getSearchData()
+
+    expect(result.windowNames).toEqual({ 2: 'Research' })
+    expect(result.tabs.map((tab) => [tab.windowLabel, tab.windowLabelLower])).toEqual([
+      ['A', 'a'],
+      ['A', 'a'],
+      ['Research', 'research'],
+    ])
+  })
+
+  test('loads recently closed tabs and windows only when sessions are enabled', async () => {
+    const getRecentlyClosed = jest.fn(async () => [
+      {
+        lastModified: Math.floor(Date.now() / 1000) - 60,
+        tab: { sessionId: 's1', url: 'https://closed.test/', title: 'Closed' },
+      },
+    ])
+    browserApi.sessions = { getRecentlyClosed }
+    try {
+      expect((await getSearchData()).sessions).toEqual([])
+      expect(getRecentlyClosed).not.toHaveBeenCalled()
+
+      ext.opts.enableSessions = true
+      const { sessions } = await getSearchData()
+      expect(sessions).toEqual([
+        expect.objectContaining({ type: 'session', sessionId: 's1', title: 'Closed', url: 'closed.test' }),
+      ])
+    } finally {
+      delete browserApi.sessions
+    }
+  })
+
+  test('loads tabs from synced devices only when synced tabs are enabled', async () => {
+    const getDevices = jest.fn(async () => [
+      { deviceName: 'Laptop', sessions: [{ lastModified: 1, tab: { sessionId: 3, url: 'https://synced.test/' } }] },
+    ])
+    browserApi.sessions = { getDevices }
+    try {
+      expect((await getSearchData()).syncedTabs).toEqual([])
+      expect(getDevices).not.toHaveBeenCalled()
+
+      ext.opts.enableSyncedTabs = true
+      const { syncedTabs } = await getSearchData()
+      expect(syncedTabs).toEqual([
+        expect.objectContaining({
+          type: 'syncedTab',
+          deviceName: 'Laptop',
+          url: 'synced.test',
+          originalId: 'Laptop:3',
+        }),
+      ])
+    } finally {
+      delete browserApi.sessions
+    }
+  })
+
+  test('loads the reading list and downloads only when enabled', async () => {
+    browserApi.readingList = { query: jest.fn(async () => [{ url: 'https://article.test/', title: 'Article' }]) }
+    browserApi.downloads = {
+      search: jest.fn(async () => [{ id: 1, url: 'https://files.test/a.pdf', filename: '/a.pdf', state: 'complete' }]),
+    }
+    try {
+      const disabled = await getSearchData()
+      expect(disabled.readingList).toEqual([])
+      expect(disabled.downloads).toEqual([])
+      expect(browserApi.downloads.search).not.toHaveBeenCalled()
+
+      ext.opts.enableReadingList = true
+      ext.opts.enableDownloads = true
+      const { readingList, downloads } = await getSearchData()
+      expect(readingList).toEqual([expect.objectContaining({ type: 'readingList', title: 'Article' })])
+      expect(downloads).toEqual([expect.objectContaining({ type: 'download', title: 'a.pdf', originalId: 1 })])
+      expect(browserApi.downloads.search).toHaveBeenCalledWith({ orderBy: ['-startTime'], limit: 500 })
+    } finally {
+      delete browserApi.readingList
+      delete browserApi.downloads
+    }
+  })
+
   test('handles mock data fetch failures gracefully', async () => {
     setBrowserApiAvailability({ tabs: false, bookmarks: false, history: false })
 
@@ -430,7 +537,17 @@ describe('getSearchData', () => {
 
     expect(global.fetch).toHaveBeenCalledWith('./mockData/chrome.json')
     expect(warnSpy).toHaveBeenCalledWith('Could not load example mock data', expect.any(Error))
-    expect(result).toEqual({ tabs: [], bookmarks: [], history: [], bookmarkTree: [] })
+    expect(result).toEqual({
+      tabs: [],
+      bookmarks: [],
+      history: [],
+      sessions: [],
+      syncedTabs: [],
+      readingList: [],
+      downloads: [],
+      bookmarkTree: [],
+      windowNames: {},
+    })
 
     warnSpy.mockRestore()
   })
@@ -481,7 +598,7 @@ describe('getSearchData', () => {
         ],
       })
 
-      const expectedTabs = actualConvertBrowserTabs(mockState.tabs)
+      const expectedTabs = applyWindowLabels(actualConvertBrowserTabs(mockState.tabs))
       const expectedBookmarks = actualConvertBrowserBookmarks(mockState.bookmarks)
 
       const result = await getSearchData()
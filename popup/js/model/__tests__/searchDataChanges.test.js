@@ -0,0 +1,333 @@
+/**
+ * Tests for searchDataChanges.js - incremental search data updates from browser change events.
+ *
+ * ✅ Covered behaviors: bookmark create/change/move/remove patches (folder trail, position, history metadata,
+ *    ignored folders, folder taxonomy), history visits and removals, tab updates with open tab flags,
+ *    ignored tab updates, window labels of changed tabs, renamed tab groups, recently closed session refreshes, cache invalidation and unsubscribing.
+ * ⚠️ Known gaps: real browser event ordering (events are applied sequentially in the order received).
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createTestExt } from '../../__tests__/testUtils.js'
+import { convertBrowserBookmarks, convertBrowserHistory, convertBrowserTabs } from '../../helper/browserApi.js'
+import { getUniqueFolders } from '../../search/taxonomySearch.js'
+import { subscribeToSearchDataChanges } from '../searchDataChanges.js'
+
+function createEvent() {
+  const listeners = new Set()
+  return {
+    addListener: jest.fn((listener) => listeners.add(listener)),
+    removeListener: jest.fn((listener) => listeners.delete(listener)),
+    dispatch: (...args) => Promise.all([...listeners].map((listener) => listener(...args))),
+    get size() {
+      return listeners.size
+    },
+  }
+}
+
+function createTree() {
+  return {
+    id: '0',
+    title: '',
+    children: [
+      {
+        id: '1',
+        parentId: '0',
+        title: 'Bookmarks Bar',
+        children: [
+          {
+            id: 'f1',
+            parentId: '1',
+            title: 'Work',
+            children: [{ id: 'b1', parentId: 'f1', title: 'Roadmap #plan', url: 'https://roadmap.test/' }],
+          },
+          { id: 'b2', parentId: '1', title: 'News', url: 'https://news.test/' },
+          { id: 'f2', parentId: '1', title: 'Archive', children: [] },
+        ],
+      },
+    ],
+  }
+}
+
+function findNode(node, id) {
+  if (node.id === id) return node
+  for (const child of node.children || []) {
+    const found = findNode(child, id)
+    if (found) return found
+  }
+  return null
+}
+
+describe('subscribeToSearchDataChanges', () => {
+  let tree
+  let events
+  let onChange
+  let unsubscribe
+
+  beforeEach(() => {
+    tree = createTree()
+    events = {
+      bookmarks: {
+        onCreated: createEvent(),
+        onChanged: createEvent(),
+        onMoved: createEvent(),
+        onRemoved: createEvent(),
+      },
+      history: { onVisited: createEvent(), onVisitRemoved: createEvent() },
+      tabs: { onUpdated: createEvent(), onRemoved: createEvent() },
+    }
+    createTestExt({
+      opts: { enableBookmarks: true, enableHistory: true, enableTabs: true, displayFavicons: false },
+      browserApi: {
+        bookmarks: {
+          ...events.bookmarks,
+          getSubTree: jest.fn(async (id) => [JSON.parse(JSON.stringify(findNode(tree, id)))]),
+          get: jest.fn(async (id) => {
+            const { children: _children, ...node } = findNode(tree, id)
+            return [node]
+          }),
+        },
+        history: events.history,
+        tabs: events.tabs,
+      },
+    })
+    ext.model.bookmarks = convertBrowserBookmarks([tree])
+    ext.model.tabs = []
+    ext.model.history = convertBrowserHistory([
+      { id: 'h1', title: 'Blog', url: 'https://blog.test/', visitCount: 2, lastVisitTime: Date.now() },
+    ])
+    ext.searchCache.set('cached', [])
+    onChange = jest.fn()
+    unsubscribe = subscribeToSearchDataChanges(onChange)
+  })
+
+  afterEach(() => {
+    unsubscribe()
+    clearTestExt()
+  })
+
+  describe('bookmarks', () => {
+    test('replaces a changed bookmark in place and keeps merged history metadata', async () => {
+      ext.model.bookmarks[0].visitCount = 5
+      findNode(tree, 'b1').title = 'Roadmap 2026 #plan #q3'
+
+      await events.bookmarks.onChanged.dispatch('b1', { title: 'Roadmap 2026 #plan #q3' })
+
+      expect(ext.model.bookmarks.map((el) => el.originalId)).toEqual(['b1', 'b2'])
+      expect(ext.model.bookmarks[0]).toMatchObject({
+        title: 'Roadmap 2026',
+        tagsArray: ['plan', 'q3'],
+        folder: '~Work',
+        folderId: 'f1',
+        visitCount: 5,
+      })
+      expect(onChange).toHaveBeenCalledWith(['bookmarks'])
+      expect(ext.searchCache.size).toBe(0)
+    })
+
+    test('adds created bookmarks with their folder trail and merges matching history', async () => {
+      findNode(tree, 'f1').children.push({ id: 'b3', parentId: 'f1', title: 'Blog', url: 'https://blog.test/' })
+
+      await events.bookmarks.onCreated.dispatch('b3', {})
+
+      expect(ext.model.bookmarks[2]).toMatchObject({ originalId: 'b3', folderArray: ['Work'], visitCount: 2 })
+      expect(ext.model.history).toEqual([])
+      expect(onChange).toHaveBeenCalledWith(['bookmarks', 'history'])
+    })
+
+    test('updates the folder trail and folder taxonomy of moved folders', async () => {
+      const folders = getUniqueFolders()
+      const work = findNode(tree, 'f1')
+      tree.children[0].children.shift()
+      work.parentId = 'f2'
+      findNode(tree, 'f2').children.push(work)
+
+      await events.bookmarks.onMoved.dispatch('f1', { parentId: 'f2', oldParentId: '1' })
+
+      expect(ext.model.bookmarks.find((el) => el.originalId === 'b1').folder).toBe('~Archive ~Work')
+      expect(getUniqueFolders()).toBe(folders)
+      expect(folders).toEqual({ Archive: ['b1'], Work: ['b1'] })
+    })
+
+    test('drops bookmarks moved into an ignored folder', async () => {
+      ext.opts.bookmarksIgnoreFolderList = ['Archive']
+      const news = tree.children[0].children.splice(1, 1)[0]
+      news.parentId = 'f2'
+      findNode(tree, 'f2').children.push(news)
+
+      await events.bookmarks.onMoved.dispatch('b2', { parentId: 'f2', oldParentId: '1' })
+
+      expect(ext.model.bookmarks.map((el) => el.originalId)).toEqual(['b1'])
+    })
+
+    test('removes all bookmarks of a removed folder', async () => {
+      const node = findNode(tree, 'f1')
+
+      await events.bookmarks.onRemoved.dispatch('f1', { parentId: '1', index: 0, node })
+
+      expect(ext.model.bookmarks.map((el) => el.originalId)).toEqual(['b2'])
+      expect(onChange).toHaveBeenCalledWith(['bookmarks'])
+    })
+  })
+
+  describe('history', () => {
+    test('moves visited pages to the front of the history', async () => {
+      await events.history.onVisited.dispatch({
+        id: 'h2',
+        title: 'Docs',
+        url: 'https://docs.test/',
+        visitCount: 1,
+        lastVisitTime: Date.now(),
+      })
+
+      expect(ext.model.history.map((el) => el.originalId)).toEqual(['h2', 'h1'])
+      expect(onChange).toHaveBeenCalledWith(['history'])
+    })
+
+    test('updates bookmarks of visited pages instead of adding history items', async () => {
+      await events.history.onVisited.dispatch({
+        id: 'h3',
+        title: 'News',
+        url: 'https://news.test/',
+        visitCount: 9,
+        lastVisitTime: Date.now(),
+      })
+
+      expect(ext.model.bookmarks[1].visitCount).toBe(9)
+      expect(ext.model.history).toHaveLength(1)
+      expect(onChange).toHaveBeenCalledWith(['bookmarks'])
+    })
+
+    test('respects the history ignore list', async () => {
+      ext.opts.historyIgnoreList = ['private.test']
+      ext.state = {}
+
+      await events.history.onVisited.dispatch({ id: 'h4', url: 'https://private.test/', lastVisitTime: Date.now() })
+
+      expect(ext.model.history).toHaveLength(1)
+      expect(onChange).not.toHaveBeenCalled()
+    })
+
+    test('removes deleted history items', async () => {
+      await events.history.onVisitRemoved.dispatch({ allHistory: false, urls: ['https://blog.test/'] })
+      expect(ext.model.history).toEqual([])
+    })
+  })
+
+  describe('tabs', () => {
+    test('adds updated tabs and flags bookmarks with open tabs', async () => {
+      const tab = { id: 5, windowId: 1, title: 'News', url: 'https://news.test/' }
+
+      await events.tabs.onUpdated.dispatch(5, { url: tab.url }, tab)
+
+      expect(ext.model.tabs).toEqual([expect.objectContaining({ originalId: 5, url: 'news.test' })])
+      expect(ext.model.bookmarks[1]).toMatchObject({ tab: true, openTabTitle: 'News' })
+      expect(onChange).toHaveBeenCalledWith(['tabs', 'bookmarks'])
+    })
+
+    test('clears open tab flags when the tab navigates away or is closed', async () => {
+      ext.model.tabs = convertBrowserTabs([{ id: 5, windowId: 1, title: 'News', url: 'https://news.test/' }])
+      ext.model.bookmarks[1].tab = true
+
+      await events.tabs.onUpdated.dispatch(
+        5,
+        { url: 'https://other.test/' },
+        { id: 5, windowId: 1, url: 'https://other.test/' },
+      )
+      expect(ext.model.tabs[0].url).toBe('other.test')
+      expect(ext.model.bookmarks[1].tab).toBeUndefined()
+
+      await events.tabs.onRemoved.dispatch(5, { windowId: 1 })
+      expect(ext.model.tabs).toEqual([])
+    })
+
+    test('updates the window labels when the title of an active tab changes', async () => {
+      ext.model.windowNames = { 2: 'Research' }
+      ext.model.tabs = convertBrowserTabs([
+        { id: 5, windowId: 1, title: 'News', url: 'https://news.test/', active: true },
+        { id: 6, windowId: 1, title: 'Blog', url: 'https://blog.test/' },
+        { id: 7, windowId: 2, title: 'Paper', url: 'https://paper.test/', active: true },
+      ])
+
+      await events.tabs.onUpdated.dispatch(
+        5,
+        { title: 'Breaking News' },
+        { id: 5, windowId: 1, title: 'Breaking News', url: 'https://news.test/', active: true },
+      )
+
+      expect(ext.model.tabs.map((tab) => tab.windowLabel)).toEqual(['Breaking News', 'Breaking News', 'Research'])
+
+      await events.tabs.onRemoved.dispatch(5, { windowId: 1 })
+      expect(ext.model.tabs.map((tab) => tab.windowLabel)).toEqual(['Window 1', 'Research'])
+    })
+
+    test('ignores tab updates that do not affect search items', async () => {
+      await events.tabs.onUpdated.dispatch(5, { status: 'loading' }, { id: 5, url: 'https://news.test/' })
+
+      expect(ext.model.tabs).toEqual([])
+      expect(onChange).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('tab groups', () => {
+    test('updates the group name of the tabs in a renamed tab group', async () => {
+      const onGroupUpdated = createEvent()
+      const browserTabs = [
+        { id: 5, windowId: 1, groupId: 7, title: 'News', url: 'https://news.test/' },
+        { id: 6, windowId: 1, groupId: 7, title: 'Blog', url: 'https://blog.test/' },
+      ]
+      ext.browserApi.tabGroups = { onUpdated: onGroupUpdated }
+      ext.browserApi.tabs.query = jest.fn(async ({ groupId }) => browserTabs.filter((tab) => tab.groupId === groupId))
+      ext.model.tabs = convertBrowserTabs(browserTabs, new Map([[7, { id: 7, title: 'Work' }]]))
+      unsubscribe()
+      unsubscribe = subscribeToSearchDataChanges(onChange)
+
+      await onGroupUpdated.dispatch({ id: 7, title: 'Work', collapsed: true })
+      expect(ext.browserApi.tabs.query).not.toHaveBeenCalled()
+
+      await onGroupUpdated.dispatch({ id: 7, title: 'Reading' })
+
+      expect(ext.model.tabs.map((tab) => [tab.originalId, tab.group, tab.groupLower])).toEqual([
+        [5, 'Reading', 'reading'],
+        [6, 'Reading', 'reading'],
+      ])
+      expect(ext.model.tabs[0].searchStringLower).toContain('reading')
+      expect(onChange).toHaveBeenCalledWith(['tabs', 'bookmarks'])
+    })
+  })
+
+  describe('sessions', () => {
+    test('replaces the recently closed tabs and windows when enabled', async () => {
+      const onSessionsChanged = createEvent()
+      ext.browserApi.sessions = {
+        onChanged: onSessionsChanged,
+        getRecentlyClosed: jest.fn(async () => [
+          { lastModified: Date.now(), tab: { sessionId: 's2', title: 'Closed', url: 'https://closed.test/' } },
+        ]),
+      }
+      ext.model.sessions = [{ type: 'session', sessionId: 's1' }]
+      const sessions = ext.model.sessions
+      unsubscribe()
+      unsubscribe = subscribeToSearchDataChanges(onChange)
+
+      await onSessionsChanged.dispatch()
+      expect(ext.browserApi.sessions.getRecentlyClosed).not.toHaveBeenCalled()
+
+      ext.opts.enableSessions = true
+      await onSessionsChanged.dispatch()
+
+      expect(ext.model.sessions).toBe(sessions)
+      expect(sessions).toEqual([expect.objectContaining({ sessionId: 's2', url: 'closed.test' })])
+      expect(onChange).toHaveBeenCalledWith(['sessions'])
+    })
+  })
+
+  test('unsubscribe removes all listeners', () => {
+    unsubscribe()
+
+    expect(events.bookmarks.onCreated.size).toBe(0)
+    expect(events.history.onVisited.size).toBe(0)
+    expect(events.tabs.onUpdated.size).toBe(0)
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * Tests for searchIndex.js - the persisted search index in `storage.local`.
+ *
+ * ✅ Covered behaviors: save/load round trip of all browser datasets, version and options invalidation, relative time shifting,
+ *    clearing, storage errors and missing storage API.
+ * ⚠️ Known gaps: storage quota handling is delegated to the browser.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createStorageMock, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  clearSearchIndex,
+  loadSearchIndex,
+  SEARCH_INDEX_STORAGE_KEY,
+  SEARCH_INDEX_VERSION,
+  saveSearchIndex,
+} from '../searchIndex.js'
+
+describe('searchIndex', () => {
+  const options = { enableHistory: true, historyDaysAgo: 14 }
+  const data = {
+    bookmarks: [{ originalId: 'b1', title: 'Bookmark', lastVisitSecondsAgo: 60 }],
+    tabs: [{ originalId: 7, title: 'Tab' }],
+    history: [{ originalId: 'h1', title: 'History', lastVisitSecondsAgo: 120 }],
+    sessions: [{ originalId: 's1', title: 'Closed', lastVisitSecondsAgo: 30 }],
+    syncedTabs: [{ originalId: 'd1', title: 'Phone Tab' }],
+    readingList: [{ originalId: 'r1', title: 'Article' }],
+    downloads: [{ originalId: 'dl1', title: 'report.pdf' }],
+    bookmarkTree: [{ id: '0', children: [] }],
+    pageContent: new Map([['example.com', { text: 'Text', textLower: 'text' }]]),
+    windowNames: { 1: 'Work' },
+  }
+  let storage
+
+  beforeEach(() => {
+    storage = createStorageMock()
+    createTestExt({ browserApi: { storage: { local: storage } } })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('round-trips the browser datasets without the raw bookmark tree and extension data', async () => {
+    await saveSearchIndex(data, options, 1000)
+
+    const stored = storage.store[SEARCH_INDEX_STORAGE_KEY]
+    expect(stored.version).toBe(SEARCH_INDEX_VERSION)
+    expect(Object.keys(stored.data)).toEqual([
+      'bookmarks',
+      'tabs',
+      'history',
+      'sessions',
+      'syncedTabs',
+      'readingList',
+      'downloads',
+    ])
+
+    await expect(loadSearchIndex(options, 1000)).resolves.toEqual({
+      bookmarks: data.bookmarks,
+      tabs: data.tabs,
+      history: data.history,
+      sessions: data.sessions,
+      syncedTabs: data.syncedTabs,
+      readingList: data.readingList,
+      downloads: data.downloads,
+    })
+  })
+
+  test('shifts last visit times by the age of the index', async () => {
+    await saveSearchIndex(data, options, 1000)
+
+    const loaded = await loadSearchIndex(options, 31000)
+    expect(loaded.bookmarks[0].lastVisitSecondsAgo).toBe(90)
+    expect(loaded.history[0].lastVisitSecondsAgo).toBe(150)
+    expect(loaded.tabs[0].lastVisitSecondsAgo).toBeUndefined()
+  })
+
+  test('discards indexes built with different options', async () => {
+    await saveSearchIndex(data, options, 1000)
+    await expect(loadSearchIndex({ ...options, historyDaysAgo: 30 }, 1000)).resolves.toBeNull()
+  })
+
+  test('discards indexes of another version', async () => {
+    await saveSearchIndex(data, options, 1000)
+    storage.store[SEARCH_INDEX_STORAGE_KEY].version = SEARCH_INDEX_VERSION - 1
+    await expect(loadSearchIndex(options, 1000)).resolves.toBeNull()
+  })
+
+  test('returns null without a stored index', async () => {
+    await expect(loadSearchIndex(options)).resolves.toBeNull()
+  })
+
+  test('clears the stored index', async () => {
+    await saveSearchIndex(data, options, 1000)
+    await clearSearchIndex()
+    expect(storage.remove).toHaveBeenCalledWith(SEARCH_INDEX_STORAGE_KEY)
+    await expect(loadSearchIndex(options, 1000)).resolves.toBeNull()
+  })
+
+  test('treats storage errors as cache misses', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    storage.get.mockRejectedValueOnce(new Error('broken'))
+    storage.set.mockRejectedValueOnce(new Error('quota'))
+
+    await expect(saveSearchIndex(data, options)).resolves.toBeUndefined()
+    await expect(loadSearchIndex(options)).resolves.toBeNull()
+    expect(warnSpy).toHaveBeenCalledTimes(2)
+    warnSpy.mockRestore()
+  })
+
+  test('does nothing without a storage API', async () => {
+    createTestExt({ browserApi: {} })
+    await expect(saveSearchIndex(data, options)).resolves.toBeUndefined()
+    await expect(loadSearchIndex(options)).resolves.toBeNull()
+    await expect(clearSearchIndex()).resolves.toBeUndefined()
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Tests for searchQueryHistory.js - recent search queries of the popup.
+ *
+ * ✅ Covered behaviors: recording queries with the opened result, moving repeated queries to the top,
+ *    entry limit, loading, clearing and converting entries into default results.
+ * ⚠️ Known gaps: storage quota errors are only logged.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { clearTestExt, createStorageMock, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  clearSearchHistory,
+  createRecentSearchResults,
+  loadSearchHistory,
+  recordSearchQuery,
+  SEARCH_HISTORY_MAX_ENTRIES,
+  SEARCH_HISTORY_STORAGE_KEY,
+} from '../searchQueryHistory.js'
+
+describe('searchQueryHistory', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = createStorageMock()
+    createTestExt({ browserApi: { storage: { local: storage } } })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('records queries with the opened result, newest first, and persists them', async () => {
+    const history = []
+
+    await recordSearchQuery(
+      history,
+      ' b react ',
+      { type: 'bookmark', title: 'React', originalUrl: 'https://react.dev' },
+      1000,
+    )
+    await recordSearchQuery(history, 'hooks', undefined, 2000)
+
+    expect(history).toEqual([
+      { query: 'hooks', searchedAt: 2000 },
+      { query: 'b react', searchedAt: 1000, selection: { title: 'React', url: 'https://react.dev', type: 'bookmark' } },
+    ])
+    expect(storage.store[SEARCH_HISTORY_STORAGE_KEY]).toEqual(history)
+    await expect(loadSearchHistory()).resolves.toEqual(history)
+  })
+
+  test('moves a repeated query to the top and keeps its last opened result', async () => {
+    const history = []
+    await recordSearchQuery(history, 'react', { type: 'tab', title: 'Docs', originalUrl: 'https://react.dev' }, 1000)
+    await recordSearchQuery(history, 'vue', undefined, 2000)
+    await recordSearchQuery(history, 'react', undefined, 3000)
+
+    expect(history.map((entry) => entry.query)).toEqual(['react', 'vue'])
+    expect(history[0]).toMatchObject({ searchedAt: 3000, selection: { title: 'Docs' } })
+  })
+
+  test('ignores empty queries and drops the oldest entries above the limit', async () => {
+    const history = []
+    await recordSearchQuery(history, '   ')
+    expect(storage.set).not.toHaveBeenCalled()
+
+    for (let i = 0; i <= SEARCH_HISTORY_MAX_ENTRIES; i++) {
+      recordSearchQuery(history, `query ${i}`, undefined, i)
+    }
+    expect(history).toHaveLength(SEARCH_HISTORY_MAX_ENTRIES)
+    expect(history[0].query).toBe(`query ${SEARCH_HISTORY_MAX_ENTRIES}`)
+    expect(history.some((entry) => entry.query === 'query 0')).toBe(false)
+  })
+
+  test('clears the loaded and the stored history', async () => {
+    ext.model.searchHistory = [{ query: 'react', searchedAt: 1 }]
+    storage.store[SEARCH_HISTORY_STORAGE_KEY] = ext.model.searchHistory
+
+    await clearSearchHistory()
+
+    expect(ext.model.searchHistory).toEqual([])
+    expect(storage.remove).toHaveBeenCalledWith(SEARCH_HISTORY_STORAGE_KEY)
+    await expect(loadSearchHistory()).resolves.toEqual([])
+  })
+
+  test('converts recent queries into default results', () => {
+    const history = [
+      { query: 'react', searchedAt: 60000, selection: { title: 'React', url: 'https://react.dev' } },
+      { query: 'vue', searchedAt: 30000 },
+      { query: 'svelte', searchedAt: 0 },
+    ]
+
+    expect(createRecentSearchResults(history, 2, 120000)).toEqual([
+      {
+        type: 'recentSearch',
+        title: 'react',
+        originalId: 'react',
+        description: 'Opened: React',
+        lastVisitSecondsAgo: 60,
+      },
+      { type: 'recentSearch', title: 'vue', originalId: 'vue', description: 'Recent search', lastVisitSecondsAgo: 90 },
+    ])
+    expect(createRecentSearchResults(undefined, 3)).toEqual([])
+  })
+})
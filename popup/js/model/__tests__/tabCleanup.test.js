@@ -0,0 +1,64 @@
+/**
+ * Tests for tabCleanup.js - duplicate and stale tab detection.
+ *
+ * ✅ Covered behaviors: grouping tabs by URL, keeping the active or most recently used duplicate,
+ *    stale tabs by days without use, skipping active and pinned tabs, confirmation message.
+ * ⚠️ Known gaps: URL normalization itself is covered by the `cleanUpUrl()` tests.
+ * 🐞 Added BUG tests: none
+ */
+
+import { describe, expect, test } from '@jest/globals'
+import {
+  createTabCleanupConfirmation,
+  getDuplicateTabGroups,
+  getDuplicateTabsToClose,
+  getStaleTabs,
+  isStaleTab,
+} from '../tabCleanup.js'
+
+const DAY = 24 * 60 * 60
+
+const tabs = [
+  { originalId: 1, title: 'Docs', url: 'docs.test', lastVisitSecondsAgo: 60 },
+  { originalId: 2, title: 'Docs', url: 'docs.test', lastVisitSecondsAgo: 10 },
+  { originalId: 3, title: 'Docs', url: 'docs.test', lastVisitSecondsAgo: 9 * DAY },
+  { originalId: 4, title: 'Mail', url: 'mail.test', lastVisitSecondsAgo: 8 * DAY, active: true },
+  { originalId: 5, title: 'Mail', url: 'mail.test', lastVisitSecondsAgo: 5 },
+  { originalId: 6, title: 'News', url: 'news.test', lastVisitSecondsAgo: 30 * DAY },
+  { originalId: 7, title: 'Music', url: 'music.test', lastVisitSecondsAgo: 30 * DAY, pinned: true },
+  { originalId: 8, title: 'New Tab', url: 'new.test' },
+]
+const ids = (items) => items.map((tab) => tab.originalId)
+
+describe('tabCleanup', () => {
+  test('groups duplicate tabs and keeps the active or most recently used one first', () => {
+    expect(getDuplicateTabGroups(tabs).map(ids)).toEqual([
+      [2, 1, 3],
+      [4, 5],
+    ])
+    expect(ids(getDuplicateTabsToClose(tabs))).toEqual([1, 3, 5])
+    expect(getDuplicateTabsToClose([])).toEqual([])
+  })
+
+  test('finds stale tabs, least recently used first', () => {
+    expect(ids(getStaleTabs(tabs, 7))).toEqual([6, 3])
+    expect(ids(getStaleTabs(tabs, 10))).toEqual([6])
+    expect(isStaleTab(tabs[3], 7)).toBe(false)
+    expect(isStaleTab(tabs[6], 7)).toBe(false)
+    expect(isStaleTab(tabs[7], 0)).toBe(false)
+  })
+
+  test('lists the tabs to close in the confirmation', () => {
+    expect(createTabCleanupConfirmation(tabs.slice(0, 1), 'duplicate')).toEqual({
+      message: 'Close 1 duplicate tab?',
+      details: ['Docs'],
+    })
+
+    const manyTabs = Array.from({ length: 17 }, (_, i) => ({ url: `site${i}.test` }))
+    const { message, details } = createTabCleanupConfirmation(manyTabs, 'stale')
+    expect(message).toBe('Close 17 stale tabs?')
+    expect(details[0]).toBe('site0.test')
+    expect(details.at(-1)).toBe('… and 2 more')
+    expect(details).toHaveLength(16)
+  })
+})
@@ -0,0 +1,175 @@
+/**
+ * Tests for tabGroupOperations.js - tab group operations of the Tab Groups page and the `@group` search.
+ *
+ * ✅ Covered behaviors: listing groups with their tabs, collapsing, renaming and recoloring groups,
+ *    closing the tabs of a group, saving a group as bookmark folder, listing restorable folders
+ *    and restoring a folder as new tab group.
+ * ⚠️ Known gaps: browser errors for groups that were closed meanwhile are only surfaced by the callers.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  closeTabGroup,
+  getRestorableFolders,
+  getTabGroupLabel,
+  getTabGroupsWithTabs,
+  MAX_RESTORED_TABS,
+  renameTabGroup,
+  restoreFolderAsTabGroup,
+  saveTabGroupAsFolder,
+  setTabGroupCollapsed,
+  setTabGroupColor,
+} from '../tabGroupOperations.js'
+
+const bookmarkTree = [
+  {
+    id: '0',
+    title: '',
+    children: [
+      {
+        id: '1',
+        title: 'Bookmarks Bar',
+        children: [
+          {
+            id: 'f1',
+            title: 'Work',
+            children: [
+              { id: 'b1', title: 'Docs', url: 'https://docs.test/' },
+              { id: 'b2', title: 'Mail', url: 'https://mail.test/' },
+              { id: 'f2', title: 'Empty', children: [] },
+            ],
+          },
+          { id: 'b3', title: 'News', url: 'https://news.test/' },
+        ],
+      },
+    ],
+  },
+]
+
+function findNode(node, id) {
+  if (node.id === id) return node
+  for (const child of node.children || []) {
+    const found = findNode(child, id)
+    if (found) return found
+  }
+  return null
+}
+
+describe('tabGroupOperations', () => {
+  let browserTabs
+  let groups
+
+  beforeEach(() => {
+    browserTabs = [
+      { id: 1, groupId: 7, title: 'Docs', url: 'https://docs.test/' },
+      { id: 2, groupId: 7, title: 'Docs again', url: 'https://docs.test/' },
+      { id: 3, groupId: 7, title: 'Settings', url: 'chrome://settings' },
+      { id: 4, groupId: 8, title: 'Mail', url: 'https://mail.test/' },
+    ]
+    groups = new Map([
+      [7, { id: 7, title: 'Work', color: 'blue', collapsed: false }],
+      [8, { id: 8, title: '', color: 'red', collapsed: true }],
+    ])
+    let nextTabId = 10
+    createTestExt({
+      model: {
+        tabs: [
+          { originalId: 1, groupId: 7, group: 'Work' },
+          { originalId: 2, groupId: 7, group: 'Work' },
+        ],
+      },
+      browserApi: {
+        tabs: {
+          query: jest.fn(async ({ groupId }) => browserTabs.filter((tab) => tab.groupId === groupId)),
+          remove: jest.fn(async () => {}),
+          create: jest.fn(async ({ url }) => ({ id: nextTabId++, url })),
+          group: jest.fn(async () => 9),
+        },
+        tabGroups: {
+          query: jest.fn(async () => [...groups.values()]),
+          get: jest.fn(async (groupId) => groups.get(groupId)),
+          update: jest.fn(async (groupId, changes) => Object.assign(groups.get(groupId) || {}, changes)),
+        },
+        bookmarks: {
+          create: jest.fn(async ({ url }) => ({ id: url ? 'bm' : 'folder-1' })),
+          getTree: jest.fn(async () => bookmarkTree),
+          get: jest.fn(async (id) => [findNode(bookmarkTree[0], id)]),
+          getChildren: jest.fn(async (id) => findNode(bookmarkTree[0], id).children),
+        },
+      },
+    })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('lists the tab groups with their tabs, sorted by name', async () => {
+    const result = await getTabGroupsWithTabs()
+
+    expect(result.map((group) => [getTabGroupLabel(group), group.tabs.length])).toEqual([
+      ['Unnamed red Group', 0],
+      ['Work', 2],
+    ])
+  })
+
+  test('collapses, renames and recolors a tab group', async () => {
+    await setTabGroupCollapsed(7, true)
+    await renameTabGroup(7, ' Reading ')
+    await setTabGroupColor(7, 'green')
+
+    expect(groups.get(7)).toMatchObject({ collapsed: true, title: 'Reading', color: 'green' })
+    await expect(setTabGroupColor(7, 'black')).rejects.toThrow('Unknown tab group color')
+  })
+
+  test('closes all tabs of a tab group', async () => {
+    await expect(closeTabGroup(7)).resolves.toEqual([1, 2, 3])
+    expect(ext.browserApi.tabs.remove).toHaveBeenCalledWith([1, 2, 3])
+
+    await expect(closeTabGroup(99)).resolves.toEqual([])
+    expect(ext.browserApi.tabs.remove).toHaveBeenCalledTimes(1)
+  })
+
+  test('saves the tabs of a group into a bookmark folder named after the group', async () => {
+    await expect(saveTabGroupAsFolder(7)).resolves.toEqual({ folderId: 'folder-1', count: 1 })
+
+    expect(ext.browserApi.bookmarks.create.mock.calls.map(([bookmark]) => bookmark)).toEqual([
+      { title: 'Work' },
+      { parentId: 'folder-1', title: 'Docs', url: 'https://docs.test/' },
+    ])
+
+    await saveTabGroupAsFolder(8)
+    expect(ext.browserApi.bookmarks.create).toHaveBeenCalledWith({ title: expect.stringMatching(/^Tab Group \d{4}-/) })
+  })
+
+  test('lists the folders that directly contain bookmarks', async () => {
+    await expect(getRestorableFolders()).resolves.toEqual([
+      { id: '1', title: 'Bookmarks Bar', path: '~Bookmarks Bar', count: 1 },
+      { id: 'f1', title: 'Work', path: '~Bookmarks Bar ~Work', count: 2 },
+    ])
+  })
+
+  test('restores a bookmark folder as a new tab group named after the folder', async () => {
+    await expect(restoreFolderAsTabGroup('f1')).resolves.toBe(9)
+
+    expect(ext.browserApi.tabs.create).toHaveBeenCalledWith({ url: 'https://docs.test/', active: false })
+    expect(ext.browserApi.tabs.create).toHaveBeenCalledWith({ url: 'https://mail.test/', active: false })
+    expect(ext.browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [10, 11] })
+    expect(ext.browserApi.tabGroups.update).toHaveBeenCalledWith(9, { title: 'Work' })
+
+    await expect(restoreFolderAsTabGroup('f2')).resolves.toBeUndefined()
+  })
+
+  test('refuses to restore folders with too many bookmarks', async () => {
+    const children = Array.from({ length: MAX_RESTORED_TABS + 1 }, (_, i) => ({
+      id: `b${i}`,
+      url: `https://${i}.test/`,
+    }))
+    ext.browserApi.bookmarks.getChildren.mockResolvedValueOnce(children)
+
+    await expect(restoreFolderAsTabGroup('f1')).rejects.toThrow('up to 50')
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+  })
+})
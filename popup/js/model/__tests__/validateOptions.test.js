@@ -124,7 +124,7 @@ describe('validateOptions', () => {
     })
 
     expect(result.valid).toBe(false)
-    expect(result.errors).toContain('"searchStrategy" must be one of: precise, fuzzy')
+    expect(result.errors).toContain('"searchStrategy" must be one of: precise, fuzzy, semantic')
   })
 
   test('rejects invalid types', async () => {
@@ -251,4 +251,21 @@ describe('validateOptions', () => {
 
     expect(result).toEqual({ valid: true, errors: [] })
   })
+
+  test('validates keybinding chords and reports conflicting keybindings', async () => {
+    expect(await validateOptions({ keybindings: { selectNext: 'Alt+J', back: [] } })).toEqual({
+      valid: true,
+      errors: [],
+    })
+
+    const invalid = await validateOptions({ keybindings: { selectNext: ['Hyper+J'], unknownAction: 'F4' } })
+    expect(invalid.valid).toBe(false)
+    expect(invalid.errors).toContain('Unknown option: "keybindings.unknownAction"')
+
+    const conflict = await validateOptions({ keybindings: { selectNext: ['Ctrl+J'], markResult: 'Ctrl+J' } })
+    expect(conflict).toEqual({
+      valid: false,
+      errors: ['"keybindings.markResult" uses "Ctrl+J", which is already bound to "selectNext"'],
+    })
+  })
 })
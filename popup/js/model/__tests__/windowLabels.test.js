@@ -0,0 +1,99 @@
+/**
+ * Tests for windowLabels.js - window labels of tab results.
+ *
+ * ✅ Covered behaviors: labels from assigned names, active tab titles and window numbers, labeling tab items,
+ *    saving and removing window names in `storage.local` without overwriting names that were not loaded yet,
+ *    dropping names of closed windows, window results.
+ * ⚠️ Known gaps: none
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  applyWindowLabels,
+  createWindowResults,
+  getWindowLabels,
+  loadWindowNames,
+  saveWindowName,
+  WINDOW_NAMES_STORAGE_KEY,
+} from '../windowLabels.js'
+
+describe('windowLabels', () => {
+  let stored
+  let tabs
+
+  beforeEach(() => {
+    stored = {}
+    tabs = [
+      { originalId: 1, windowId: 10, title: 'Docs' },
+      { originalId: 2, windowId: 10, title: 'Mail - Inbox', active: true },
+      { originalId: 3, windowId: 20, title: 'News' },
+      { originalId: 4, windowId: 30, title: 'Blog', active: true },
+    ]
+    createTestExt({
+      browserApi: {
+        storage: {
+          local: {
+            get: jest.fn(async (key) => ({ [key]: stored[key] })),
+            set: jest.fn(async (items) => Object.assign(stored, items)),
+          },
+        },
+      },
+    })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('labels windows with their name, the title of the active tab or their number', () => {
+    expect([...getWindowLabels(tabs, { 30: 'Reading' })]).toEqual([
+      [10, 'Mail - Inbox'],
+      [20, 'Window 2'],
+      [30, 'Reading'],
+    ])
+
+    applyWindowLabels(tabs, { 30: 'Reading' })
+    expect(tabs.map((tab) => tab.windowLabelLower)).toEqual(['mail - inbox', 'mail - inbox', 'window 2', 'reading'])
+  })
+
+  test('saves and removes window names and drops names of closed windows', async () => {
+    await expect(loadWindowNames()).resolves.toEqual({})
+
+    const windowNames = { 99: 'Closed Window' }
+    await expect(saveWindowName(windowNames, 10, '  Work  ', tabs)).resolves.toBe('Work')
+    expect(stored[WINDOW_NAMES_STORAGE_KEY]).toEqual({ 10: 'Work' })
+    await expect(loadWindowNames()).resolves.toEqual({ 10: 'Work' })
+
+    await expect(saveWindowName(windowNames, 10, ' ', tabs)).resolves.toBe('')
+    expect(stored[WINDOW_NAMES_STORAGE_KEY]).toEqual({})
+  })
+
+  test('keeps stored names that were not loaded yet', async () => {
+    stored[WINDOW_NAMES_STORAGE_KEY] = { 20: 'Research' }
+    const windowNames = {}
+
+    await saveWindowName(windowNames, 10, 'Work', tabs)
+
+    expect(stored[WINDOW_NAMES_STORAGE_KEY]).toEqual({ 10: 'Work', 20: 'Research' })
+    expect(windowNames).toEqual({ 10: 'Work', 20: 'Research' })
+  })
+
+  test('lists the windows with their tab counts', () => {
+    applyWindowLabels(tabs)
+
+    expect(createWindowResults(tabs)).toEqual([
+      {
+        type: 'window',
+        title: 'Mail - Inbox',
+        titleLower: 'mail - inbox',
+        description: '2 tabs',
+        originalId: 10,
+        tabCount: 2,
+      },
+      { type: 'window', title: 'Window 2', titleLower: 'window 2', description: '1 tab', originalId: 20, tabCount: 1 },
+      { type: 'window', title: 'Blog', titleLower: 'blog', description: '1 tab', originalId: 30, tabCount: 1 },
+    ])
+  })
+})
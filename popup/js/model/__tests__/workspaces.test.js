@@ -0,0 +1,176 @@
+/**
+ * Tests for workspaces.js - named snapshots of tab groups and windows.
+ *
+ * ✅ Covered behaviors: snapshotting a tab group and a window with its groups, saving, replacing
+ *    and deleting workspaces in `storage.local`, skipping tabs that cannot be opened again,
+ *    matching workspaces for the `ws:` search mode and restoring them into a new window.
+ * ⚠️ Known gaps: tab groups that cannot be recreated (e.g. in Firefox) are only skipped, not reported.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createTestExt } from '../../__tests__/testUtils.js'
+import {
+  createTabGroupSnapshot,
+  createWindowSnapshot,
+  createWorkspaceResults,
+  deleteWorkspace,
+  describeWorkspace,
+  findWorkspace,
+  loadWorkspaces,
+  restoreWorkspace,
+  saveWorkspace,
+  WORKSPACES_MAX_ENTRIES,
+  WORKSPACES_STORAGE_KEY,
+} from '../workspaces.js'
+
+const NOW = Date.UTC(2024, 4, 1)
+
+describe('workspaces', () => {
+  let stored
+  let browserTabs
+  let groups
+
+  beforeEach(() => {
+    stored = {}
+    browserTabs = [
+      { id: 1, windowId: 1, groupId: 7, title: 'Docs', url: 'https://docs.test/' },
+      { id: 2, windowId: 1, groupId: 7, title: 'Settings', url: 'chrome://settings' },
+      { id: 3, windowId: 1, groupId: -1, title: 'News', url: 'https://news.test/' },
+      { id: 4, windowId: 1, groupId: 8, title: 'Mail', url: 'https://mail.test/' },
+    ]
+    groups = new Map([
+      [7, { id: 7, title: 'Work', color: 'blue' }],
+      [8, { id: 8, title: '', color: 'red' }],
+    ])
+    let nextTabId = 20
+    let nextGroupId = 30
+    createTestExt({
+      browserApi: {
+        storage: {
+          local: {
+            get: jest.fn(async (key) => ({ [key]: stored[key] })),
+            set: jest.fn(async (items) => Object.assign(stored, items)),
+          },
+        },
+        tabs: {
+          query: jest.fn(async ({ groupId }) =>
+            groupId == null ? browserTabs : browserTabs.filter((tab) => tab.groupId === groupId),
+          ),
+          create: jest.fn(async ({ url }) => ({ id: nextTabId++, url })),
+          group: jest.fn(async () => nextGroupId++),
+        },
+        tabGroups: {
+          get: jest.fn(async (groupId) => groups.get(groupId)),
+          update: jest.fn(async () => {}),
+        },
+        windows: {
+          create: jest.fn(async ({ url }) => ({ id: 5, tabs: url.map((tabUrl, i) => ({ id: 10 + i, url: tabUrl })) })),
+          update: jest.fn(async () => {}),
+        },
+      },
+    })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('snapshots a tab group and a window with its tab groups', async () => {
+    await expect(createTabGroupSnapshot(7)).resolves.toEqual({
+      name: 'Work',
+      tabs: [
+        { url: 'https://docs.test/', title: 'Docs', group: 0 },
+        { url: 'chrome://settings', title: 'Settings', group: 0 },
+      ],
+      groups: [{ title: 'Work', color: 'blue' }],
+    })
+
+    const snapshot = await createWindowSnapshot()
+    expect(ext.browserApi.tabs.query).toHaveBeenLastCalledWith({ currentWindow: true })
+    expect(snapshot.name).toBe('Work')
+    expect(snapshot.tabs.map((tab) => tab.group)).toEqual([0, 0, undefined, 1])
+    expect(snapshot.groups).toEqual([
+      { title: 'Work', color: 'blue' },
+      { title: '', color: 'red' },
+    ])
+  })
+
+  test('saves, replaces and deletes workspaces in the local storage', async () => {
+    const workspaces = await loadWorkspaces()
+    expect(workspaces).toEqual([])
+
+    const snapshot = await createWindowSnapshot()
+    const saved = await saveWorkspace(workspaces, ' Project ', snapshot, NOW)
+    expect(saved.name).toBe('Project')
+    expect(saved.tabs.map((tab) => tab.url)).toEqual(['https://docs.test/', 'https://news.test/', 'https://mail.test/'])
+    expect(describeWorkspace(saved)).toBe('3 tabs in Work · 2024-05-01')
+
+    const replaced = await saveWorkspace(workspaces, 'project', await createTabGroupSnapshot(7), NOW)
+    expect(replaced.id).toBe(saved.id)
+    expect(workspaces).toHaveLength(1)
+    expect(describeWorkspace(replaced)).toBe('1 tab in Work · 2024-05-01')
+    expect(await loadWorkspaces()).toEqual(workspaces)
+    expect(findWorkspace(workspaces, saved.id)).toBe(replaced)
+
+    await expect(deleteWorkspace(workspaces, saved.id)).resolves.toBe(true)
+    await expect(deleteWorkspace(workspaces, saved.id)).resolves.toBe(false)
+    expect(stored[WORKSPACES_STORAGE_KEY]).toEqual([])
+  })
+
+  test('rejects workspaces without name, without tabs to open or beyond the limit', async () => {
+    const workspaces = []
+    const snapshot = { tabs: [{ url: 'https://docs.test/', title: 'Docs' }], groups: [] }
+
+    await expect(saveWorkspace(workspaces, ' ', snapshot)).rejects.toThrow('needs a name')
+    await expect(saveWorkspace(workspaces, 'Settings', { tabs: [{ url: 'chrome://settings' }] })).rejects.toThrow(
+      'at least one tab',
+    )
+
+    for (let i = 0; i < WORKSPACES_MAX_ENTRIES; i++) {
+      workspaces.push({ id: String(i), name: `Workspace ${i}`, tabs: [], groups: [] })
+    }
+    await expect(saveWorkspace(workspaces, 'One more', snapshot)).rejects.toThrow('Only 50 workspaces')
+    expect(ext.browserApi.storage.local.set).not.toHaveBeenCalled()
+  })
+
+  test('matches workspaces by name and by the titles and URLs of their tabs', async () => {
+    const workspaces = []
+    await saveWorkspace(workspaces, 'Project', await createWindowSnapshot(), NOW)
+    await saveWorkspace(workspaces, 'Reading', { tabs: [{ url: 'https://blog.test/', title: 'Blog' }] }, NOW)
+
+    expect(createWorkspaceResults(workspaces).map((result) => result.title)).toEqual(['Project', 'Reading'])
+    expect(createWorkspaceResults(workspaces, 'mail proj')).toEqual([
+      {
+        type: 'workspace',
+        title: 'Project',
+        titleLower: 'project',
+        description: '3 tabs in Work · 2024-05-01',
+        originalId: workspaces[0].id,
+      },
+    ])
+    expect(createWorkspaceResults(workspaces, 'blog.test')).toHaveLength(1)
+    expect(createWorkspaceResults(workspaces, 'missing')).toEqual([])
+  })
+
+  test('restores a workspace into a new window, recreates its tab groups and focuses the window last', async () => {
+    const workspaces = []
+    const workspace = await saveWorkspace(workspaces, 'Project', await createWindowSnapshot(), NOW)
+
+    await expect(restoreWorkspace(workspace)).resolves.toBe(5)
+
+    expect(ext.browserApi.windows.create).toHaveBeenCalledWith({
+      url: ['https://docs.test/', 'https://news.test/', 'https://mail.test/'],
+      focused: false,
+    })
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+    expect(ext.browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [10], createProperties: { windowId: 5 } })
+    expect(ext.browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [12], createProperties: { windowId: 5 } })
+    expect(ext.browserApi.tabGroups.update).toHaveBeenCalledWith(30, { title: 'Work', color: 'blue' })
+    expect(ext.browserApi.tabGroups.update).toHaveBeenCalledWith(31, { title: '', color: 'red' })
+    expect(ext.browserApi.windows.update).toHaveBeenCalledWith(5, { focused: true })
+    expect(ext.browserApi.windows.update.mock.invocationCallOrder[0]).toBeGreaterThan(
+      Math.max(...ext.browserApi.tabGroups.update.mock.invocationCallOrder),
+    )
+  })
+})
@@ -28,6 +28,20 @@ export const defaultOptions = {
    * When enabled, hold Shift/Alt to open in a new tab instead (the opposite of the default behavior).
    */
   openInCurrentTab: false,
+  /** Remember searched queries and the opened result locally, see searchQueryHistory.js */
+  enableSearchHistory: true,
+  /** Number of recent queries to show when the popup opens. Set to 0 to disable. */
+  maxRecentSearchesToShow: 3,
+  /**
+   * Ordered sections shown when the popup opens without a search term, see defaultResults.js.
+   * Each entry names a `section` and can set its own `limit` and header `title`.
+   */
+  defaultResultSections: [
+    { section: 'currentPage' },
+    { section: 'recentTabs' },
+    { section: 'recentSearches' },
+    { section: 'savedSearches' },
+  ],
 
   //////////////////////////////////////////
   // COLORS AND STYLE                     //
@@ -39,6 +53,14 @@ export const defaultOptions = {
   tabColor: '#b89aff',
   /** Color for history results */
   historyColor: '#9ece2f',
+  /** Color for recently closed tab and window results */
+  sessionColor: '#d9739f',
+  /** Color for tabs open on other synced devices */
+  syncedTabColor: '#4fa3c7',
+  /** Color for Reading List results */
+  readingListColor: '#c9a227',
+  /** Color for download results */
+  downloadColor: '#8a8f98',
   /** Color for search engine suggestions */
   searchColor: '#e1a535',
   /** Color for custom search engine results */
@@ -56,10 +78,36 @@ export const defaultOptions = {
   enableBookmarks: true,
   /** Enable history indexing */
   enableHistory: true,
+  /**
+   * Include recently closed tabs and windows, restored with their original window when opened.
+   * Requires the optional 'sessions' permission.
+   */
+  enableSessions: false,
+  /**
+   * Include tabs that are open on other devices signed in to the same browser sync account.
+   * Requires the optional 'sessions' permission.
+   */
+  enableSyncedTabs: false,
+  /** Include the browser Reading List (Chrome only). Requires the optional 'readingList' permission. */
+  enableReadingList: false,
+  /** Include finished downloads, found by file name. Requires the optional 'downloads' permissions. */
+  enableDownloads: false,
   /** Enable search engine suggestions */
   enableSearchEngines: true,
+  /**
+   * Persist the prepared search data locally, so the popup can search immediately when opened.
+   * The data is still refreshed in the background on every popup open.
+   */
+  enableSearchIndexCache: true,
+  /**
+   * Capture the readable text of bookmarked pages when they are opened in a tab,
+   * so they can be searched with `content:`. Requires the optional 'scripting' permission and host access.
+   */
+  enablePageContentIndex: false,
   /** Detect URL-shaped terms and offer direct navigation */
   enableDirectUrl: true,
+  /** Single-label intranet host names (e.g. `jira`) that are also opened directly */
+  directUrlIntranetHosts: [],
   /** Folder name or ID used by the default result that bookmarks the active tab. Set to false or blank to disable. */
   quickBookmarkCurrentTab: 'Bookmarks bar',
 
@@ -78,6 +126,8 @@ export const defaultOptions = {
   displaySearchMatchHighlight: true,
   /** Display tab group name as clickable badges */
   displayTabGroup: true,
+  /** Display the window of tab results as clickable badge, see windowLabels.js */
+  displayWindowLabel: true,
   /** Display last visit time ago */
   displayLastVisit: true,
   /** Display visit counter from browsing history */
@@ -104,6 +154,8 @@ export const defaultOptions = {
   tabsOnlyCurrentWindow: false,
   /** Number of recently visited tabs to show when the popup opens. Set to 0 to disable. */
   maxRecentTabsToShow: 8,
+  /** Tabs not used for this many days are stale, see `is:stale` and the Close Stale Tabs command */
+  staleTabDays: 7,
 
   //////////////////////////////////////////
   // HISTORY OPTIONS                      //
@@ -151,6 +203,10 @@ export const defaultOptions = {
   scoreBookmarkBase: 100,
   scoreTabBase: 70,
   scoreHistoryBase: 45,
+  scoreSessionBase: 55,
+  scoreSyncedTabBase: 50,
+  scoreReadingListBase: 90,
+  scoreDownloadBase: 40,
   scoreSearchEngineBase: 30,
   scoreCustomSearchEngineBase: 400,
   scoreDirectUrlScore: 500,
@@ -176,10 +232,37 @@ export const defaultOptions = {
   scoreRecentBonusScoreMaximum: 20,
   scoreBookmarkOpenTabBonus: 10,
 
+  // Learned from results opened for a query (see resultSelections.js)
+  scoreSelectionBonusScore: 5,
+  scoreSelectionHalfLifeDays: 30,
+
   //////////////////////////////////////////
   // POWER USER OPTIONS                   //
   //////////////////////////////////////////
 
   /** Advanced configuration for the uFuzzy search library */
   uFuzzyOptions: {},
+
+  /**
+   * Keyboard shortcuts of the search popup and the Bookmark Manager.
+   * Maps action names to key chords, see keybindings.js
+   */
+  keybindings: {
+    selectPrevious: ['ArrowUp', 'Ctrl+P', 'Ctrl+K'],
+    selectNext: ['ArrowDown', 'Ctrl+N', 'Ctrl+J'],
+    openResult: ['Enter'],
+    toggleSearchApproach: ['Ctrl+F'],
+    editBookmark: ['F2'],
+    markResult: ['Space'],
+    insertSeparator: ['Tab'],
+    openActionMenu: ['Shift+F10', 'ContextMenu'],
+    back: ['Escape'],
+    recallPreviousSearch: ['Ctrl+ArrowUp'],
+    recallNextSearch: ['Ctrl+ArrowDown'],
+    saveSearch: ['Ctrl+S'],
+    managerFocusSearch: ['/'],
+    managerSave: ['Ctrl+S'],
+    managerUndo: ['Ctrl+Z'],
+    managerClearSelection: ['Escape'],
+  },
 }
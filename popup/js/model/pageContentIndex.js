@@ -0,0 +1,243 @@
+/**
+ * @file Stores readable page text of bookmarked pages for the `content:` search scope.
+ *
+ * Responsibilities:
+ * - Capture the readable text of bookmarked pages when they finish loading in a tab (opt-in via `enablePageContentIndex`).
+ * - Persist the text of every page under its own `storage.local` key, capped in length and number of pages.
+ *   A small index of the captured URLs keeps the writes of a capture independent of the number of stored pages.
+ * - Load the stored text as a URL lookup map once a `content:` query runs, and remove it when bookmarks are removed.
+ *
+ * Capturing runs in the background service worker (see `initBackground.js`) and requires the optional
+ * `scripting` permission plus host access, which are requested when the option is enabled.
+ * The text never leaves the browser.
+ */
+
+import { cleanUpUrl } from '../helper/utils.js'
+import { getEffectiveOptions } from './optionsStorage.js'
+
+/** Storage key of the page content index (capture time by normalized URL) in `storage.local`. */
+export const PAGE_CONTENT_STORAGE_KEY = 'pageContentIndex'
+
+/** Prefix of the `storage.local` keys that hold the text of a single page, followed by its normalized URL. */
+export const PAGE_CONTENT_KEY_PREFIX = 'pageContent:'
+
+/** Maximum number of characters stored per page. */
+export const PAGE_CONTENT_MAX_LENGTH = 20000
+
+/** Maximum number of stored pages. The least recently captured pages are dropped first. */
+export const PAGE_CONTENT_MAX_PAGES = 2000
+
+const HTTP_URL_REGEX = /^https?:\/\//i
+const WHITESPACE_REGEX = /\s+/g
+
+/** Pending read-modify-write update of the index, so concurrent page loads do not overwrite each other. */
+let pendingWrite = Promise.resolve()
+
+/**
+ * Load the stored page content as a lookup map.
+ *
+ * @returns {Promise<Map<string, {text: string, textLower: string}>>} Page text by normalized URL.
+ */
+export async function loadPageContent() {
+  const result = new Map()
+  const storage = getContentStorage()
+  const urls = Object.keys(await getStoredIndex())
+  if (!storage || !urls.length) return result
+
+  try {
+    const stored = await storage.get(urls.map(getPageKey))
+    for (const url of urls) {
+      const text = stored?.[getPageKey(url)]?.text
+      if (text) {
+        result.set(url, { text, textLower: text.toLowerCase() })
+      }
+    }
+  } catch (err) {
+    console.warn('Could not load page content', err)
+  }
+  return result
+}
+
+/**
+ * Load the page content into `ext.model.pageContent` on first use.
+ *
+ * The text of all pages is large, so it is only read once a `content:` query runs instead of on every popup open.
+ *
+ * @returns {Promise<void>}
+ */
+export function ensurePageContentLoaded() {
+  ext.model.pageContentLoading ||= (
+    ext.opts.enablePageContentIndex ? loadPageContent() : Promise.resolve(new Map())
+  ).then((pageContent) => {
+    ext.model.pageContent = pageContent
+  })
+  return ext.model.pageContentLoading
+}
+
+/**
+ * Store the readable text of a page, replacing any previous capture.
+ *
+ * @param {string} url - Page URL (normalized internally).
+ * @param {string} text - Readable page text.
+ * @param {number} [now=Date.now()] - Capture time in milliseconds.
+ * @returns {Promise<void>}
+ */
+export function savePageContent(url, text, now = Date.now()) {
+  const storage = getContentStorage()
+  const normalizedText = normalizePageText(text)
+  if (!storage || !url || !normalizedText) return Promise.resolve()
+
+  const key = cleanUpUrl(url)
+  return updateStoredIndex(async (index) => {
+    index[key] = now
+
+    const urls = Object.keys(index)
+    const droppedUrls = []
+    if (urls.length > PAGE_CONTENT_MAX_PAGES) {
+      urls.sort((a, b) => index[a] - index[b])
+      for (const oldUrl of urls.slice(0, urls.length - PAGE_CONTENT_MAX_PAGES)) {
+        delete index[oldUrl]
+        droppedUrls.push(oldUrl)
+      }
+    }
+
+    await storage.set({
+      [getPageKey(key)]: { text: normalizedText, capturedAt: now },
+      [PAGE_CONTENT_STORAGE_KEY]: index,
+    })
+    if (droppedUrls.length) {
+      await storage.remove(droppedUrls.map(getPageKey))
+    }
+  })
+}
+
+/**
+ * Remove the stored text of a page, e.g. after its bookmark was removed.
+ *
+ * @param {string} url - Page URL (normalized internally).
+ * @returns {Promise<void>}
+ */
+export function removePageContent(url) {
+  if (!getContentStorage() || !url) return Promise.resolve()
+
+  const key = cleanUpUrl(url)
+  return updateStoredIndex(async (index) => {
+    if (!(key in index)) return
+    delete index[key]
+    await getContentStorage().set({ [PAGE_CONTENT_STORAGE_KEY]: index })
+    await getContentStorage().remove(getPageKey(key))
+  })
+}
+
+/**
+ * Remove all stored page content.
+ *
+ * @returns {Promise<void>}
+ */
+export function clearPageContent() {
+  const storage = getContentStorage()
+  if (!storage) return Promise.resolve()
+  return updateStoredIndex(async (index) => {
+    await storage.remove([PAGE_CONTENT_STORAGE_KEY, ...Object.keys(index).map(getPageKey)])
+  })
+}
+
+/**
+ * Capture and store the readable text of a loaded tab if its URL is bookmarked.
+ *
+ * @param {Object} tab - Browser tab that finished loading.
+ * @returns {Promise<boolean>} Whether page content was stored.
+ */
+export async function indexPageContent(tab) {
+  if (!tab?.id || tab.incognito || !HTTP_URL_REGEX.test(tab.url || '')) {
+    return false
+  }
+
+  const api = ext.browserApi
+  if (!api.scripting?.executeScript || !api.bookmarks?.search) {
+    return false
+  }
+
+  const opts = await getEffectiveOptions()
+  if (!opts.enablePageContentIndex) {
+    return false
+  }
+
+  const bookmarks = await api.bookmarks.search({ url: tab.url })
+  if (!bookmarks?.length) {
+    return false
+  }
+
+  const [injection] = await api.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: extractReadablePageText,
+  })
+  const text = normalizePageText(injection?.result)
+  if (!text) {
+    return false
+  }
+
+  await savePageContent(tab.url, text)
+  return true
+}
+
+/**
+ * Return the readable text of the current document.
+ *
+ * Runs inside the captured page via `scripting.executeScript`, so it must not reference anything outside its body.
+ *
+ * @returns {string} Visible text of the main content area, or of the whole body.
+ */
+export function extractReadablePageText() {
+  const root = document.querySelector('article, main, [role="main"]') || document.body
+  return root ? root.innerText || root.textContent || '' : ''
+}
+
+/**
+ * Collapse whitespace and cap the length of captured page text.
+ *
+ * @param {string} text - Raw page text.
+ * @returns {string} Normalized text.
+ */
+export function normalizePageText(text) {
+  if (typeof text !== 'string') return ''
+  return text.replace(WHITESPACE_REGEX, ' ').trim().slice(0, PAGE_CONTENT_MAX_LENGTH)
+}
+
+function getContentStorage() {
+  return ext.browserApi.storage?.local || null
+}
+
+function getPageKey(url) {
+  return `${PAGE_CONTENT_KEY_PREFIX}${url}`
+}
+
+/**
+ * Apply a change to the stored pages. Updates run one after another.
+ *
+ * @param {function(Object<string, number>): Promise<void>} update - Receives the index, mutates and writes it
+ *   together with the changed page keys.
+ * @returns {Promise<void>}
+ */
+function updateStoredIndex(update) {
+  pendingWrite = pendingWrite.then(async () => {
+    try {
+      await update(await getStoredIndex())
+    } catch (err) {
+      console.warn('Could not save page content', err)
+    }
+  })
+  return pendingWrite
+}
+
+async function getStoredIndex() {
+  const storage = getContentStorage()
+  if (!storage) return {}
+  try {
+    const stored = await storage.get(PAGE_CONTENT_STORAGE_KEY)
+    return stored?.[PAGE_CONTENT_STORAGE_KEY] || {}
+  } catch (err) {
+    console.warn('Could not load page content', err)
+    return {}
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * @file Learns which results are opened for which queries.
+ *
+ * Responsibilities:
+ * - Record (query → opened result URL) selections from the search popup in `storage.local`.
+ * - Turn recent selections into a decaying selection bonus for `calculateFinalScore()`.
+ * - Clear the learned selections from the Options tab.
+ *
+ * A stored query matches every query it starts with, so opening `react hooks` for the query
+ * `react hooks` also boosts that result while typing `rea`. Each selection counts
+ * `scoreSelectionBonusScore` points and loses half of its weight every `scoreSelectionHalfLifeDays` days.
+ * Selections never leave the browser.
+ */
+
+/** Storage key of the learned selections in `storage.local`. */
+export const RESULT_SELECTIONS_STORAGE_KEY = 'resultSelections'
+
+/** Maximum number of remembered queries. The least recently used queries are dropped first. */
+export const RESULT_SELECTIONS_MAX_QUERIES = 500
+
+/** Maximum number of remembered selections per query and URL, which also caps the bonus. */
+export const RESULT_SELECTIONS_MAX_PER_URL = 10
+
+/** Maximum stored query length. Longer queries are cut, so they still match as prefix. */
+const MAX_QUERY_LENGTH = 60
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WHITESPACE_REGEX = /\s+/g
+
+/**
+ * Load the learned selections.
+ *
+ * @returns {Promise<Object<string, Object<string, Array<number>>>>} Selection timestamps by query and result URL.
+ */
+export async function loadResultSelections() {
+  const storage = getSelectionStorage()
+  if (!storage) return {}
+  try {
+    const stored = await storage.get(RESULT_SELECTIONS_STORAGE_KEY)
+    return stored?.[RESULT_SELECTIONS_STORAGE_KEY] || {}
+  } catch (err) {
+    console.warn('Could not load result selections', err)
+    return {}
+  }
+}
+
+/**
+ * Record that a result was opened for a query.
+ *
+ * Updates the loaded selections in place and writes them without awaiting a read first,
+ * because the popup closes right after a result is opened.
+ *
+ * @param {Object} selections - Loaded selections (`ext.model.resultSelections`).
+ * @param {string} query - Search query without mode prefix and field filters.
+ * @param {string} url - Normalized URL of the opened result.
+ * @param {number} [now=Date.now()] - Selection time in milliseconds.
+ * @returns {Promise<void>}
+ */
+export function recordResultSelection(selections, query, url, now = Date.now()) {
+  const key = normalizeSelectionQuery(query)
+  const storage = getSelectionStorage()
+  if (!selections || !key || !url || !storage) return Promise.resolve()
+
+  // Re-insert the query so object key order reflects recent use
+  const urls = selections[key] || {}
+  delete selections[key]
+  selections[key] = urls
+  urls[url] = [...(urls[url] || []), now].slice(-RESULT_SELECTIONS_MAX_PER_URL)
+
+  const queries = Object.keys(selections)
+  for (let i = 0; i < queries.length - RESULT_SELECTIONS_MAX_QUERIES; i++) {
+    delete selections[queries[i]]
+  }
+
+  return Promise.resolve(storage.set({ [RESULT_SELECTIONS_STORAGE_KEY]: selections })).catch((err) => {
+    console.warn('Could not save result selection', err)
+  })
+}
+
+/**
+ * Remove all learned selections.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearResultSelections() {
+  if (ext.model?.resultSelections) {
+    ext.model.resultSelections = {}
+  }
+  const storage = getSelectionStorage()
+  if (!storage) return
+  await storage.remove(RESULT_SELECTIONS_STORAGE_KEY)
+}
+
+/**
+ * Calculate the decayed selection bonus per result URL for a query.
+ *
+ * @param {Object} selections - Loaded selections.
+ * @param {string} query - Current search query.
+ * @param {Object} opts - Options with `scoreSelectionBonusScore` and `scoreSelectionHalfLifeDays`.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Map<string, number>} Bonus points by normalized result URL.
+ */
+export function getSelectionBonuses(selections, query, opts, now = Date.now()) {
+  const bonuses = new Map()
+  const prefix = normalizeSelectionQuery(query)
+  const weight = opts.scoreSelectionBonusScore
+  if (!selections || !prefix || !weight) return bonuses
+
+  const halfLifeMs = (opts.scoreSelectionHalfLifeDays || 0) * DAY_MS
+  for (const key in selections) {
+    if (!key.startsWith(prefix)) continue
+
+    const urls = selections[key]
+    for (const url in urls) {
+      let bonus = 0
+      for (const selectedAt of urls[url]) {
+        const age = Math.max(0, now - selectedAt)
+        bonus += halfLifeMs > 0 ? weight * 0.5 ** (age / halfLifeMs) : weight
+      }
+      // Several stored queries can match the prefix, the strongest one counts
+      if (bonus > (bonuses.get(url) || 0)) {
+        bonuses.set(url, bonus)
+      }
+    }
+  }
+  return bonuses
+}
+
+/**
+ * Normalize a query for storage and prefix lookups.
+ *
+ * @param {string} query - Search query.
+ * @returns {string} Lowercased query with collapsed whitespace.
+ */
+export function normalizeSelectionQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .replace(WHITESPACE_REGEX, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH)
+}
+
+function getSelectionStorage() {
+  return ext.browserApi?.storage?.local || null
+}
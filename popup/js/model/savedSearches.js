@@ -0,0 +1,299 @@
+/**
+ * @file Named saved searches (smart collections) shared by the popup and the Bookmark Manager.
+ *
+ * Responsibilities:
+ * - Store saved searches in `storage.sync`, so they follow the user to other devices.
+ * - Save the current popup query under a name, replacing an existing search with the same name.
+ * - Match saved searches for the `saved:` search mode and the empty-query default results.
+ * - Export saved searches as JSON and import them again.
+ *
+ * Queries are stored as typed, including mode prefixes, taxonomy markers and filters,
+ * so opening a saved search repeats exactly the same search.
+ * All saved searches are stored as one `storage.sync` item, so saving is rejected when their serialized size
+ * would exceed the per-item quota (`QUOTA_BYTES_PER_ITEM`). The number of entries is limited as well.
+ */
+
+/** Storage key of the saved searches in `storage.sync`. */
+export const SAVED_SEARCHES_STORAGE_KEY = 'savedSearches'
+
+/** Maximum number of saved searches. */
+export const SAVED_SEARCHES_MAX_ENTRIES = 25
+
+/** Per-item quota of `storage.sync` (`QUOTA_BYTES_PER_ITEM`), counted over the key and the JSON of the value. */
+export const SAVED_SEARCHES_MAX_BYTES = 8192
+
+/** Version marker of the saved searches export format. */
+export const SAVED_SEARCHES_EXPORT_VERSION = 'saved-searches/v1'
+
+/** Prefix of the Bookmark Manager folder IDs that stand for a saved search. */
+const SAVED_SEARCH_FOLDER_PREFIX = 'saved:'
+
+const MAX_NAME_LENGTH = 60
+const MAX_QUERY_LENGTH = 200
+const WHITESPACE_REGEX = /\s+/
+
+/**
+ * Load the saved searches.
+ *
+ * @returns {Promise<Array<{id: string, name: string, query: string, createdAt: number}>>} Saved searches, sorted by name.
+ */
+export async function loadSavedSearches() {
+  const storage = getSavedSearchStorage()
+  if (!storage) return []
+  try {
+    const stored = await storage.get(SAVED_SEARCHES_STORAGE_KEY)
+    const savedSearches = stored?.[SAVED_SEARCHES_STORAGE_KEY]
+    return Array.isArray(savedSearches)
+      ? sortSavedSearches(savedSearches.map(normalizeSavedSearch).filter(Boolean))
+      : []
+  } catch (err) {
+    console.warn('Could not load saved searches', err)
+    return []
+  }
+}
+
+/**
+ * Save a query under a name. A saved search with the same name (ignoring case) is replaced.
+ *
+ * Updates the loaded saved searches in place and persists them.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches (`ext.model.savedSearches`).
+ * @param {string} name - Name of the saved search.
+ * @param {string} query - Query as typed into the search input.
+ * @param {number} [now=Date.now()] - Creation time in milliseconds.
+ * @returns {Promise<Object>} The saved search.
+ */
+export async function saveSearch(savedSearches, name, query, now = Date.now()) {
+  const savedSearch = normalizeSavedSearch({ name, query, createdAt: now })
+  if (!savedSearch) {
+    throw new Error('A saved search needs a name and a query.')
+  }
+
+  const merged = savedSearches.slice()
+  const existingIndex = findSavedSearchIndex(merged, savedSearch.name)
+  if (existingIndex !== -1) {
+    savedSearch.id = merged[existingIndex].id
+    merged.splice(existingIndex, 1, savedSearch)
+  } else {
+    merged.push(savedSearch)
+  }
+  assertSavedSearchesFit(merged, 'Delete one first.')
+
+  savedSearches.splice(0, savedSearches.length, ...sortSavedSearches(merged))
+  await persistSavedSearches(savedSearches)
+  return savedSearch
+}
+
+/**
+ * Delete a saved search.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches. Updated in place.
+ * @param {string} id - ID of the saved search.
+ * @returns {Promise<boolean>} True if a saved search was deleted.
+ */
+export async function deleteSavedSearch(savedSearches, id) {
+  const index = savedSearches.findIndex((savedSearch) => savedSearch.id === id)
+  if (index === -1) return false
+  savedSearches.splice(index, 1)
+  await persistSavedSearches(savedSearches)
+  return true
+}
+
+/**
+ * Find a saved search by ID.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches.
+ * @param {string} id - ID of the saved search.
+ * @returns {Object|undefined} The saved search.
+ */
+export function findSavedSearch(savedSearches, id) {
+  return (savedSearches || []).find((savedSearch) => savedSearch.id === id)
+}
+
+/**
+ * Create the Bookmark Manager folder ID of a saved search, which lists it as virtual folder.
+ *
+ * @param {Object} savedSearch - Saved search.
+ * @returns {string} Folder ID like `saved:<id>`.
+ */
+export function createSavedSearchFolderId(savedSearch) {
+  return `${SAVED_SEARCH_FOLDER_PREFIX}${savedSearch.id}`
+}
+
+/**
+ * Find the saved search behind a Bookmark Manager folder ID.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches.
+ * @param {string} folderId - Folder ID.
+ * @returns {Object|undefined} The saved search, or undefined for real bookmark folders.
+ */
+export function findSavedSearchByFolderId(savedSearches, folderId) {
+  const id = String(folderId || '')
+  return id.startsWith(SAVED_SEARCH_FOLDER_PREFIX)
+    ? findSavedSearch(savedSearches, id.slice(SAVED_SEARCH_FOLDER_PREFIX.length))
+    : undefined
+}
+
+/**
+ * Convert saved searches into `savedSearch` results.
+ *
+ * Every word of the term has to appear in the name or the query.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches.
+ * @param {string} [searchTerm=''] - Term after the `saved:` prefix. All saved searches for an empty term.
+ * @returns {Array<Object>} Results, sorted by name.
+ */
+export function createSavedSearchResults(savedSearches, searchTerm = '') {
+  const words = searchTerm.toLowerCase().split(WHITESPACE_REGEX).filter(Boolean)
+  const results = []
+
+  for (const savedSearch of savedSearches || []) {
+    const haystack = `${savedSearch.name} ${savedSearch.query}`.toLowerCase()
+    if (!words.every((word) => haystack.includes(word))) continue
+    results.push({
+      type: 'savedSearch',
+      title: savedSearch.name,
+      titleLower: savedSearch.name.toLowerCase(),
+      description: savedSearch.query,
+      query: savedSearch.query,
+      originalId: savedSearch.id,
+    })
+  }
+
+  return results
+}
+
+/**
+ * Create the JSON export of the saved searches.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches.
+ * @returns {Object} Export payload.
+ */
+export function createSavedSearchesExport(savedSearches) {
+  return {
+    version: SAVED_SEARCHES_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    savedSearches: savedSearches.map((savedSearch) => ({
+      name: savedSearch.name,
+      query: savedSearch.query,
+      createdAt: new Date(savedSearch.createdAt).toISOString(),
+    })),
+  }
+}
+
+/**
+ * Parse exported saved searches JSON.
+ *
+ * @param {Object} payload - Export payload.
+ * @returns {Array<Object>} Normalized saved searches. Entries without name or query are skipped.
+ */
+export function parseSavedSearchesImport(payload) {
+  if (!payload || typeof payload !== 'object' || payload.version !== SAVED_SEARCHES_EXPORT_VERSION) {
+    throw new Error(`Saved searches JSON must use version "${SAVED_SEARCHES_EXPORT_VERSION}".`)
+  }
+  if (!Array.isArray(payload.savedSearches)) {
+    throw new Error('Saved searches JSON must include a savedSearches array.')
+  }
+
+  return payload.savedSearches
+    .map((savedSearch) =>
+      normalizeSavedSearch({
+        name: savedSearch?.name,
+        query: savedSearch?.query,
+        createdAt: Date.parse(savedSearch?.createdAt),
+      }),
+    )
+    .filter(Boolean)
+}
+
+/**
+ * Add imported saved searches. Imported searches replace saved searches with the same name.
+ *
+ * @param {Array<Object>} savedSearches - Loaded saved searches. Updated in place.
+ * @param {Array<Object>} importedSearches - Parsed saved searches from `parseSavedSearchesImport()`.
+ * @returns {Promise<number>} Number of imported saved searches.
+ */
+export async function importSavedSearches(savedSearches, importedSearches) {
+  const merged = savedSearches.slice()
+  for (const importedSearch of importedSearches) {
+    const existingIndex = findSavedSearchIndex(merged, importedSearch.name)
+    if (existingIndex !== -1) {
+      merged.splice(existingIndex, 1, { ...importedSearch, id: merged[existingIndex].id })
+    } else {
+      merged.push(importedSearch)
+    }
+  }
+  assertSavedSearchesFit(merged, 'Delete some first.')
+
+  savedSearches.splice(0, savedSearches.length, ...sortSavedSearches(merged))
+  await persistSavedSearches(savedSearches)
+  return importedSearches.length
+}
+
+/**
+ * Create the default saved searches export filename.
+ *
+ * @param {Date} [now=new Date()] Current date.
+ * @returns {string} Filename.
+ */
+export function createSavedSearchesExportFilename(now = new Date()) {
+  return `saved-searches-${now.toLocaleDateString('en-CA')}.json`
+}
+
+function normalizeSavedSearch(savedSearch) {
+  const name = String(savedSearch?.name || '')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+  const query = String(savedSearch?.query || '')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH)
+  if (!name || !query) return null
+
+  const createdAt = Number.isFinite(savedSearch.createdAt) ? savedSearch.createdAt : Date.now()
+  return {
+    id: savedSearch.id || `${createdAt}-${Math.random().toString(36).slice(2, 10)}`,
+    name,
+    query,
+    createdAt,
+  }
+}
+
+function findSavedSearchIndex(savedSearches, name) {
+  const key = name.toLowerCase()
+  return savedSearches.findIndex((savedSearch) => savedSearch.name.toLowerCase() === key)
+}
+
+/**
+ * Reject saved searches that exceed the entry limit or do not fit into one `storage.sync` item.
+ *
+ * The size is measured like the browser does: UTF-8 bytes of the key and of the JSON value,
+ * so escaped characters and multibyte characters count with their full length.
+ */
+function assertSavedSearchesFit(savedSearches, hint) {
+  if (savedSearches.length > SAVED_SEARCHES_MAX_ENTRIES) {
+    throw new Error(`Only ${SAVED_SEARCHES_MAX_ENTRIES} saved searches can be stored. ${hint}`)
+  }
+  if (getSavedSearchesBytes(savedSearches) > SAVED_SEARCHES_MAX_BYTES) {
+    throw new Error(`The saved searches exceed the ${SAVED_SEARCHES_MAX_BYTES} bytes of the sync storage. ${hint}`)
+  }
+}
+
+function getSavedSearchesBytes(savedSearches) {
+  return new Blob([SAVED_SEARCHES_STORAGE_KEY + JSON.stringify(savedSearches)]).size
+}
+
+function sortSavedSearches(savedSearches) {
+  return savedSearches.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+async function persistSavedSearches(savedSearches) {
+  const storage = getSavedSearchStorage()
+  if (!storage) {
+    throw new Error('Saved searches need the browser storage API.')
+  }
+  await storage.set({ [SAVED_SEARCHES_STORAGE_KEY]: savedSearches })
+}
+
+function getSavedSearchStorage() {
+  return ext.browserApi?.storage?.sync || null
+}
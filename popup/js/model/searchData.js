@@ -2,7 +2,7 @@
  * @file Loads and normalizes the datasets searched by the popup.
  *
  * Responsibilities:
- * - Fetch bookmarks, tabs, and history from the browser API layer and convert them into the shared `searchItem` format.
+ * - Fetch bookmarks, tabs, history, recently closed sessions, synced device tabs, reading list, and downloads from the browser API layer and convert them into the shared `searchItem` format.
  * - Apply option-driven limits (history window, item caps, ignored folders) to balance freshness with performance.
  * - Merge history metadata lazily into bookmarks/tabs only when URLs overlap, avoiding unnecessary allocations.
  * - Prepare derived indexes (search strings, taxonomy aggregates) for downstream search strategies and views.
@@ -11,13 +11,22 @@
 import {
   browserApi,
   convertBrowserBookmarks,
+  convertBrowserDevices,
+  convertBrowserDownloads,
   convertBrowserHistory,
+  convertBrowserReadingList,
+  convertBrowserSessions,
   convertBrowserTabs,
   getBrowserBookmarks,
+  getBrowserDevices,
+  getBrowserDownloads,
   getBrowserHistory,
+  getBrowserReadingList,
+  getBrowserSessions,
   getBrowserTabGroups,
   getBrowserTabs,
 } from '../helper/browserApi.js'
+import { applyWindowLabels, loadWindowNames } from './windowLabels.js'
 
 /**
  * Efficiently merges history data into bookmarks or tabs using lazy evaluation
@@ -64,7 +73,7 @@ function mergeHistoryLazily(items, historyMap, mergedUrls) {
  * @param {Array} bookmarks - Bookmark search items.
  * @param {Array} tabs - Tab search items.
  */
-function flagBookmarksWithOpenTabs(bookmarks, tabs) {
+export function flagBookmarksWithOpenTabs(bookmarks, tabs) {
   if (!bookmarks.length || !tabs.length) {
     return
   }
@@ -97,17 +106,67 @@ function flagBookmarksWithOpenTabs(bookmarks, tabs) {
   }
 }
 
+/**
+ * Remove the open tab annotations of bookmarks after their tab was closed or navigated away.
+ *
+ * @param {Array} bookmarks - Bookmark search items.
+ * @param {Object} closedTab - Tab search item that is no longer open.
+ */
+export function clearBookmarkOpenTabState(bookmarks, closedTab) {
+  if (!closedTab?.url || !Array.isArray(bookmarks)) {
+    return
+  }
+
+  for (const bookmark of bookmarks) {
+    if (bookmark?.url !== closedTab.url) {
+      continue
+    }
+
+    delete bookmark.tab
+    delete bookmark.openTabTitle
+    delete bookmark.openTabActive
+
+    if (bookmark.favIconUrl === closedTab.favIconUrl) {
+      delete bookmark.favIconUrl
+    }
+
+    delete bookmark.group
+    delete bookmark.groupLower
+    delete bookmark.groupId
+  }
+}
+
+/**
+ * Load the search data that the extension keeps in `storage.local` itself, instead of reading it from the browser.
+ *
+ * Also used to complete a persisted search index (see searchIndex.js), which only holds the browser datasets.
+ *
+ * The captured page text is not part of it, it is loaded on the first `content:` query (see pageContentIndex.js).
+ *
+ * @returns {Promise<{windowNames: Object}>} Assigned window names.
+ */
+export async function getStoredSearchData() {
+  const windowNames = browserApi.tabs && ext.opts.enableTabs ? await loadWindowNames() : {}
+  return { windowNames }
+}
+
 /**
  * Fetch and normalize the datasets used by the popup search experience.
  *
- * @returns {Promise<{tabs: Array, bookmarks: Array, history: Array}>} Prepared search data.
+ * @returns {Promise<{tabs: Array, bookmarks: Array, history: Array, sessions: Array, syncedTabs: Array, readingList: Array, downloads: Array, bookmarkTree: Array, windowNames: Object}>}
+ *   Prepared search data.
  */
 export async function getSearchData() {
   const result = {
     tabs: [],
     bookmarks: [],
     history: [],
+    sessions: [],
+    syncedTabs: [],
+    readingList: [],
+    downloads: [],
     bookmarkTree: [],
+    windowNames: {},
   }
 
   // Use mock data (for localhost preview / development)
@@ -117,7 +176,7 @@ export async function getSearchData() {
       const requestChromeMockData = await fetch('./mockData/chrome.json')
       const chromeMockData = await requestChromeMockData.json()
       result.bookmarkTree = chromeMockData.bookmarks || []
-      result.tabs = convertBrowserTabs(chromeMockData.tabs)
+      result.tabs = applyWindowLabels(convertBrowserTabs(chromeMockData.tabs))
       if (ext.opts.enableBookmarks) {
         result.bookmarks = convertBrowserBookmarks(chromeMockData.bookmarks)
       }
@@ -129,7 +188,17 @@ export async function getSearchData() {
     }
   } else {
     // Fetch all browser data sources in parallel for faster startup
-    const [browserTabs, browserBookmarks, history, browserTabGroups] = await Promise.all([
+    const [
+      browserTabs,
+      browserBookmarks,
+      history,
+      tabGroups,
+      storedData,
+      sessions,
+      syncedTabs,
+      readingList,
+      downloads,
+    ] = await Promise.all([
       browserApi.tabs && ext.opts.enableTabs ? getBrowserTabs() : Promise.resolve([]),
       browserApi.bookmarks && ext.opts.enableBookmarks ? getBrowserBookmarks() : Promise.resolve([]),
       browserApi.history && ext.opts.enableHistory
@@ -138,16 +207,34 @@ export async function getSearchData() {
           )
         : Promise.resolve([]),
       browserApi.tabGroups && ext.opts.enableTabs ? getBrowserTabGroups() : Promise.resolve([]),
+      getStoredSearchData(),
+      browserApi.sessions && ext.opts.enableSessions
+        ? getBrowserSessions().then(convertBrowserSessions)
+        : Promise.resolve(result.sessions),
+      browserApi.sessions && ext.opts.enableSyncedTabs
+        ? getBrowserDevices().then(convertBrowserDevices)
+        : Promise.resolve(result.syncedTabs),
+      browserApi.readingList && ext.opts.enableReadingList
+        ? getBrowserReadingList().then(convertBrowserReadingList)
+        : Promise.resolve(result.readingList),
+      browserApi.downloads && ext.opts.enableDownloads
+        ? getBrowserDownloads().then(convertBrowserDownloads)
+        : Promise.resolve(result.downloads),
     ])
 
     // Build group lookup map
-    const groupMap = new Map(browserTabGroups.map((g) => [g.id, g]))
+    const groupMap = new Map(tabGroups.map((g) => [g.id, g]))
 
     // Convert browser data to internal format
     result.tabs = convertBrowserTabs(browserTabs, groupMap)
     result.bookmarkTree = browserBookmarks
     result.bookmarks = convertBrowserBookmarks(browserBookmarks)
     result.history = history
+    result.sessions = sessions
+    result.syncedTabs = syncedTabs
+    result.readingList = readingList
+    result.downloads = downloads
+    result.windowNames = storedData.windowNames
 
     // Merge history data into bookmarks and tabs if history is enabled
     if (browserApi.history && ext.opts.enableHistory && result.history.length > 0) {
@@ -162,6 +249,9 @@ export async function getSearchData() {
       result.history = result.history.filter((item) => !mergedHistoryUrls.has(item.originalUrl))
     }
 
+    // Label the tabs with their window, for the window badge and the `win:` filter
+    applyWindowLabels(result.tabs, result.windowNames)
+
     // Flag bookmarks with open tabs
     flagBookmarksWithOpenTabs(result.bookmarks, result.tabs)
   }
@@ -0,0 +1,456 @@
+/**
+ * @file Keeps the loaded search data in sync with browser change events.
+ *
+ * Responsibilities:
+ * - Listen to bookmark (`onCreated`, `onChanged`, `onMoved`, `onRemoved`), history (`onVisited`, `onVisitRemoved`)
+ *   tab (`onUpdated`, `onRemoved`), tab group (`onUpdated`) and session (`onChanged`) events while the popup
+ *   or Bookmark Manager is open.
+ * - Patch the flat `ext.model.bookmarks`, `ext.model.tabs`, `ext.model.history` and `ext.model.sessions` arrays in place,
+ *   using the same converters, history merge rules and window labels as `getSearchData()`.
+ * - Update the memoized folder taxonomy and invalidate the per-dataset search state of changed datasets only.
+ * - Notify the subscribed view, so it can refresh what it currently shows.
+ *
+ * Events are applied one after another, as most patches need async browser API lookups.
+ */
+
+import {
+  convertBrowserBookmarks,
+  convertBrowserHistory,
+  convertBrowserSessions,
+  convertBrowserTabs,
+} from '../helper/browserApi.js'
+import { resetFuzzySearchState } from '../search/fuzzySearch.js'
+import { resetSimpleSearchState } from '../search/simpleSearch.js'
+import { updateUniqueFoldersCache } from '../search/taxonomySearch.js'
+import { clearBookmarkOpenTabState, flagBookmarksWithOpenTabs } from './searchData.js'
+import { applyWindowLabels } from './windowLabels.js'
+
+/** Tab properties that influence the tab search item. Other updates (loading status, audio, ...) are ignored. */
+const TAB_CHANGE_KEYS = ['url', 'title', 'favIconUrl', 'groupId', 'pinned', 'mutedInfo', 'discarded']
+
+/**
+ * Subscribe to browser data change events and patch the loaded search data in place.
+ *
+ * @param {Function} [onChange] - Called with the names of the changed datasets after each applied change.
+ * @returns {Function} Unsubscribe function removing all registered listeners.
+ */
+export function subscribeToSearchDataChanges(onChange) {
+  const api = ext.browserApi
+  let queue = Promise.resolve()
+
+  const enqueue = (applyChange) => {
+    queue = queue
+      .then(applyChange)
+      .then((datasets) => {
+        if (datasets?.length) {
+          invalidateSearchState(datasets)
+          onChange?.(datasets)
+        }
+      })
+      .catch((err) => {
+        console.warn('Could not apply search data change', err)
+      })
+    return queue
+  }
+
+  const listeners = [
+    [api.bookmarks?.onCreated, (id) => enqueue(() => refreshBookmarkSubtree(id))],
+    [api.bookmarks?.onChanged, (id) => enqueue(() => refreshBookmarkSubtree(id))],
+    [api.bookmarks?.onMoved, (id) => enqueue(() => refreshBookmarkSubtree(id))],
+    [api.bookmarks?.onRemoved, (id, removeInfo) => enqueue(() => removeBookmarkSubtree(id, removeInfo?.node))],
+    [api.history?.onVisited, (historyItem) => enqueue(() => upsertHistoryVisit(historyItem))],
+    [api.history?.onVisitRemoved, (removed) => enqueue(() => removeHistoryVisits(removed))],
+    [
+      api.tabs?.onUpdated,
+      (_tabId, changeInfo, tab) => {
+        if (TAB_CHANGE_KEYS.some((key) => key in (changeInfo || {}))) {
+          return enqueue(() => upsertTab(tab))
+        }
+      },
+    ],
+    [api.tabs?.onRemoved, (tabId) => enqueue(() => removeTab(tabId))],
+    [api.tabGroups?.onUpdated, (group) => enqueue(() => updateTabGroup(group))],
+    [api.sessions?.onChanged, () => enqueue(() => refreshSessions())],
+  ].filter(([event]) => event?.addListener)
+
+  for (const [event, listener] of listeners) {
+    event.addListener(listener)
+  }
+
+  return () => {
+    for (const [event, listener] of listeners) {
+      event.removeListener?.(listener)
+    }
+  }
+}
+
+/**
+ * Re-read a created, changed or moved bookmark (or folder) and replace its search items.
+ *
+ * @param {string} id - Bookmark or folder id.
+ * @returns {Promise<Array<string>>} Changed datasets.
+ */
+export async function refreshBookmarkSubtree(id) {
+  const bookmarksApi = ext.browserApi.bookmarks
+  if (!ext.opts.enableBookmarks || !bookmarksApi?.getSubTree) {
+    return []
+  }
+
+  const [node] = await bookmarksApi.getSubTree(id)
+  if (!node) {
+    return []
+  }
+  const ancestors = await getBookmarkAncestors(node)
+  const ignoreList = ext.opts.bookmarksIgnoreFolderList || []
+  const ignored = ancestors.some((folder) => folder.title && ignoreList.includes(folder.title))
+
+  // Same folder trail and depth as a full conversion starting at the tree root
+  const folderTrail = ancestors
+    .slice(2)
+    .map((folder) => folder.title)
+    .filter(Boolean)
+  const items = ignored
+    ? []
+    : convertBrowserBookmarks([node], folderTrail, ancestors.length + 1, undefined, [], '', [], node.parentId || '')
+
+  const bookmarks = ext.model.bookmarks
+  const subtreeIds = collectBookmarkIds(node).bookmarkIds
+  const previousById = new Map()
+  let insertAt = -1
+  for (let i = bookmarks.length - 1; i >= 0; i--) {
+    if (subtreeIds.has(bookmarks[i].originalId)) {
+      previousById.set(bookmarks[i].originalId, bookmarks[i])
+      bookmarks.splice(i, 1)
+      insertAt = i
+    }
+  }
+
+  const datasets = ['bookmarks']
+  for (const item of items) {
+    const previous = previousById.get(item.originalId)
+    if (previous && previous.url === item.url) {
+      // Keep history metadata that was merged when the data was loaded
+      item.lastVisitSecondsAgo = previous.lastVisitSecondsAgo
+      item.visitCount = previous.visitCount
+    } else if (mergeHistoryEntry(item) && !datasets.includes('history')) {
+      datasets.push('history')
+    }
+  }
+  flagBookmarksWithOpenTabs(items, ext.model.tabs || [])
+
+  bookmarks.splice(insertAt === -1 ? bookmarks.length : insertAt, 0, ...items)
+  updateUniqueFoldersCache([...previousById.values()], items)
+  return datasets
+}
+
+/**
+ * Remove the search items of a removed bookmark or folder.
+ *
+ * @param {string} id - Removed bookmark or folder id.
+ * @param {Object} [node] - Removed tree node as provided by `bookmarks.onRemoved`.
+ * @returns {Array<string>} Changed datasets.
+ */
+export function removeBookmarkSubtree(id, node) {
+  const bookmarks = ext.model.bookmarks
+  if (!ext.opts.enableBookmarks || !bookmarks?.length) {
+    return []
+  }
+
+  const { bookmarkIds, folderIds } = collectBookmarkIds(node || { id })
+  folderIds.add(id)
+
+  const removed = []
+  for (let i = bookmarks.length - 1; i >= 0; i--) {
+    const bookmark = bookmarks[i]
+    if (bookmarkIds.has(bookmark.originalId) || folderIds.has(bookmark.folderId)) {
+      removed.push(bookmark)
+      bookmarks.splice(i, 1)
+    }
+  }
+
+  if (!removed.length) {
+    return []
+  }
+  updateUniqueFoldersCache(removed, [])
+  return ['bookmarks']
+}
+
+/**
+ * Apply a new history visit: update merged bookmarks and tabs or move the history item to the front.
+ *
+ * @param {Object} historyItem - History item as provided by `history.onVisited`.
+ * @returns {Array<string>} Changed datasets.
+ */
+export function upsertHistoryVisit(historyItem) {
+  if (!ext.opts.enableHistory || !historyItem?.url) {
+    return []
+  }
+
+  // Applies the history ignore list
+  const [item] = convertBrowserHistory([historyItem])
+  if (!item) {
+    return []
+  }
+
+  const datasets = []
+  for (const dataset of ['bookmarks', 'tabs']) {
+    for (const el of ext.model[dataset] || []) {
+      if (el.url === item.url) {
+        el.lastVisitSecondsAgo = item.lastVisitSecondsAgo
+        el.visitCount = item.visitCount
+        if (!datasets.includes(dataset)) {
+          datasets.push(dataset)
+        }
+      }
+    }
+  }
+  const history = ext.model.history
+  if (datasets.length || !history) {
+    return datasets
+  }
+
+  const index = history.findIndex((el) => el.url === item.url)
+  let entry = item
+  if (index !== -1) {
+    // Visits are often reported before the page title is known
+    if (!historyItem.title) {
+      entry = history[index]
+      entry.lastVisitSecondsAgo = item.lastVisitSecondsAgo
+      entry.visitCount = item.visitCount
+    }
+    history.splice(index, 1)
+  }
+  history.unshift(entry)
+  if (ext.opts.historyMaxItems && history.length > ext.opts.historyMaxItems) {
+    history.length = ext.opts.historyMaxItems
+  }
+  return ['history']
+}
+
+/**
+ * Remove history items after the browser history was (partially) deleted.
+ *
+ * @param {{allHistory: boolean, urls?: Array<string>}} removed - Info provided by `history.onVisitRemoved`.
+ * @returns {Array<string>} Changed datasets.
+ */
+export function removeHistoryVisits(removed) {
+  const history = ext.model.history
+  if (!history?.length) {
+    return []
+  }
+
+  if (removed?.allHistory) {
+    history.length = 0
+    return ['history']
+  }
+
+  const urls = new Set(removed?.urls || [])
+  const previousLength = history.length
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (urls.has(history[i].originalUrl)) {
+      history.splice(i, 1)
+    }
+  }
+  return history.length === previousLength ? [] : ['history']
+}
+
+/**
+ * Add or replace the search item of an updated tab.
+ *
+ * @param {Object} tab - Tab as provided by `tabs.onUpdated`.
+ * @param {Map<number, Object>} [groupMap] - Current tab group of the tab. Looked up when omitted.
+ * @returns {Promise<Array<string>>} Changed datasets.
+ */
+export async function upsertTab(tab, groupMap) {
+  const tabs = ext.model.tabs
+  if (!ext.opts.enableTabs || !tab || !tabs) {
+    return []
+  }
+
+  // Without a window API in the popup, the window of the loaded tabs is the current window
+  if (ext.opts.tabsOnlyCurrentWindow && tabs.length && !tabs.some((el) => el.windowId === tab.windowId)) {
+    return []
+  }
+
+  const index = tabs.findIndex((el) => el.originalId === tab.id)
+  const previous = index === -1 ? null : tabs[index]
+  const [item] = convertBrowserTabs([tab], groupMap ?? (await getTabGroupMap(tab.groupId)))
+
+  const datasets = ['tabs']
+  if (!item) {
+    if (!previous) {
+      return []
+    }
+    tabs.splice(index, 1)
+  } else {
+    if (previous && previous.url === item.url) {
+      item.lastVisitSecondsAgo = previous.lastVisitSecondsAgo ?? item.lastVisitSecondsAgo
+      item.visitCount = previous.visitCount
+    } else if (mergeHistoryEntry(item)) {
+      datasets.push('history')
+    }
+
+    if (previous) {
+      tabs[index] = item
+    } else {
+      tabs.push(item)
+    }
+  }
+  // A new active tab title or a new window changes the window labels
+  applyWindowLabels(tabs, ext.model.windowNames)
+
+  const bookmarks = ext.model.bookmarks || []
+  if (previous && previous.url !== item?.url && !tabs.some((el) => el.url === previous.url)) {
+    clearBookmarkOpenTabState(bookmarks, previous)
+  }
+  if (item) {
+    flagBookmarksWithOpenTabs(bookmarks, [item])
+  }
+  if (bookmarks.some((el) => el.url === previous?.url || el.url === item?.url)) {
+    datasets.push('bookmarks')
+  }
+  return datasets
+}
+
+/**
+ * Update the group name of the tabs in a renamed tab group.
+ *
+ * @param {Object} group - Tab group as provided by `tabGroups.onUpdated`.
+ * @returns {Promise<Array<string>>} Changed datasets.
+ */
+export async function updateTabGroup(group) {
+  const tabs = ext.model.tabs
+  if (!ext.opts.enableTabs || !group || !tabs || !ext.browserApi.tabs?.query) {
+    return []
+  }
+  // Collapsing, expanding or recoloring a group does not change the search items
+  const knownTitle = tabs.find((el) => el.groupId === group.id)?.group || ''
+  if (knownTitle === (group.title || '')) {
+    return []
+  }
+
+  const groupMap = new Map([[group.id, group]])
+  const datasets = new Set()
+  for (const tab of await ext.browserApi.tabs.query({ groupId: group.id })) {
+    for (const dataset of await upsertTab(tab, groupMap)) {
+      datasets.add(dataset)
+    }
+  }
+  return [...datasets]
+}
+
+/**
+ * Remove the search item of a closed tab.
+ *
+ * @param {number} tabId - Closed tab id.
+ * @returns {Array<string>} Changed datasets.
+ */
+export function removeTab(tabId) {
+  const tabs = ext.model.tabs
+  const index = tabs ? tabs.findIndex((el) => el.originalId === tabId) : -1
+  if (index === -1) {
+    return []
+  }
+
+  const [closedTab] = tabs.splice(index, 1)
+  applyWindowLabels(tabs, ext.model.windowNames)
+  const bookmarks = ext.model.bookmarks || []
+  if (tabs.some((el) => el.url === closedTab.url) || !bookmarks.some((el) => el.url === closedTab.url)) {
+    return ['tabs']
+  }
+  clearBookmarkOpenTabState(bookmarks, closedTab)
+  return ['tabs', 'bookmarks']
+}
+
+/**
+ * Re-read the recently closed tabs and windows after a tab or window was closed or restored.
+ * The browser only keeps a short list, so it is replaced as a whole.
+ *
+ * @returns {Promise<Array<string>>} Changed datasets.
+ */
+export async function refreshSessions() {
+  const sessions = ext.model.sessions
+  const sessionsApi = ext.browserApi.sessions
+  if (!ext.opts.enableSessions || !sessions || !sessionsApi?.getRecentlyClosed) {
+    return []
+  }
+
+  const items = convertBrowserSessions(await sessionsApi.getRecentlyClosed({}))
+  sessions.splice(0, sessions.length, ...items)
+  return ['sessions']
+}
+
+/**
+ * Drop cached search results and the search state of the changed datasets.
+ */
+function invalidateSearchState(datasets) {
+  ext.searchCache?.clear()
+  for (const dataset of datasets) {
+    resetSimpleSearchState(dataset)
+    resetFuzzySearchState(dataset)
+  }
+}
+
+/**
+ * Collect all ancestor folders of a bookmark node, starting with the tree root.
+ */
+async function getBookmarkAncestors(node) {
+  const ancestors = []
+  let parentId = node.parentId
+  while (parentId) {
+    const [parent] = await ext.browserApi.bookmarks.get(parentId)
+    if (!parent) break
+    ancestors.unshift(parent)
+    parentId = parent.parentId
+  }
+  return ancestors
+}
+
+function collectBookmarkIds(node, result = { bookmarkIds: new Set(), folderIds: new Set() }) {
+  if (node.url) {
+    result.bookmarkIds.add(node.id)
+  } else {
+    result.folderIds.add(node.id)
+    for (const child of node.children || []) {
+      collectBookmarkIds(child, result)
+    }
+  }
+  return result
+}
+
+/**
+ * Merge the history item of the same URL into a bookmark or tab item and remove it from the history list,
+ * like `getSearchData()` does on load.
+ *
+ * @returns {boolean} Whether a history item was merged.
+ */
+function mergeHistoryEntry(item) {
+  const history = ext.model.history || []
+  const index = history.findIndex((el) => el.url === item.url)
+  if (index === -1) {
+    return false
+  }
+  const [historyEntry] = history.splice(index, 1)
+  item.lastVisitSecondsAgo = historyEntry.lastVisitSecondsAgo ?? item.lastVisitSecondsAgo
+  item.visitCount = historyEntry.visitCount ?? item.visitCount
+  return true
+}
+
+async function getTabGroupMap(groupId) {
+  const groupMap = new Map()
+  if (groupId == null || groupId === -1) {
+    return groupMap
+  }
+
+  const knownGroup = ext.model.tabs.find((el) => el.groupId === groupId && el.group)
+  if (knownGroup) {
+    groupMap.set(groupId, { id: groupId, title: knownGroup.group })
+  } else if (ext.browserApi.tabGroups?.get) {
+    try {
+      groupMap.set(groupId, await ext.browserApi.tabGroups.get(groupId))
+    } catch (err) {
+      console.warn(`Error fetching tab group: ${err.message}`)
+    }
+  }
+  return groupMap
+}
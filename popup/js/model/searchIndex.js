@@ -0,0 +1,123 @@
+/**
+ * @file Persists the prepared search data as a versioned index in `storage.local`.
+ *
+ * Responsibilities:
+ * - Save the converted browser datasets (bookmarks, tabs, history, recently closed, synced tabs, reading list
+ *   and downloads) so the popup can search immediately on open.
+ * - Reject indexes written by another index version or with different effective options.
+ * - Shift relative timestamps (`lastVisitSecondsAgo`) by the time passed since the index was written.
+ * - Clear the index when the underlying browser data changes (see `initBackground.js`).
+ *
+ * The popup always refreshes the data in the background after using a cached index,
+ * so a slightly outdated index only affects the first moments after opening.
+ */
+
+/** Bump when the shape of search items changes, so older indexes are discarded. */
+export const SEARCH_INDEX_VERSION = 2
+
+/** Storage key of the persisted index in `storage.local`. */
+export const SEARCH_INDEX_STORAGE_KEY = 'searchIndex'
+
+/**
+ * Datasets of `getSearchData()` that are persisted. The raw bookmark tree is not needed for search.
+ * Data the extension stores itself (window names) is loaded with `getStoredSearchData()` instead.
+ */
+const SEARCH_INDEX_DATASETS = ['bookmarks', 'tabs', 'history', 'sessions', 'syncedTabs', 'readingList', 'downloads']
+
+/**
+ * Load the persisted search index if it is still valid for the given options.
+ *
+ * @param {Object} options - Effective options the index must have been built with.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Promise<Object<string, Array>|null>} Persisted datasets or null on cache miss.
+ */
+export async function loadSearchIndex(options, now = Date.now()) {
+  const storage = getIndexStorage()
+  if (!storage) return null
+
+  try {
+    const stored = await storage.get(SEARCH_INDEX_STORAGE_KEY)
+    const index = stored?.[SEARCH_INDEX_STORAGE_KEY]
+    if (!index || index.version !== SEARCH_INDEX_VERSION || index.optionsKey !== createOptionsKey(options)) {
+      return null
+    }
+
+    const elapsedSeconds = Math.max(0, (now - index.createdAt) / 1000)
+    const data = {}
+    for (const dataset of SEARCH_INDEX_DATASETS) {
+      data[dataset] = shiftLastVisit(index.data?.[dataset] || [], elapsedSeconds)
+    }
+    return data
+  } catch (err) {
+    console.warn('Could not load search index', err)
+    return null
+  }
+}
+
+/**
+ * Persist freshly loaded search data as the new index.
+ *
+ * @param {Object} data - Result of `getSearchData()`.
+ * @param {Object} options - Effective options used to build the data.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Promise<void>}
+ */
+export async function saveSearchIndex(data, options, now = Date.now()) {
+  const storage = getIndexStorage()
+  if (!storage) return
+
+  const indexData = {}
+  for (const dataset of SEARCH_INDEX_DATASETS) {
+    indexData[dataset] = data[dataset] || []
+  }
+
+  try {
+    await storage.set({
+      [SEARCH_INDEX_STORAGE_KEY]: {
+        version: SEARCH_INDEX_VERSION,
+        createdAt: now,
+        optionsKey: createOptionsKey(options),
+        data: indexData,
+      },
+    })
+  } catch (err) {
+    console.warn('Could not save search index', err)
+  }
+}
+
+/**
+ * Remove the persisted search index, e.g. after bookmarks changed.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearSearchIndex() {
+  const storage = getIndexStorage()
+  if (!storage) return
+  try {
+    await storage.remove(SEARCH_INDEX_STORAGE_KEY)
+  } catch (err) {
+    console.warn('Could not clear search index', err)
+  }
+}
+
+function getIndexStorage() {
+  return ext.browserApi.storage?.local || null
+}
+
+/**
+ * Every option can influence the prepared items (sources, limits, ignore lists, favicons),
+ * so the index is bound to the complete set of effective options.
+ */
+function createOptionsKey(options) {
+  return JSON.stringify(options || {})
+}
+
+function shiftLastVisit(items, elapsedSeconds) {
+  if (!elapsedSeconds) return items
+  for (const item of items) {
+    if (typeof item.lastVisitSecondsAgo === 'number') {
+      item.lastVisitSecondsAgo += elapsedSeconds
+    }
+  }
+  return items
+}
@@ -0,0 +1,118 @@
+/**
+ * @file Remembers recent search queries of the popup.
+ *
+ * Responsibilities:
+ * - Record queries together with the result that was opened for them in `storage.local`.
+ * - Provide the recent queries for the empty-query default results and for recalling them
+ *   into the search input (`recallPreviousSearch` / `recallNextSearch` keybindings).
+ * - Clear the history from the Options tab.
+ *
+ * Queries are stored as typed, including mode prefixes and filters, so recalling one repeats the same search.
+ * Entries are kept newest first and a repeated query moves to the top. The history never leaves the browser.
+ */
+
+/** Storage key of the search query history in `storage.local`. */
+export const SEARCH_HISTORY_STORAGE_KEY = 'searchQueryHistory'
+
+/** Maximum number of remembered queries. The oldest queries are dropped first. */
+export const SEARCH_HISTORY_MAX_ENTRIES = 100
+
+/** Maximum stored query length. */
+const MAX_QUERY_LENGTH = 200
+
+/**
+ * Load the search query history.
+ *
+ * @returns {Promise<Array<{query: string, searchedAt: number, selection?: Object}>>} Entries, newest first.
+ */
+export async function loadSearchHistory() {
+  const storage = getHistoryStorage()
+  if (!storage) return []
+  try {
+    const stored = await storage.get(SEARCH_HISTORY_STORAGE_KEY)
+    const history = stored?.[SEARCH_HISTORY_STORAGE_KEY]
+    return Array.isArray(history) ? history : []
+  } catch (err) {
+    console.warn('Could not load search history', err)
+    return []
+  }
+}
+
+/**
+ * Record a search query and the result that was opened for it.
+ *
+ * Updates the loaded history in place and writes it without awaiting a read first,
+ * because the popup closes right after a result is opened.
+ *
+ * @param {Array<Object>} history - Loaded history (`ext.model.searchHistory`).
+ * @param {string} query - Query as typed into the search input.
+ * @param {Object} [result] - Opened search result. Its title, URL and type are remembered.
+ * @param {number} [now=Date.now()] - Search time in milliseconds.
+ * @returns {Promise<void>}
+ */
+export function recordSearchQuery(history, query, result, now = Date.now()) {
+  const normalizedQuery = normalizeHistoryQuery(query)
+  const storage = getHistoryStorage()
+  if (!history || !normalizedQuery || !storage) return Promise.resolve()
+
+  const existingIndex = history.findIndex((entry) => entry.query === normalizedQuery)
+  const entry = existingIndex === -1 ? { query: normalizedQuery } : history.splice(existingIndex, 1)[0]
+  entry.searchedAt = now
+  if (result?.originalUrl) {
+    entry.selection = { title: result.title || '', url: result.originalUrl, type: result.type }
+  }
+  history.unshift(entry)
+  history.splice(SEARCH_HISTORY_MAX_ENTRIES)
+
+  return Promise.resolve(storage.set({ [SEARCH_HISTORY_STORAGE_KEY]: history })).catch((err) => {
+    console.warn('Could not save search history', err)
+  })
+}
+
+/**
+ * Remove all remembered queries.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearSearchHistory() {
+  if (ext.model?.searchHistory) {
+    ext.model.searchHistory = []
+  }
+  const storage = getHistoryStorage()
+  if (!storage) return
+  await storage.remove(SEARCH_HISTORY_STORAGE_KEY)
+}
+
+/**
+ * Convert recent queries into `recentSearch` results for the empty-query default results.
+ *
+ * @param {Array<Object>} history - Loaded history.
+ * @param {number} limit - Maximum number of results.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Array<Object>} Results, newest first.
+ */
+export function createRecentSearchResults(history, limit, now = Date.now()) {
+  return (history || []).slice(0, Math.max(0, limit)).map((entry) => ({
+    type: 'recentSearch',
+    title: entry.query,
+    originalId: entry.query,
+    description: entry.selection ? `Opened: ${entry.selection.title || entry.selection.url}` : 'Recent search',
+    lastVisitSecondsAgo: Math.max(0, Math.round((now - entry.searchedAt) / 1000)),
+  }))
+}
+
+/**
+ * Normalize a query for the history.
+ *
+ * @param {string} query - Search query.
+ * @returns {string} Trimmed query, cut to the maximum length.
+ */
+export function normalizeHistoryQuery(query) {
+  return String(query || '')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH)
+}
+
+function getHistoryStorage() {
+  return ext.browserApi?.storage?.local || null
+}
@@ -0,0 +1,96 @@
+/**
+ * @file Detects duplicate and stale open tabs for cleanup.
+ *
+ * Responsibilities:
+ * - Group open tabs by their normalized URL (`url`, normalized with `cleanUpUrl()` when tabs are loaded)
+ *   and pick the duplicates to close, keeping the active or most recently used tab of each URL.
+ * - Find stale tabs that were not used for a number of days (`lastVisitSecondsAgo`).
+ * - Describe the tabs a cleanup closes, for the confirmation dialog.
+ *
+ * Used by the `is:duplicate` / `is:stale` query filters and the tab cleanup commands of the popup.
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60
+
+/** Maximum number of tabs listed by name in the confirmation message. */
+const MAX_CONFIRMATION_TABS = 15
+
+/**
+ * Group open tabs that share the same normalized URL.
+ *
+ * @param {Array<Object>} tabs - Tab search items (`ext.model.tabs`).
+ * @returns {Array<Array<Object>>} Groups of two or more tabs. Each group starts with the tab to keep:
+ *   the active tab, otherwise the most recently used one.
+ */
+export function getDuplicateTabGroups(tabs) {
+  const tabsByUrl = new Map()
+  for (const tab of tabs || []) {
+    if (!tab?.url) continue
+    if (!tabsByUrl.has(tab.url)) tabsByUrl.set(tab.url, [])
+    tabsByUrl.get(tab.url).push(tab)
+  }
+
+  const groups = []
+  for (const group of tabsByUrl.values()) {
+    if (group.length < 2) continue
+    groups.push(
+      group.sort(
+        (a, b) =>
+          Boolean(b.active) - Boolean(a.active) ||
+          (a.lastVisitSecondsAgo ?? Number.POSITIVE_INFINITY) - (b.lastVisitSecondsAgo ?? Number.POSITIVE_INFINITY),
+      ),
+    )
+  }
+  return groups
+}
+
+/**
+ * Pick the duplicate tabs to close, all but the active or most recently used tab of each URL.
+ *
+ * @param {Array<Object>} tabs - Tab search items.
+ * @returns {Array<Object>} Tabs to close.
+ */
+export function getDuplicateTabsToClose(tabs) {
+  return getDuplicateTabGroups(tabs).flatMap(([, ...duplicates]) => duplicates)
+}
+
+/**
+ * Check if a tab was not used for the given number of days.
+ * Active and pinned tabs are never stale, as they are kept open on purpose.
+ *
+ * @param {Object} tab - Tab search item.
+ * @param {number} days - Number of days without use.
+ * @returns {boolean} True if the tab is stale.
+ */
+export function isStaleTab(tab, days) {
+  if (!tab || tab.active || tab.pinned || tab.lastVisitSecondsAgo == null) return false
+  return tab.lastVisitSecondsAgo > days * SECONDS_PER_DAY
+}
+
+/**
+ * Find the tabs that were not used for the given number of days.
+ *
+ * @param {Array<Object>} tabs - Tab search items.
+ * @param {number} days - Number of days without use.
+ * @returns {Array<Object>} Stale tabs, least recently used first.
+ */
+export function getStaleTabs(tabs, days) {
+  return (tabs || [])
+    .filter((tab) => isStaleTab(tab, days))
+    .sort((a, b) => b.lastVisitSecondsAgo - a.lastVisitSecondsAgo)
+}
+
+/**
+ * Create the confirmation that lists the tabs a cleanup closes.
+ *
+ * @param {Array<Object>} tabs - Tabs to close.
+ * @param {string} reason - Why the tabs are closed, e.g. `duplicate`.
+ * @returns {{message: string, details: Array<string>}} Question and the listed tab titles.
+ */
+export function createTabCleanupConfirmation(tabs, reason) {
+  const details = tabs.slice(0, MAX_CONFIRMATION_TABS).map((tab) => tab.title || tab.url)
+  if (tabs.length > MAX_CONFIRMATION_TABS) {
+    details.push(`… and ${tabs.length - MAX_CONFIRMATION_TABS} more`)
+  }
+  return { message: `Close ${tabs.length} ${reason} tab${tabs.length === 1 ? '' : 's'}?`, details }
+}
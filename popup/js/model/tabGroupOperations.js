@@ -0,0 +1,179 @@
+/**
+ * @file Tab group operations shared by the Tab Groups page and the `@group` search of the popup.
+ *
+ * Responsibilities:
+ * - List the open tab groups with their tabs.
+ * - Collapse or expand a group, rename it and change its color.
+ * - Close all tabs of a group.
+ * - Save the tabs of a group as a bookmark folder, and restore a bookmark folder as a new tab group.
+ *
+ * The functions only talk to the browser APIs. Callers update the loaded search data and the view,
+ * as the Tab Groups page and the popup show groups differently.
+ */
+
+import { isBookmarkableUrl } from '../search/defaultResults.js'
+
+/** Colors the browser supports for tab groups. */
+export const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange']
+
+/** Maximum number of tabs opened when a bookmark folder is restored as tab group. */
+export const MAX_RESTORED_TABS = 50
+
+/**
+ * Load the open tab groups with their tabs.
+ *
+ * @returns {Promise<Array<Object>>} Tab groups (`id`, `title`, `color`, `collapsed`, `windowId`)
+ *   with the `tabs` of `ext.model.tabs` in them, sorted by title.
+ */
+export async function getTabGroupsWithTabs() {
+  if (!ext.browserApi.tabGroups?.query) return []
+  const groups = await ext.browserApi.tabGroups.query({})
+  const tabs = ext.model.tabs || []
+  return groups
+    .map((group) => ({ ...group, tabs: tabs.filter((tab) => tab.groupId === group.id) }))
+    .sort((a, b) => getTabGroupLabel(a).localeCompare(getTabGroupLabel(b), undefined, { sensitivity: 'base' }))
+}
+
+/**
+ * Create the display name of a tab group. Groups can be unnamed.
+ *
+ * @param {Object} group - Tab group.
+ * @returns {string} Group title, or a name derived from its color.
+ */
+export function getTabGroupLabel(group) {
+  return group.title || (group.color ? `Unnamed ${group.color} Group` : 'Unnamed Group')
+}
+
+/**
+ * Collapse or expand a tab group.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @param {boolean} collapsed - True to collapse, false to expand.
+ * @returns {Promise<Object>} Updated tab group.
+ */
+export async function setTabGroupCollapsed(groupId, collapsed) {
+  return ext.browserApi.tabGroups.update(groupId, { collapsed })
+}
+
+/**
+ * Rename a tab group.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @param {string} title - New title. An empty title makes the group unnamed.
+ * @returns {Promise<Object>} Updated tab group.
+ */
+export async function renameTabGroup(groupId, title) {
+  return ext.browserApi.tabGroups.update(groupId, { title: String(title || '').trim() })
+}
+
+/**
+ * Change the color of a tab group.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @param {string} color - One of `TAB_GROUP_COLORS`.
+ * @returns {Promise<Object>} Updated tab group.
+ */
+export async function setTabGroupColor(groupId, color) {
+  if (!TAB_GROUP_COLORS.includes(color)) {
+    throw new Error(`Unknown tab group color "${color}". Use one of: ${TAB_GROUP_COLORS.join(', ')}.`)
+  }
+  return ext.browserApi.tabGroups.update(groupId, { color })
+}
+
+/**
+ * Close all tabs of a tab group. The browser removes the group with its last tab.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @returns {Promise<Array<number>>} IDs of the closed tabs.
+ */
+export async function closeTabGroup(groupId) {
+  const tabIds = (await ext.browserApi.tabs.query({ groupId })).map((tab) => tab.id)
+  if (tabIds.length) {
+    await ext.browserApi.tabs.remove(tabIds)
+  }
+  return tabIds
+}
+
+/**
+ * Save the tabs of a tab group into a new bookmark folder named after the group.
+ * The folder is created in the browser's default bookmark location. Each URL is saved once.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @returns {Promise<{folderId: string|undefined, count: number}>} Created folder and number of bookmarks.
+ */
+export async function saveTabGroupAsFolder(groupId) {
+  const [group, tabs] = await Promise.all([
+    ext.browserApi.tabGroups.get(groupId),
+    ext.browserApi.tabs.query({ groupId }),
+  ])
+  const bookmarkableTabs = tabs.filter((tab) => isBookmarkableUrl(tab.url))
+  if (!bookmarkableTabs.length) return { folderId: undefined, count: 0 }
+
+  const folder = await ext.browserApi.bookmarks.create({
+    title: group?.title || `Tab Group ${new Date().toISOString().substring(0, 10)}`,
+  })
+  const seenUrls = new Set()
+  for (const tab of bookmarkableTabs) {
+    if (seenUrls.has(tab.url)) continue
+    seenUrls.add(tab.url)
+    await ext.browserApi.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url })
+  }
+  return { folderId: folder.id, count: seenUrls.size }
+}
+
+/**
+ * List the bookmark folders that can be restored as tab group, i.e. that directly contain bookmarks.
+ *
+ * @returns {Promise<Array<{id: string, title: string, path: string, count: number}>>} Folders in tree order.
+ *   `path` is the folder trail like `~Bookmarks Bar ~Work`.
+ */
+export async function getRestorableFolders() {
+  if (!ext.browserApi.bookmarks?.getTree) return []
+  const folders = []
+  const visit = (node, trail) => {
+    const children = node.children || []
+    const folderTrail = node.title ? [...trail, node.title] : trail
+    const count = children.filter((child) => child.url).length
+    if (count && node.title) {
+      folders.push({ id: node.id, title: node.title, path: folderTrail.map((f) => `~${f}`).join(' '), count })
+    }
+    for (const child of children) {
+      if (child.children) visit(child, folderTrail)
+    }
+  }
+  for (const root of await ext.browserApi.bookmarks.getTree()) {
+    visit(root, [])
+  }
+  return folders
+}
+
+/**
+ * Open the bookmarks of a folder in new tabs of the current window and group them
+ * into a new tab group named after the folder. Sub folders are not opened.
+ *
+ * @param {string} folderId - Bookmark folder ID.
+ * @returns {Promise<number|undefined>} ID of the new tab group, undefined for a folder without bookmarks.
+ */
+export async function restoreFolderAsTabGroup(folderId) {
+  const [[folder], children] = await Promise.all([
+    ext.browserApi.bookmarks.get(folderId),
+    ext.browserApi.bookmarks.getChildren(folderId),
+  ])
+  const urls = children.filter((child) => child.url).map((child) => child.url)
+  if (!urls.length) return undefined
+  if (urls.length > MAX_RESTORED_TABS) {
+    throw new Error(
+      `The folder has ${urls.length} bookmarks. Only folders with up to ${MAX_RESTORED_TABS} are restored.`,
+    )
+  }
+
+  const tabs = []
+  for (const url of urls) {
+    tabs.push(await ext.browserApi.tabs.create({ url, active: false }))
+  }
+  const groupId = await ext.browserApi.tabs.group({ tabIds: tabs.map((tab) => tab.id) })
+  if (folder?.title) {
+    await ext.browserApi.tabGroups.update(groupId, { title: folder.title })
+  }
+  return groupId
+}
@@ -1,3 +1,5 @@
+import { findKeybindingConflicts } from '../helper/keybindings.js'
+
 let optionsSchema
 
 /**
@@ -15,6 +17,8 @@ let optionsSchema
  * - additionalProperties: false (default behavior for this validator)
  * - anyOf constraints (used for aliases supporting both string and array)
  *
+ * Valid keybindings are additionally checked for key chords that are bound to more than one action.
+ *
  * @param {Object} options - The options object to validate
  * @returns {Promise<{valid: boolean, errors: string[]}>}
  */
@@ -36,6 +40,9 @@ export async function validateOptions(options = {}) {
 
   // Start recursive validation from the root
   validateAgainstSchema('', options, optionsSchema, errors)
+  if (!errors.length && options.keybindings) {
+    errors.push(...findKeybindingConflicts(options.keybindings))
+  }
 
   return {
     valid: errors.length === 0,
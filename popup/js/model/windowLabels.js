@@ -0,0 +1,160 @@
+/**
+ * @file Window labels of tab results.
+ *
+ * Responsibilities:
+ * - Label every browser window, either with a name the user assigned or with the title of its active tab.
+ * - Store the assigned window names in `storage.local`.
+ * - Add the label to the tab search items (`windowLabel`, `windowLabelLower`) for the badge and the `win:` filter.
+ * - List the windows with their tab counts for the `windows` section of the empty-query dashboard.
+ *
+ * Window IDs are only stable while the browser runs, so names of windows that are no longer open are dropped.
+ */
+
+/** Storage key of the assigned window names in `storage.local`. */
+export const WINDOW_NAMES_STORAGE_KEY = 'windowNames'
+
+const MAX_NAME_LENGTH = 40
+
+/**
+ * Load the names the user assigned to windows.
+ *
+ * @returns {Promise<Object<string, string>>} Window name by window ID.
+ */
+export async function loadWindowNames() {
+  const storage = getWindowNameStorage()
+  if (!storage) return {}
+  try {
+    return await readWindowNames(storage)
+  } catch (err) {
+    console.warn('Could not load window names', err)
+    return {}
+  }
+}
+
+/**
+ * Assign a name to a window, or remove it with an empty name.
+ *
+ * The stored names are read and merged into the given names first, so names that were not loaded yet
+ * (e.g. while the popup searched a cached index) are not overwritten. Updates the names in place and
+ * persists them, without the names of windows that are no longer open.
+ *
+ * @param {Object<string, string>} windowNames - Loaded window names (`ext.model.windowNames`).
+ * @param {number} windowId - Window ID.
+ * @param {string} name - New name of the window.
+ * @param {Array<Object>} [tabs=ext.model.tabs] - Tab search items, used to find the open windows.
+ * @returns {Promise<string>} The saved name, empty when the name was removed.
+ */
+export async function saveWindowName(windowNames, windowId, name, tabs = ext.model.tabs) {
+  const storage = getWindowNameStorage()
+  if (!storage) {
+    throw new Error('Window names need the browser storage API.')
+  }
+  Object.assign(windowNames, await readWindowNames(storage))
+
+  const trimmed = String(name || '')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+  if (trimmed) {
+    windowNames[windowId] = trimmed
+  } else {
+    delete windowNames[windowId]
+  }
+
+  const openWindowIds = new Set((tabs || []).map((tab) => String(tab.windowId)))
+  for (const id of Object.keys(windowNames)) {
+    if (id !== String(windowId) && openWindowIds.size && !openWindowIds.has(id)) {
+      delete windowNames[id]
+    }
+  }
+
+  await storage.set({ [WINDOW_NAMES_STORAGE_KEY]: windowNames })
+  return trimmed
+}
+
+/**
+ * Create the label of every window of the given tabs.
+ *
+ * @param {Array<Object>} tabs - Tab search items with `windowId`.
+ * @param {Object<string, string>} [windowNames={}] - Assigned window names.
+ * @returns {Map<number, string>} Label by window ID, in the order the windows appear in the tabs.
+ */
+export function getWindowLabels(tabs, windowNames = {}) {
+  const activeTitles = new Map()
+  for (const tab of tabs || []) {
+    if (tab.windowId == null) continue
+    if (!activeTitles.has(tab.windowId)) {
+      activeTitles.set(tab.windowId, '')
+    }
+    if (tab.active && tab.title) {
+      activeTitles.set(tab.windowId, tab.title)
+    }
+  }
+
+  const labels = new Map()
+  let windowNumber = 0
+  for (const [windowId, activeTitle] of activeTitles) {
+    windowNumber++
+    labels.set(windowId, windowNames[windowId] || activeTitle || `Window ${windowNumber}`)
+  }
+  return labels
+}
+
+/**
+ * Add the window label to the tab search items.
+ *
+ * @param {Array<Object>} tabs - Tab search items. Updated in place.
+ * @param {Object<string, string>} [windowNames={}] - Assigned window names.
+ * @returns {Array<Object>} The same tabs.
+ */
+export function applyWindowLabels(tabs, windowNames = {}) {
+  const labels = getWindowLabels(tabs, windowNames)
+  for (const tab of tabs || []) {
+    const label = labels.get(tab.windowId)
+    if (label) {
+      tab.windowLabel = label
+      tab.windowLabelLower = label.toLowerCase()
+    } else {
+      delete tab.windowLabel
+      delete tab.windowLabelLower
+    }
+  }
+  return tabs
+}
+
+/**
+ * Convert the windows of the loaded tabs into `window` results.
+ *
+ * @param {Array<Object>} tabs - Tab search items with window labels.
+ * @returns {Array<Object>} One result per window, in the order the windows appear in the tabs.
+ */
+export function createWindowResults(tabs) {
+  const windows = new Map()
+  for (const tab of tabs || []) {
+    if (tab.windowId == null) continue
+    const entry = windows.get(tab.windowId) || { label: tab.windowLabel, count: 0 }
+    entry.count++
+    windows.set(tab.windowId, entry)
+  }
+
+  return [...windows].map(([windowId, { label, count }]) => {
+    const title = label || `Window ${windowId}`
+    return {
+      type: 'window',
+      title,
+      titleLower: title.toLowerCase(),
+      description: `${count} ${count === 1 ? 'tab' : 'tabs'}`,
+      originalId: windowId,
+      tabCount: count,
+    }
+  })
+}
+
+async function readWindowNames(storage) {
+  const stored = await storage.get(WINDOW_NAMES_STORAGE_KEY)
+  const names = stored?.[WINDOW_NAMES_STORAGE_KEY]
+  return names && typeof names === 'object' && !Array.isArray(names) ? names : {}
+}
+
+function getWindowNameStorage() {
+  return ext.browserApi?.storage?.local || null
+}
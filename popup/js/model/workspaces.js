@@ -0,0 +1,273 @@
+/**
+ * @file Workspaces: named snapshots of a tab group or a window that can be restored later.
+ *
+ * Responsibilities:
+ * - Snapshot the tabs of a tab group or a window (URLs, titles, group names and colors).
+ * - Store workspaces in `storage.local`, replacing a workspace with the same name.
+ * - Match workspaces for the `ws:` search mode of the popup.
+ * - Restore a workspace into a new window and recreate its tab groups.
+ *
+ * Tab groups disappear with their last tab, so workspaces keep them for later.
+ * Browser-internal pages (e.g. `chrome://settings`) cannot be opened by extensions and are not saved.
+ */
+
+import { isBookmarkableUrl } from '../search/defaultResults.js'
+
+/** Storage key of the workspaces in `storage.local`. */
+export const WORKSPACES_STORAGE_KEY = 'workspaces'
+
+/** Maximum number of workspaces. */
+export const WORKSPACES_MAX_ENTRIES = 50
+
+/** Maximum number of tabs saved per workspace. */
+export const WORKSPACE_MAX_TABS = 100
+
+const MAX_NAME_LENGTH = 60
+const WHITESPACE_REGEX = /\s+/
+
+/**
+ * Load the workspaces.
+ *
+ * @returns {Promise<Array<Object>>} Workspaces (`id`, `name`, `createdAt`, `tabs`, `groups`), sorted by name.
+ */
+export async function loadWorkspaces() {
+  const storage = getWorkspaceStorage()
+  if (!storage) return []
+  try {
+    const stored = await storage.get(WORKSPACES_STORAGE_KEY)
+    const workspaces = stored?.[WORKSPACES_STORAGE_KEY]
+    return Array.isArray(workspaces) ? sortWorkspaces(workspaces.map(normalizeWorkspace).filter(Boolean)) : []
+  } catch (err) {
+    console.warn('Could not load workspaces', err)
+    return []
+  }
+}
+
+/**
+ * Snapshot the tabs of a tab group.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @returns {Promise<{name: string, tabs: Array<Object>, groups: Array<Object>}>} Snapshot, named after the group.
+ */
+export async function createTabGroupSnapshot(groupId) {
+  const [group, tabs] = await Promise.all([
+    ext.browserApi.tabGroups.get(groupId),
+    ext.browserApi.tabs.query({ groupId }),
+  ])
+  return {
+    name: group?.title || '',
+    tabs: tabs.map((tab) => ({ url: tab.url, title: tab.title, group: 0 })),
+    groups: [{ title: group?.title || '', color: group?.color }],
+  }
+}
+
+/**
+ * Snapshot the tabs of a window, including the tab groups in it.
+ *
+ * @param {number} [windowId] - Window ID. Defaults to the current window.
+ * @returns {Promise<{name: string, tabs: Array<Object>, groups: Array<Object>}>} Snapshot, named after the
+ *   first tab group or the current date.
+ */
+export async function createWindowSnapshot(windowId) {
+  const tabs = await ext.browserApi.tabs.query(windowId == null ? { currentWindow: true } : { windowId })
+  const groups = []
+  const groupIndexes = new Map()
+
+  for (const tab of tabs) {
+    if (tab.groupId == null || tab.groupId === -1 || groupIndexes.has(tab.groupId)) continue
+    let group
+    try {
+      group = await ext.browserApi.tabGroups?.get(tab.groupId)
+    } catch (err) {
+      console.warn(`Could not read tab group ${tab.groupId}`, err)
+    }
+    groupIndexes.set(tab.groupId, groups.length)
+    groups.push({ title: group?.title || '', color: group?.color })
+  }
+
+  return {
+    name: groups.find((group) => group.title)?.title || `Window ${new Date().toISOString().substring(0, 10)}`,
+    tabs: tabs.map((tab) => ({ url: tab.url, title: tab.title, group: groupIndexes.get(tab.groupId) })),
+    groups,
+  }
+}
+
+/**
+ * Save a snapshot as workspace. A workspace with the same name (ignoring case) is replaced.
+ *
+ * Updates the loaded workspaces in place and persists them.
+ *
+ * @param {Array<Object>} workspaces - Loaded workspaces (`ext.model.workspaces`).
+ * @param {string} name - Name of the workspace.
+ * @param {{tabs: Array<Object>, groups: Array<Object>}} snapshot - Snapshot from `createTabGroupSnapshot()`
+ *   or `createWindowSnapshot()`.
+ * @param {number} [now=Date.now()] - Creation time in milliseconds.
+ * @returns {Promise<Object>} The saved workspace.
+ */
+export async function saveWorkspace(workspaces, name, snapshot, now = Date.now()) {
+  const workspace = normalizeWorkspace({ ...snapshot, name, createdAt: now })
+  if (!workspace) {
+    throw new Error('A workspace needs a name and at least one tab that can be opened again.')
+  }
+
+  const key = workspace.name.toLowerCase()
+  const existingIndex = workspaces.findIndex((el) => el.name.toLowerCase() === key)
+  if (existingIndex !== -1) {
+    workspace.id = workspaces[existingIndex].id
+    workspaces.splice(existingIndex, 1, workspace)
+  } else if (workspaces.length >= WORKSPACES_MAX_ENTRIES) {
+    throw new Error(`Only ${WORKSPACES_MAX_ENTRIES} workspaces can be stored. Delete one first.`)
+  } else {
+    workspaces.push(workspace)
+  }
+
+  sortWorkspaces(workspaces)
+  await persistWorkspaces(workspaces)
+  return workspace
+}
+
+/**
+ * Delete a workspace.
+ *
+ * @param {Array<Object>} workspaces - Loaded workspaces. Updated in place.
+ * @param {string} id - ID of the workspace.
+ * @returns {Promise<boolean>} True if a workspace was deleted.
+ */
+export async function deleteWorkspace(workspaces, id) {
+  const index = workspaces.findIndex((workspace) => workspace.id === id)
+  if (index === -1) return false
+  workspaces.splice(index, 1)
+  await persistWorkspaces(workspaces)
+  return true
+}
+
+/**
+ * Find a workspace by ID.
+ *
+ * @param {Array<Object>} workspaces - Loaded workspaces.
+ * @param {string} id - ID of the workspace.
+ * @returns {Object|undefined} The workspace.
+ */
+export function findWorkspace(workspaces, id) {
+  return (workspaces || []).find((workspace) => workspace.id === id)
+}
+
+/**
+ * Describe the content of a workspace, e.g. `3 tabs in Work, Reading · 2024-05-01`.
+ *
+ * @param {Object} workspace - Workspace.
+ * @returns {string} Description.
+ */
+export function describeWorkspace(workspace) {
+  const tabCount = workspace.tabs.length
+  const groupNames = workspace.groups.map((group) => group.title).filter(Boolean)
+  const date = new Date(workspace.createdAt).toISOString().substring(0, 10)
+  return `${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'}${groupNames.length ? ` in ${groupNames.join(', ')}` : ''} · ${date}`
+}
+
+/**
+ * Convert workspaces into `workspace` results.
+ *
+ * Every word of the term has to appear in the name or in a title or URL of its tabs.
+ *
+ * @param {Array<Object>} workspaces - Loaded workspaces.
+ * @param {string} [searchTerm=''] - Term after the `ws:` prefix. All workspaces for an empty term.
+ * @returns {Array<Object>} Results, sorted by name.
+ */
+export function createWorkspaceResults(workspaces, searchTerm = '') {
+  const words = searchTerm.toLowerCase().split(WHITESPACE_REGEX).filter(Boolean)
+  const results = []
+
+  for (const workspace of workspaces || []) {
+    const haystack = [workspace.name, ...workspace.tabs.flatMap((tab) => [tab.title, tab.url])].join(' ').toLowerCase()
+    if (!words.every((word) => haystack.includes(word))) continue
+    results.push({
+      type: 'workspace',
+      title: workspace.name,
+      titleLower: workspace.name.toLowerCase(),
+      description: describeWorkspace(workspace),
+      originalId: workspace.id,
+    })
+  }
+
+  return results
+}
+
+/**
+ * Open the tabs of a workspace in a new window and recreate its tab groups.
+ *
+ * The window is only focused at the end, because focusing it closes the popup that runs the restore.
+ *
+ * @param {Object} workspace - Workspace.
+ * @returns {Promise<number|undefined>} ID of the new window.
+ */
+export async function restoreWorkspace(workspace) {
+  const created = await ext.browserApi.windows.create({ url: workspace.tabs.map((tab) => tab.url), focused: false })
+  const windowId = created?.id
+  let tabs = created?.tabs || []
+  if (tabs.length !== workspace.tabs.length && windowId != null) {
+    tabs = await ext.browserApi.tabs.query({ windowId })
+  }
+  const tabIds = tabs.map((tab) => tab.id)
+
+  if (ext.browserApi.tabs.group) {
+    for (const [groupIndex, group] of workspace.groups.entries()) {
+      const groupTabIds = tabIds.filter((tabId, i) => tabId != null && workspace.tabs[i]?.group === groupIndex)
+      if (!groupTabIds.length) continue
+      const groupId = await ext.browserApi.tabs.group({ tabIds: groupTabIds, createProperties: { windowId } })
+      await ext.browserApi.tabGroups?.update(groupId, {
+        title: group.title,
+        ...(group.color && { color: group.color }),
+      })
+    }
+  }
+
+  if (windowId != null) {
+    await ext.browserApi.windows.update(windowId, { focused: true })
+  }
+  return windowId
+}
+
+function normalizeWorkspace(workspace) {
+  const name = String(workspace?.name || '')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+  const groups = (Array.isArray(workspace?.groups) ? workspace.groups : []).map((group) => ({
+    title: String(group?.title || ''),
+    ...(group?.color && { color: String(group.color) }),
+  }))
+  const tabs = (Array.isArray(workspace?.tabs) ? workspace.tabs : [])
+    .filter((tab) => isBookmarkableUrl(tab?.url))
+    .slice(0, WORKSPACE_MAX_TABS)
+    .map((tab) => ({
+      url: tab.url,
+      title: String(tab.title || tab.url),
+      ...(Number.isInteger(tab.group) && tab.group < groups.length && { group: tab.group }),
+    }))
+  if (!name || !tabs.length) return null
+
+  const createdAt = Number.isFinite(workspace.createdAt) ? workspace.createdAt : Date.now()
+  return {
+    id: workspace.id || `${createdAt}-${Math.random().toString(36).slice(2, 10)}`,
+    name,
+    createdAt,
+    tabs,
+    groups,
+  }
+}
+
+function sortWorkspaces(workspaces) {
+  return workspaces.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+async function persistWorkspaces(workspaces) {
+  const storage = getWorkspaceStorage()
+  if (!storage) {
+    throw new Error('Workspaces need the browser storage API.')
+  }
+  await storage.set({ [WORKSPACES_STORAGE_KEY]: workspaces })
+}
+
+function getWorkspaceStorage() {
+  return ext.browserApi?.storage?.local || null
+}
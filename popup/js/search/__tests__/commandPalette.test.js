@@ -0,0 +1,86 @@
+/**
+ * Tests for commandPalette.js - command registry and matching for the `>` search mode.
+ *
+ * ✅ Covered behaviors: registration and validation, availability, substring and subsequence matching,
+ *    ranking, running commands and error reporting.
+ * ⚠️ Known gaps: none
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+
+let palette
+
+beforeEach(async () => {
+  jest.resetModules()
+  document.body.innerHTML = '<div id="error-overlay" style="display:none"></div>'
+  palette = await import('../commandPalette.js')
+  palette.registerCommand({ id: 'manager', title: 'Open Bookmark Manager', keywords: ['organize'], run: jest.fn() })
+  palette.registerCommand({ id: 'duplicates', title: 'Close Duplicate Tabs', run: jest.fn() })
+  palette.registerCommand({ id: 'hidden', title: 'Hidden Command', available: () => false, run: jest.fn() })
+})
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+describe('commandPalette', () => {
+  test('requires an id, a title and a run function', () => {
+    expect(() => palette.registerCommand({ id: 'x', title: 'X' })).toThrow('run function')
+    expect(() => palette.registerCommand({ title: 'X', run: () => {} })).toThrow()
+  })
+
+  test('lists all available commands for an empty query', () => {
+    const results = palette.searchCommands('')
+
+    expect(results.map((result) => result.originalId)).toEqual(['manager', 'duplicates'])
+    expect(results[0]).toMatchObject({
+      type: 'command',
+      title: 'Open Bookmark Manager',
+      titleLower: 'open bookmark manager',
+    })
+  })
+
+  test('matches titles and keywords by substring or subsequence', () => {
+    const ids = (term) => palette.searchCommands(term).map((result) => result.originalId)
+
+    expect(ids('dupl')).toEqual(['duplicates'])
+    expect(ids('organize')).toEqual(['manager'])
+    expect(ids('bmgr')).toEqual(['manager'])
+    expect(ids('close tabs')).toEqual(['duplicates'])
+    expect(ids('xyz')).toEqual([])
+    expect(ids('hidden')).toEqual([])
+  })
+
+  test('ranks substring matches above subsequence matches', () => {
+    palette.registerCommand({ id: 'other', title: 'Toggle Search', keywords: ['tbs'], run: () => {} })
+
+    expect(palette.searchCommands('tab').map((result) => result.originalId)).toEqual(['duplicates', 'other'])
+  })
+
+  test('replaces commands registered with the same id', () => {
+    palette.registerCommand({ id: 'manager', title: 'Manager Replacement', run: () => {} })
+
+    expect(palette.getCommands().map((command) => command.title)).toEqual([
+      'Manager Replacement',
+      'Close Duplicate Tabs',
+    ])
+  })
+
+  test('runs commands and reports failures in the error overlay', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    palette.registerCommand({
+      id: 'broken',
+      title: 'Broken',
+      run: () => Promise.reject(new Error('Nope')),
+    })
+
+    await expect(palette.runCommand('manager')).resolves.toBe(true)
+    expect(palette.getCommands()[0].run).toHaveBeenCalledTimes(1)
+
+    await expect(palette.runCommand('broken')).resolves.toBe(false)
+    expect(document.getElementById('error-overlay').textContent).toContain('Nope')
+    await expect(palette.runCommand('missing')).resolves.toBe(false)
+    errorSpy.mockRestore()
+  })
+})
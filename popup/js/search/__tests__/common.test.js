@@ -2,7 +2,7 @@
  * Tests for common.js - search orchestration and coordination logic.
  *
  * ✅ Covered behaviors: search entry gating, cache hits, taxonomy/custom/direct results integration,
- *    scoring, sorting, result filtering, and overall search flow orchestration.
+ *    lazy loading of page content for `content:` filters, rendering before the semantic rerank, scoring, sorting, result filtering, and overall search flow orchestration.
  * ⚠️ Known gaps: DOM rendering side effects and performance metrics are not asserted due to limited observable outputs.
  * 🐞 Added BUG tests: cache invalidation, dead code, architecture violations
  *
@@ -33,6 +33,7 @@ let calculateFinalScore
 let sortResults
 let resetSimpleSearchState
 let resetFuzzySearchState
+let resetSemanticSearchState
 
 beforeAll(async () => {
   await jest.unstable_mockModule('../../helper/browserApi.js', () => ({
@@ -65,6 +66,7 @@ beforeAll(async () => {
   resetSimpleSearchState = simpleSearchModule.resetSimpleSearchState
   const fuzzySearchModule = await import('../fuzzySearch.js')
   resetFuzzySearchState = fuzzySearchModule.resetFuzzySearchState
+  ;({ resetSemanticSearchState } = await import('../semanticSearch.js'))
 })
 
 beforeEach(() => {
@@ -163,6 +165,28 @@ describe('executeSearch', () => {
     await executeSearch('tabs', 'tabs', ext.model, ext.opts)
     expect(mockLoadScript).toHaveBeenCalledWith('./lib/uFuzzy.iife.min.js')
   })
+
+  test('loads the captured page content only for content: filters', async () => {
+    ext.model.bookmarks = createBookmarksTestData([
+      { title: 'Budgets', url: 'https://sre.test/budgets' },
+      { title: 'Other', url: 'https://other.test' },
+    ])
+    const stored = {
+      pageContentIndex: { 'sre.test/budgets': 1 },
+      'pageContent:sre.test/budgets': { text: 'Error Budgets explained', capturedAt: 1 },
+    }
+    const get = jest.fn(async (keys) => Object.fromEntries([keys].flat().map((key) => [key, stored[key]])))
+    ext.browserApi.storage = { local: { get } }
+    ext.opts.enablePageContentIndex = true
+
+    await executeSearch('budgets', 'bookmarks', ext.model, ext.opts)
+    expect(get).not.toHaveBeenCalled()
+    expect(ext.model.pageContent).toBeUndefined()
+
+    const results = await executeSearch('content:error', 'bookmarks', ext.model, ext.opts)
+    expect(results.map((result) => result.title)).toEqual(['Budgets'])
+    expect(ext.model.pageContent.get('sre.test/budgets').textLower).toBe('error budgets explained')
+  })
 })
 
 describe('calculateFinalScore', () => {
@@ -208,6 +232,16 @@ describe('search', () => {
     expect(mockRenderSearchResults).not.toHaveBeenCalled()
   })
 
+  test('returns early for keys bound to navigation actions in the keybindings option', async () => {
+    ext.opts.keybindings = { selectNext: ['PageDown'], back: [] }
+
+    await search({ key: 'PageDown' })
+    expect(mockRenderSearchResults).not.toHaveBeenCalled()
+
+    await search({ key: 'Escape' })
+    expect(mockRenderSearchResults).toHaveBeenCalled()
+  })
+
   test('skips execution when extension is not initialized', async () => {
     ext.initialized = false
 
@@ -374,6 +408,22 @@ describe('search', () => {
     expect(direct.title).toBe('Direct: "example.com"')
   })
 
+  test('adds direct url result for local and allowlisted intranet hosts', async () => {
+    ext.opts.directUrlIntranetHosts = ['jira']
+
+    ext.dom.searchInput.value = 'localhost:3000'
+    await search({ key: '0' })
+    expect(ext.model.result.find((item) => item.type === 'direct')?.originalUrl).toBe('http://localhost:3000')
+
+    ext.dom.searchInput.value = 'jira/browse/abc-1'
+    await search({ key: '1' })
+    expect(ext.model.result.find((item) => item.type === 'direct')?.originalUrl).toBe('http://jira/browse/abc-1')
+
+    ext.dom.searchInput.value = 'wiki'
+    await search({ key: 'i' })
+    expect(ext.model.result.some((item) => item.type === 'direct')).toBe(false)
+  })
+
   test.failing('preserves the user-typed casing for direct URL navigation targets', async () => {
     ext.dom.searchInput.value = 'Example.com/API/Foo'
     ext.opts.enableSearchEngines = false
@@ -552,6 +602,43 @@ describe('search', () => {
     expect(fallbackResult?.searchApproach).toBe('precise')
   })
 
+  test('renders the lexical results before the semantic rerank and replaces them once it is done', async () => {
+    let answerPrompt
+    globalThis.LanguageModel = {
+      availability: jest.fn(async () => 'available'),
+      create: jest.fn(async () => ({
+        clone: async () => ({ prompt: () => new Promise((resolve) => (answerPrompt = resolve)), destroy: jest.fn() }),
+      })),
+    }
+    try {
+      ext.dom.searchInput.value = 'layout'
+      ext.opts.searchStrategy = 'semantic'
+      ext.opts.enableSearchEngines = false
+      ext.opts.customSearchEngines = []
+      ext.model.bookmarks = createBookmarksTestData([
+        { title: 'Layout basics', url: 'https://a.test' },
+        { title: 'Grid layout', url: 'https://b.test' },
+      ])
+
+      await search({ key: 't' })
+
+      expect(ext.model.result.map((result) => result.title)).toEqual(['Layout basics', 'Grid layout'])
+      expect(mockRenderSearchResults).toHaveBeenCalledTimes(1)
+
+      await new Promise((resolve) => setTimeout(resolve, 0))
+      answerPrompt('{"ranking":[2,1]}')
+      await new Promise((resolve) => setTimeout(resolve, 0))
+
+      expect(ext.model.result.map((result) => result.title)).toEqual(['Grid layout', 'Layout basics'])
+      expect(ext.model.result[0].highlightedTitle).toBe('Grid <mark>layout</mark>')
+      expect(ext.searchCache.get('layout_semantic_all')).toBe(ext.model.result)
+      expect(mockRenderSearchResults).toHaveBeenCalledTimes(2)
+    } finally {
+      resetSemanticSearchState()
+      delete globalThis.LanguageModel
+    }
+  })
+
   test('skips highlight markup generation when match highlighting is disabled', async () => {
     ext.dom.searchInput.value = 'highlight'
     ext.opts.displaySearchMatchHighlight = false
@@ -572,6 +659,23 @@ describe('search', () => {
     expect(ext.model.result[0].highlightedTagsArray).toBeUndefined()
   })
 
+  test('does not highlight negated query terms', async () => {
+    ext.dom.searchInput.value = 'react -native "hooks"'
+    ext.opts.displaySearchMatchHighlight = true
+    ext.opts.enableSearchEngines = false
+    ext.opts.customSearchEngines = []
+    ext.model.bookmarks = createBookmarksTestData([
+      { title: 'React Hooks', url: 'https://react.dev/hooks' },
+      { title: 'React Native Hooks', url: 'https://reactnative.dev/hooks' },
+    ])
+
+    await search({ key: 'k' })
+
+    expect(ext.model.result).toHaveLength(1)
+    expect(ext.model.result[0].highlightedTitle).toBe('<mark>React</mark> <mark>Hooks</mark>')
+    expect(ext.model.result[0].highlightedUrl).not.toContain('<mark>native')
+  })
+
   test('stores new results in cache after search', async () => {
     ext.dom.searchInput.value = 'remember'
     ext.model.bookmarks = createBookmarksTestData([
@@ -0,0 +1,55 @@
+/**
+ * Tests for contentSnippets.js - highlighted page text excerpts for `content:` queries.
+ *
+ * ✅ Covered behaviors: excerpt around the first match, ellipses, highlighting, HTML escaping,
+ *    negated filters and results without captured text.
+ * ⚠️ Known gaps: none
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import { clearTestExt, createTestExt } from '../../__tests__/testUtils.js'
+import { addContentSnippets, createContentSnippet } from '../contentSnippets.js'
+
+describe('createContentSnippet', () => {
+  test('returns short texts completely with highlighted terms', () => {
+    expect(createContentSnippet('Error budgets <explained>', ['budget'])).toBe(
+      'Error <mark>budget</mark>s &lt;explained&gt;',
+    )
+  })
+
+  test('cuts an excerpt around the first match of any term', () => {
+    const text = `${'a '.repeat(100)}error budget${' b'.repeat(150)}`
+    const snippet = createContentSnippet(text, ['budget', 'error'])
+
+    expect(snippet.startsWith('…')).toBe(true)
+    expect(snippet.endsWith('…')).toBe(true)
+    expect(snippet).toContain('<mark>error</mark> <mark>budget</mark>')
+  })
+
+  test('returns an empty string without match', () => {
+    expect(createContentSnippet('Nothing here', ['budget'])).toBe('')
+  })
+})
+
+describe('addContentSnippets', () => {
+  beforeEach(() => {
+    createTestExt()
+    ext.model.pageContent = new Map([['blog.test', { text: 'Error budgets', textLower: 'error budgets' }]])
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('adds snippets for positive content filters only', () => {
+    const results = [{ url: 'blog.test' }, { url: 'other.test' }]
+
+    addContentSnippets(results, [{ field: 'content', value: 'error', negated: true }])
+    expect(results[0].contentSnippet).toBeUndefined()
+
+    addContentSnippets(results, [{ field: 'content', value: 'error', negated: false }])
+    expect(results[0].contentSnippet).toBe('<mark>Error</mark> budgets')
+    expect(results[1].contentSnippet).toBeUndefined()
+  })
+})
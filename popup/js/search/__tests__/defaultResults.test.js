@@ -1,7 +1,8 @@
 /**
  * Tests for defaultResults.js - default result generation when no search term provided.
  *
- * ✅ Covered behaviors: mode-specific defaults, current tab matching, recent tabs, error handling
+ * ✅ Covered behaviors: mode-specific defaults, current tab matching, recent tabs, recent searches, saved searches, windows,
+ *    configurable sections with limits, headers and de-duplication, error handling
  * ⚠️ Known gaps: none
  * 🐞 Added BUG tests: none
  */
@@ -89,6 +90,21 @@ describe('addDefaultEntries', () => {
     })
   })
 
+  describe('reading list mode', () => {
+    test('returns unread entries first, then the most recently added', async () => {
+      ext.model.searchMode = 'readingList'
+      ext.model.readingList = [
+        { originalId: 'read-new', unread: false, dateAdded: 300 },
+        { originalId: 'unread-old', unread: true, dateAdded: 100 },
+        { originalId: 'unread-new', unread: true, dateAdded: 200 },
+      ]
+
+      const results = await addDefaultEntries()
+
+      expect(results.map((r) => r.originalId)).toEqual(['unread-new', 'unread-old', 'read-new'])
+    })
+  })
+
   describe('bookmarks mode', () => {
     test('returns all bookmarks with default score', async () => {
       ext.model.searchMode = 'bookmarks'
@@ -192,8 +208,9 @@ describe('addDefaultEntries', () => {
         originalUrl: 'https://active.test/path',
         url: 'active.test/path',
         favIconUrl: 'https://active.test/favicon.ico',
+        sectionTitle: 'Current Page',
       })
-      expect(results[1]).toEqual(expect.objectContaining({ id: 2 }))
+      expect(results[1]).toEqual(expect.objectContaining({ id: 2, sectionTitle: 'Recent Tabs' }))
     })
 
     test('does not add quick bookmark action when option is disabled', async () => {
@@ -395,5 +412,132 @@ describe('addDefaultEntries', () => {
       // Tab with undefined should be sorted last
       expect(results.map((r) => r.id)).toEqual([2, 1])
     })
+
+    test('adds recent search queries after the recent tabs', async () => {
+      ext.opts.enableSearchHistory = true
+      ext.opts.maxRecentSearchesToShow = 1
+      ext.model.tabs = [{ id: 1, url: 'https://tab.test', lastVisitSecondsAgo: 10 }]
+      ext.model.searchHistory = [
+        { query: 'react', searchedAt: Date.now() },
+        { query: 'vue', searchedAt: Date.now() },
+      ]
+
+      const results = await addDefaultEntries()
+
+      expect(results.map((r) => r.id ?? r.title)).toEqual([1, 'react'])
+      expect(results[1]).toMatchObject({ type: 'recentSearch', description: 'Recent search' })
+
+      ext.opts.enableSearchHistory = false
+      expect((await addDefaultEntries()).map((r) => r.type)).not.toContain('recentSearch')
+    })
+
+    test('adds saved searches after the recent searches', async () => {
+      ext.opts.maxRecentTabsToShow = 0
+      ext.model.savedSearches = [{ id: 'roadmap', name: 'Roadmap', query: '#work ~Projects  roadmap', createdAt: 1 }]
+
+      const results = await addDefaultEntries()
+
+      expect(results.at(-1)).toMatchObject({
+        type: 'savedSearch',
+        title: 'Roadmap',
+        description: '#work ~Projects  roadmap',
+        query: '#work ~Projects  roadmap',
+        originalId: 'roadmap',
+      })
+    })
+  })
+
+  describe('configurable sections', () => {
+    const bookmarks = [
+      {
+        id: 1,
+        originalId: 1,
+        type: 'bookmark',
+        url: 'docs.test/a',
+        customBonusScore: 10,
+        visitCount: 2,
+        dateAdded: 100,
+      },
+      {
+        id: 2,
+        originalId: 2,
+        type: 'bookmark',
+        url: 'docs.test/b',
+        customBonusScore: 0,
+        visitCount: 9,
+        dateAdded: 300,
+      },
+      {
+        id: 3,
+        originalId: 3,
+        type: 'bookmark',
+        url: 'other.test',
+        customBonusScore: 50,
+        visitCount: 5,
+        dateAdded: 200,
+      },
+      { id: 4, originalId: 4, type: 'bookmark', url: 'docs.test', customBonusScore: 0, visitCount: 1, dateAdded: 50 },
+    ]
+
+    beforeEach(() => {
+      ext.model.bookmarks = bookmarks.map((bookmark) => ({ ...bookmark }))
+      ext.model.tabs = [{ id: 9, originalId: 9, url: 'https://docs.test/a', active: true }]
+    })
+
+    test.each([
+      ['favoriteBookmarks', [3, 1]],
+      ['mostVisitedBookmarks', [2, 3, 1, 4]],
+      ['recentlyAddedBookmarks', [2, 3, 1, 4]],
+      ['domainBookmarks', [2, 4]],
+    ])('lists %s', async (section, expectedIds) => {
+      ext.opts.defaultResultSections = [{ section }]
+
+      const results = await addDefaultEntries()
+
+      expect(results.map((r) => r.id)).toEqual(expectedIds)
+    })
+
+    test('applies the configured order, limits and titles and marks the first entry of each section', async () => {
+      ext.opts.defaultResultSections = [
+        { section: 'favoriteBookmarks', limit: 1, title: 'Pinned' },
+        { section: 'mostVisitedBookmarks', limit: 2 },
+        { section: 'recentlyAddedBookmarks', title: '' },
+        { section: 'recentTabs', limit: 0 },
+      ]
+
+      const results = await addDefaultEntries()
+
+      expect(results.map((r) => [r.id, r.sectionTitle])).toEqual([
+        [3, 'Pinned'],
+        [2, 'Most Visited Bookmarks'],
+        [1, undefined],
+        [4, undefined],
+      ])
+      expect(ext.model.bookmarks[0].sectionTitle).toBeUndefined()
+    })
+
+    test('lists the windows with their tab counts', async () => {
+      ext.opts.defaultResultSections = [{ section: 'windows' }]
+      ext.model.tabs = [
+        { originalId: 1, windowId: 1, windowLabel: 'Docs' },
+        { originalId: 2, windowId: 1, windowLabel: 'Docs' },
+        { originalId: 3, windowId: 2, windowLabel: 'Mail' },
+      ]
+
+      const results = await addDefaultEntries()
+
+      expect(results.map((r) => [r.type, r.title, r.description, r.originalId, r.sectionTitle])).toEqual([
+        ['window', 'Docs', '2 tabs', 1, 'Windows'],
+        ['window', 'Mail', '1 tab', 2, undefined],
+      ])
+    })
+
+    test('ignores unknown sections', async () => {
+      ext.opts.defaultResultSections = [{ section: 'unknown' }, { section: 'currentPage' }]
+
+      const results = await addDefaultEntries()
+
+      expect(results.map((r) => [r.id, r.sectionTitle])).toEqual([[1, 'Current Page']])
+    })
   })
 })
@@ -0,0 +1,68 @@
+/**
+ * Tests for directUrl.js - detection of search terms that can be opened as URL.
+ *
+ * ✅ Covered behaviors: domains, localhost, IPv4 and IPv6 addresses with ports and paths, explicit schemes,
+ *    allowlisted single-label intranet hosts, added schemes, and rejection of plain search terms.
+ * ⚠️ Known gaps: internationalized domain names are only accepted in their punycode (`xn--`) form.
+ * 🐞 Added BUG tests: none
+ */
+import { describe, expect, test } from '@jest/globals'
+import { detectDirectUrl } from '../directUrl.js'
+
+describe('detectDirectUrl', () => {
+  test.each([
+    ['example.com', 'https://example.com'],
+    ['docs.example.co.uk/guide?page=2#intro', 'https://docs.example.co.uk/guide?page=2#intro'],
+    ['example.photography', 'https://example.photography'],
+    ['example.com:8443/admin', 'https://example.com:8443/admin'],
+    ['localhost', 'http://localhost'],
+    ['localhost:3000/api', 'http://localhost:3000/api'],
+    ['app.localhost:5173', 'http://app.localhost:5173'],
+    ['192.168.1.10', 'http://192.168.1.10'],
+    ['127.0.0.1:8080/status', 'http://127.0.0.1:8080/status'],
+    ['[::1]:8080', 'http://[::1]:8080'],
+    ['[2001:db8::1]/path', 'http://[2001:db8::1]/path'],
+    ['fe80::1', 'http://[fe80::1]'],
+  ])('adds the scheme to %s', (term, expected) => {
+    expect(detectDirectUrl(term)).toBe(expected)
+  })
+
+  test.each([
+    'http://intranet',
+    'https://example.com/path',
+    'ftp://files.example.com/pub',
+    'file:///home/me/notes.txt',
+    'chrome://extensions',
+  ])('keeps %s with its explicit scheme', (term) => {
+    expect(detectDirectUrl(term)).toBe(term)
+  })
+
+  test('opens allowlisted intranet hosts, ignoring case', () => {
+    const intranetHosts = ['Jira', ' wiki ']
+
+    expect(detectDirectUrl('jira', intranetHosts)).toBe('http://jira')
+    expect(detectDirectUrl('jira/browse/abc-1', intranetHosts)).toBe('http://jira/browse/abc-1')
+    expect(detectDirectUrl('wiki:8080/start', intranetHosts)).toBe('http://wiki:8080/start')
+    expect(detectDirectUrl('jira/browse/abc-1')).toBeNull()
+    expect(detectDirectUrl('confluence', intranetHosts)).toBeNull()
+  })
+
+  test.each([
+    '',
+    'react',
+    'node.js tutorial',
+    'visits:10',
+    'tag:react',
+    '12:30:45',
+    'v1.2.3',
+    '256.1.1.1',
+    'localhost:70000',
+    '[not-an-ip]',
+    '#tag',
+    '~folder',
+    'javascript://%0aalert(1)',
+    'mailto:me@example.com',
+  ])('does not treat %p as URL', (term) => {
+    expect(detectDirectUrl(term)).toBeNull()
+  })
+})
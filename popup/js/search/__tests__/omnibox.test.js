@@ -0,0 +1,165 @@
+/**
+ * Tests for omnibox.js - address bar suggestions served by the background service worker.
+ *
+ * ✅ Covered behaviors: data loading, mode prefixes, custom search aliases, suggestion formatting
+ *    (markup and plain text), de-duplication and opening results per disposition.
+ * ⚠️ Known gaps: listener registration in initBackground.js (requires the uFuzzy ES module from popup/lib).
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import {
+  clearTestExt,
+  createBookmarksTestData,
+  createHistoryTestData,
+  createTabsTestData,
+  createTestExt,
+} from '../../__tests__/testUtils.js'
+
+const mockGetEffectiveOptions = jest.fn()
+const mockGetSearchData = jest.fn()
+
+let omnibox
+
+beforeAll(async () => {
+  const optionsStorageModule = await import('../../model/optionsStorage.js')
+  await jest.unstable_mockModule('../../model/optionsStorage.js', () => ({
+    __esModule: true,
+    ...optionsStorageModule,
+    getEffectiveOptions: mockGetEffectiveOptions,
+  }))
+  const searchDataModule = await import('../../model/searchData.js')
+  await jest.unstable_mockModule('../../model/searchData.js', () => ({
+    __esModule: true,
+    ...searchDataModule,
+    getSearchData: mockGetSearchData,
+  }))
+  omnibox = await import('../omnibox.js')
+})
+
+function createSearchData() {
+  return {
+    bookmarks: createBookmarksTestData([
+      { id: 'b1', title: 'GitHub Roadmap #work', url: 'https://github.com/org/roadmap' },
+      { id: 'b2', title: 'Docs <Guide>', url: 'https://docs.example.com/guide' },
+    ]),
+    tabs: createTabsTestData([
+      { id: 7, windowId: 3, title: 'Roadmap Board', url: 'https://board.example.com/roadmap' },
+    ]),
+    history: createHistoryTestData([
+      { id: 'h1', title: 'GitHub Roadmap #work', url: 'https://github.com/org/roadmap', visitCount: 4 },
+    ]),
+  }
+}
+
+beforeEach(async () => {
+  createTestExt({
+    browserApi: {
+      tabs: { create: jest.fn(), update: jest.fn() },
+      windows: { update: jest.fn() },
+    },
+  })
+  mockGetEffectiveOptions.mockResolvedValue({
+    ...ext.opts,
+    searchStrategy: 'precise',
+    enableSearchEngines: false,
+    customSearchEngines: [{ alias: ['g'], name: 'Google', urlPrefix: 'https://www.google.com/search?q=$s' }],
+  })
+  mockGetSearchData.mockResolvedValue(createSearchData())
+  await omnibox.loadOmniboxSearchData()
+})
+
+afterEach(() => {
+  jest.clearAllMocks()
+  clearTestExt()
+})
+
+describe('loadOmniboxSearchData', () => {
+  test('loads effective options and search data into the context', () => {
+    expect(mockGetEffectiveOptions).toHaveBeenCalledTimes(1)
+    expect(ext.opts.searchStrategy).toBe('precise')
+    expect(ext.model.bookmarks).toHaveLength(2)
+    expect(ext.initialized).toBe(true)
+  })
+})
+
+describe('getOmniboxResults', () => {
+  test('returns scored results across all sources', async () => {
+    const results = await omnibox.getOmniboxResults('roadmap')
+    expect(results.map((r) => r.type)).toEqual(expect.arrayContaining(['bookmark', 'tab']))
+    expect(results[0].score).toBeGreaterThanOrEqual(results[results.length - 1].score)
+  })
+
+  test('respects mode prefixes', async () => {
+    const results = await omnibox.getOmniboxResults('t roadmap')
+    expect(results.map((r) => r.type)).toEqual(['tab'])
+  })
+
+  test('supports custom search aliases', async () => {
+    const results = await omnibox.getOmniboxResults('g cats')
+    expect(results[0]).toMatchObject({ type: 'customSearch', originalUrl: 'https://www.google.com/search?q=cats' })
+  })
+
+  test('returns nothing for an empty query or the command palette', async () => {
+    await expect(omnibox.getOmniboxResults('b ')).resolves.toEqual([])
+    await expect(omnibox.getOmniboxResults('>export')).resolves.toEqual([])
+  })
+})
+
+describe('createOmniboxSuggestion', () => {
+  const result = {
+    type: 'bookmark',
+    title: 'Docs <Guide>',
+    url: 'docs.example.com',
+    originalUrl: 'https://docs.example.com',
+  }
+
+  test('escapes titles and adds markup for Chrome', () => {
+    expect(omnibox.createOmniboxSuggestion(result, true)).toEqual({
+      content: 'https://docs.example.com',
+      description: '<dim>Bookmark:</dim> Docs &lt;Guide&gt; <dim>-</dim> <url>docs.example.com</url>',
+    })
+  })
+
+  test('uses plain text without markup support', () => {
+    expect(omnibox.createOmniboxSuggestion(result, false).description).toBe('Bookmark: Docs <Guide> - docs.example.com')
+  })
+})
+
+describe('handleOmniboxInputChanged', () => {
+  test('suggests each URL only once', async () => {
+    const suggest = jest.fn()
+    await omnibox.handleOmniboxInputChanged('roadmap', suggest)
+
+    const suggestions = suggest.mock.calls[0][0]
+    const contents = suggestions.map((s) => s.content)
+    expect(new Set(contents).size).toBe(contents.length)
+    expect(contents).toContain('https://board.example.com/roadmap')
+  })
+})
+
+describe('handleOmniboxInputEntered', () => {
+  test('switches to an open tab for the current tab disposition', async () => {
+    await omnibox.handleOmniboxInputChanged('roadmap board', jest.fn())
+    await omnibox.handleOmniboxInputEntered('https://board.example.com/roadmap', 'currentTab')
+
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith(7, { active: true })
+    expect(ext.browserApi.windows.update).toHaveBeenCalledWith(3, { focused: true })
+  })
+
+  test('opens the best match for raw input in the current tab', async () => {
+    await omnibox.handleOmniboxInputEntered('docs guide', 'currentTab')
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith({ url: 'https://docs.example.com/guide' })
+  })
+
+  test('opens background tabs when requested', async () => {
+    await omnibox.handleOmniboxInputEntered('docs guide', 'newBackgroundTab')
+    expect(ext.browserApi.tabs.create).toHaveBeenCalledWith({ url: 'https://docs.example.com/guide', active: false })
+  })
+
+  test('does nothing without matches', async () => {
+    await omnibox.handleOmniboxInputEntered('zzzz-no-match', 'currentTab')
+    expect(ext.browserApi.tabs.update).not.toHaveBeenCalled()
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+  })
+})
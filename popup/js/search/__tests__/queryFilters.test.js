@@ -0,0 +1,270 @@
+/**
+ * Tests for queryFilters.js - inline `field:value` filter matching.
+ *
+ * ✅ Covered behaviors: title/url/domain/tag/folder matching, date and visit count filters, page content, device,
+ *    window, duplicate and stale tabs, negation, marker stripping, unknown fields and unparsable values
+ * ⚠️ Known gaps: none
+ * 🐞 Added BUG tests: none
+ */
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals'
+import {
+  clearTestExt,
+  createBookmarksTestData,
+  createHistoryTestData,
+  createTestExt,
+} from '../../__tests__/testUtils.js'
+import { applyQueryFilters, compileQueryFilters } from '../queryFilters.js'
+
+describe('applyQueryFilters', () => {
+  const bookmarks = createBookmarksTestData([
+    {
+      title: 'Roadmap Q3 #work #planning',
+      url: 'https://github.com/fannon/project/issues/1',
+      id: 'roadmap',
+    },
+    {
+      title: 'Team Wiki #work',
+      url: 'https://wiki.example.com/team',
+      id: 'wiki',
+    },
+    {
+      title: 'Gist snippets',
+      url: 'https://gist.github.com/fannon',
+      id: 'gist',
+    },
+  ])
+  const history = createHistoryTestData([{ id: 'history', title: 'GitHub Roadmap', url: 'https://github.com/roadmap' }])
+  const items = [...bookmarks, ...history]
+
+  const ids = (results) => results.map((item) => item.originalId)
+
+  test('returns the input when there are no filters', () => {
+    expect(applyQueryFilters(items, [])).toBe(items)
+  })
+
+  test('filters by title substring', () => {
+    const results = applyQueryFilters(items, [{ field: 'title', value: 'roadmap', negated: false }])
+    expect(ids(results)).toEqual(['roadmap', 'history'])
+  })
+
+  test('filters by normalized url substring', () => {
+    const results = applyQueryFilters(items, [{ field: 'url', value: '/issues/', negated: false }])
+    expect(ids(results)).toEqual(['roadmap'])
+  })
+
+  test('filters by url with scheme and www like the stored urls', () => {
+    const results = applyQueryFilters(items, [
+      { field: 'url', value: 'HTTPS://www.github.com/fannon/project/', negated: false },
+    ])
+    expect(ids(results)).toEqual(['roadmap'])
+  })
+
+  test('filters by domain including subdomains', () => {
+    const results = applyQueryFilters(items, [{ field: 'domain', value: 'github.com', negated: false }])
+    expect(ids(results)).toEqual(['roadmap', 'gist', 'history'])
+  })
+
+  test('does not match domain filters against the url path', () => {
+    const results = applyQueryFilters(items, [{ field: 'domain', value: 'fannon', negated: false }])
+    expect(results).toHaveLength(0)
+  })
+
+  test('normalizes protocol and www in domain filters', () => {
+    const results = applyQueryFilters(items, [
+      { field: 'domain', value: 'https://www.wiki.example.com', negated: false },
+    ])
+    expect(ids(results)).toEqual(['wiki'])
+  })
+
+  test('filters by tag prefix and ignores a leading #', () => {
+    expect(ids(applyQueryFilters(items, [{ field: 'tag', value: 'plan', negated: false }]))).toEqual(['roadmap'])
+    expect(ids(applyQueryFilters(items, [{ field: 'tag', value: '#work', negated: false }]))).toEqual([
+      'roadmap',
+      'wiki',
+    ])
+  })
+
+  test('filters by folder prefix', () => {
+    const folderItems = [
+      { originalId: 'a', folderArrayLower: ['projects', 'react'] },
+      { originalId: 'b', folderArrayLower: ['private'] },
+      { originalId: 'c' },
+    ]
+    expect(ids(applyQueryFilters(folderItems, [{ field: 'folder', value: '~react', negated: false }]))).toEqual(['a'])
+  })
+
+  test('supports negated filters and combines filters with AND', () => {
+    const results = applyQueryFilters(items, [
+      { field: 'domain', value: 'github.com', negated: false },
+      { field: 'tag', value: 'work', negated: true },
+    ])
+    expect(ids(results)).toEqual(['gist', 'history'])
+  })
+})
+
+describe('date and visit filters', () => {
+  const DAY = 24 * 60 * 60
+  // Local noon keeps `today` / `yesterday` boundaries independent of the test time zone
+  const now = new Date(2026, 5, 15, 12).getTime()
+  const daysAgo = (days) => now - days * DAY * 1000
+
+  const items = [
+    { originalId: 'new', dateAdded: daysAgo(0.25), lastVisitSecondsAgo: 60, visitCount: 12 },
+    { originalId: 'week', dateAdded: daysAgo(6), lastVisitSecondsAgo: 1.25 * DAY, visitCount: 3 },
+    { originalId: 'old', dateAdded: daysAgo(400), lastVisitSecondsAgo: 500 * DAY, visitCount: 1 },
+    { originalId: 'revisited', dateAdded: daysAgo(800), lastVisitSecondsAgo: 2 * DAY, visitCount: 40 },
+    { originalId: 'undated' },
+  ]
+
+  const filter = (field, value, negated = false) => ids(applyQueryFilters(items, [{ field, value, negated }], now))
+  const ids = (results) => results.map((item) => item.originalId)
+
+  test('added: matches durations as "within" by default', () => {
+    expect(filter('added', '<7d')).toEqual(['new', 'week'])
+    expect(filter('added', '7d')).toEqual(['new', 'week'])
+    expect(filter('added', '7')).toEqual(['new', 'week'])
+    expect(filter('added', '12h')).toEqual(['new'])
+  })
+
+  test('added: with > matches items added longer ago', () => {
+    expect(filter('added', '>1y')).toEqual(['old', 'revisited'])
+    expect(filter('added', '>2w')).toEqual(['old', 'revisited'])
+  })
+
+  test('added: supports ISO dates', () => {
+    expect(filter('added', '2026-06-09')).toEqual(['week'])
+    expect(filter('added', '>2026-06-09')).toEqual(['new'])
+    expect(filter('added', '<2026-01-01')).toEqual(['old', 'revisited'])
+  })
+
+  test('visited: supports today and yesterday', () => {
+    expect(filter('visited', 'today')).toEqual(['new'])
+    expect(filter('visited', 'yesterday')).toEqual(['week'])
+  })
+
+  test('visited: with durations', () => {
+    expect(filter('visited', '<3d')).toEqual(['new', 'week', 'revisited'])
+    expect(filter('visited', '>1y')).toEqual(['old'])
+  })
+
+  test('visits: compares the visit count', () => {
+    expect(filter('visits', '>10')).toEqual(['new', 'revisited'])
+    expect(filter('visits', '>=3')).toEqual(['new', 'week', 'revisited'])
+    expect(filter('visits', '<=1')).toEqual(['old', 'undated'])
+    expect(filter('visits', '3')).toEqual(['week'])
+  })
+
+  test('older: uses the most recent visit or creation date', () => {
+    expect(filter('older', '1y')).toEqual(['old'])
+    expect(filter('older', '1d')).toEqual(['week', 'old', 'revisited'])
+  })
+
+  test('items without dates only match negated date filters', () => {
+    expect(filter('added', '>1d')).not.toContain('undated')
+    expect(filter('older', '1y', true)).toEqual(['new', 'week', 'revisited', 'undated'])
+  })
+
+  test('ignores values that cannot be parsed', () => {
+    expect(filter('added', '<')).toHaveLength(items.length)
+    expect(filter('visits', 'many')).toHaveLength(items.length)
+  })
+})
+
+describe('content filter', () => {
+  const items = [
+    { originalId: 'captured', url: 'blog.example.com/slo' },
+    { originalId: 'other', url: 'news.example.com' },
+  ]
+  const ids = (results) => results.map((item) => item.originalId)
+
+  beforeEach(() => {
+    createTestExt()
+    ext.model.pageContent = new Map([
+      ['blog.example.com/slo', { text: 'Error budgets', textLower: 'error budgets' }],
+      ['news.example.com', { text: 'Weather', textLower: 'weather' }],
+    ])
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('matches the captured page text of the item URL', () => {
+    expect(ids(applyQueryFilters(items, [{ field: 'content', value: 'error budget', negated: false }]))).toEqual([
+      'captured',
+    ])
+    expect(ids(applyQueryFilters(items, [{ field: 'content', value: 'error', negated: true }]))).toEqual(['other'])
+  })
+
+  test('never matches without captured page content', () => {
+    ext.model.pageContent = undefined
+    expect(applyQueryFilters(items, [{ field: 'content', value: 'error', negated: false }])).toEqual([])
+  })
+})
+
+describe('device filter', () => {
+  const items = [
+    { originalId: 'laptop', deviceName: 'Work Laptop', deviceNameLower: 'work laptop' },
+    { originalId: 'desktop', deviceName: 'Desktop', deviceNameLower: 'desktop' },
+    { originalId: 'local' },
+  ]
+  const ids = (results) => results.map((item) => item.originalId)
+
+  test('matches synced tabs by device name', () => {
+    expect(ids(applyQueryFilters(items, [{ field: 'device', value: 'laptop', negated: false }]))).toEqual(['laptop'])
+    expect(ids(applyQueryFilters(items, [{ field: 'device', value: 'laptop', negated: true }]))).toEqual([
+      'desktop',
+      'local',
+    ])
+  })
+})
+
+describe('win filter', () => {
+  const items = [
+    { originalId: 1, windowId: 7, windowLabel: 'Research', windowLabelLower: 'research' },
+    { originalId: 2, windowId: 8, windowLabel: 'Mail - Inbox', windowLabelLower: 'mail - inbox' },
+    { originalId: 'bm' },
+  ]
+  const ids = (results) => results.map((item) => item.originalId)
+
+  test('matches open tabs by window label or window ID', () => {
+    expect(ids(applyQueryFilters(items, [{ field: 'win', value: 'inbox', negated: false }]))).toEqual([2])
+    expect(ids(applyQueryFilters(items, [{ field: 'win', value: '7', negated: false }]))).toEqual([1])
+    expect(ids(applyQueryFilters(items, [{ field: 'win', value: 'research', negated: true }]))).toEqual([2, 'bm'])
+  })
+})
+
+describe('is filter', () => {
+  const day = 24 * 60 * 60
+  const tabs = [
+    { type: 'tab', originalId: 1, url: 'a.test', lastVisitSecondsAgo: 60 },
+    { type: 'tab', originalId: 2, url: 'a.test', lastVisitSecondsAgo: 10 * day },
+    { type: 'tab', originalId: 3, url: 'b.test', lastVisitSecondsAgo: 10 * day, pinned: true },
+    { type: 'bookmark', originalId: 'bm', url: 'a.test' },
+  ]
+  const ids = (results) => results.map((item) => item.originalId)
+
+  beforeEach(() => {
+    createTestExt({ model: { tabs: tabs.slice(0, 3) }, opts: { staleTabDays: 7 } })
+  })
+
+  afterEach(() => {
+    clearTestExt()
+  })
+
+  test('matches duplicate and stale tabs', () => {
+    expect(ids(applyQueryFilters(tabs, [{ field: 'is', value: 'duplicate', negated: false }]))).toEqual([1, 2])
+    expect(ids(applyQueryFilters(tabs, [{ field: 'is', value: 'stale', negated: false }]))).toEqual([2])
+    expect(ids(applyQueryFilters(tabs, [{ field: 'is', value: 'duplicate', negated: true }]))).toEqual([3, 'bm'])
+  })
+
+  test('ignores unknown values', () => {
+    expect(compileQueryFilters([{ field: 'is', value: 'unknown', negated: false }])).toEqual([])
+  })
+})
+
+describe('compileQueryFilters', () => {
+  test('ignores unknown fields', () => {
+    expect(compileQueryFilters([{ field: 'unknown', value: 'x', negated: false }])).toEqual([])
+  })
+})
@@ -1,12 +1,19 @@
 /**
  * Tests for queryParser.js - query parsing and mode detection logic.
  *
- * ✅ Covered behaviors: mode prefix detection, taxonomy marker detection, fallback to 'all' mode
+ * ✅ Covered behaviors: mode prefix detection, taxonomy marker detection, fallback to 'all' mode,
+ *    precise query operators (negation, quoted phrases, OR groups), inline field filters
  * ⚠️ Known gaps: none
  * 🐞 Added BUG tests: none
  */
 import { describe, expect, test } from '@jest/globals'
-import { resolveSearchMode } from '../queryParser.js'
+import {
+  getPositiveSearchTerms,
+  hasQueryOperators,
+  parseQueryFilters,
+  parseSearchQuery,
+  resolveSearchMode,
+} from '../queryParser.js'
 
 describe('resolveSearchMode', () => {
   test('detects history mode prefix', () => {
@@ -33,6 +40,33 @@ describe('resolveSearchMode', () => {
     })
   })
 
+  test('detects recently closed sessions mode prefix', () => {
+    expect(resolveSearchMode('r closed tab')).toEqual({
+      mode: 'sessions',
+      term: 'closed tab',
+    })
+  })
+
+  test('detects reading list and downloads mode prefixes', () => {
+    expect(resolveSearchMode('rl article')).toEqual({ mode: 'readingList', term: 'article' })
+    expect(resolveSearchMode('dl report.pdf')).toEqual({ mode: 'downloads', term: 'report.pdf' })
+  })
+
+  test('detects the command palette prefix without a space', () => {
+    expect(resolveSearchMode('>export')).toEqual({ mode: 'commands', term: 'export' })
+    expect(resolveSearchMode('> close tabs')).toEqual({ mode: 'commands', term: ' close tabs' })
+  })
+
+  test('detects the saved search prefix without a space', () => {
+    expect(resolveSearchMode('saved:roadmap')).toEqual({ mode: 'savedSearches', term: 'roadmap' })
+    expect(resolveSearchMode('saved:')).toEqual({ mode: 'savedSearches', term: '' })
+  })
+
+  test('detects the workspace prefix without a space', () => {
+    expect(resolveSearchMode('ws:project')).toEqual({ mode: 'workspaces', term: 'project' })
+    expect(resolveSearchMode('ws:')).toEqual({ mode: 'workspaces', term: '' })
+  })
+
   test('detects search mode prefix', () => {
     const result = resolveSearchMode('s google query')
     expect(result).toEqual({
@@ -105,3 +139,154 @@ describe('resolveSearchMode', () => {
     })
   })
 })
+
+describe('parseSearchQuery', () => {
+  const simplify = (clauses) => clauses.map(({ terms, negated }) => ({ terms, negated }))
+
+  test('parses plain words as AND clauses', () => {
+    expect(simplify(parseSearchQuery('react hooks'))).toEqual([
+      { terms: ['react'], negated: false },
+      { terms: ['hooks'], negated: false },
+    ])
+  })
+
+  test('parses negated terms', () => {
+    expect(simplify(parseSearchQuery('react -native'))).toEqual([
+      { terms: ['react'], negated: false },
+      { terms: ['native'], negated: true },
+    ])
+  })
+
+  test('parses quoted phrases as a single term', () => {
+    expect(simplify(parseSearchQuery('"react hooks" guide'))).toEqual([
+      { terms: ['react hooks'], negated: false },
+      { terms: ['guide'], negated: false },
+    ])
+  })
+
+  test('parses negated quoted phrases', () => {
+    expect(simplify(parseSearchQuery('react -"react native"'))).toEqual([
+      { terms: ['react'], negated: false },
+      { terms: ['react native'], negated: true },
+    ])
+  })
+
+  test('treats unterminated quotes as phrase until the end of the query', () => {
+    expect(simplify(parseSearchQuery('docs "getting sta'))).toEqual([
+      { terms: ['docs'], negated: false },
+      { terms: ['getting sta'], negated: false },
+    ])
+  })
+
+  test('parses OR groups with and without surrounding spaces', () => {
+    expect(simplify(parseSearchQuery('react | vue'))).toEqual([{ terms: ['react', 'vue'], negated: false }])
+    expect(simplify(parseSearchQuery('react|vue|svelte guide'))).toEqual([
+      { terms: ['react', 'vue', 'svelte'], negated: false },
+      { terms: ['guide'], negated: false },
+    ])
+  })
+
+  test('parses OR groups containing phrases', () => {
+    expect(simplify(parseSearchQuery('"pull request" | pr'))).toEqual([
+      { terms: ['pull request', 'pr'], negated: false },
+    ])
+  })
+
+  test('ignores incomplete operators while typing', () => {
+    expect(simplify(parseSearchQuery('react -'))).toEqual([{ terms: ['react'], negated: false }])
+    expect(simplify(parseSearchQuery('react |'))).toEqual([{ terms: ['react'], negated: false }])
+    expect(simplify(parseSearchQuery('react ""'))).toEqual([{ terms: ['react'], negated: false }])
+  })
+
+  test('keeps dashes inside words as literal characters', () => {
+    expect(simplify(parseSearchQuery('react-native'))).toEqual([{ terms: ['react-native'], negated: false }])
+  })
+
+  test('generates distinct clause keys for different operators', () => {
+    const keys = parseSearchQuery('foo -foo "foo" foo|bar').map((clause) => clause.key)
+    expect(new Set(keys).size).toBe(4)
+  })
+
+  test('handles empty input', () => {
+    expect(parseSearchQuery('')).toEqual([])
+    expect(parseSearchQuery('   ')).toEqual([])
+    expect(parseSearchQuery(undefined)).toEqual([])
+  })
+})
+
+describe('getPositiveSearchTerms', () => {
+  test('returns whitespace separated words for plain queries', () => {
+    expect(getPositiveSearchTerms('react  hooks')).toEqual(['react', 'hooks'])
+  })
+
+  test('skips negated terms and unwraps phrases and OR groups', () => {
+    expect(getPositiveSearchTerms('react -native "custom hooks" a|b')).toEqual(['react', 'custom hooks', 'a', 'b'])
+  })
+})
+
+describe('hasQueryOperators', () => {
+  test('detects operator syntax', () => {
+    expect(hasQueryOperators('react -native')).toBe(true)
+    expect(hasQueryOperators('-native')).toBe(true)
+    expect(hasQueryOperators('"react"')).toBe(true)
+    expect(hasQueryOperators('a|b')).toBe(true)
+  })
+
+  test('ignores plain queries and dashes inside words', () => {
+    expect(hasQueryOperators('react hooks')).toBe(false)
+    expect(hasQueryOperators('react-native')).toBe(false)
+    expect(hasQueryOperators('')).toBe(false)
+  })
+})
+
+describe('parseQueryFilters', () => {
+  test('returns the term unchanged when no filters are present', () => {
+    expect(parseQueryFilters('react hooks')).toEqual({ term: 'react hooks', filters: [] })
+  })
+
+  test('extracts filters from anywhere in the query', () => {
+    expect(parseQueryFilters('domain:github.com roadmap title:q3 tag:work')).toEqual({
+      term: 'roadmap',
+      filters: [
+        { field: 'domain', value: 'github.com', negated: false },
+        { field: 'title', value: 'q3', negated: false },
+        { field: 'tag', value: 'work', negated: false },
+      ],
+    })
+  })
+
+  test('supports negated and quoted filter values', () => {
+    expect(parseQueryFilters('-folder:archive title:"road map" notes')).toEqual({
+      term: 'notes',
+      filters: [
+        { field: 'folder', value: 'archive', negated: true },
+        { field: 'title', value: 'road map', negated: false },
+      ],
+    })
+  })
+
+  test('extracts date and visit count filters with comparators', () => {
+    expect(parseQueryFilters('article added:<30d visits:>10 -visited:today older:1y')).toEqual({
+      term: 'article',
+      filters: [
+        { field: 'added', value: '<30d', negated: false },
+        { field: 'visits', value: '>10', negated: false },
+        { field: 'visited', value: 'today', negated: true },
+        { field: 'older', value: '1y', negated: false },
+      ],
+    })
+  })
+
+  test('keeps URL paths as filter values', () => {
+    expect(parseQueryFilters('url:/issues/ bug').filters).toEqual([{ field: 'url', value: '/issues/', negated: false }])
+  })
+
+  test('drops filters without a value while typing', () => {
+    expect(parseQueryFilters('roadmap domain:')).toEqual({ term: 'roadmap', filters: [] })
+  })
+
+  test('ignores unknown fields and colons inside words', () => {
+    expect(parseQueryFilters('localhost:3000 foo:bar')).toEqual({ term: 'localhost:3000 foo:bar', filters: [] })
+    expect(parseQueryFilters('mytitle:foo')).toEqual({ term: 'mytitle:foo', filters: [] })
+  })
+})
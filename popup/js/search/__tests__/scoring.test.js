@@ -270,6 +270,20 @@ describe('scoring', () => {
     expect(score).toBeCloseTo(70)
   })
 
+  it('adds the learned selection bonus for results opened for the query', () => {
+    createTestExt({
+      model: { resultSelections: { 'base title': { 'example.com/item': [Date.now(), Date.now()] } } },
+      opts: { ...baseOpts, scoreSelectionBonusScore: 6, scoreSelectionHalfLifeDays: 30 },
+    })
+    const other = { ...baseResult, url: 'example.com/other' }
+
+    const [selected, unselected] = calculateFinalScore([{ ...baseResult }, other], 'base')
+    expect(selected.score).toBeCloseTo(112)
+    expect(unselected.score).toBe(100)
+
+    clearTestExt()
+  })
+
   it('limits substring bonuses to max cap of 3 (hard-coded)', () => {
     // Note: scoreExactIncludesMaxBonuses is now hard-coded to 3
     // Use 4 terms to verify the cap is applied
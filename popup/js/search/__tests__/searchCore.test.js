@@ -1,6 +1,8 @@
-import { describe, expect, test } from '@jest/globals'
+import { afterEach, describe, expect, test } from '@jest/globals'
+import uFuzzy from '@leeoniya/ufuzzy'
 import { createBookmarksTestData } from '../../__tests__/testUtils.js'
 import { executeSearch } from '../common.js'
+import { resetFuzzySearchState } from '../fuzzySearch.js'
 
 describe('executeSearch (Pure)', () => {
   const mockData = {
@@ -47,4 +49,61 @@ describe('executeSearch (Pure)', () => {
     expect(results).toHaveLength(1)
     expect(results[0].title).toBe('In Folder')
   })
+
+  describe('field filters', () => {
+    const filterData = {
+      bookmarks: createBookmarksTestData([
+        { title: 'Project Roadmap #work', url: 'https://github.com/org/project' },
+        { title: 'Private Roadmap', url: 'https://notes.example.com/roadmap' },
+        { title: 'Project Issues #work', url: 'https://github.com/org/project/issues' },
+      ]),
+      tabs: [],
+      history: [],
+    }
+
+    afterEach(() => {
+      resetFuzzySearchState()
+      delete window.uFuzzy
+    })
+
+    test('combines free text with field filters in precise search', async () => {
+      const results = await executeSearch('roadmap domain:github.com', 'bookmarks', filterData, mockOptions)
+      expect(results.map((r) => r.title)).toEqual(['Project Roadmap'])
+    })
+
+    test('combines free text with field filters in fuzzy search', async () => {
+      window.uFuzzy = uFuzzy
+      const results = await executeSearch('roadmap tag:work', 'bookmarks', filterData, {
+        searchStrategy: 'fuzzy',
+        searchFuzzyness: 0.6,
+      })
+      expect(results.map((r) => r.title)).toEqual(['Project Roadmap'])
+      expect(results[0].searchApproach).toBe('fuzzy')
+    })
+
+    test('matches all items of the mode for filter-only queries', async () => {
+      const results = await executeSearch('domain:github.com -url:/issues', 'all', filterData, mockOptions)
+      expect(results.map((r) => r.title)).toEqual(['Project Roadmap'])
+      expect(results[0].searchApproach).toBe('filter')
+    })
+
+    test('narrows results by date added', async () => {
+      const now = Date.now()
+      const datedData = {
+        bookmarks: [
+          { ...filterData.bookmarks[0], dateAdded: now - 2 * 24 * 60 * 60 * 1000 },
+          { ...filterData.bookmarks[1], dateAdded: now - 90 * 24 * 60 * 60 * 1000 },
+        ],
+        tabs: [],
+        history: [],
+      }
+      const results = await executeSearch('roadmap added:<1w', 'bookmarks', datedData, mockOptions)
+      expect(results.map((r) => r.title)).toEqual(['Project Roadmap'])
+    })
+
+    test('applies field filters to taxonomy searches', async () => {
+      const results = await executeSearch('work title:issues', 'tags', filterData, mockOptions)
+      expect(results.map((r) => r.title)).toEqual(['Project Issues'])
+    })
+  })
 })
@@ -0,0 +1,166 @@
+/**
+ * Tests for semanticSearch.js - the local `LanguageModel` search strategy.
+ *
+ * ✅ Covered behaviors: fuzzy fallback without local model, any-term candidate matching,
+ *    reranking within candidate slots, incomplete rankings, failed prompts, session reuse and aborted reranks.
+ * ⚠️ Known gaps: ranking quality of real local models.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { clearTestExt, createTestExt } from '../../__tests__/testUtils.js'
+import { rerankSemanticResults, resetSemanticSearchState, semanticSearch } from '../semanticSearch.js'
+
+function createItem(id, title, type = 'bookmark') {
+  return { originalId: id, type, title, url: `${id}.test`, searchStringLower: `${title.toLowerCase()} ${id}.test` }
+}
+
+function mockLanguageModel(responses, availability = 'available') {
+  const prompt = jest.fn()
+  for (const response of responses) {
+    prompt.mockImplementationOnce(() =>
+      response instanceof Error ? Promise.reject(response) : Promise.resolve(response),
+    )
+  }
+  const clone = jest.fn(async () => ({ prompt, destroy: jest.fn() }))
+  globalThis.LanguageModel = {
+    availability: jest.fn(async () => availability),
+    create: jest.fn(async () => ({ clone, destroy: jest.fn() })),
+  }
+  return { prompt, clone }
+}
+
+describe('semanticSearch', () => {
+  let data
+
+  beforeEach(() => {
+    createTestExt()
+    data = {
+      bookmarks: [
+        createItem('flex', 'Flexbox guide #css'),
+        createItem('grid', 'CSS Grid layout'),
+        createItem('x', 'News'),
+      ],
+      tabs: [createItem('t1', 'Layout tricks', 'tab')],
+      history: [],
+    }
+  })
+
+  afterEach(() => {
+    resetSemanticSearchState()
+    delete globalThis.LanguageModel
+    clearTestExt()
+  })
+
+  test('falls back to fuzzy search without local model support', async () => {
+    globalThis.uFuzzy = class {
+      filter(haystack, term) {
+        return haystack.flatMap((value, index) => (value.includes(term) ? [index] : []))
+      }
+    }
+    try {
+      const results = await semanticSearch('all', 'css layout', data, { searchFuzzyness: 0.6 })
+      expect(results.map((el) => [el.originalId, el.searchApproach])).toEqual([['grid', 'fuzzy']])
+    } finally {
+      delete globalThis.uFuzzy
+    }
+  })
+
+  test('collects items that match any query term', async () => {
+    mockLanguageModel([])
+
+    const results = await semanticSearch('all', 'css layout', data, {})
+
+    expect(results.map((el) => el.originalId)).toEqual(['flex', 'grid', 't1'])
+    expect(results.every((el) => el.searchApproach === 'semantic')).toBe(true)
+  })
+})
+
+describe('rerankSemanticResults', () => {
+  const searchEngine = { type: 'search', title: 'Google', searchApproach: undefined }
+  let results
+
+  beforeEach(() => {
+    createTestExt()
+    results = [
+      { ...createItem('grid', 'CSS Grid layout'), searchApproach: 'semantic' },
+      searchEngine,
+      { ...createItem('flex', 'Flexbox guide'), searchApproach: 'semantic' },
+      { ...createItem('t1', 'Layout tricks', 'tab'), searchApproach: 'semantic' },
+    ]
+  })
+
+  afterEach(() => {
+    resetSemanticSearchState()
+    delete globalThis.LanguageModel
+    clearTestExt()
+  })
+
+  test('reorders candidates by the model ranking and keeps other entries in place', async () => {
+    const { prompt } = mockLanguageModel(['{"ranking":[2,3,1]}'])
+
+    const reranked = await rerankSemanticResults(results, 'css layout')
+
+    expect(reranked.map((el) => el.originalId || el.title)).toEqual(['flex', 'Google', 't1', 'grid'])
+    expect(prompt).toHaveBeenCalledWith(expect.stringContaining('Query: css layout'), {
+      responseConstraint: expect.objectContaining({ type: 'object' }),
+      signal: expect.any(AbortSignal),
+    })
+    expect(prompt.mock.calls[0][0]).toContain('2. Flexbox guide')
+  })
+
+  test('appends candidates missing from the ranking in lexical order', async () => {
+    mockLanguageModel(['{"ranking":[3,3,9]}'])
+
+    const reranked = await rerankSemanticResults(results, 'css layout')
+
+    expect(reranked.map((el) => el.originalId || el.title)).toEqual(['t1', 'Google', 'grid', 'flex'])
+  })
+
+  test('keeps the lexical order when the prompt fails or returns no ranking', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    mockLanguageModel([new Error('model crashed'), '{"tags":[]}'])
+
+    await expect(rerankSemanticResults(results, 'css layout')).resolves.toBe(results)
+    await expect(rerankSemanticResults(results, 'css layout')).resolves.toBe(results)
+    expect(warn).toHaveBeenCalledTimes(2)
+    warn.mockRestore()
+  })
+
+  test('reuses one base session and prompts a fresh clone per query', async () => {
+    const { clone } = mockLanguageModel(['{"ranking":[1,2,3]}', '{"ranking":[1,2,3]}'])
+
+    await rerankSemanticResults(results, 'css')
+    await rerankSemanticResults(results, 'layout')
+
+    expect(globalThis.LanguageModel.create).toHaveBeenCalledTimes(1)
+    expect(clone).toHaveBeenCalledTimes(2)
+  })
+
+  test('keeps the base session when a rerank is aborted by a newer query', async () => {
+    const { prompt, clone } = mockLanguageModel([])
+    prompt.mockImplementationOnce(
+      (_text, { signal }) =>
+        new Promise((_resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))),
+    )
+    prompt.mockResolvedValueOnce('{"ranking":[3,2,1]}')
+
+    const first = rerankSemanticResults(results, 'css')
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    const second = await rerankSemanticResults(results, 'layout')
+
+    await expect(first).resolves.toBe(results)
+    expect(second.map((el) => el.originalId || el.title)).toEqual(['t1', 'Google', 'flex', 'grid'])
+    expect(globalThis.LanguageModel.create).toHaveBeenCalledTimes(1)
+    expect(globalThis.LanguageModel.create.mock.calls[0][0].signal).toBeUndefined()
+    expect(clone.mock.calls.map(([options]) => options.signal.aborted)).toEqual([true, false])
+  })
+
+  test('skips reranking with fewer than two candidates', async () => {
+    mockLanguageModel([])
+
+    const single = [results[0], searchEngine]
+    await expect(rerankSemanticResults(single, 'css')).resolves.toBe(single)
+    expect(globalThis.LanguageModel.create).not.toHaveBeenCalled()
+  })
+})
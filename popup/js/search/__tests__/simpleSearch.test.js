@@ -178,6 +178,76 @@ describe('simpleSearch', () => {
     expect(results.map((r) => r.originalId)).toEqual(expect.arrayContaining(['bookmark-1', 'tab-1', 'history-1']))
   })
 
+  describe('Query operators', () => {
+    beforeEach(() => {
+      model.bookmarks = createBookmarksTestData([
+        { id: 'react', title: 'React Hooks Guide', url: 'https://react.dev/hooks' },
+        { id: 'react-native', title: 'React Native Hooks', url: 'https://reactnative.dev/hooks' },
+        { id: 'vue', title: 'Vue Composition API', url: 'https://vuejs.org/guide' },
+      ])
+    })
+
+    test('excludes items matching a negated term', () => {
+      const results = simpleSearch('bookmarks', 'react -native "hooks"', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react'])
+    })
+
+    test('matches quoted phrases including spaces', () => {
+      const results = simpleSearch('bookmarks', '"native hooks"', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react-native'])
+    })
+
+    test('matches any alternative of an OR group', () => {
+      const results = simpleSearch('bookmarks', 'guide | native', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react', 'react-native', 'vue'])
+    })
+
+    test('combines OR groups with AND terms and negations', () => {
+      const results = simpleSearch('bookmarks', 'react|vue guide -composition', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react'])
+    })
+
+    test('returns all non-matching items for a purely negated query', () => {
+      const results = simpleSearch('bookmarks', '-react', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['vue'])
+    })
+
+    test('ignores a trailing dash while the negated term is still being typed', () => {
+      const results = simpleSearch('bookmarks', 'react -', model)
+
+      expect(results).toHaveLength(2)
+    })
+
+    test('widens cached results again when a negated term is extended', () => {
+      expect(simpleSearch('bookmarks', 'hooks -re', model)).toHaveLength(0)
+
+      const results = simpleSearch('bookmarks', 'hooks -reactnative', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react'])
+    })
+
+    test('widens cached results again when a term becomes an OR group', () => {
+      expect(simpleSearch('bookmarks', 'vue', model)).toHaveLength(1)
+
+      const results = simpleSearch('bookmarks', 'vue|native', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react-native', 'vue'])
+    })
+
+    test('narrows cached results when a negation is appended', () => {
+      expect(simpleSearch('bookmarks', 'hooks', model)).toHaveLength(2)
+
+      const results = simpleSearch('bookmarks', 'hooks -native', model)
+
+      expect(results.map((r) => r.originalId)).toEqual(['react'])
+    })
+  })
+
   describe('Performance optimizations', () => {
     test('pre-calculates lower case search string when data is loaded', () => {
       model.bookmarks = createBookmarksTestData([
@@ -112,6 +112,18 @@ describe('taxonomy search', () => {
     expect(second).not.toBe(first)
   })
 
+  test('updateUniqueFoldersCache patches cached folder data in place', () => {
+    const { getUniqueFolders, updateUniqueFoldersCache } = taxonomyModule
+    const moved = { originalId: '1', folder: '~Work ~Projects' }
+    ext.model.bookmarks = [moved, { originalId: '2', folder: '~Work' }]
+
+    const first = getUniqueFolders()
+    updateUniqueFoldersCache([moved], [{ originalId: '1', folder: '~Private' }])
+
+    expect(getUniqueFolders()).toBe(first)
+    expect(first).toEqual({ Work: ['2'], Private: ['1'] })
+  })
+
   test('searchTaxonomy handles trailing whitespace in tag terms', () => {
     const { searchTaxonomy } = taxonomyModule
     const data = [
@@ -0,0 +1,126 @@
+/**
+ * @file Command registry and matching for the `>` command palette search mode.
+ *
+ * Responsibilities:
+ * - Keep a registry of extension commands that any module can extend via `registerCommand()`.
+ * - Fuzzy-match commands by title and keywords and turn them into `command` search results.
+ * - Run the selected command and surface failures through the error overlay.
+ *
+ * The registry holds only a handful of entries, so commands are matched with a small
+ * in-module fuzzy matcher instead of the uFuzzy haystacks used for the search data.
+ */
+
+import { printError } from '../view/errorView.js'
+
+const WHITESPACE_REGEX = /\s+/
+
+/** Registered commands, in registration order. */
+const commands = new Map()
+
+/**
+ * Register a command for the command palette. Registering an existing ID replaces the command.
+ *
+ * @param {Object} command - Command definition.
+ * @param {string} command.id - Unique command ID.
+ * @param {string} command.title - Title shown in the result list.
+ * @param {string} [command.description] - Short explanation shown below the title.
+ * @param {Array<string>} [command.keywords] - Additional words the command is found by.
+ * @param {Function} [command.available] - Returns false if the command cannot run in this browser or context.
+ * @param {Function} command.run - Runs the command. May return a promise.
+ */
+export function registerCommand(command) {
+  if (!command?.id || !command.title || typeof command.run !== 'function') {
+    throw new Error('A command needs an id, a title and a run function.')
+  }
+  commands.set(command.id, command)
+}
+
+/**
+ * Return the commands that are available in the current context.
+ *
+ * @returns {Array<Object>} Available commands, in registration order.
+ */
+export function getCommands() {
+  return [...commands.values()].filter((command) => !command.available || command.available())
+}
+
+/**
+ * Find the available commands that match a query and convert them into search results.
+ *
+ * Every query word has to match the title or a keyword, either as substring or as
+ * subsequence of characters (e.g. `bmgr` matches "Bookmark Manager"). Substring and
+ * word start matches rank higher than subsequences.
+ *
+ * @param {string} searchTerm - Query without the `>` prefix.
+ * @returns {Array<Object>} `command` results, best match first. All commands for an empty query.
+ */
+export function searchCommands(searchTerm) {
+  const words = (searchTerm || '').toLowerCase().split(WHITESPACE_REGEX).filter(Boolean)
+  const matches = []
+
+  for (const command of getCommands()) {
+    const haystack = [command.title, ...(command.keywords || [])].join(' ').toLowerCase()
+    let score = 0
+    for (const word of words) {
+      const wordScore = matchWord(haystack, word)
+      if (!wordScore) {
+        score = 0
+        break
+      }
+      score += wordScore
+    }
+    if (words.length && !score) continue
+
+    matches.push({
+      type: 'command',
+      title: command.title,
+      titleLower: command.title.toLowerCase(),
+      description: command.description || '',
+      originalId: command.id,
+      searchScore: score,
+    })
+  }
+
+  return matches.sort((a, b) => b.searchScore - a.searchScore)
+}
+
+/**
+ * Run a registered command. Errors are shown in the error overlay.
+ *
+ * @param {string} id - Command ID.
+ * @returns {Promise<boolean>} True if the command ran successfully.
+ */
+export async function runCommand(id) {
+  const command = commands.get(id)
+  if (!command) {
+    printError(new Error(`Unknown command "${id}"`))
+    return false
+  }
+  try {
+    await command.run()
+    return true
+  } catch (err) {
+    printError(err, `Could not run "${command.title}".`)
+    return false
+  }
+}
+
+/**
+ * Score how well a single query word matches the command text.
+ *
+ * @returns {number} 0 if the word does not match.
+ */
+function matchWord(haystack, word) {
+  const index = haystack.indexOf(word)
+  if (index !== -1) {
+    const atWordStart = index === 0 || haystack[index - 1] === ' '
+    return word.length * (atWordStart ? 3 : 2)
+  }
+
+  let position = 0
+  for (const char of word) {
+    position = haystack.indexOf(char, position) + 1
+    if (!position) return 0
+  }
+  return 1
+}
@@ -3,15 +3,17 @@
  *
  * Responsibilities:
  * - Orchestrate the overall search flow from user input to rendered results.
- * - Route to the appropriate search strategy (simple, fuzzy, taxonomy) based on parsed intent.
+ * - Route to the appropriate search strategy (simple, fuzzy, semantic, taxonomy) based on parsed intent.
  * - Handle caching, scoring, sorting, and result filtering.
  * - Coordinate between query parsing, search execution, and rendering.
+ * - Provide the DOM-free `collectSearchResults()` core that the omnibox service worker shares.
  *
  * Search flow:
  * 1. Clean the search term and check cache.
- * 2. Parse query to detect mode prefixes and taxonomy markers.
- * 3. Execute appropriate search algorithm (precise, fuzzy, or taxonomy).
- * 4. Apply scoring and sorting to rank results.
+ * 2. Parse query to detect mode prefixes and taxonomy markers. The `>` prefix lists commands instead (commandPalette.js),
+ *    the `saved:` prefix lists saved searches (savedSearches.js) and the `ws:` prefix workspaces (workspaces.js).
+ * 3. Execute appropriate search algorithm (precise, fuzzy, semantic or taxonomy) and apply inline field filters.
+ * 4. Apply scoring and sorting to rank results. The semantic strategy reranks the top results with the local model.
  * 5. Limit results to max count.
  * 6. Render results via view layer.
  *
@@ -21,35 +23,48 @@
  * - The view layer (searchView.js) renders these pre-computed highlights directly.
  * - This eliminates the need for mark.js and secondary DOM traversals after rendering.
  * - See `highlightResults()` for the implementation.
+ * - Queries with a `content:` filter also get a highlighted `contentSnippet` of the captured page text.
  */
 
+import { matchesKeybinding } from '../helper/keybindings.js'
 import { cleanUpUrl, escapeHtml, escapeRegex, generateRandomId, highlightRegexMatches } from '../helper/utils.js'
+import { ensurePageContentLoaded } from '../model/pageContentIndex.js'
+import { createSavedSearchResults } from '../model/savedSearches.js'
+import { createWorkspaceResults } from '../model/workspaces.js'
 import { closeErrors, printError } from '../view/errorView.js'
 import { renderSearchResults } from '../view/searchView.js'
+import { searchCommands } from './commandPalette.js'
+import { addContentSnippets } from './contentSnippets.js'
 import { addDefaultEntries } from './defaultResults.js'
+import { detectDirectUrl } from './directUrl.js'
 import { fuzzySearch } from './fuzzySearch.js'
-import { resolveSearchMode } from './queryParser.js'
+import { applyQueryFilters } from './queryFilters.js'
+import { getPositiveSearchTerms, hasQueryOperators, parseQueryFilters, resolveSearchMode } from './queryParser.js'
+import { createSearchResultObjects } from './resultObjects.js'
 import { calculateFinalScore } from './scoring.js'
 import { addSearchEngines, collectCustomSearchAliasResults } from './searchEngines.js'
+import { rerankSemanticResults, semanticSearch } from './semanticSearch.js'
 import { simpleSearch } from './simpleSearch.js'
 import { searchTaxonomy } from './taxonomySearch.js'
 
 // Export scoring function for other modules
 export { calculateFinalScore } from './scoring.js'
 
-const urlRegex = /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([/\w .-]*)*\/?$/
 let searchRequestId = 0
 
 /**
  * Maps search mode prefixes to their data sources.
- * Used to determine which datasets (bookmarks, tabs, history) to query.
+ * Used to determine which datasets (bookmarks, tabs, history, sessions, synced tabs, reading list, downloads) to query.
  */
 const MODE_TARGETS = {
   history: ['tabs', 'history'],
   bookmarks: ['bookmarks'],
   tabs: ['tabs'],
+  sessions: ['sessions'],
+  readingList: ['readingList'],
+  downloads: ['downloads'],
   search: [],
-  all: ['bookmarks', 'tabs', 'history'],
+  all: ['bookmarks', 'tabs', 'history', 'sessions', 'syncedTabs', 'readingList', 'downloads'],
 }
 
 /**
@@ -62,8 +77,12 @@ export function resolveSearchTargets(searchMode) {
   return MODE_TARGETS[searchMode] || MODE_TARGETS.all
 }
 
+/** Keybinding actions that move through or leave the results instead of changing the query. */
+const NAVIGATION_ACTIONS = ['selectPrevious', 'selectNext', 'openResult', 'back']
+
 /**
  * Check if the search should be skipped based on the event.
+ * Keys bound to navigation actions in the `keybindings` option do not search.
  *
  * @param {KeyboardEvent|InputEvent} [event] - Optional input event.
  * @returns {boolean} True if search should be skipped.
@@ -71,7 +90,10 @@ export function resolveSearchTargets(searchMode) {
 function shouldSkipSearch(event) {
   return (
     event &&
-    (['ArrowUp', 'ArrowDown', 'Enter', 'Escape'].includes(event.key) || event.ctrlKey || event.altKey || event.shiftKey)
+    (NAVIGATION_ACTIONS.some((action) => matchesKeybinding(event, action)) ||
+      event.ctrlKey ||
+      event.altKey ||
+      event.shiftKey)
   )
 }
 
@@ -122,29 +144,77 @@ async function handleEmptySearch() {
 /**
  * Execute the configured search algorithm and return results.
  *
+ * Inline field filters (e.g. `domain:github.com`) are extracted first. The remaining
+ * free text is searched with the active strategy, and the filters narrow down the
+ * matches afterwards. A query consisting only of filters matches all items of the mode.
+ *
  * @param {string} searchTerm - Query string.
  * @param {string} searchMode - Active search mode.
  * @returns {Promise<Array>} Search results.
  */
 export async function executeSearch(searchTerm, searchMode, data, options) {
+  const { term, filters } = parseQueryFilters(searchTerm)
+  if (!filters.length) {
+    return executeStrategySearch(searchTerm, searchMode, data, options)
+  }
+
+  const results = term
+    ? await executeStrategySearch(term, searchMode, data, options)
+    : collectAllSearchItems(searchMode, data)
+  if (filters.some((filter) => filter.field === 'content')) {
+    await ensurePageContentLoaded()
+  }
+  return applyQueryFilters(results, filters)
+}
+
+/**
+ * Run the search strategy that matches the mode and options.
+ *
+ * @param {string} searchTerm - Free text query without field filters.
+ * @param {string} searchMode - Active search mode.
+ * @returns {Promise<Array>|Array} Search results.
+ */
+function executeStrategySearch(searchTerm, searchMode, data, options) {
   if (searchMode === 'tags') return searchTaxonomy(searchTerm, 'tags', data.bookmarks)
   if (searchMode === 'folders') return searchTaxonomy(searchTerm, 'folder', data.bookmarks)
   if (searchMode === 'groups') return searchTaxonomy(searchTerm, 'group', data.tabs)
   if (options.searchStrategy === 'fuzzy') return fuzzySearch(searchMode, searchTerm, data, options)
+  if (options.searchStrategy === 'semantic') return semanticSearch(searchMode, searchTerm, data, options)
   // By default fall back to simple search. This is better than going with errors.
   // Changing this is a matter of a click in the UI, anyway.
   return simpleSearch(searchMode, searchTerm, data)
 }
 
 /**
- * Add direct URL result if the search term looks like a URL.
+ * Collect every item of the datasets associated with a mode, e.g. for filter-only queries.
+ *
+ * @param {string} searchMode - Active search mode.
+ * @returns {Array<Object>} Cloned search items.
+ */
+function collectAllSearchItems(searchMode, data) {
+  let targets = resolveSearchTargets(searchMode)
+  if (searchMode === 'tags' || searchMode === 'folders') targets = ['bookmarks']
+  if (searchMode === 'groups') targets = ['tabs']
+
+  const results = []
+  for (const target of targets) {
+    const items = data[target]
+    if (!items?.length) continue
+    results.push(...createSearchResultObjects(items, Array.from(items.keys()), 'filter'))
+  }
+  return results
+}
+
+/**
+ * Add direct URL result if the search term looks like a URL (see directUrl.js).
  *
  * @param {string} searchTerm - Query string.
  * @param {Array} results - Current result array.
  */
 function addDirectUrlIfApplicable(searchTerm, results) {
-  if (ext.opts.enableDirectUrl && urlRegex.test(searchTerm) && results.length < ext.opts.searchMaxResults) {
-    const url = searchTerm.includes('://') ? searchTerm : `https://${searchTerm.replace(/^\/+/, '')}`
+  if (!ext.opts.enableDirectUrl || results.length >= ext.opts.searchMaxResults) return
+  const url = detectDirectUrl(searchTerm, ext.opts.directUrlIntranetHosts)
+  if (url) {
     results.push({
       type: 'direct',
       title: `Direct: "${cleanUpUrl(url)}"`,
@@ -230,19 +300,20 @@ function selectTopScoreResults(results, limit) {
  * @param {Array} results - Search results.
  * @param {string} searchTerm - Query string.
  * @param {string} searchMode - Active search mode.
+ * @param {boolean} [rankByScore] - Sort by score, defaults to whether a search term is given.
  * @returns {Array} Scored and sorted results.
  */
-function applyScoring(results, searchTerm, searchMode) {
+function applyScoring(results, searchTerm, searchMode, rankByScore = Boolean(searchTerm)) {
   const scoredResults = calculateFinalScore(results, searchTerm)
 
-  if (searchTerm) {
+  if (rankByScore) {
     if (shouldLimitResults(searchMode) && scoredResults.length > ext.opts.searchMaxResults) {
       return selectTopScoreResults(scoredResults, ext.opts.searchMaxResults)
     }
     return sortResults(scoredResults, 'score')
   }
 
-  if (searchMode === 'history' || searchMode === 'tabs') {
+  if (['history', 'tabs', 'sessions', 'downloads'].includes(searchMode)) {
     return sortResults(scoredResults, 'lastVisited')
   }
 
@@ -268,6 +339,64 @@ function filterResults(results, searchMode) {
   return results.slice(0, maxResults)
 }
 
+function isTaxonomyMode(searchMode) {
+  return searchMode === 'tags' || searchMode === 'folders' || searchMode === 'groups'
+}
+
+/**
+ * Collect, score and limit the results for a query whose mode prefix is already resolved.
+ *
+ * This is the DOM-free core of `search()`: it adds custom search alias results, runs the
+ * search strategy, proposes direct URLs and search engines, then ranks and truncates the
+ * results. Semantic searches are reranked by the local model afterwards. The omnibox
+ * service worker reuses it to match the popup behavior.
+ *
+ * The rerank can take seconds. With `onRerank`, the lexical results are returned right away
+ * and the reranked results are passed to the callback once the local model answered.
+ *
+ * @param {string} searchTerm - Query string without mode prefix.
+ * @param {string} searchMode - Active search mode.
+ * @param {{onRerank?: function(Array<Object>): void}} [options] - Receives the reranked results
+ *   if the model changed the order. Without it, the rerank is awaited.
+ * @returns {Promise<Array<Object>>} Scored results, limited to `searchMaxResults` where applicable.
+ */
+export async function collectSearchResults(searchTerm, searchMode, { onRerank } = {}) {
+  let results = []
+
+  // Add custom search alias results if in 'all' mode
+  if (searchMode === 'all') {
+    results.push(...collectCustomSearchAliasResults(searchTerm))
+  }
+
+  results.push(...(await executeSearch(searchTerm, searchMode, ext.model, ext.opts)))
+  addDirectUrlIfApplicable(searchTerm, results)
+
+  // Add search engine result items
+  if (searchMode === 'all' || searchMode === 'search') {
+    results.push(...addSearchEngines(searchTerm))
+  }
+
+  // Field filters are not scored and query operators (`-exclude`, `"phrase"`, `a | b`)
+  // are reduced to their positive terms
+  const queryText = parseQueryFilters(searchTerm).term
+  const scoringTerm =
+    !isTaxonomyMode(searchMode) && hasQueryOperators(queryText)
+      ? getPositiveSearchTerms(queryText).join(' ')
+      : queryText
+  results = filterResults(applyScoring(results, scoringTerm, searchMode, true), searchMode)
+
+  if (ext.opts.searchStrategy === 'semantic' && !isTaxonomyMode(searchMode)) {
+    if (!onRerank) {
+      return rerankSemanticResults(results, queryText)
+    }
+    const lexicalResults = results
+    rerankSemanticResults(lexicalResults, queryText).then((reranked) => {
+      if (reranked !== lexicalResults) onRerank(reranked)
+    })
+  }
+  return results
+}
+
 /**
  * Cache search results for better performance.
  *
@@ -322,43 +451,44 @@ export async function search(event) {
       // bookmarks-specific cache key instead of the previous mode.
       if (useCachedResultsIfAvailable(searchTerm)) return
 
-      // Collect results
-      let results = []
-
-      // Add custom search alias results if in 'all' mode
-      if (searchMode === 'all') {
-        results.push(...collectCustomSearchAliasResults(searchTerm))
-      }
-
-      // Execute search if we have a search term after mode prefix is stripped
-      // Note: searchTerm can become empty after resolveSearchMode() strips mode prefix (e.g., "t ", "b ")
-      if (searchTerm) {
-        results.push(...(await executeSearch(searchTerm, searchMode, ext.model, ext.opts)))
-        addDirectUrlIfApplicable(searchTerm, results)
-
-        // Add search engine result items
-        if (searchMode === 'all' || searchMode === 'search') {
-          results.push(...addSearchEngines(searchTerm))
-        }
+      // Collect, score and limit results
+      let results
+      if (searchMode === 'commands') {
+        // The command palette matches the command registry instead of the search data
+        results = searchCommands(searchTerm)
+      } else if (searchMode === 'savedSearches') {
+        // Saved searches are matched by name and query, selecting one runs its query
+        results = createSavedSearchResults(ext.model.savedSearches, searchTerm)
+      } else if (searchMode === 'workspaces') {
+        // Workspaces are matched by name and the titles and URLs of their tabs, selecting one restores it
+        results = createWorkspaceResults(ext.model.workspaces, searchTerm)
+      } else if (searchTerm) {
+        // Lexical results render right away, a semantic rerank replaces them once the local model answered
+        results = await collectSearchResults(searchTerm, searchMode, {
+          // Applied after this search rendered the lexical results (which also highlights the shared result objects)
+          onRerank: (reranked) =>
+            searchPromise.then(() => {
+              if (requestId !== searchRequestId) return
+              ext.model.result = reranked
+              cacheResults(searchTerm, reranked)
+              renderSearchResults()
+            }),
+        })
       } else {
         // Mode prefix without search term (e.g., "t ", "b ", "h ")
         // Show default entries for that mode instead of empty results
-        results = await addDefaultEntries()
+        // Note: searchTerm can become empty after resolveSearchMode() strips mode prefix (e.g., "t ", "b ")
+        results = filterResults(applyScoring(await addDefaultEntries(), searchTerm, searchMode), searchMode)
       }
 
       if (requestId !== searchRequestId) return
 
-      // Apply scoring and sorting
-      results = applyScoring(results, searchTerm, searchMode)
-
-      // Limit to max results
-      results = filterResults(results, searchMode)
-
       // Apply highlighting only to the truncated result set (better performance)
       // For taxonomy modes, use the original term to include the marker (#, ~, or @) in highlighting
-      const highlightTerm =
-        searchMode === 'tags' || searchMode === 'folders' || searchMode === 'groups' ? originalSearchTerm : searchTerm
+      const { term: filteredTerm, filters } = parseQueryFilters(searchTerm)
+      const highlightTerm = isTaxonomyMode(searchMode) ? originalSearchTerm : filteredTerm
       results = highlightResults(results, highlightTerm)
+      results = addContentSnippets(results, filters)
 
       ext.model.result = results
 
@@ -421,13 +551,8 @@ function highlightResults(results, searchTerm) {
   const highlightFolders = ext.opts.displayFolderName
   const highlightGroup = ext.opts.displayTabGroup
 
-  // Extract and clean terms once
-  const rawTerms = searchTerm.split(' ')
-  const terms = []
-  for (let i = 0; i < rawTerms.length; i++) {
-    const t = rawTerms[i]
-    if (t) terms.push(t)
-  }
+  // Extract and clean terms once (negated terms like `-foo` are not highlighted)
+  const terms = getPositiveSearchTerms(searchTerm)
 
   if (terms.length === 0) {
     return results
@@ -0,0 +1,64 @@
+/**
+ * @file Creates highlighted page text snippets for `content:` queries.
+ *
+ * Responsibilities:
+ * - Find the first match of a `content:` filter value in the captured text of each result.
+ * - Cut a short excerpt around it and highlight all content terms, HTML-escaped for direct rendering.
+ */
+
+import { highlightMatches } from '../helper/utils.js'
+
+/** Characters of the snippet shown before the first match. */
+const SNIPPET_LEADING_CHARS = 60
+
+/** Maximum snippet length, without ellipses. */
+const SNIPPET_MAX_LENGTH = 180
+
+/**
+ * Add `contentSnippet` HTML to results whose page text matches a positive `content:` filter.
+ *
+ * @param {Array<Object>} results - Search results (already limited).
+ * @param {Array<{field: string, value: string, negated: boolean}>} filters - Parsed query filters.
+ * @returns {Array<Object>} The same results.
+ */
+export function addContentSnippets(results, filters) {
+  const terms = (filters || []).filter((filter) => filter.field === 'content' && !filter.negated).map((f) => f.value)
+  const pageContent = ext.model.pageContent
+  if (!terms.length || !pageContent?.size) {
+    return results
+  }
+
+  for (const result of results) {
+    const page = pageContent.get(result.url)
+    if (page) {
+      result.contentSnippet = createContentSnippet(page.text, terms, page.textLower)
+    }
+  }
+  return results
+}
+
+/**
+ * Cut an excerpt around the first term match and highlight all terms.
+ *
+ * @param {string} text - Page text.
+ * @param {Array<string>} terms - Lowercased terms to find and highlight.
+ * @param {string} [textLower] - Precomputed lowercased text.
+ * @returns {string} HTML-safe snippet with `<mark>` tags, or an empty string without match.
+ */
+export function createContentSnippet(text, terms, textLower = text.toLowerCase()) {
+  let matchIndex = -1
+  for (const term of terms) {
+    const index = textLower.indexOf(term)
+    if (index !== -1 && (matchIndex === -1 || index < matchIndex)) {
+      matchIndex = index
+    }
+  }
+  if (matchIndex === -1) {
+    return ''
+  }
+
+  const start = Math.max(0, matchIndex - SNIPPET_LEADING_CHARS)
+  const end = Math.min(text.length, start + SNIPPET_MAX_LENGTH)
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+  return highlightMatches(excerpt, terms)
+}
@@ -3,9 +3,9 @@
  *
  * Responsibilities:
  * - Build default result sets based on current search mode.
- * - Surface bookmarks matching the current tab's URL.
- * - Show recently accessed tabs when no search is active.
- * - Provide mode-specific defaults (history, tabs, bookmarks).
+ * - Build the configurable sections of the empty-query dashboard (`defaultResultSections` option),
+ *   e.g. bookmarks matching the current tab's URL, recent tabs, favorite bookmarks, saved searches and windows.
+ * - Provide mode-specific defaults (history, tabs, sessions, reading list, downloads, bookmarks).
  *
  * This module ensures users always see relevant content even with an empty search,
  * improving the initial browsing experience and discoverability.
@@ -13,6 +13,9 @@
 
 import { getBrowserTabs } from '../helper/browserApi.js'
 import { cleanUpUrl } from '../helper/utils.js'
+import { createSavedSearchResults } from '../model/savedSearches.js'
+import { createRecentSearchResults } from '../model/searchQueryHistory.js'
+import { createWindowResults } from '../model/windowLabels.js'
 
 const UNBOOKMARKABLE_URL_PREFIXES = [
   'about:',
@@ -28,14 +31,84 @@ const UNBOOKMARKABLE_URL_PREFIXES = [
   'vivaldi:',
 ]
 
+const URL_HOST_END_REGEX = /[/:?]/
+
+/** Default number of entries of the bookmark sections when the section sets no limit. */
+const DEFAULT_BOOKMARK_SECTION_LIMIT = 5
+
+/**
+ * Sections of the empty-query dashboard, see the `defaultResultSections` option.
+ *
+ * `create` returns all candidates of the section in display order. `limit` is the
+ * number of entries shown when the configured section has no own limit.
+ */
+const DEFAULT_RESULT_SECTIONS = {
+  currentPage: {
+    title: 'Current Page',
+    limit: () => Number.POSITIVE_INFINITY,
+    create: createCurrentPageSection,
+  },
+  recentTabs: {
+    title: 'Recent Tabs',
+    limit: () => ext.opts.maxRecentTabsToShow,
+    create: createRecentTabsSection,
+  },
+  favoriteBookmarks: {
+    title: 'Favorite Bookmarks',
+    limit: () => DEFAULT_BOOKMARK_SECTION_LIMIT,
+    create: () =>
+      (ext.model.bookmarks || [])
+        .filter((bookmark) => bookmark.customBonusScore > 0)
+        .sort((a, b) => b.customBonusScore - a.customBonusScore),
+  },
+  mostVisitedBookmarks: {
+    title: 'Most Visited Bookmarks',
+    limit: () => DEFAULT_BOOKMARK_SECTION_LIMIT,
+    create: () =>
+      (ext.model.bookmarks || [])
+        .filter((bookmark) => bookmark.visitCount > 0)
+        .sort((a, b) => b.visitCount - a.visitCount),
+  },
+  recentlyAddedBookmarks: {
+    title: 'Recently Added Bookmarks',
+    limit: () => DEFAULT_BOOKMARK_SECTION_LIMIT,
+    create: () =>
+      (ext.model.bookmarks || []).filter((bookmark) => bookmark.dateAdded).sort((a, b) => b.dateAdded - a.dateAdded),
+  },
+  domainBookmarks: {
+    title: 'Bookmarks on this Site',
+    limit: () => DEFAULT_BOOKMARK_SECTION_LIMIT,
+    create: createDomainBookmarksSection,
+  },
+  recentSearches: {
+    title: 'Recent Searches',
+    limit: () => ext.opts.maxRecentSearchesToShow,
+    create: (_activeTab, limit) =>
+      ext.opts.enableSearchHistory ? createRecentSearchResults(ext.model.searchHistory, limit) : [],
+  },
+  savedSearches: {
+    title: 'Saved Searches',
+    limit: () => Number.POSITIVE_INFINITY,
+    create: () => createSavedSearchResults(ext.model.savedSearches),
+  },
+  windows: {
+    title: 'Windows',
+    limit: () => Number.POSITIVE_INFINITY,
+    create: () => createWindowResults(ext.model.tabs),
+  },
+}
+
 /**
  * Build default result sets when no explicit search term is provided.
  *
  * The default results vary by search mode:
  * - **history**: Recent history entries
  * - **tabs**: All tabs sorted by recency
+ * - **sessions**: Recently closed tabs and windows, most recent first
+ * - **readingList**: Reading List entries, unread first
+ * - **downloads**: Finished downloads, most recent first
  * - **bookmarks**: All bookmarks
- * - **all** (default): Bookmarks matching current tab + recent tabs
+ * - **all** (default): The sections of the `defaultResultSections` option, in the configured order
  *
  * @returns {Promise<Array>} Result entries enriched with default scores.
  *
@@ -57,60 +130,159 @@ export async function addDefaultEntries() {
       .sort((a, b) => {
         return a.lastVisitSecondsAgo - b.lastVisitSecondsAgo
       })
+  } else if (ext.model.searchMode === 'sessions' && ext.model.sessions) {
+    // Display recently closed tabs and windows in the order the browser reports them
+    results = ext.model.sessions.map((el) => ({ ...el }))
+  } else if (ext.model.searchMode === 'readingList' && ext.model.readingList) {
+    // Display unread entries first, then the most recently added ones
+    results = ext.model.readingList
+      .map((el) => ({ ...el }))
+      .sort((a, b) => b.unread - a.unread || (b.dateAdded || 0) - (a.dateAdded || 0))
+  } else if (ext.model.searchMode === 'downloads' && ext.model.downloads) {
+    // Display downloads in the order the browser reports them (newest first)
+    results = ext.model.downloads.map((el) => ({ ...el }))
   } else if (ext.model.searchMode === 'bookmarks' && ext.model.bookmarks) {
     // Display all bookmarks by default
     results = ext.model.bookmarks.map((el) => ({ ...el }))
   } else {
-    // Default: Find bookmarks that match current page URL
-    let activeTab
-    try {
-      activeTab = getLoadedActiveTab()
-      if (!activeTab) {
-        const [queriedActiveTab] = await getBrowserTabs({ active: true, currentWindow: true })
-        activeTab = queriedActiveTab
-      }
+    results = await createDefaultResultSections()
+  }
+
+  ext.model.result = results
+  return results
+}
 
-      const activeTabUrl = activeTab?.originalUrl || activeTab?.url
-      if (activeTabUrl) {
-        const currentUrl = cleanUpUrl(activeTabUrl)
-        const matchingBookmarks = ext.model.bookmarks.filter((el) => el.url === currentUrl)
-        if (matchingBookmarks.length > 0) {
-          results.push(...matchingBookmarks.map((el) => ({ ...el })))
-        } else if (isQuickBookmarkEnabled() && isBookmarkableUrl(activeTabUrl)) {
-          results.push(createQuickBookmarkEntry(activeTab))
-        }
+/**
+ * Build the empty-query dashboard from the sections of the `defaultResultSections` option.
+ *
+ * A result already shown by an earlier section is not repeated. The first entry of every
+ * non-empty section carries the `sectionTitle` that searchView.js renders as header.
+ *
+ * @returns {Promise<Array>} Result entries of all sections, in the configured order.
+ */
+async function createDefaultResultSections() {
+  const activeTab = await getActiveTab()
+  const shownResults = new Set()
+  const results = []
+
+  for (const { section, limit, title } of ext.opts.defaultResultSections || []) {
+    const definition = DEFAULT_RESULT_SECTIONS[section]
+    if (!definition) continue
+
+    const sectionLimit = limit ?? definition.limit()
+    if (!(sectionLimit > 0)) continue
+
+    const sectionResults = []
+    for (const entry of definition.create(activeTab, sectionLimit)) {
+      if (sectionResults.length >= sectionLimit) break
+      if (entry.originalId !== undefined) {
+        const key = `${entry.type}:${entry.originalId}`
+        if (shownResults.has(key)) continue
+        shownResults.add(key)
       }
-    } catch (err) {
-      console.warn('Could not get current tab for default entries:', err)
+      sectionResults.push({ ...entry })
     }
 
-    // Always add recently visited tabs when option is enabled and no search term
-    if (ext.model.tabs && ext.opts.maxRecentTabsToShow > 0) {
-      const activeTabId = activeTab?.id ?? activeTab?.originalId
-      const recentTabs = ext.model.tabs
-        .filter((tab) => {
-          // Exclude the currently active tab from recent tabs
-          const isCurrentTab = activeTabId !== undefined && tab.originalId === activeTabId
-          return tab?.url && !isCurrentTab && isBookmarkableUrl(tab.url)
-        })
-        .map((el) => ({ ...el }))
-        .sort((a, b) => {
-          // Sort by last accessed time (most recent first)
-          // Handle cases where last accessed might be undefined
-          const aTime = a.lastVisitSecondsAgo || Number.MAX_SAFE_INTEGER
-          const bTime = b.lastVisitSecondsAgo || Number.MAX_SAFE_INTEGER
-          return aTime - bTime
-        })
-        .slice(0, ext.opts.maxRecentTabsToShow) // Show most recent tabs
-
-      results.push(...recentTabs)
+    const sectionTitle = title ?? definition.title
+    if (sectionResults.length > 0 && sectionTitle) {
+      sectionResults[0].sectionTitle = sectionTitle
     }
+    results.push(...sectionResults)
   }
 
-  ext.model.result = results
   return results
 }
 
+/**
+ * Find the active tab of the current window.
+ *
+ * @returns {Promise<Object|undefined>} Active tab, if it can be determined.
+ */
+async function getActiveTab() {
+  try {
+    const activeTab = getLoadedActiveTab()
+    if (activeTab) return activeTab
+    const [queriedActiveTab] = await getBrowserTabs({ active: true, currentWindow: true })
+    return queriedActiveTab
+  } catch (err) {
+    console.warn('Could not get current tab for default entries:', err)
+    return undefined
+  }
+}
+
+/**
+ * Find bookmarks that match the current page URL, or offer to bookmark the page.
+ *
+ * @param {Object} [activeTab] - Active browser tab.
+ * @returns {Array<Object>} Matching bookmarks or the quick bookmark entry.
+ */
+function createCurrentPageSection(activeTab) {
+  const activeTabUrl = activeTab?.originalUrl || activeTab?.url
+  if (!activeTabUrl) return []
+
+  const currentUrl = cleanUpUrl(activeTabUrl)
+  const matchingBookmarks = (ext.model.bookmarks || []).filter((el) => el.url === currentUrl)
+  if (matchingBookmarks.length > 0) {
+    return matchingBookmarks
+  }
+  if (isQuickBookmarkEnabled() && isBookmarkableUrl(activeTabUrl)) {
+    return [createQuickBookmarkEntry(activeTab)]
+  }
+  return []
+}
+
+/**
+ * List recently visited tabs, most recent first. The active tab is left out.
+ *
+ * @param {Object} [activeTab] - Active browser tab.
+ * @returns {Array<Object>} Tabs.
+ */
+function createRecentTabsSection(activeTab) {
+  const activeTabId = activeTab?.id ?? activeTab?.originalId
+  return (ext.model.tabs || [])
+    .filter((tab) => {
+      // Exclude the currently active tab from recent tabs
+      const isCurrentTab = activeTabId !== undefined && tab.originalId === activeTabId
+      return tab?.url && !isCurrentTab && isBookmarkableUrl(tab.url)
+    })
+    .sort((a, b) => {
+      // Sort by last accessed time (most recent first)
+      // Handle cases where last accessed might be undefined
+      const aTime = a.lastVisitSecondsAgo || Number.MAX_SAFE_INTEGER
+      const bTime = b.lastVisitSecondsAgo || Number.MAX_SAFE_INTEGER
+      return aTime - bTime
+    })
+}
+
+/**
+ * List other bookmarks on the domain of the current page, most visited first.
+ *
+ * @param {Object} [activeTab] - Active browser tab.
+ * @returns {Array<Object>} Bookmarks on the same host, without the current page itself.
+ */
+function createDomainBookmarksSection(activeTab) {
+  const activeTabUrl = activeTab?.originalUrl || activeTab?.url
+  if (!activeTabUrl || !isBookmarkableUrl(activeTabUrl)) return []
+
+  const currentUrl = cleanUpUrl(activeTabUrl)
+  const host = getUrlHost(currentUrl)
+  return (ext.model.bookmarks || [])
+    .filter((bookmark) => bookmark.url !== currentUrl && getUrlHost(bookmark.url) === host)
+    .sort((a, b) => (b.visitCount || 0) - (a.visitCount || 0))
+}
+
+/**
+ * Extract the host part of a normalized URL (without port).
+ *
+ * @param {string} url - URL normalized via `cleanUpUrl()`.
+ * @returns {string} Host, e.g. `github.com` for `github.com/fannon`.
+ */
+function getUrlHost(url) {
+  if (!url) return ''
+  const end = url.search(URL_HOST_END_REGEX)
+  return end === -1 ? url : url.slice(0, end)
+}
+
 /**
  * Return the already-loaded active tab when it is unambiguous.
  *
@@ -159,12 +331,12 @@ function createQuickBookmarkEntry(tab) {
 }
 
 /**
- * Determine whether the active tab is useful as a bookmark target.
+ * Determine whether a tab URL is useful as a bookmark target.
  *
- * @param {string} url - Active tab URL.
- * @returns {boolean} Whether to show the quick-bookmark action.
+ * @param {string} url - Tab URL.
+ * @returns {boolean} False for browser-internal pages and data URLs.
  */
-function isBookmarkableUrl(url) {
+export function isBookmarkableUrl(url) {
   const trimmedUrl = typeof url === 'string' ? url.trim() : ''
   if (!trimmedUrl) {
     return false
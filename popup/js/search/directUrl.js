@@ -0,0 +1,102 @@
+/**
+ * @file Detects search terms that can be opened directly as URL (`enableDirectUrl`).
+ *
+ * Responsibilities:
+ * - Accept URLs with an explicit scheme, e.g. `https://example.com` or `file:///home/me/notes.txt`.
+ * - Accept scheme-less domains (`example.com/docs`), `localhost`, IPv4 and IPv6 addresses,
+ *   each with an optional port and path, e.g. `localhost:3000` or `192.168.1.10:8080/admin`.
+ * - Accept single-label intranet hosts like `jira/browse/abc-1` only when they are listed
+ *   in the `directUrlIntranetHosts` option, so single words keep searching.
+ * - Add the scheme to scheme-less terms: `https://` for domains, `http://` for local and intranet hosts.
+ *
+ * Terms with whitespace are never URLs, so queries like `node.js tutorial` stay searches.
+ */
+
+/** Schemes that are opened as typed. Others (e.g. `javascript:`) never produce a direct result. */
+const DIRECT_URL_SCHEMES = new Set([
+  'http',
+  'https',
+  'ftp',
+  'file',
+  'chrome',
+  'chrome-extension',
+  'edge',
+  'brave',
+  'vivaldi',
+  'opera',
+  'moz-extension',
+])
+
+const WHITESPACE_REGEX = /\s/
+const SCHEME_URL_REGEX = /^([a-z][a-z\d+.-]*):\/\/(\S+)$/i
+/** Splits a scheme-less term into host, port and the rest (path, query or hash). */
+const HOST_PORT_PATH_REGEX = /^(\[[^\]/?#]+\]|[^/?#:[\]]+|[\da-f]*::?[\da-f:]*)(?::(\d{1,5}))?([/?#]\S*)?$/i
+const IPV4_REGEX = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/
+const IPV6_REGEX = /^(?:[\da-f]{0,4}:){2,7}[\da-f]{0,4}$/i
+const DOMAIN_REGEX = /^(?:[a-z\d](?:[a-z\d-]*[a-z\d])?\.)+(?:[a-z]{2,63}|xn--[a-z\d-]{1,59})$/i
+const MAX_PORT = 65535
+
+/**
+ * Detect whether a search term is a URL that can be opened directly.
+ *
+ * @param {string} term - Search term.
+ * @param {Array<string>} [intranetHosts=[]] - Single-label host names that are opened as URL,
+ *   see the `directUrlIntranetHosts` option.
+ * @returns {string|null} URL to open, including its scheme, or null if the term is no URL.
+ *
+ * @example
+ * detectDirectUrl('localhost:3000') // 'http://localhost:3000'
+ * detectDirectUrl('example.com/docs') // 'https://example.com/docs'
+ * detectDirectUrl('jira/browse/abc-1', ['jira']) // 'http://jira/browse/abc-1'
+ * detectDirectUrl('node.js tutorial') // null
+ */
+export function detectDirectUrl(term, intranetHosts = []) {
+  const value = String(term || '').trim()
+  if (!value || WHITESPACE_REGEX.test(value)) return null
+
+  const schemeMatch = value.match(SCHEME_URL_REGEX)
+  if (schemeMatch) {
+    return DIRECT_URL_SCHEMES.has(schemeMatch[1].toLowerCase()) ? value : null
+  }
+
+  const match = value.match(HOST_PORT_PATH_REGEX)
+  if (!match) return null
+  const [, rawHost, port, rest = ''] = match
+  if (port !== undefined && Number(port) > MAX_PORT) return null
+
+  const hostType = getHostType(rawHost, intranetHosts)
+  if (!hostType) return null
+
+  // Bare IPv6 addresses need brackets in a URL
+  const host = hostType === 'ipv6' && !rawHost.startsWith('[') ? `[${rawHost}]` : rawHost
+  const scheme = hostType === 'domain' ? 'https' : 'http'
+  return `${scheme}://${host}${port !== undefined ? `:${port}` : ''}${rest}`
+}
+
+/**
+ * Classify the host part of a scheme-less term.
+ *
+ * @param {string} host - Host, IPv6 addresses with or without brackets.
+ * @param {Array<string>} intranetHosts - Allowed single-label host names.
+ * @returns {'domain'|'local'|'ipv4'|'ipv6'|'intranet'|null} Kind of host, or null if it is no host.
+ */
+function getHostType(host, intranetHosts) {
+  const hostLower = host.toLowerCase()
+  if (hostLower === 'localhost' || hostLower.endsWith('.localhost')) return 'local'
+
+  const ipv4 = hostLower.match(IPV4_REGEX)
+  if (ipv4) {
+    return ipv4.slice(1).every((octet) => Number(octet) <= 255) ? 'ipv4' : null
+  }
+
+  const ipv6 = hostLower.startsWith('[') ? hostLower.slice(1, -1) : hostLower
+  // Bare addresses need `::` or all eight groups, so times like `12:30:45` are not taken for addresses
+  if (IPV6_REGEX.test(ipv6) && (ipv6 !== hostLower || ipv6.includes('::') || ipv6.split(':').length === 8)) {
+    return 'ipv6'
+  }
+  if (hostLower.startsWith('[')) return null
+
+  if (DOMAIN_REGEX.test(hostLower)) return 'domain'
+  if ((intranetHosts || []).some((name) => String(name).trim().toLowerCase() === hostLower)) return 'intranet'
+  return null
+}
@@ -45,8 +45,9 @@ export function resetFuzzySearchState(searchMode) {
  * @returns {Promise<Array<Object>>} Matching entries with fuzzy scores.
  */
 export async function fuzzySearch(searchMode, searchTerm, data, options) {
-  // Lazy load the uFuzzy library if not there already
-  if (!window.uFuzzy) {
+  // Lazy load the uFuzzy library if not there already.
+  // The omnibox service worker has no document and provides uFuzzy itself.
+  if (!globalThis.uFuzzy && typeof document !== 'undefined') {
     try {
       await loadScript('./lib/uFuzzy.iife.min.js')
     } catch (err) {
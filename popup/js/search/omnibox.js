@@ -0,0 +1,183 @@
+/**
+ * @file Provides address bar (omnibox) suggestions for the `sb` keyword.
+ *
+ * Responsibilities:
+ * - Load options and search data inside the background service worker, without any DOM access.
+ * - Resolve mode prefixes (`b `, `t `, `h `, `s `) and run the shared `collectSearchResults()` pipeline,
+ *   so custom search aliases, query operators and scoring behave exactly like in the popup.
+ * - Convert results into omnibox suggestions (XML markup for Chrome, plain text for Firefox).
+ * - Open the accepted suggestion, switching to an already open tab where possible.
+ *
+ * Listeners are registered by the `initBackground.js` service worker entry point.
+ */
+
+import { getEffectiveOptions } from '../model/optionsStorage.js'
+import { loadResultSelections } from '../model/resultSelections.js'
+import { getSearchData } from '../model/searchData.js'
+import { collectSearchResults } from './common.js'
+import { resetFuzzySearchState } from './fuzzySearch.js'
+import { resolveSearchMode } from './queryParser.js'
+import { resetSimpleSearchState } from './simpleSearch.js'
+import { resetUniqueFoldersCache } from './taxonomySearch.js'
+
+/** Chrome shows at most 8-9 suggestions below the default suggestion. */
+const OMNIBOX_MAX_SUGGESTIONS = 8
+
+const XML_ESCAPE_REGEX = /[&<>"']/g
+const XML_ESCAPE_MAP = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+}
+
+const TYPE_LABELS = {
+  bookmark: 'Bookmark',
+  tab: 'Tab',
+  history: 'History',
+  session: 'Recently Closed',
+  syncedTab: 'Synced Tab',
+  readingList: 'Reading List',
+  download: 'Download',
+}
+
+/** Results of the last suggestion request, keyed by suggestion content. */
+let lastSuggestedResults = new Map()
+
+/** In-flight or completed data load, shared between concurrent input events. */
+let loadingPromise = null
+
+/**
+ * (Re-)load options and search data into the service worker context.
+ *
+ * Called whenever an omnibox session starts, so suggestions reflect bookmarks, tabs and
+ * history changes made since the last session. Cached search state is reset afterwards.
+ *
+ * @returns {Promise<void>}
+ */
+export function loadOmniboxSearchData() {
+  loadingPromise = (async () => {
+    ext.opts = await getEffectiveOptions()
+    Object.assign(ext.model, await getSearchData())
+    ext.model.resultSelections = ext.opts.scoreSelectionBonusScore ? await loadResultSelections() : {}
+    ext.index.taxonomy = {}
+    resetUniqueFoldersCache()
+    resetSimpleSearchState()
+    resetFuzzySearchState()
+    ext.initialized = true
+  })()
+  return loadingPromise
+}
+
+/**
+ * Search for the text typed after the omnibox keyword.
+ *
+ * @param {string} text - Raw omnibox input, including optional mode prefixes.
+ * @returns {Promise<Array<Object>>} Scored results, best match first.
+ */
+export async function getOmniboxResults(text) {
+  const { mode, term } = resolveSearchMode((text || '').trimStart().toLowerCase())
+  const searchTerm = term.trim()
+  // Commands, saved searches and workspaces act on the popup, so they are not offered in the address bar
+  if (!searchTerm || mode === 'commands' || mode === 'savedSearches' || mode === 'workspaces') {
+    return []
+  }
+
+  await (loadingPromise || loadOmniboxSearchData())
+  ext.model.searchMode = mode
+  return collectSearchResults(searchTerm, mode)
+}
+
+/**
+ * Convert a search result into an omnibox suggestion.
+ *
+ * @param {Object} result - Search result.
+ * @param {boolean} supportsMarkup - Whether the browser renders `<url>` / `<dim>` description markup (Chrome).
+ * @returns {{content: string, description: string}} Omnibox suggestion.
+ */
+export function createOmniboxSuggestion(result, supportsMarkup) {
+  const label = TYPE_LABELS[result.type]
+  const title = result.title || result.url
+  const url = result.url || ''
+
+  if (!supportsMarkup) {
+    return {
+      content: result.originalUrl,
+      description: `${label ? `${label}: ` : ''}${title}${url && url !== title ? ` - ${url}` : ''}`,
+    }
+  }
+
+  let description = label ? `<dim>${label}:</dim> ` : ''
+  description += escapeXml(title)
+  if (url && url !== title) {
+    description += ` <dim>-</dim> <url>${escapeXml(url)}</url>`
+  }
+  return { content: result.originalUrl, description }
+}
+
+/**
+ * Provide suggestions while the user types after the omnibox keyword.
+ *
+ * @param {string} text - Current omnibox input.
+ * @param {Function} suggest - Browser callback receiving the suggestions.
+ * @returns {Promise<void>}
+ */
+export async function handleOmniboxInputChanged(text, suggest) {
+  const results = await getOmniboxResults(text)
+  const supportsMarkup = !globalThis.browser
+  const suggestions = []
+  const suggestedResults = new Map()
+
+  for (const result of results) {
+    if (!result.originalUrl || suggestedResults.has(result.originalUrl)) continue
+    suggestedResults.set(result.originalUrl, result)
+    suggestions.push(createOmniboxSuggestion(result, supportsMarkup))
+    if (suggestions.length >= OMNIBOX_MAX_SUGGESTIONS) break
+  }
+
+  lastSuggestedResults = suggestedResults
+  suggest(suggestions)
+}
+
+/**
+ * Open the accepted omnibox entry.
+ *
+ * `text` is either the content of a selected suggestion or the raw input when the
+ * default suggestion was accepted. In the latter case the best match is opened.
+ *
+ * @param {string} text - Accepted suggestion content or raw input.
+ * @param {string} disposition - `currentTab`, `newForegroundTab` or `newBackgroundTab`.
+ * @returns {Promise<void>}
+ */
+export async function handleOmniboxInputEntered(text, disposition) {
+  let result = lastSuggestedResults.get(text)
+  if (!result) {
+    const results = await getOmniboxResults(text)
+    result = results.find((el) => el.originalUrl)
+  }
+  if (!result) return
+
+  if (result.type === 'session' && ext.browserApi.sessions?.restore) {
+    await ext.browserApi.sessions.restore(result.sessionId)
+    return
+  }
+
+  const tabsApi = ext.browserApi.tabs
+  const openTab =
+    disposition === 'currentTab' ? ext.model.tabs?.find((el) => el.originalId != null && el.url === result.url) : null
+
+  if (openTab && ext.browserApi.windows) {
+    // Switch to the existing tab instead of loading the URL a second time
+    await tabsApi.update(openTab.originalId, { active: true })
+    await ext.browserApi.windows.update(openTab.windowId, { focused: true })
+  } else if (disposition === 'newForegroundTab' || disposition === 'newBackgroundTab') {
+    await tabsApi.create({ url: result.originalUrl, active: disposition === 'newForegroundTab' })
+  } else {
+    await tabsApi.update({ url: result.originalUrl })
+  }
+}
+
+function escapeXml(value) {
+  return String(value).replace(XML_ESCAPE_REGEX, (match) => XML_ESCAPE_MAP[match])
+}
@@ -0,0 +1,250 @@
+/**
+ * @file Applies inline `field:value` query filters to search items.
+ *
+ * Filters are parsed by `parseQueryFilters()` in queryParser.js and applied after the
+ * active search strategy (precise, fuzzy or taxonomy) has produced its candidates, so
+ * every strategy supports them without knowing about the filter syntax.
+ *
+ * Supported fields:
+ * - `title:` substring of the lowercased title (`titleLower`)
+ * - `url:` substring of the normalized URL (`url`)
+ * - `domain:` substring of the host part of the normalized URL
+ * - `tag:` tag starting with the value (`tagsArrayLower`), like `#tag` search
+ * - `folder:` folder starting with the value (`folderArrayLower`), like `~folder` search
+ * - `added:` bookmark creation date (`dateAdded`), e.g. `added:<30d`, `added:today`, `added:2024-05-01`
+ * - `visited:` last visit (`lastVisitSecondsAgo`), e.g. `visited:today`, `visited:>1y`
+ * - `visits:` visit count (`visitCount`), e.g. `visits:>10`, `visits:<=2`, `visits:0`
+ * - `older:` last activity (visit or creation) is older than a duration, e.g. `older:1y`
+ * - `content:` substring of the captured page text (`ext.model.pageContent`, loaded by `executeSearch()` on first use)
+ * - `device:` substring of the device name of synced tabs (`deviceNameLower`, see `enableSyncedTabs`)
+ * - `win:` substring of the window label of open tabs (`windowLabelLower`, see windowLabels.js),
+ *   or the exact window ID
+ * - `is:duplicate` open tabs that share their URL with another open tab, `is:stale` tabs not used
+ *   for `staleTabDays` days (see tabCleanup.js)
+ *
+ * Date values are either durations (`<number><h|d|w|m|y>`, days when the unit is omitted),
+ * the keywords `today` / `yesterday`, or ISO dates (`YYYY-MM-DD`). Durations default to
+ * "within", so `added:30d` equals `added:<30d`; `>` inverts that to "longer ago than".
+ * For ISO dates, `>` means after and `<` means before the given day.
+ * Values that cannot be parsed are ignored, so half-typed filters do not empty the result list.
+ */
+
+import { cleanUpUrl } from '../helper/utils.js'
+import { getDuplicateTabGroups, isStaleTab } from '../model/tabCleanup.js'
+
+const URL_HOST_END_REGEX = /[/:?]/
+const TAG_MARKER_REGEX = /^#+/
+const FOLDER_MARKER_REGEX = /^~+/
+const DURATION_FILTER_REGEX = /^([<>])?=?(\d+(?:\.\d+)?)([hdwmy]?)$/
+const DATE_FILTER_REGEX = /^([<>])?=?(\d{4})-(\d{2})-(\d{2})$/
+const COMPARATOR_PREFIX_REGEX = /^[<>]=?/
+const COUNT_FILTER_REGEX = /^(<=|>=|<|>|=)?(\d+)$/
+
+const SECONDS_PER_DAY = 24 * 60 * 60
+
+/** Duration units in seconds. Months and years are approximated as 30 and 365 days. */
+const DURATION_UNITS = {
+  h: 60 * 60,
+  d: SECONDS_PER_DAY,
+  w: 7 * SECONDS_PER_DAY,
+  m: 30 * SECONDS_PER_DAY,
+  y: 365 * SECONDS_PER_DAY,
+}
+
+const COUNT_COMPARATORS = {
+  '<': (count, value) => count < value,
+  '<=': (count, value) => count <= value,
+  '>': (count, value) => count > value,
+  '>=': (count, value) => count >= value,
+  '=': (count, value) => count === value,
+}
+
+/**
+ * Factories that turn a filter value into a predicate for a single search item.
+ * Values are normalized once per query instead of once per item.
+ * A factory returns `null` when the value cannot be parsed, which skips the filter.
+ */
+const FIELD_MATCHERS = {
+  title: (value) => (item) => Boolean(item.titleLower?.includes(value)),
+  url: (value) => {
+    // Search items store the URL without scheme and `www.`, so a pasted full URL is normalized the same way
+    const url = cleanUpUrl(value)
+    return (item) => Boolean(item.url?.includes(url))
+  },
+  domain: (value) => {
+    const domain = cleanUpUrl(value)
+    return (item) => getUrlHost(item.url).includes(domain)
+  },
+  tag: (value) => {
+    const tag = value.replace(TAG_MARKER_REGEX, '')
+    return (item) => startsWithAny(item.tagsArrayLower, tag)
+  },
+  folder: (value) => {
+    const folder = value.replace(FOLDER_MARKER_REGEX, '')
+    return (item) => startsWithAny(item.folderArrayLower, folder)
+  },
+  added: (value, now) => createAgeMatcher(parseAgeRange(value, now), (item) => getAddedSecondsAgo(item, now)),
+  visited: (value, now) => createAgeMatcher(parseAgeRange(value, now), getVisitedSecondsAgo),
+  older: (value, now) => {
+    const range = parseAgeRange(value.replace(COMPARATOR_PREFIX_REGEX, ''), now, true)
+    return createAgeMatcher(range, (item) => getActivitySecondsAgo(item, now))
+  },
+  visits: (value) => {
+    const match = value.match(COUNT_FILTER_REGEX)
+    if (!match) return null
+    const compare = COUNT_COMPARATORS[match[1] || '=']
+    const expected = Number(match[2])
+    return (item) => compare(item.visitCount || 0, expected)
+  },
+  content: (value) => (item) => Boolean(ext.model.pageContent?.get(item.url)?.textLower.includes(value)),
+  device: (value) => (item) => Boolean(item.deviceNameLower?.includes(value)),
+  win: (value) => (item) => String(item.windowId) === value || Boolean(item.windowLabelLower?.includes(value)),
+  is: (value) => {
+    if (value === 'duplicate') {
+      const duplicateUrls = new Set(getDuplicateTabGroups(ext.model.tabs).map(([tab]) => tab.url))
+      return (item) => item.type === 'tab' && duplicateUrls.has(item.url)
+    }
+    if (value === 'stale') {
+      return (item) => item.type === 'tab' && isStaleTab(item, ext.opts.staleTabDays)
+    }
+    return null
+  },
+}
+
+/**
+ * Compile parsed query filters into item predicates.
+ *
+ * Unknown fields are ignored, so the parser and matchers can evolve independently.
+ *
+ * @param {Array<{field: string, value: string, negated: boolean}>} filters - Parsed query filters.
+ * @param {number} [now=Date.now()] - Reference time in milliseconds for date filters.
+ * @returns {Array<Function>} Predicates that all must return true for an item to match.
+ */
+export function compileQueryFilters(filters, now = Date.now()) {
+  const predicates = []
+  for (const filter of filters || []) {
+    const createMatcher = FIELD_MATCHERS[filter.field]
+    if (!createMatcher) continue
+    const matches = createMatcher(filter.value, now)
+    if (!matches) continue
+    predicates.push(filter.negated ? (item) => !matches(item) : matches)
+  }
+  return predicates
+}
+
+/**
+ * Keep only the items that satisfy all query filters.
+ *
+ * @param {Array<Object>} items - Search items or results.
+ * @param {Array<{field: string, value: string, negated: boolean}>} filters - Parsed query filters.
+ * @param {number} [now=Date.now()] - Reference time in milliseconds for date filters.
+ * @returns {Array<Object>} Matching items (the input array when no filters apply).
+ */
+export function applyQueryFilters(items, filters, now = Date.now()) {
+  const predicates = compileQueryFilters(filters, now)
+  if (!predicates.length) {
+    return items
+  }
+  return items.filter((item) => {
+    for (let i = 0; i < predicates.length; i++) {
+      if (!predicates[i](item)) return false
+    }
+    return true
+  })
+}
+
+/**
+ * Extract the host part of a normalized URL (without port).
+ *
+ * @param {string} url - URL normalized via `cleanUpUrl()`.
+ * @returns {string} Host, e.g. `github.com` for `github.com/fannon`.
+ */
+function getUrlHost(url) {
+  if (!url) return ''
+  const end = url.search(URL_HOST_END_REGEX)
+  return end === -1 ? url : url.slice(0, end)
+}
+
+function startsWithAny(values, prefix) {
+  if (!values?.length) return false
+  for (let i = 0; i < values.length; i++) {
+    if (values[i].startsWith(prefix)) return true
+  }
+  return false
+}
+
+/**
+ * Parse a date filter value into an inclusive range of ages in seconds.
+ *
+ * @param {string} value - Duration, `today`, `yesterday` or ISO date, optionally prefixed with `<` or `>`.
+ * @param {number} now - Reference time in milliseconds.
+ * @param {boolean} [olderByDefault=false] - Treat durations without comparator as "longer ago than".
+ * @returns {{min: number, max: number}|null} Age range, or null if the value cannot be parsed.
+ */
+function parseAgeRange(value, now, olderByDefault = false) {
+  if (value === 'today' || value === 'yesterday') {
+    const startOfToday = new Date(now).setHours(0, 0, 0, 0)
+    if (value === 'today') {
+      return olderByDefault
+        ? { min: (now - startOfToday) / 1000, max: Infinity }
+        : { min: 0, max: (now - startOfToday) / 1000 }
+    }
+    const startOfYesterday = getStartOfPreviousDay(startOfToday)
+    return olderByDefault
+      ? { min: (now - startOfYesterday) / 1000, max: Infinity }
+      : { min: (now - startOfToday) / 1000, max: (now - startOfYesterday) / 1000 }
+  }
+
+  const duration = value.match(DURATION_FILTER_REGEX)
+  if (duration) {
+    const seconds = Number(duration[2]) * DURATION_UNITS[duration[3] || 'd']
+    const older = duration[1] ? duration[1] === '>' : olderByDefault
+    return older ? { min: seconds, max: Infinity } : { min: 0, max: seconds }
+  }
+
+  const date = value.match(DATE_FILTER_REGEX)
+  if (date) {
+    const [year, month, day] = [Number(date[2]), Number(date[3]) - 1, Number(date[4])]
+    const startOfDay = new Date(year, month, day).getTime()
+    const endOfDay = new Date(year, month, day + 1).getTime()
+    const comparator = date[1] || (olderByDefault ? '<' : '')
+    if (comparator === '>') return { min: -Infinity, max: (now - endOfDay) / 1000 }
+    if (comparator === '<') return { min: (now - startOfDay) / 1000, max: Infinity }
+    return { min: (now - endOfDay) / 1000, max: (now - startOfDay) / 1000 }
+  }
+
+  return null
+}
+
+function createAgeMatcher(range, getSecondsAgo) {
+  if (!range) return null
+  return (item) => {
+    const secondsAgo = getSecondsAgo(item)
+    return secondsAgo != null && secondsAgo >= range.min && secondsAgo <= range.max
+  }
+}
+
+function getStartOfPreviousDay(startOfDay) {
+  const date = new Date(startOfDay)
+  date.setDate(date.getDate() - 1)
+  return date.getTime()
+}
+
+function getAddedSecondsAgo(item, now) {
+  return Number.isFinite(item.dateAdded) ? (now - item.dateAdded) / 1000 : null
+}
+
+function getVisitedSecondsAgo(item) {
+  return Number.isFinite(item.lastVisitSecondsAgo) ? item.lastVisitSecondsAgo : null
+}
+
+/**
+ * Seconds since the most recent known activity (last visit or creation) of an item.
+ */
+function getActivitySecondsAgo(item, now) {
+  const visited = getVisitedSecondsAgo(item)
+  const added = getAddedSecondsAgo(item, now)
+  if (visited == null) return added
+  if (added == null) return visited
+  return Math.min(visited, added)
+}
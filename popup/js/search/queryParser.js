@@ -2,9 +2,11 @@
  * @file Query parsing utilities for detecting search modes and taxonomy markers.
  *
  * Responsibilities:
- * - Parse search mode prefixes (`h `, `b `, `t `, `s `) from query strings.
+ * - Parse search mode prefixes (`h `, `b `, `t `, `r `, `rl `, `dl `, `s `, `saved:`, `ws:`, `>`) from query strings.
  * - Detect taxonomy markers (`#tag`, `~folder`, `@group`) for specialized filtering.
  * - Normalize search terms by removing prefixes and markers.
+ * - Parse the precise query language (`-exclude`, `"quoted phrases"`, `a | b` OR groups) into clauses.
+ * - Extract inline field and date filters (`title:`, `domain:`, `tag:`, `added:`, `visits:`, ...) from anywhere in the query.
  *
  * This module provides a clean separation of query parsing logic from search orchestration,
  * making it easier to test and maintain mode detection behavior.
@@ -18,7 +20,13 @@ const SEARCH_MODE_PREFIXES = [
   ['h ', 'history'],
   ['b ', 'bookmarks'],
   ['t ', 'tabs'],
+  ['r ', 'sessions'],
+  ['rl ', 'readingList'],
+  ['dl ', 'downloads'],
   ['s ', 'search'],
+  ['saved:', 'savedSearches'],
+  ['ws:', 'workspaces'],
+  ['>', 'commands'],
 ]
 
 /**
@@ -31,11 +39,41 @@ const SEARCH_MODE_MARKERS = {
   '@': 'groups',
 }
 
+/**
+ * Detects operator syntax of the precise query language (quotes, OR pipes, or a word starting with `-`).
+ */
+const QUERY_OPERATOR_REGEX = /["|]|(^|\s)-/
+
+/**
+ * Field names supported by inline `field:value` query filters.
+ * Matching against search items happens in queryFilters.js.
+ */
+export const QUERY_FILTER_FIELDS = [
+  'title',
+  'url',
+  'domain',
+  'folder',
+  'tag',
+  'added',
+  'visited',
+  'visits',
+  'older',
+  'content',
+  'device',
+  'is',
+  'win',
+]
+
+/**
+ * Matches `field:value`, `-field:value` and `field:"quoted value"` tokens anywhere in the query.
+ */
+const QUERY_FILTER_REGEX = new RegExp(`(^|\\s)(-?)(${QUERY_FILTER_FIELDS.join('|')}):("[^"]*"?|\\S*)`, 'g')
+
 /**
  * Derive search mode prefixes or taxonomy markers from the raw query.
  *
  * This function analyzes the search term to detect:
- * 1. Mode prefixes (h/b/t/s followed by space)
+ * 1. Mode prefixes (h/b/t/r/s followed by space)
  * 2. Taxonomy markers (#, ~, or @ at the start)
  * 3. Falls back to 'all' mode if no special prefix/marker detected
  *
@@ -69,3 +107,177 @@ export function resolveSearchMode(searchTerm) {
 
   return { mode, term }
 }
+
+/**
+ * Parse a normalized query into AND-combined clauses for the precise search strategy.
+ *
+ * Supported syntax:
+ * - `term`: item must contain the term
+ * - `-term`: item must NOT contain the term
+ * - `"quoted phrase"`: the phrase (including spaces) is matched as a single term
+ * - `a | b` or `a|b`: item must contain at least one of the alternatives
+ *
+ * Operators can be combined, e.g. `-"react native"` or `react -native|vue`.
+ * Incomplete operators while typing (a lone `-` or trailing `|`) are ignored.
+ *
+ * @param {string} searchTerm - Normalized (lowercased) query string without mode prefix.
+ * @returns {Array<{terms: Array<string>, negated: boolean, key: string}>} Parsed clauses in input order.
+ *
+ * @example
+ * parseSearchQuery('react -native "hooks"')
+ * // [
+ * //   { terms: ['react'], negated: false, key: 'react' },
+ * //   { terms: ['native'], negated: true, key: '-native' },
+ * //   { terms: ['hooks'], negated: false, key: '"hooks"' },
+ * // ]
+ */
+export function parseSearchQuery(searchTerm) {
+  const words = tokenizeQueryWords(searchTerm || '')
+  const clauses = []
+
+  let previous = null
+  for (const word of words) {
+    // Merge `a | b` style OR groups that are separated by spaces
+    if (previous && (previous.trailingOr || word.leadingOr)) {
+      previous.terms.push(...word.terms)
+      previous.quoted = previous.quoted || word.quoted
+      previous.trailingOr = word.trailingOr
+      continue
+    }
+    clauses.push(word)
+    previous = word
+  }
+
+  const result = []
+  for (const clause of clauses) {
+    if (!clause.terms.length) continue
+    result.push({
+      terms: clause.terms,
+      negated: clause.negated,
+      key: `${clause.negated ? '-' : ''}${clause.quoted ? '"' : ''}${clause.terms.join('|')}${clause.quoted ? '"' : ''}`,
+    })
+  }
+  return result
+}
+
+/**
+ * Collect the positive (non-negated) terms of a query, e.g. for highlighting and scoring.
+ *
+ * Queries without any operator characters are returned as their whitespace-separated words,
+ * so the common case stays identical to a plain `split(' ')`.
+ *
+ * @param {string} searchTerm - Normalized query string.
+ * @returns {Array<string>} Terms that results are expected to contain.
+ */
+export function getPositiveSearchTerms(searchTerm) {
+  if (!hasQueryOperators(searchTerm)) {
+    return searchTerm.split(' ').filter(Boolean)
+  }
+  const terms = []
+  for (const clause of parseSearchQuery(searchTerm)) {
+    if (!clause.negated) {
+      terms.push(...clause.terms)
+    }
+  }
+  return terms
+}
+
+/**
+ * Check whether a query uses any of the precise query language operators.
+ *
+ * @param {string} searchTerm - Normalized query string.
+ * @returns {boolean} True if the query contains `"`, `|` or a word starting with `-`.
+ */
+export function hasQueryOperators(searchTerm) {
+  return QUERY_OPERATOR_REGEX.test(searchTerm || '')
+}
+
+/**
+ * Split a query into words while respecting quoted phrases.
+ *
+ * @param {string} searchTerm - Normalized query string.
+ * @returns {Array<{terms: Array<string>, negated: boolean, quoted: boolean, leadingOr: boolean, trailingOr: boolean}>}
+ */
+function tokenizeQueryWords(searchTerm) {
+  const words = []
+  const len = searchTerm.length
+  let i = 0
+
+  while (i < len) {
+    while (i < len && searchTerm[i] === ' ') i++
+    if (i >= len) break
+
+    const word = { terms: [], negated: false, quoted: false, leadingOr: false, trailingOr: false }
+    if (searchTerm[i] === '-') {
+      word.negated = true
+      i++
+    }
+    if (searchTerm[i] === '|') {
+      word.leadingOr = true
+    }
+
+    let current = ''
+    while (i < len && searchTerm[i] !== ' ') {
+      const char = searchTerm[i]
+      if (char === '"') {
+        // Unterminated quotes extend to the end of the query (common while typing)
+        let end = searchTerm.indexOf('"', i + 1)
+        if (end === -1) end = len
+        current += searchTerm.slice(i + 1, end)
+        word.quoted = true
+        i = end + 1
+      } else if (char === '|') {
+        if (current) word.terms.push(current)
+        current = ''
+        i++
+        word.trailingOr = true
+      } else {
+        current += char
+        word.trailingOr = false
+        i++
+      }
+    }
+    if (current) {
+      word.terms.push(current)
+      word.trailingOr = false
+    }
+    words.push(word)
+  }
+
+  return words
+}
+
+/**
+ * Extract inline field filters like `domain:github.com` or `-tag:archive` from a query.
+ *
+ * Filters can appear anywhere in the query and are removed from the returned term,
+ * so the remaining free text can be passed to any search strategy unchanged.
+ * Values can be quoted to include spaces (`title:"road map"`). Filters without a
+ * value (e.g. `domain:` while still typing) are dropped.
+ *
+ * @param {string} searchTerm - Normalized (lowercased) query string without mode prefix.
+ * @returns {{term: string, filters: Array<{field: string, value: string, negated: boolean}>}} Remaining free text and filters.
+ *
+ * @example
+ * parseQueryFilters('roadmap domain:github.com -tag:archive')
+ * // { term: 'roadmap', filters: [
+ * //   { field: 'domain', value: 'github.com', negated: false },
+ * //   { field: 'tag', value: 'archive', negated: true },
+ * // ] }
+ */
+export function parseQueryFilters(searchTerm) {
+  const filters = []
+  if (!searchTerm?.includes(':')) {
+    return { term: searchTerm || '', filters }
+  }
+
+  const term = searchTerm.replace(QUERY_FILTER_REGEX, (_match, _leading, negation, field, rawValue) => {
+    const value = rawValue.replaceAll('"', '').trim()
+    if (value) {
+      filters.push({ field, value, negated: negation === '-' })
+    }
+    return ''
+  })
+
+  return { term: term === searchTerm ? searchTerm : term.trim(), filters }
+}
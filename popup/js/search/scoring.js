@@ -4,6 +4,8 @@
  * For a detailed explanation of the scoring process, see the `calculateFinalScore` function documentation.
  */
 
+import { getSelectionBonuses } from '../model/resultSelections.js'
+
 // Pre-compiled regexes for performance
 const TAXONOMY_PREFIX_REGEX = /^[#~@]+/
 const NUMERIC_TERM_REGEX = /^\d+$/
@@ -53,6 +55,10 @@ export function calculateFinalScore(results, searchTerm) {
     bookmark: opts.scoreBookmarkBase || 0,
     tab: opts.scoreTabBase || 0,
     history: opts.scoreHistoryBase || 0,
+    session: opts.scoreSessionBase || 0,
+    syncedTab: opts.scoreSyncedTabBase || 0,
+    readingList: opts.scoreReadingListBase || 0,
+    download: opts.scoreDownloadBase || 0,
     search: opts.scoreSearchEngineBase || 0,
     customSearch: opts.scoreCustomSearchEngineBase || 0,
     direct: opts.scoreDirectUrlScore || 0,
@@ -95,6 +101,11 @@ export function calculateFinalScore(results, searchTerm) {
   const maxRecentSeconds = historyDaysAgo * 24 * 60 * 60
   const recentBonusFactor = maxRecentSeconds > 0 ? scoreRecentBonusScoreMaximum / maxRecentSeconds : 0
 
+  // Results opened before for the same query (prefix) get a decaying bonus
+  const selectionBonuses = hasSearchTerm
+    ? getSelectionBonuses(ext.model?.resultSelections, normalizedSearchTerm, opts)
+    : new Map()
+
   for (let i = 0; i < results.length; i++) {
     const el = results[i]
     const type = el.type
@@ -212,6 +223,10 @@ export function calculateFinalScore(results, searchTerm) {
       score += scoreBookmarkOpenTabBonus
     }
 
+    if (selectionBonuses.size && selectionBonuses.has(el.url)) {
+      score += selectionBonuses.get(el.url)
+    }
+
     // STEP 5: Custom bonus
     if (scoreCustomBonusScore && el.customBonusScore) {
       score += el.customBonusScore
@@ -0,0 +1,252 @@
+/**
+ * @file Implements the `semantic` search strategy with the browser's local `LanguageModel`.
+ *
+ * Strategy:
+ * - Collect lexical candidates that match ANY positive query term, so related items are not
+ *   dropped just because one word differs (e.g. "css layout" still finds a "Flexbox guide #css").
+ * - After the shared scoring, ask the local model to rerank the top candidates by meaning.
+ * - Fall back to the fuzzy strategy when the local model is unsupported or not ready,
+ *   and keep the lexical order when reranking fails or times out.
+ *
+ * Only titles, URLs, tags and folders of the top candidates are sent, and only to the browser-managed local model.
+ */
+
+import { getLocalAiTagAvailability, LANGUAGE_MODEL_OPTIONS } from '../helper/localAiTags.js'
+import { resolveSearchTargets } from './common.js'
+import { fuzzySearch } from './fuzzySearch.js'
+import { getPositiveSearchTerms } from './queryParser.js'
+import { createSearchResultObjects } from './resultObjects.js'
+
+/** Maximum number of top lexical candidates the local model reranks. */
+export const SEMANTIC_RERANK_LIMIT = 20
+
+/** Reranking taking longer than this keeps the lexical order. */
+const SEMANTIC_RERANK_TIMEOUT_MS = 5000
+
+const SEMANTIC_RESULT_TYPES = new Set(['bookmark', 'tab', 'history'])
+const MIN_TERM_LENGTH = 2
+
+const RANKING_RESPONSE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ranking: {
+      type: 'array',
+      maxItems: SEMANTIC_RERANK_LIMIT,
+      items: { type: 'integer', minimum: 1, maximum: SEMANTIC_RERANK_LIMIT },
+    },
+  },
+  required: ['ranking'],
+}
+
+/** Memoized base session that is cloned for every rerank prompt. */
+let baseSession = null
+
+/** Pending creation of the base session, shared by reranks that start before it is ready. */
+let baseSessionCreation = null
+
+/** Aborts the previous rerank when a newer query comes in. */
+let activeRerank = null
+
+/**
+ * Check whether the local model can be used for semantic search right now.
+ *
+ * The model download is never started from search, so `downloadable` and `downloading` fall back as well.
+ *
+ * @returns {Promise<boolean>} True if the local model is available.
+ */
+export async function isSemanticSearchAvailable() {
+  return (await getLocalAiTagAvailability()) === 'available'
+}
+
+/**
+ * Execute the semantic search strategy across the datasets mapped to the active mode.
+ *
+ * @param {string} searchMode - Active search mode.
+ * @param {string} searchTerm - Query string without field filters.
+ * @param {Object} data - Search datasets (bookmarks, tabs, history).
+ * @param {Object} options - Effective options.
+ * @returns {Promise<Array<Object>>} Candidate results, or fuzzy results as fallback.
+ */
+export async function semanticSearch(searchMode, searchTerm, data, options) {
+  if (!(await isSemanticSearchAvailable())) {
+    return fuzzySearch(searchMode, searchTerm, data, options)
+  }
+
+  const terms = getPositiveSearchTerms(searchTerm).filter((term) => term.length >= MIN_TERM_LENGTH)
+  if (!terms.length) {
+    return fuzzySearch(searchMode, searchTerm, data, options)
+  }
+
+  const results = []
+  for (const target of resolveSearchTargets(searchMode)) {
+    const items = data[target]
+    if (!items?.length) continue
+
+    const idxs = []
+    for (let i = 0; i < items.length; i++) {
+      const searchString = items[i].searchStringLower
+      if (searchString && terms.some((term) => searchString.includes(term))) {
+        idxs.push(i)
+      }
+    }
+    results.push(...createSearchResultObjects(items, idxs, 'semantic'))
+  }
+  return results
+}
+
+/**
+ * Rerank the top scored semantic candidates by meaning with the local model.
+ *
+ * Reranked items keep the result slots of the candidates, so search engine and
+ * direct URL entries stay where the lexical scoring put them.
+ *
+ * @param {Array<Object>} results - Scored and sorted results.
+ * @param {string} searchTerm - Query string without field filters.
+ * @returns {Promise<Array<Object>>} The results, reordered if the model returned a ranking.
+ */
+export async function rerankSemanticResults(results, searchTerm) {
+  const slots = []
+  for (let i = 0; i < results.length && slots.length < SEMANTIC_RERANK_LIMIT; i++) {
+    if (results[i].searchApproach === 'semantic' && SEMANTIC_RESULT_TYPES.has(results[i].type)) {
+      slots.push(i)
+    }
+  }
+  if (slots.length < 2 || !searchTerm.trim()) {
+    return results
+  }
+
+  activeRerank?.abort()
+  const controller = new AbortController()
+  activeRerank = controller
+  const timeout = setTimeout(() => controller.abort(), SEMANTIC_RERANK_TIMEOUT_MS)
+
+  let session
+  try {
+    const candidates = slots.map((slot) => results[slot])
+    session = await createRankingSession(controller.signal)
+    const response = await session.prompt(createRankingPrompt(searchTerm, candidates), {
+      responseConstraint: RANKING_RESPONSE_SCHEMA,
+      signal: controller.signal,
+    })
+    const order = parseRankingResponse(response, candidates.length)
+
+    const reranked = [...results]
+    for (let i = 0; i < slots.length; i++) {
+      reranked[slots[i]] = candidates[order[i]]
+    }
+    return reranked
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.warn('Semantic reranking failed, keeping lexical order.', error)
+    }
+    return results
+  } finally {
+    clearTimeout(timeout)
+    if (activeRerank === controller) {
+      activeRerank = null
+    }
+    if (session && session !== baseSession && typeof session.destroy === 'function') {
+      session.destroy()
+    }
+  }
+}
+
+/**
+ * Resets the memoized local model session, e.g. in tests or after the model changed.
+ */
+export function resetSemanticSearchState() {
+  activeRerank?.abort()
+  activeRerank = null
+  if (typeof baseSession?.destroy === 'function') {
+    baseSession.destroy()
+  }
+  baseSession = null
+  baseSessionCreation = null
+}
+
+/**
+ * Create a fresh prompt session without the context of previous queries.
+ *
+ * The base session is shared by all queries, so it is created without the abort signal of a single rerank.
+ * Only the clone (and the prompt) are aborted when a newer query comes in or the rerank times out.
+ *
+ * @param {AbortSignal} signal - Abort signal of the rerank.
+ * @returns {Promise<Object>} Prompt session.
+ */
+async function createRankingSession(signal) {
+  if (!baseSession) {
+    baseSessionCreation ||= globalThis.LanguageModel.create({ ...LANGUAGE_MODEL_OPTIONS }).then(
+      (session) => {
+        baseSession = session
+        return session
+      },
+      (error) => {
+        baseSessionCreation = null
+        throw error
+      },
+    )
+    await baseSessionCreation
+  }
+  signal.throwIfAborted()
+  return typeof baseSession.clone === 'function' ? baseSession.clone({ signal }) : baseSession
+}
+
+function createRankingPrompt(searchTerm, candidates) {
+  const lines = candidates.map((item, index) => {
+    const details = [`${index + 1}. ${limitPromptText(item.title || item.url)}`, `   url: ${limitPromptText(item.url)}`]
+    if (item.tagsArray?.length) details.push(`   tags: ${limitPromptText(item.tagsArray.join(', '))}`)
+    if (item.folderArray?.length) details.push(`   folder: ${limitPromptText(item.folderArray.join(' / '))}`)
+    return details.join('\n')
+  })
+
+  return `
+Rank browser bookmarks, tabs and history entries by how well they match the meaning of a search query.
+
+Rules:
+- Consider synonyms, related topics and the intent behind the query, not only shared words.
+- Return the numbers of ALL entries, most relevant first.
+- Output JSON only in this shape: {"ranking":[2,1,3]}.
+
+Query: ${limitPromptText(searchTerm)}
+
+Entries:
+${lines.join('\n')}
+  `.trim()
+}
+
+/**
+ * Turn the model response into a complete candidate order.
+ * Unknown or duplicate numbers are ignored and missing candidates keep their lexical order at the end.
+ *
+ * @param {string} response - Model response.
+ * @param {number} count - Number of candidates.
+ * @returns {Array<number>} Zero-based candidate indexes.
+ */
+function parseRankingResponse(response, count) {
+  const ranking = JSON.parse(response)?.ranking
+  if (!Array.isArray(ranking)) {
+    throw new Error('Local model returned no ranking')
+  }
+
+  const order = []
+  const seen = new Set()
+  for (const value of ranking) {
+    const index = Number(value) - 1
+    if (Number.isInteger(index) && index >= 0 && index < count && !seen.has(index)) {
+      seen.add(index)
+      order.push(index)
+    }
+  }
+  for (let i = 0; i < count; i++) {
+    if (!seen.has(i)) order.push(i)
+  }
+  return order
+}
+
+function limitPromptText(value) {
+  const text = String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  return text.length <= 160 ? text : `${text.slice(0, 157)}...`
+}
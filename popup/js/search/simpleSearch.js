@@ -4,9 +4,11 @@
  * Strategy:
  * - Perform case-insensitive substring matching across the precomputed `searchStringLower` field.
  * - Require all tokens to match (AND semantics) to keep results tightly focused.
+ * - Support `-exclude`, `"quoted phrase"` and `a | b` operators parsed by `parseSearchQuery()` in queryParser.js.
  */
 
 import { resolveSearchTargets } from './common.js'
+import { parseSearchQuery } from './queryParser.js'
 import { createSearchResultObjects } from './resultObjects.js'
 
 /**
@@ -15,44 +17,70 @@ import { createSearchResultObjects } from './resultObjects.js'
 let state = {}
 
 /**
- * Split a normalized search string into non-empty terms.
+ * Count how many leading clauses two queries share.
  *
- * The cached simple-search state stores these arrays so consecutive queries can
- * compare term prefixes without re-processing whitespace-only segments.
+ * Example: `foo` and `foo bar` share one leading clause, so an
+ * incremental search only needs to test the new suffix clause `bar`.
  *
- * @param {string} searchTerm - Normalized query string.
- * @returns {Array<string>} Non-empty search terms in input order.
+ * @param {Array<Object>} prevClauses - Clauses from the previous search.
+ * @param {Array<Object>} nextClauses - Clauses from the current search.
+ * @returns {number} Number of unchanged leading clauses.
  */
-function tokenizeSearchTerm(searchTerm) {
-  const rawTerms = searchTerm.split(' ')
-  const terms = []
-  for (let i = 0; i < rawTerms.length; i++) {
-    if (rawTerms[i]) {
-      terms.push(rawTerms[i])
+function getSharedPrefixClauseCount(prevClauses, nextClauses) {
+  const max = prevClauses.length < nextClauses.length ? prevClauses.length : nextClauses.length
+  let i = 0
+  for (; i < max; i++) {
+    if (prevClauses[i].key !== nextClauses[i].key) {
+      break
     }
   }
-  return terms
+  return i
 }
 
 /**
- * Count how many leading terms two queries share.
+ * Check whether the previously matched indices are a superset of the next query's matches.
  *
- * Example: `['foo']` and `['foo', 'bar']` share one leading term, so an
- * incremental search only needs to test the new suffix term `bar`.
+ * This holds when every previous clause that changed was a plain positive term that the
+ * new clause at the same position still contains (e.g. `ba` → `bar`). Negations, phrases
+ * and OR groups can widen the result set while typing, so they require a full scan.
  *
- * @param {Array<string>} prevTerms - Terms from the previous search.
- * @param {Array<string>} nextTerms - Terms from the current search.
- * @returns {number} Number of unchanged leading terms.
+ * @param {Array<Object>} prevClauses - Clauses from the previous search.
+ * @param {Array<Object>} nextClauses - Clauses from the current search.
+ * @param {number} sharedCount - Number of unchanged leading clauses.
+ * @returns {boolean} True if the cached indices can be narrowed down further.
  */
-function getSharedPrefixTermCount(prevTerms, nextTerms) {
-  const max = prevTerms.length < nextTerms.length ? prevTerms.length : nextTerms.length
-  let i = 0
-  for (; i < max; i++) {
-    if (prevTerms[i] !== nextTerms[i]) {
+function canNarrowCachedResults(prevClauses, nextClauses, sharedCount) {
+  for (let i = sharedCount; i < prevClauses.length; i++) {
+    const prev = prevClauses[i]
+    const next = nextClauses[i]
+    if (!next || !isPlainClause(prev) || !isPlainClause(next) || !next.terms[0].includes(prev.terms[0])) {
+      return false
+    }
+  }
+  return true
+}
+
+function isPlainClause(clause) {
+  return !clause.negated && clause.terms.length === 1
+}
+
+/**
+ * Test a single haystack entry against a parsed query clause.
+ *
+ * @param {string} haystackEntry - Lowercased search string of an item.
+ * @param {{terms: Array<string>, negated: boolean}} clause - Parsed query clause.
+ * @returns {boolean} True if the entry satisfies the clause.
+ */
+function matchesClause(haystackEntry, clause) {
+  const terms = clause.terms
+  let found = false
+  for (let i = 0; i < terms.length; i++) {
+    if (haystackEntry.includes(terms[i])) {
+      found = true
       break
     }
   }
-  return i
+  return found !== clause.negated
 }
 
 /**
@@ -91,11 +119,13 @@ export function simpleSearch(searchMode, searchTerm, data) {
 /**
  * Run an AND-based substring search within a single dataset and annotate matches.
  *
- * Matching uses the precomputed `searchStringLower` haystack on each item. The
- * function caches the previous query, term list, and matching indices per mode
+ * Matching uses the precomputed `searchStringLower` haystack on each item. Each
+ * parsed clause must be satisfied: plain terms and phrases must be contained,
+ * OR groups need at least one contained alternative and negated clauses must not
+ * be contained. The function caches the previous query, clauses, and matching indices per mode
  * so the common typing flow can avoid rescanning the full dataset:
  * - identical query: reuse cached indices directly
- * - extended query with same prefix: only test the new suffix terms against the
+ * - extended query with same prefix: only test the new or narrowed clauses against the
  *   already-matched subset
  * - changed/backspaced query: fall back to a full scan
  *
@@ -125,7 +155,7 @@ function simpleSearchWithScoring(searchTerm, searchMode, data) {
       haystack: haystack,
       idxs: null, // null means "all indices" - avoids array allocation
       searchTerm: '',
-      terms: [],
+      clauses: [],
     }
   }
 
@@ -137,25 +167,30 @@ function simpleSearchWithScoring(searchTerm, searchMode, data) {
   const haystack = s.haystack
 
   const prevSearchTerm = s.searchTerm
-  const isIncremental = prevSearchTerm && searchTerm.startsWith(prevSearchTerm) && s.idxs !== null
-
-  let idxs = isIncremental ? s.idxs : null
-
-  const terms = tokenizeSearchTerm(searchTerm)
-  const termLen = terms.length
-  const prevTerms = s.terms
-  const startTermIndex = isIncremental ? getSharedPrefixTermCount(prevTerms, terms) : 0
+  const clauses = parseSearchQuery(searchTerm)
+  const clauseLen = clauses.length
+  const prevClauses = s.clauses
+
+  let idxs = null
+  let startClauseIndex = 0
+  if (prevSearchTerm && searchTerm.startsWith(prevSearchTerm) && s.idxs !== null) {
+    const sharedCount = getSharedPrefixClauseCount(prevClauses, clauses)
+    if (canNarrowCachedResults(prevClauses, clauses, sharedCount)) {
+      idxs = s.idxs
+      startClauseIndex = sharedCount
+    }
+  }
 
   // Start filtering
-  for (let t = startTermIndex; t < termLen; t++) {
-    const term = terms[t]
+  for (let c = startClauseIndex; c < clauseLen; c++) {
+    const clause = clauses[c]
 
     const nextIdxs = []
 
     if (idxs === null) {
       // First-pass: search everything
       for (let i = 0; i < dataLen; i++) {
-        if (haystack[i].includes(term)) {
+        if (matchesClause(haystack[i], clause)) {
           nextIdxs.push(i)
         }
       }
@@ -164,7 +199,7 @@ function simpleSearchWithScoring(searchTerm, searchMode, data) {
       const currentIdxLen = idxs.length
       for (let i = 0; i < currentIdxLen; i++) {
         const idx = idxs[i]
-        if (haystack[idx].includes(term)) {
+        if (matchesClause(haystack[idx], clause)) {
           nextIdxs.push(idx)
         }
       }
@@ -177,9 +212,9 @@ function simpleSearchWithScoring(searchTerm, searchMode, data) {
   // Update cached state
   s.idxs = idxs
   s.searchTerm = searchTerm
-  s.terms = terms
+  s.clauses = clauses
 
-  // If idxs is still null (no terms provided) or empty, return no results
+  // If idxs is still null (no clauses provided) or empty, return no results
   if (!idxs || idxs.length === 0) {
     return []
   }
@@ -145,6 +145,53 @@ export function resetUniqueFoldersCache() {
   }
 }
 
+/**
+ * Patch the memoized folders dictionary after individual bookmarks changed.
+ * Does nothing while the dictionary has not been built yet, as it will be built from the current model on demand.
+ *
+ * @param {Array<Object>} removedBookmarks - Bookmark items that were removed or replaced.
+ * @param {Array<Object>} addedBookmarks - Bookmark items that were added or replaced.
+ */
+export function updateUniqueFoldersCache(removedBookmarks, addedBookmarks) {
+  const foldersDictionary = ext?.index?.taxonomy?.folders
+  if (!foldersDictionary) {
+    return
+  }
+
+  for (const el of removedBookmarks) {
+    for (const folderName of getFolderNames(el)) {
+      const ids = foldersDictionary[folderName]
+      const index = ids ? ids.indexOf(el.originalId) : -1
+      if (index !== -1) {
+        ids.splice(index, 1)
+        if (!ids.length) {
+          delete foldersDictionary[folderName]
+        }
+      }
+    }
+  }
+
+  for (const el of addedBookmarks) {
+    for (const folderName of getFolderNames(el)) {
+      if (!foldersDictionary[folderName]) {
+        foldersDictionary[folderName] = [el.originalId]
+      } else {
+        foldersDictionary[folderName].push(el.originalId)
+      }
+    }
+  }
+}
+
+function getFolderNames(bookmark) {
+  if (!bookmark.folder) {
+    return []
+  }
+  return bookmark.folder
+    .split('~')
+    .map((folderName) => folderName.trim())
+    .filter(Boolean)
+}
+
 /**
  * Build a group-to-tab index from the current tab model.
  *
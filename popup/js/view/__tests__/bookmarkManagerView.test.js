@@ -7,6 +7,7 @@ import {
   getManagedActionTargetIds,
   getManagedBookmarkEditValues,
   getSelectedManagedBookmarkIds,
+  handleManagerKeydown,
   renderActiveManagerScreen,
   renderBookmarkCleanupProposal,
   renderBookmarkUndoHistory,
@@ -42,6 +43,10 @@ function setupDom() {
     <div id="manager-status"></div>
     <input id="bookmark-manager-search" />
     <div id="bookmark-folder-tree"></div>
+    <div id="bookmark-saved-searches"></div>
+    <button id="export-saved-searches"></button>
+    <button id="import-saved-searches"></button>
+    <input id="import-saved-searches-file" type="file" />
     <div id="bookmark-browser-summary"></div>
     <div id="managed-bookmark-list"></div>
     <button id="select-visible-bookmarks"></button>
@@ -153,7 +158,7 @@ function setupExt() {
 }
 
 function bindEvents() {
-  bindBookmarkManagerEvents({
+  const handlers = {
     onRefresh: jest.fn(),
     onDeleteSelected: jest.fn(),
     onDeleteOne: jest.fn(),
@@ -171,6 +176,9 @@ function bindEvents() {
     onExportBookmarks: jest.fn(),
     onExportUndoHistory: jest.fn(),
     onImportUndoHistory: jest.fn(),
+    onExportSavedSearches: jest.fn(),
+    onImportSavedSearches: jest.fn(),
+    onDeleteSavedSearch: jest.fn(),
     onGenerateCleanupPrompt: jest.fn(),
     onGenerateCleanupPromptFull: jest.fn(),
     onCleanupScopeChange: jest.fn(),
@@ -180,7 +188,9 @@ function bindEvents() {
     onApplyCleanupChange: jest.fn(),
     onApplyCleanupCategory: jest.fn(),
     onApplyAllCleanupChanges: jest.fn(),
-  })
+  }
+  bindBookmarkManagerEvents(handlers)
+  return handlers
 }
 
 function renderWorkspace() {
@@ -448,3 +458,69 @@ describe('bookmarkManagerView selection', () => {
     expect(scrollIntoView).toHaveBeenCalledWith({ block: 'nearest' })
   })
 })
+
+describe('bookmarkManagerView saved searches', () => {
+  test('lists saved searches as virtual folders next to the folder tree', () => {
+    ext.model.savedSearches = [{ id: 'roadmap', name: 'Roadmap', query: '#work  roadmap', createdAt: 1 }]
+    ext.model.bookmarkManagerFolderId = 'saved:roadmap'
+    renderWorkspace()
+
+    const button = document.querySelector('#bookmark-saved-searches [data-manager-folder-id="saved:roadmap"]')
+    expect(button.classList.contains('active')).toBe(true)
+    expect(button.title).toBe('#work  roadmap')
+    expect(document.getElementById('bookmark-browser-summary').textContent).toContain('saved search "Roadmap"')
+
+    ext.model.bookmarkManagerFolderId = 'all'
+    button.click()
+    expect(ext.model.bookmarkManagerFolderId).toBe('saved:roadmap')
+    expect(global.boundHandlers.onBookmarkSearch).toHaveBeenCalled()
+
+    document.querySelector('[data-delete-saved-search-id="roadmap"]').click()
+    expect(global.boundHandlers.onDeleteSavedSearch).toHaveBeenCalledWith('roadmap')
+  })
+
+  test('shows a hint while no searches are saved', () => {
+    expect(document.getElementById('bookmark-saved-searches').textContent).toContain('No saved searches yet')
+  })
+})
+
+describe('bookmarkManagerView keyboard shortcuts', () => {
+  function keydown(key, target = document.body, modifiers = {}) {
+    return { key, target, preventDefault: jest.fn(), ...modifiers }
+  }
+
+  test('runs the Bookmark Manager keybindings and leaves text fields alone', () => {
+    const handlers = { onSaveBookmark: jest.fn(), onUndoBookmarkChange: jest.fn() }
+    window.history.replaceState(null, '', '/bookmarkManager.html#bookmarks')
+    document.querySelectorAll('[data-managed-bookmark-row-id]')[0].querySelector('.url').click()
+
+    const save = keydown('s', document.getElementById('bookmark-edit-title'), { ctrlKey: true })
+    expect(handleManagerKeydown(save, handlers)).toBe(true)
+    expect(save.preventDefault).toHaveBeenCalled()
+    expect(handlers.onSaveBookmark).toHaveBeenCalledTimes(1)
+
+    expect(
+      handleManagerKeydown(keydown('z', document.getElementById('bookmark-edit-title'), { ctrlKey: true }), handlers),
+    ).toBe(false)
+    expect(handleManagerKeydown(keydown('z', document.body, { ctrlKey: true }), handlers)).toBe(true)
+    expect(handlers.onUndoBookmarkChange).toHaveBeenCalledTimes(1)
+
+    expect(handleManagerKeydown(keydown('/'), handlers)).toBe(true)
+    expect(document.activeElement).toBe(document.getElementById('bookmark-manager-search'))
+
+    document.querySelectorAll('[data-managed-bookmark-id]')[1].click()
+    expect(getSelectedManagedBookmarkIds()).toHaveLength(1)
+    expect(handleManagerKeydown(keydown('Escape'), handlers)).toBe(true)
+    expect(getSelectedManagedBookmarkIds()).toEqual([])
+  })
+
+  test('uses the keys configured in the keybindings option', () => {
+    const handlers = { onSaveBookmark: jest.fn(), onUndoBookmarkChange: jest.fn() }
+    ext.opts = { keybindings: { managerUndo: ['Alt+U'], managerFocusSearch: [] } }
+
+    expect(handleManagerKeydown(keydown('z', document.body, { ctrlKey: true }), handlers)).toBe(false)
+    expect(handleManagerKeydown(keydown('/'), handlers)).toBe(false)
+    expect(handleManagerKeydown(keydown('u', document.body, { altKey: true }), handlers)).toBe(true)
+    expect(handlers.onUndoBookmarkChange).toHaveBeenCalledTimes(1)
+  })
+})
@@ -1,10 +1,12 @@
 /**
- * ✅ Covered behaviors: loading, saving, and resetting user options via the edit options view.
+ * ✅ Covered behaviors: loading, saving, and resetting user options via the edit options view,
+ *   requesting the optional permissions of enabled sources in one prompt, and clearing the learned ranking.
  * ⚠️ Known gaps: module-scoped isInitialized may prevent re-initialization across popup sessions, and location redirects are not asserted (jsdom limitation).
  * 🐞 Added BUG tests: none.
  */
 
 import { jest } from '@jest/globals'
+import { flushPromises } from '../../__tests__/testUtils.js'
 
 function setupDom() {
   document.body.innerHTML = `
@@ -23,6 +25,8 @@ function setupOptionsFormDom() {
       <textarea id="config"></textarea>
       <button id="opt-save"></button>
       <button id="opt-reset"></button>
+      <button id="opt-clear-selections"></button>
+      <button id="opt-clear-search-history"></button>
       <div id="error-message" style="display:none"></div>
     </section>
   `
@@ -89,12 +93,23 @@ async function loadEditOptionsView({
   jest.unstable_mockModule('../../model/optionsStorage.js', () => ({
     getUserOptions,
     setUserOptions,
+    getEffectiveOptions: jest.fn(),
   }))
 
   jest.unstable_mockModule('../../model/validateOptions.js', () => ({
     validateOptions,
   }))
 
+  const clearResultSelections = jest.fn(() => Promise.resolve())
+  jest.unstable_mockModule('../../model/resultSelections.js', () => ({
+    clearResultSelections,
+  }))
+
+  const clearSearchHistory = jest.fn(() => Promise.resolve())
+  jest.unstable_mockModule('../../model/searchQueryHistory.js', () => ({
+    clearSearchHistory,
+  }))
+
   const module = await import('../editOptionsView.js')
 
   return {
@@ -103,6 +118,8 @@ async function loadEditOptionsView({
       getUserOptions,
       setUserOptions,
       validateOptions,
+      clearResultSelections,
+      clearSearchHistory,
       dump: dumpMock,
       load: loadMock,
     },
@@ -308,6 +325,58 @@ describe('editOptionsView', () => {
     errorSpy.mockRestore()
   })
 
+  it('saveOptions requests the permissions of all enabled sources in a single prompt', async () => {
+    setupDom()
+    const request = jest.fn(() => Promise.resolve(true))
+    globalThis.chrome = { permissions: { request } }
+    const userOptions = { enablePageContentIndex: true, enableSyncedTabs: true, enableDownloads: true }
+    try {
+      const { module, mocks } = await loadEditOptionsView({
+        dumpImpl: jest.fn(() => '{}'),
+        loadImpl: jest.fn(() => userOptions),
+      })
+
+      await module.initOptions()
+      document.getElementById('config').value = 'enableDownloads: true'
+      document.getElementById('opt-save').dispatchEvent(new MouseEvent('click'))
+      await flushPromises()
+
+      expect(request).toHaveBeenCalledTimes(1)
+      expect(request).toHaveBeenCalledWith({
+        permissions: ['scripting', 'sessions', 'downloads', 'downloads.open'],
+        origins: ['<all_urls>'],
+      })
+      expect(mocks.setUserOptions).toHaveBeenCalledWith(userOptions)
+    } finally {
+      delete globalThis.chrome
+    }
+  })
+
+  it('saveOptions does not persist options when the permission prompt is denied', async () => {
+    setupDom()
+    const request = jest.fn(() => Promise.resolve(false))
+    globalThis.chrome = { permissions: { request } }
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    try {
+      const { module, mocks } = await loadEditOptionsView({
+        dumpImpl: jest.fn(() => '{}'),
+        loadImpl: jest.fn(() => ({ enableReadingList: true })),
+      })
+
+      await module.initOptions()
+      document.getElementById('config').value = 'enableReadingList: true'
+      document.getElementById('opt-save').dispatchEvent(new MouseEvent('click'))
+      await flushPromises()
+
+      expect(request).toHaveBeenCalledWith({ permissions: ['readingList'] })
+      expect(mocks.setUserOptions).not.toHaveBeenCalled()
+      expect(document.getElementById('error-message').textContent).toContain('the Reading List')
+    } finally {
+      delete globalThis.chrome
+      errorSpy.mockRestore()
+    }
+  })
+
   it('resetOptions clears the textarea value', async () => {
     setupDom()
     const { module } = await loadEditOptionsView({
@@ -325,6 +394,44 @@ describe('editOptionsView', () => {
     expect(input.value).toBe('')
   })
 
+  it('clears the learned ranking without touching the options draft', async () => {
+    setupOptionsFormDom()
+    const yaml = createJsonYamlMocks()
+    const { module, mocks } = await loadEditOptionsView({
+      userOptions: { searchMaxResults: 10 },
+      dumpImpl: yaml.dump,
+      loadImpl: yaml.load,
+    })
+
+    await module.initOptions()
+    document.getElementById('opt-clear-selections').dispatchEvent(new MouseEvent('click'))
+    await Promise.resolve()
+    await Promise.resolve()
+
+    expect(mocks.clearResultSelections).toHaveBeenCalledTimes(1)
+    expect(mocks.setUserOptions).not.toHaveBeenCalled()
+    expect(document.querySelector('[data-page-status]').textContent).toBe('Learned ranking cleared')
+  })
+
+  it('clears the search history without touching the options draft', async () => {
+    setupOptionsFormDom()
+    const yaml = createJsonYamlMocks()
+    const { module, mocks } = await loadEditOptionsView({
+      userOptions: { searchMaxResults: 10 },
+      dumpImpl: yaml.dump,
+      loadImpl: yaml.load,
+    })
+
+    await module.initOptions()
+    document.getElementById('opt-clear-search-history').dispatchEvent(new MouseEvent('click'))
+    await Promise.resolve()
+    await Promise.resolve()
+
+    expect(mocks.clearSearchHistory).toHaveBeenCalledTimes(1)
+    expect(mocks.setUserOptions).not.toHaveBeenCalled()
+    expect(document.querySelector('[data-page-status]').textContent).toBe('Search history cleared')
+  })
+
   it('edits simple string arrays with inline rows', async () => {
     setupOptionsFormDom()
     const yaml = createJsonYamlMocks()
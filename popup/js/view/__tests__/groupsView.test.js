@@ -1,8 +1,31 @@
-import { beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { answerInlineDialog, flushPromises } from '../../__tests__/testUtils.js'
 
 // Mock dependencies
 const mockGetUniqueGroups = jest.fn()
 const mockRenderTaxonomy = jest.fn()
+const mockGetSearchData = jest.fn()
+const mockTabGroupOperations = {
+  TAB_GROUP_COLORS: ['grey', 'blue', 'red'],
+  getTabGroupLabel: (group) => group.title || `Unnamed ${group.color} Group`,
+  getTabGroupsWithTabs: jest.fn(),
+  getRestorableFolders: jest.fn(),
+  setTabGroupCollapsed: jest.fn(),
+  renameTabGroup: jest.fn(),
+  setTabGroupColor: jest.fn(),
+  closeTabGroup: jest.fn(),
+  saveTabGroupAsFolder: jest.fn(),
+  restoreFolderAsTabGroup: jest.fn(),
+}
+const mockWorkspaces = {
+  describeWorkspace: (workspace) => `${workspace.tabs.length} tabs`,
+  findWorkspace: (workspaces, id) => workspaces.find((workspace) => workspace.id === id),
+  createTabGroupSnapshot: jest.fn(),
+  createWindowSnapshot: jest.fn(),
+  saveWorkspace: jest.fn(),
+  restoreWorkspace: jest.fn(),
+  deleteWorkspace: jest.fn(),
+}
 
 // Use unstable_mockModule for ESM mocking
 jest.unstable_mockModule('../../search/taxonomySearch.js', () => ({
@@ -13,6 +36,14 @@ jest.unstable_mockModule('../taxonomyViewHelper.js', () => ({
   renderTaxonomy: mockRenderTaxonomy,
 }))
 
+jest.unstable_mockModule('../../model/tabGroupOperations.js', () => mockTabGroupOperations)
+
+jest.unstable_mockModule('../../model/workspaces.js', () => mockWorkspaces)
+
+jest.unstable_mockModule('../../model/searchData.js', () => ({
+  getSearchData: mockGetSearchData,
+}))
+
 // Import the module under test
 // Note: We need to import it AFTER mocking
 // But we also need to re-import it in tests if we want to reset module state?
@@ -20,6 +51,7 @@ jest.unstable_mockModule('../taxonomyViewHelper.js', () => ({
 
 describe('groupsView', () => {
   let loadGroupsOverview
+  let runGroupOperation
 
   beforeEach(async () => {
     jest.clearAllMocks()
@@ -36,6 +68,7 @@ describe('groupsView', () => {
     // Dynamic import to ensure mocks are applied
     const module = await import('../groupsView.js')
     loadGroupsOverview = module.loadGroupsOverview
+    runGroupOperation = module.runGroupOperation
   })
 
   test('renders warning when permission is missing', async () => {
@@ -111,4 +144,126 @@ describe('groupsView', () => {
 
     expect(mockGetUniqueGroups).not.toHaveBeenCalled()
   })
+
+  describe('group operations', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="groups-list"></div><div id="groups-manage"></div>'
+      global.chrome.permissions.contains.mockImplementation((_, cb) => cb(true))
+      mockGetUniqueGroups.mockResolvedValue({ Work: [1, 2] })
+      mockGetSearchData.mockResolvedValue({ tabs: [{ originalId: 1 }] })
+      mockTabGroupOperations.getTabGroupsWithTabs.mockResolvedValue([
+        { id: 8, title: '', color: 'red', collapsed: true, tabs: [] },
+        { id: 7, title: 'Work <b>', color: 'blue', collapsed: false, tabs: [{ originalId: 1 }, { originalId: 2 }] },
+      ])
+      mockTabGroupOperations.getRestorableFolders.mockResolvedValue([
+        { id: 'f1', title: 'Work', path: '~Bookmarks Bar ~Work', count: 2 },
+      ])
+      global.ext = {
+        model: { tabs: [] },
+        browserApi: {
+          tabs: { group: jest.fn(), query: jest.fn(async () => [{ id: 1 }, { id: 2 }]) },
+          tabGroups: { update: jest.fn(), get: jest.fn(async (id) => ({ id, title: 'Work', collapsed: false })) },
+          bookmarks: { create: jest.fn() },
+        },
+      }
+    })
+
+    afterEach(() => {
+      delete global.ext
+      jest.restoreAllMocks()
+    })
+
+    test('lists the tab groups with their operations and the folders to restore', async () => {
+      await loadGroupsOverview()
+
+      const rows = [...document.querySelectorAll('.group-operations li')]
+      expect(rows.map((row) => row.getAttribute('x-group-id'))).toEqual(['8', '7'])
+      expect(rows[0].textContent).toContain('Unnamed red Group')
+      expect(rows[0].textContent).toContain('Expand')
+      expect(rows[1].querySelector('.group-title').innerHTML).toBe('Work &lt;b&gt;')
+      expect(rows[1].textContent).toContain('Collapse')
+      expect(rows[1].querySelector('select').value).toBe('blue')
+      expect(rows[1].querySelector('[data-action="save"]')).not.toBeNull()
+      expect(document.getElementById('restore-folder').value).toBe('f1')
+    })
+
+    test('runs the operation of a clicked button and reloads the tabs', async () => {
+      await loadGroupsOverview()
+      document.querySelector('li[x-group-id="7"] [data-action="toggle-collapsed"]').click()
+      await new Promise((resolve) => setTimeout(resolve, 0))
+
+      expect(mockTabGroupOperations.setTabGroupCollapsed).toHaveBeenCalledWith(7, true)
+      expect(mockGetSearchData).toHaveBeenCalled()
+      expect(ext.model.tabs).toEqual([{ originalId: 1 }])
+    })
+
+    test('renames, recolors, saves, restores and closes groups', async () => {
+      mockTabGroupOperations.saveTabGroupAsFolder.mockResolvedValue({ folderId: 'folder-1', count: 2 })
+      mockTabGroupOperations.restoreFolderAsTabGroup.mockResolvedValue(9)
+
+      let operation = runGroupOperation('rename', 7)
+      await answerInlineDialog('Reading')
+      await expect(operation).resolves.toBe(true)
+      operation = runGroupOperation('rename', 7)
+      await answerInlineDialog(null)
+      await expect(operation).resolves.toBe(false)
+      await runGroupOperation('color', 7, 'red')
+      await runGroupOperation('save', 7)
+      await runGroupOperation('restore', undefined, 'f1')
+
+      operation = runGroupOperation('close', 7)
+      await flushPromises()
+      expect(document.querySelector('#inline-dialog p').textContent).toBe('Close 2 tabs of "Work"?')
+      await answerInlineDialog(false)
+      await expect(operation).resolves.toBe(false)
+      operation = runGroupOperation('close', 7)
+      await answerInlineDialog(true)
+      await expect(operation).resolves.toBe(true)
+
+      expect(mockTabGroupOperations.renameTabGroup).toHaveBeenCalledTimes(1)
+      expect(mockTabGroupOperations.renameTabGroup).toHaveBeenCalledWith(7, 'Reading')
+      expect(mockTabGroupOperations.setTabGroupColor).toHaveBeenCalledWith(7, 'red')
+      expect(mockTabGroupOperations.saveTabGroupAsFolder).toHaveBeenCalledWith(7)
+      expect(mockTabGroupOperations.restoreFolderAsTabGroup).toHaveBeenCalledWith('f1')
+      expect(mockTabGroupOperations.closeTabGroup).toHaveBeenCalledTimes(1)
+    })
+
+    test('lists, saves, restores and deletes workspaces', async () => {
+      const workspace = { id: 'ws-1', name: 'Project <i>', tabs: [{ url: 'https://docs.test/' }], groups: [] }
+      ext.model.workspaces = [workspace]
+      ext.browserApi.storage = { local: {} }
+      const snapshot = { name: 'Work', tabs: [], groups: [] }
+      mockWorkspaces.createTabGroupSnapshot.mockResolvedValue(snapshot)
+      mockWorkspaces.createWindowSnapshot.mockResolvedValue(snapshot)
+
+      await loadGroupsOverview()
+      const row = document.querySelector('li[x-workspace-id="ws-1"]')
+      expect(row.querySelector('.group-title').innerHTML).toBe('Project &lt;i&gt;')
+      expect(document.querySelector('li[x-group-id="7"] [data-action="save-workspace"]')).not.toBeNull()
+
+      row.querySelector('[data-action="restore-workspace"]').click()
+      await new Promise((resolve) => setTimeout(resolve, 0))
+      expect(mockWorkspaces.restoreWorkspace).toHaveBeenCalledWith(workspace)
+
+      let operation = runGroupOperation('save-workspace', 7)
+      await flushPromises()
+      expect(document.querySelector('#inline-dialog input').value).toBe('Work')
+      await answerInlineDialog(true)
+      await expect(operation).resolves.toBe(true)
+      expect(mockWorkspaces.createTabGroupSnapshot).toHaveBeenCalledWith(7)
+      expect(mockWorkspaces.saveWorkspace).toHaveBeenCalledWith([workspace], 'Work', snapshot)
+      operation = runGroupOperation('save-window-workspace')
+      await answerInlineDialog('  ')
+      await expect(operation).resolves.toBe(false)
+      expect(mockWorkspaces.saveWorkspace).toHaveBeenCalledTimes(1)
+
+      operation = runGroupOperation('delete-workspace', undefined, 'ws-1')
+      await flushPromises()
+      expect(document.querySelector('#inline-dialog p').textContent).toBe('Delete workspace "Project <i>"?')
+      await answerInlineDialog(true)
+      await expect(operation).resolves.toBe(true)
+      expect(mockWorkspaces.deleteWorkspace).toHaveBeenCalledWith([workspace], 'ws-1')
+      await expect(runGroupOperation('restore-workspace', undefined, 'missing')).resolves.toBe(false)
+    })
+  })
 })
@@ -0,0 +1,94 @@
+/**
+ * Tests for inlineDialog.js - inline name inputs and confirmations of the popup pages.
+ *
+ * ✅ Covered behaviors: submitting with Enter and the submit button, cancelling with Escape and the Cancel button,
+ *    keeping dialog keys away from page listeners, confirmation details, escaping, focus restore,
+ *    and cancelling an open dialog when another one opens.
+ * ⚠️ Known gaps: the visual placement (CSS) is not asserted.
+ * 🐞 Added BUG tests: none
+ */
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import { answerInlineDialog } from '../../__tests__/testUtils.js'
+import { confirmInline, promptInline } from '../inlineDialog.js'
+
+function pressKey(target, key) {
+  target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }))
+}
+
+describe('inlineDialog', () => {
+  let searchInput
+  let pageKeyListener
+
+  beforeEach(() => {
+    document.body.innerHTML = '<input id="q" />'
+    searchInput = document.getElementById('q')
+    searchInput.focus()
+    pageKeyListener = jest.fn()
+    document.addEventListener('keydown', pageKeyListener)
+  })
+
+  afterEach(() => {
+    document.removeEventListener('keydown', pageKeyListener)
+    document.body.innerHTML = ''
+  })
+
+  test('asks for a text and submits it with Enter', async () => {
+    const answer = promptInline('Save this search as:', 'react hooks')
+
+    const dialog = document.getElementById('inline-dialog')
+    const input = dialog.querySelector('input')
+    expect(dialog.hidden).toBe(false)
+    expect(dialog.querySelector('label').textContent).toBe('Save this search as:')
+    expect(input.value).toBe('react hooks')
+    expect(document.activeElement).toBe(input)
+
+    input.value = 'React'
+    pressKey(input, 'Enter')
+
+    await expect(answer).resolves.toBe('React')
+    expect(dialog.hidden).toBe(true)
+    expect(pageKeyListener).not.toHaveBeenCalled()
+    expect(document.activeElement).toBe(searchInput)
+  })
+
+  test('resolves null when cancelled with Escape or the Cancel button', async () => {
+    const first = promptInline('Name:')
+    pressKey(document.querySelector('#inline-dialog input'), 'Escape')
+    await expect(first).resolves.toBeNull()
+
+    const second = promptInline('Name:')
+    await answerInlineDialog(null)
+    await expect(second).resolves.toBeNull()
+    expect(pageKeyListener).not.toHaveBeenCalled()
+  })
+
+  test('confirms with a list of the affected items, escaped', async () => {
+    const answer = confirmInline('Close 2 duplicate tabs?', {
+      details: ['<b>Docs</b>', 'Mail'],
+      confirmLabel: 'Close Tabs',
+    })
+
+    const dialog = document.getElementById('inline-dialog')
+    expect(dialog.querySelector('input')).toBeNull()
+    expect([...dialog.querySelectorAll('li')].map((li) => li.textContent)).toEqual(['<b>Docs</b>', 'Mail'])
+    expect(dialog.querySelector('.inline-dialog-submit').textContent).toBe('Close Tabs')
+    expect(document.activeElement).toBe(dialog.querySelector('.inline-dialog-submit'))
+
+    await answerInlineDialog(true)
+    await expect(answer).resolves.toBe(true)
+
+    const cancelled = confirmInline('Delete workspace "Project"?')
+    await answerInlineDialog(false)
+    await expect(cancelled).resolves.toBe(false)
+  })
+
+  test('cancels an open dialog when another one opens', async () => {
+    const first = promptInline('First:')
+    const second = promptInline('Second:', 'value')
+
+    await expect(first).resolves.toBeNull()
+    await answerInlineDialog('Answer')
+    await expect(second).resolves.toBe('Answer')
+  })
+})
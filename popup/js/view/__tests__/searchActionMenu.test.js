@@ -0,0 +1,492 @@
+/**
+ * ✅ Covered behaviors: actions offered per result type, keyboard navigation inside the menu,
+ *   copy as URL and Markdown, opening in new and private windows, moving tabs between windows, naming windows,
+ *   tab management actions for a tab and for all matching tabs, adding tabs to tab groups,
+ *   tab group operations during an `@group` search,
+ *   confirmed bookmark deletion and history removal with search data updates, right-click and keyboard opening.
+ * ⚠️ Known gaps: menu positioning relies on layout values that jsdom does not calculate.
+ * 🐞 Added BUG tests: none.
+ */
+
+import { jest } from '@jest/globals'
+import { answerInlineDialog } from '../../__tests__/testUtils.js'
+
+const originalWindowClose = window.close
+const originalClipboard = navigator.clipboard
+
+function createResults() {
+  return [
+    {
+      type: 'bookmark',
+      originalId: 'bm-1',
+      originalUrl: 'https://bookmark.test/a',
+      url: 'bookmark.test/a',
+      title: 'Bookmark [draft]',
+    },
+    {
+      type: 'tab',
+      originalId: 2,
+      originalUrl: 'https://tab.test',
+      url: 'tab.test',
+      title: 'Tab Title',
+    },
+    {
+      type: 'history',
+      originalId: 'h-1',
+      originalUrl: 'https://history.test',
+      url: 'history.test',
+      title: 'History Title',
+    },
+  ]
+}
+
+async function setupActionMenu() {
+  jest.resetModules()
+  window.location.hash = '#search/query'
+
+  const menuModule = await import('../searchActionMenu.js')
+  const viewModule = await import('../searchView.js')
+  const navigationModule = await import('../searchNavigation.js')
+
+  document.body.innerHTML = `
+    <input id="q" />
+    <ul id="results"></ul>
+    <div id="result-menu" hidden></div>
+    <div id="error-overlay" style="display:none"></div>
+  `
+
+  const results = createResults()
+  global.ext = {
+    dom: {
+      resultList: document.getElementById('results'),
+      searchInput: document.getElementById('q'),
+    },
+    model: {
+      result: results,
+      bookmarks: [{ ...results[0] }],
+      tabs: [{ ...results[1], windowId: 1 }],
+      history: [{ ...results[2] }],
+      searchTerm: 'query',
+      currentItem: 0,
+    },
+    opts: { enableBookmarks: true },
+    searchCache: new Map([['cached', []]]),
+    browserApi: {
+      tabs: { move: jest.fn(() => Promise.resolve()) },
+      windows: {
+        create: jest.fn(() => Promise.resolve({ id: 9 })),
+        getAll: jest.fn(() =>
+          Promise.resolve([
+            { id: 1, tabs: [{ title: 'Tab Title', active: true }] },
+            {
+              id: 5,
+              tabs: [
+                { title: 'Docs', active: true },
+                { title: 'Mail', active: false },
+              ],
+            },
+            { id: 6, incognito: true, tabs: [{ title: 'Private', active: true }] },
+          ]),
+        ),
+      },
+      bookmarks: { remove: jest.fn(() => Promise.resolve()) },
+      history: { deleteUrl: jest.fn(() => Promise.resolve()) },
+    },
+  }
+  Object.defineProperty(navigator, 'clipboard', {
+    value: { writeText: jest.fn(() => Promise.resolve()) },
+    configurable: true,
+  })
+  window.close = jest.fn()
+
+  await viewModule.renderSearchResults()
+  return { module: menuModule, navigationModule, menu: document.getElementById('result-menu') }
+}
+
+/**
+ * Let the browser report the tab result as moved to another window, so the tab can be re-read after the move.
+ */
+function mockMovedTab(windowId) {
+  ext.opts.enableTabs = true
+  ext.browserApi.tabs.get = jest.fn((tabId) =>
+    Promise.resolve({ id: tabId, windowId, active: true, title: 'Tab Title', url: 'https://tab.test' }),
+  )
+}
+
+function getMenuLabels(menu) {
+  return Array.from(menu.children).map((item) => item.textContent)
+}
+
+function key(name, extra = {}) {
+  return { key: name, preventDefault: jest.fn(), ...extra }
+}
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+afterEach(() => {
+  delete global.ext
+  document.body.innerHTML = ''
+  window.location.hash = ''
+  window.close = originalWindowClose
+  Object.defineProperty(navigator, 'clipboard', { value: originalClipboard, configurable: true })
+})
+
+describe('searchActionMenu', () => {
+  it('offers the actions that fit the result type', async () => {
+    const { module, menu } = await setupActionMenu()
+
+    module.openResultMenu(0)
+    expect(menu.hidden).toBe(false)
+    expect(getMenuLabels(menu)).toEqual([
+      'Copy URL',
+      'Copy as Markdown Link',
+      'Open in New Window',
+      'Open in Private Window',
+      'Delete Bookmark',
+      'Remove from History',
+    ])
+
+    module.openResultMenu(1)
+    expect(getMenuLabels(menu)).toContain('Move Tab to Window…')
+    expect(getMenuLabels(menu)).not.toContain('Delete Bookmark')
+
+    module.closeResultMenu()
+    expect(menu.hidden).toBe(true)
+    expect(module.isResultMenuOpen()).toBe(false)
+  })
+
+  it('navigates with the keyboard and copies as Markdown link', async () => {
+    const { module, menu } = await setupActionMenu()
+    module.openResultMenu(0)
+
+    const down = key('ArrowDown')
+    expect(module.handleResultMenuKey(down)).toBe(true)
+    expect(down.preventDefault).toHaveBeenCalled()
+    expect(menu.querySelector('.active').textContent).toBe('Copy as Markdown Link')
+    expect(ext.dom.searchInput.getAttribute('aria-activedescendant')).toBe('result-menu-copy-markdown')
+
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('[Bookmark \\[draft\\]](https://bookmark.test/a)')
+    expect(module.isResultMenuOpen()).toBe(false)
+  })
+
+  it('closes on Escape and on other keys without handling them', async () => {
+    const { module } = await setupActionMenu()
+
+    module.openResultMenu(0)
+    expect(module.handleResultMenuKey(key('Escape'))).toBe(true)
+    expect(module.isResultMenuOpen()).toBe(false)
+
+    module.openResultMenu(0)
+    const typed = key('a')
+    expect(module.handleResultMenuKey(typed)).toBe(false)
+    expect(typed.preventDefault).not.toHaveBeenCalled()
+    expect(module.isResultMenuOpen()).toBe(false)
+  })
+
+  it('opens results in a new or private window', async () => {
+    const { module } = await setupActionMenu()
+
+    await module.openResultInWindow(ext.model.result[0])
+    await module.openResultInWindow(ext.model.result[0], { incognito: true })
+
+    expect(ext.browserApi.windows.create).toHaveBeenNthCalledWith(1, {
+      url: 'https://bookmark.test/a',
+      focused: true,
+    })
+    expect(ext.browserApi.windows.create).toHaveBeenNthCalledWith(2, {
+      url: 'https://bookmark.test/a',
+      focused: true,
+      incognito: true,
+    })
+    expect(window.close).toHaveBeenCalledTimes(2)
+  })
+
+  it('shows an error and keeps the popup open if a private window is not allowed', async () => {
+    const { module } = await setupActionMenu()
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    ext.browserApi.windows.create.mockRejectedValueOnce(new Error('Incognito mode is disabled'))
+
+    await module.openResultInWindow(ext.model.result[0], { incognito: true })
+
+    expect(window.close).not.toHaveBeenCalled()
+    expect(document.getElementById('error-overlay').textContent).toContain('Incognito mode is disabled')
+    errorSpy.mockRestore()
+  })
+
+  it('moves a tab to another window chosen from the menu', async () => {
+    const { module, menu } = await setupActionMenu()
+    mockMovedTab(5)
+    module.openResultMenu(1)
+    const moveIndex = getMenuLabels(menu).indexOf('Move Tab to Window…')
+
+    menu.children[moveIndex].dispatchEvent(new MouseEvent('mouseup', { bubbles: true, button: 0 }))
+    await flushPromises()
+
+    expect(getMenuLabels(menu)).toEqual(['Window 1: Docs (2 tabs)', 'New Window'])
+
+    menu.children[0].dispatchEvent(new MouseEvent('mouseup', { bubbles: true, button: 0 }))
+    await flushPromises()
+
+    expect(ext.browserApi.tabs.move).toHaveBeenCalledWith(2, { windowId: 5, index: -1 })
+    expect(ext.model.tabs[0].windowId).toBe(5)
+    expect(module.isResultMenuOpen()).toBe(false)
+  })
+
+  it('names the window of a tab and updates the window labels of the results', async () => {
+    const { module, menu } = await setupActionMenu()
+    Object.assign(ext.model.result[1], { windowId: 1, windowLabel: 'Tab Title' })
+    Object.assign(ext.model.tabs[0], { active: true })
+    ext.browserApi.storage = {
+      local: { get: jest.fn(() => Promise.resolve({})), set: jest.fn(() => Promise.resolve()) },
+    }
+
+    module.openResultMenu(1)
+    menu.children[getMenuLabels(menu).indexOf('Name Window…')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+
+    expect(module.isResultMenuOpen()).toBe(false)
+    expect(document.querySelector('#inline-dialog label').textContent).toBe(
+      'Name of the window (empty to use the title of its active tab):',
+    )
+    expect(document.querySelector('#inline-dialog input').value).toBe('')
+    await answerInlineDialog('Research')
+    await flushPromises()
+
+    expect(ext.browserApi.storage.local.set).toHaveBeenCalledWith({ windowNames: { 1: 'Research' } })
+    expect(ext.model.tabs[0]).toMatchObject({ windowLabel: 'Research', windowLabelLower: 'research' })
+    expect(ext.model.result[1]).toMatchObject({ windowLabel: 'Research', windowLabelLower: 'research' })
+    expect(module.isResultMenuOpen()).toBe(false)
+  })
+
+  it('offers tab management actions for a tab and for all matching tabs', async () => {
+    const { module, menu } = await setupActionMenu()
+    const secondTab = { ...ext.model.result[1], originalId: 3, originalUrl: 'https://tab.test/b', pinned: true }
+    ext.model.result.push(secondTab)
+    ext.model.tabs.push({ ...secondTab, windowId: 1 })
+    Object.assign(ext.browserApi.tabs, {
+      update: jest.fn(() => Promise.resolve()),
+      reload: jest.fn(() => Promise.resolve()),
+      group: jest.fn(() => Promise.resolve(4)),
+    })
+
+    module.openResultMenu(1)
+    expect(getMenuLabels(menu)).toEqual(
+      expect.arrayContaining(['Pin Tab', 'Mute Tab', 'Reload Tab', 'Add Tab to Group…', 'All Matching Tabs…']),
+    )
+    expect(getMenuLabels(menu)).not.toContain('Unpin Tab')
+
+    menu.children[getMenuLabels(menu).indexOf('All Matching Tabs…')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+
+    expect(getMenuLabels(menu)).toEqual([
+      'Pin 2 Tabs',
+      'Unpin 2 Tabs',
+      'Mute 2 Tabs',
+      'Reload 2 Tabs',
+      'Move 2 Tabs to New Window',
+      'Add 2 Tabs to Group…',
+    ])
+
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith(2, { pinned: true })
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith(3, { pinned: true })
+    expect(module.isResultMenuOpen()).toBe(false)
+  })
+
+  it('adds a tab to a new tab group named in an inline input', async () => {
+    const { module, menu } = await setupActionMenu()
+    Object.assign(ext.browserApi.tabs, { group: jest.fn(() => Promise.resolve(4)) })
+    ext.browserApi.tabGroups = {
+      query: jest.fn(() => Promise.resolve([{ id: 1, title: '', color: 'green' }])),
+      update: jest.fn(() => Promise.resolve()),
+    }
+
+    module.openResultMenu(1)
+    menu.children[getMenuLabels(menu).indexOf('Add Tab to Group…')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+
+    expect(getMenuLabels(menu)).toEqual(['Unnamed green Group', 'New Group…'])
+
+    module.handleResultMenuKey(key('End'))
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    // The menu closes, so it does not cover the name input
+    expect(module.isResultMenuOpen()).toBe(false)
+    expect(document.querySelector('#inline-dialog label').textContent).toBe('Name of the new tab group:')
+    await answerInlineDialog('Later')
+    await flushPromises()
+
+    expect(ext.browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [2] })
+    expect(ext.browserApi.tabGroups.update).toHaveBeenCalledWith(4, { title: 'Later' })
+  })
+
+  it('offers tab group operations for the group of a tab during an @group search', async () => {
+    const { module, menu } = await setupActionMenu()
+    const groupTab = { groupId: 7, group: 'Work', groupLower: 'work' }
+    Object.assign(ext.model.result[1], groupTab)
+    Object.assign(ext.model.tabs[0], groupTab)
+    const browserTab = { id: 2, windowId: 1, groupId: 7, title: 'Tab Title', url: 'https://tab.test' }
+    const group = { id: 7, title: 'Work', color: 'blue', collapsed: false }
+    ext.opts.enableTabs = true
+    Object.assign(ext.browserApi.tabs, {
+      get: jest.fn(() => Promise.resolve({ ...browserTab })),
+      query: jest.fn(() => Promise.resolve([{ ...browserTab }])),
+      remove: jest.fn(() => Promise.resolve()),
+    })
+    ext.browserApi.tabGroups = {
+      get: jest.fn(() => Promise.resolve({ ...group })),
+      update: jest.fn((_groupId, changes) => Promise.resolve(Object.assign(group, changes))),
+    }
+
+    module.openResultMenu(1)
+    expect(getMenuLabels(menu)).not.toContain('Tab Group…')
+    module.closeResultMenu()
+
+    ext.model.searchMode = 'groups'
+    module.openResultMenu(1)
+    menu.children[getMenuLabels(menu).indexOf('Tab Group…')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+
+    expect(getMenuLabels(menu)).toEqual([
+      'Collapse Group',
+      'Rename Group…',
+      'Change Group Color…',
+      'Close All Tabs in Group',
+    ])
+
+    module.handleResultMenuKey(key('ArrowDown'))
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    expect(module.isResultMenuOpen()).toBe(false)
+    expect(document.querySelector('#inline-dialog input').value).toBe('Work')
+    await answerInlineDialog('Reading')
+    await flushPromises()
+
+    expect(ext.browserApi.tabGroups.update).toHaveBeenCalledWith(7, { title: 'Reading' })
+    expect(ext.model.tabs[0]).toMatchObject({ groupId: 7, group: 'Reading' })
+    expect(ext.model.result[1]).toMatchObject({ group: 'Reading', groupLower: 'reading' })
+    expect(module.isResultMenuOpen()).toBe(false)
+
+    module.openResultMenu(1)
+    menu.children[getMenuLabels(menu).indexOf('Tab Group…')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+    module.handleResultMenuKey(key('End'))
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    expect(getMenuLabels(menu).at(-1)).toBe('Confirm: Close 1 Tab')
+    expect(ext.browserApi.tabs.remove).not.toHaveBeenCalled()
+
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    expect(ext.browserApi.tabs.remove).toHaveBeenCalledWith([2])
+    expect(ext.model.tabs).toEqual([])
+    expect(ext.model.result.map((result) => result.type)).toEqual(['bookmark', 'history'])
+  })
+
+  it('moves a tab into a new window and updates its window label', async () => {
+    const { module, menu } = await setupActionMenu()
+    mockMovedTab(9)
+    module.openResultMenu(1)
+    menu.children[getMenuLabels(menu).indexOf('Move Tab to Window…')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+
+    menu.children[getMenuLabels(menu).indexOf('New Window')].dispatchEvent(
+      new MouseEvent('mouseup', { bubbles: true, button: 0 }),
+    )
+    await flushPromises()
+
+    expect(ext.browserApi.windows.create).toHaveBeenCalledWith({ tabId: 2, focused: false })
+    expect(ext.model.tabs[0]).toMatchObject({ windowId: 9, windowLabel: 'Tab Title' })
+    expect(ext.model.result[1]).toMatchObject({ windowId: 9, windowLabel: 'Tab Title' })
+    expect(ext.searchCache.size).toBe(0)
+  })
+
+  it('deletes a bookmark only after confirmation and updates the results', async () => {
+    const { module, menu } = await setupActionMenu()
+    module.openResultMenu(0)
+    module.handleResultMenuKey(key('End'))
+    module.handleResultMenuKey(key('ArrowUp'))
+
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+    expect(ext.browserApi.bookmarks.remove).not.toHaveBeenCalled()
+    expect(menu.querySelector('.active').textContent).toBe('Confirm: Delete Bookmark')
+
+    module.handleResultMenuKey(key('Enter'))
+    await flushPromises()
+
+    expect(ext.browserApi.bookmarks.remove).toHaveBeenCalledWith('bm-1')
+    expect(ext.model.bookmarks).toEqual([])
+    expect(ext.model.result.map((result) => result.originalId)).toEqual([2, 'h-1'])
+    expect(ext.dom.resultList.children).toHaveLength(2)
+    expect(ext.searchCache.size).toBe(0)
+  })
+
+  it('removes a URL from the history and from the history results', async () => {
+    const { module } = await setupActionMenu()
+
+    await module.removeResultFromHistory(ext.model.result[2])
+
+    expect(ext.browserApi.history.deleteUrl).toHaveBeenCalledWith({ url: 'https://history.test' })
+    expect(ext.model.history).toEqual([])
+    expect(ext.model.result.map((result) => result.originalId)).toEqual(['bm-1', 2])
+  })
+
+  it('opens with Shift+F10 or the context menu key for the selected result', async () => {
+    const { module, navigationModule, menu } = await setupActionMenu()
+    ext.model.currentItem = 1
+
+    const event = key('F10', { shiftKey: true })
+    await navigationModule.navigationKeyListener(event)
+
+    expect(event.preventDefault).toHaveBeenCalled()
+    expect(module.isResultMenuOpen()).toBe(true)
+    expect(getMenuLabels(menu)).toContain('Move Tab to Window…')
+
+    // Keys go to the open menu instead of the result list
+    await navigationModule.navigationKeyListener(key('ArrowDown'))
+    expect(ext.model.currentItem).toBe(1)
+    expect(menu.querySelector('.active').textContent).toBe('Copy as Markdown Link')
+
+    await navigationModule.navigationKeyListener(key('Escape'))
+    expect(module.isResultMenuOpen()).toBe(false)
+    expect(window.location.hash).toBe('#search/query')
+
+    await navigationModule.navigationKeyListener(key('ContextMenu'))
+    expect(module.isResultMenuOpen()).toBe(true)
+  })
+
+  it('opens on right-click of a result instead of opening the result', async () => {
+    const { module } = await setupActionMenu()
+
+    ext.dom.resultList.children[2]
+      .querySelector('.title')
+      .dispatchEvent(new MouseEvent('mouseup', { bubbles: true, button: 2, clientX: 10, clientY: 20 }))
+
+    expect(module.isResultMenuOpen()).toBe(true)
+    expect(ext.model.currentItem).toBe(2)
+    expect(document.getElementById('sel')).toBe(ext.dom.resultList.children[2])
+    expect(navigator.clipboard.writeText).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,230 @@
+/**
+ * ✅ Covered behaviors: marking and unmarking results, marks surviving re-renders, bulk action bar state,
+ *   opening marked results in a new window, closing marked tabs, bookmarking into a folder without duplicates,
+ *   Markdown formatting and bookmark folder paths.
+ * ⚠️ Known gaps: clipboard permission errors are only shown in the bar.
+ * 🐞 Added BUG tests: none.
+ */
+
+import { jest } from '@jest/globals'
+
+function createResults() {
+  return [
+    {
+      type: 'bookmark',
+      originalId: 'bm-1',
+      originalUrl: 'https://bookmark.test/a',
+      url: 'bookmark.test/a',
+      title: 'Bookmark [draft]',
+    },
+    {
+      type: 'tab',
+      originalId: 2,
+      originalUrl: 'https://tab.test/page (1)',
+      url: 'tab.test/page (1)',
+      title: 'Tab Title',
+    },
+    {
+      type: 'search',
+      originalUrl: 'https://www.google.com/search?q=test',
+      url: 'google.com/search?q=test',
+      title: 'Google',
+    },
+  ]
+}
+
+async function setupBulkActions({ results = createResults() } = {}) {
+  jest.resetModules()
+
+  const bulkModule = await import('../searchBulkActions.js')
+  const viewModule = await import('../searchView.js')
+
+  document.body.innerHTML = `
+    <input id="q" />
+    <ul id="results"></ul>
+    <div id="bulk-actions" hidden>
+      <span class="bulk-count"></span>
+      <button type="button" data-bulk-action="window"></button>
+      <button type="button" data-bulk-action="close"></button>
+      <select class="bulk-folder"><option value=""></option></select>
+      <button type="button" data-bulk-action="markdown"></button>
+      <button type="button" data-bulk-action="clear"></button>
+    </div>
+  `
+
+  const copiedResults = results.map((entry) => ({ ...entry }))
+  global.ext = {
+    dom: {
+      resultList: document.getElementById('results'),
+      searchInput: document.getElementById('q'),
+    },
+    model: {
+      result: copiedResults,
+      tabs: copiedResults.filter((entry) => entry.type === 'tab').map((entry) => ({ ...entry })),
+      bookmarks: [{ originalId: 'bm-1', url: 'bookmark.test/a', folderId: 'f1' }],
+      searchTerm: 'test',
+      currentItem: 0,
+    },
+    opts: {},
+    browserApi: {
+      tabs: { remove: jest.fn(() => Promise.resolve()) },
+      windows: { create: jest.fn(() => Promise.resolve()) },
+      bookmarks: {
+        create: jest.fn(() => Promise.resolve()),
+        getTree: jest.fn(() => Promise.resolve([])),
+      },
+    },
+  }
+
+  await viewModule.renderSearchResults()
+  return { module: bulkModule, viewModule, bar: document.getElementById('bulk-actions') }
+}
+
+afterEach(() => {
+  delete global.ext
+  document.body.innerHTML = ''
+})
+
+describe('searchBulkActions marks', () => {
+  it('toggles marks on markable results and shows the bulk action bar', async () => {
+    const { module, bar } = await setupBulkActions()
+
+    expect(module.toggleResultMark(0)).toBe(true)
+    expect(module.toggleResultMark(1)).toBe(true)
+    expect(module.toggleResultMark(2)).toBe(false)
+
+    expect(ext.dom.resultList.children[0].classList.contains('marked')).toBe(true)
+    expect(ext.dom.resultList.children[2].classList.contains('marked')).toBe(false)
+    expect(bar.hidden).toBe(false)
+    expect(bar.querySelector('.bulk-count').textContent).toBe('2 marked')
+    expect(bar.querySelector('[data-bulk-action="close"]').disabled).toBe(false)
+
+    expect(module.toggleResultMark(1)).toBe(false)
+    expect(bar.querySelector('[data-bulk-action="close"]').disabled).toBe(true)
+
+    module.clearResultMarks()
+    expect(module.getMarkedResults()).toEqual([])
+    expect(ext.dom.resultList.querySelectorAll('li.marked')).toHaveLength(0)
+    expect(bar.hidden).toBe(true)
+  })
+
+  it('keeps marks across new searches and re-renders', async () => {
+    const { module, viewModule } = await setupBulkActions()
+    module.toggleResultMark(1)
+
+    ext.model.result = [ext.model.result[0]]
+    await viewModule.renderSearchResults()
+    expect(ext.dom.resultList.querySelectorAll('li.marked')).toHaveLength(0)
+
+    ext.model.result = createResults()
+    await viewModule.renderSearchResults()
+    expect(ext.dom.resultList.children[1].classList.contains('marked')).toBe(true)
+    expect(module.getMarkedResults().map((result) => result.originalId)).toEqual([2])
+  })
+})
+
+describe('searchBulkActions actions', () => {
+  it('opens all marked results in one new window and closes the popup', async () => {
+    const { module } = await setupBulkActions()
+    window.close = jest.fn()
+    module.toggleResultMark(0)
+    module.toggleResultMark(1)
+
+    await module.openMarkedInNewWindow()
+
+    expect(ext.browserApi.windows.create).toHaveBeenCalledWith({
+      url: ['https://bookmark.test/a', 'https://tab.test/page (1)'],
+      focused: true,
+    })
+    expect(module.getMarkedResults()).toEqual([])
+    expect(window.close).toHaveBeenCalledTimes(1)
+  })
+
+  it('closes marked tabs and keeps other marks', async () => {
+    const { module, bar } = await setupBulkActions()
+    module.toggleResultMark(0)
+    module.toggleResultMark(1)
+
+    await expect(module.closeMarkedTabs()).resolves.toBe(1)
+
+    expect(ext.browserApi.tabs.remove).toHaveBeenCalledWith([2])
+    expect(ext.model.tabs).toEqual([])
+    expect(ext.model.result.map((result) => result.type)).toEqual(['bookmark', 'search'])
+    expect(module.getMarkedResults().map((result) => result.originalId)).toEqual(['bm-1'])
+    expect(bar.querySelector('.bulk-count').textContent).toBe('Closed 1 tab')
+  })
+
+  it('bookmarks marked results into a folder and skips URLs already bookmarked there', async () => {
+    const { module } = await setupBulkActions()
+    module.toggleResultMark(0)
+    module.toggleResultMark(1)
+
+    await expect(module.bookmarkMarkedResults('f1')).resolves.toBe(1)
+
+    expect(ext.browserApi.bookmarks.create).toHaveBeenCalledTimes(1)
+    expect(ext.browserApi.bookmarks.create).toHaveBeenCalledWith({
+      parentId: 'f1',
+      title: 'Tab Title',
+      url: 'https://tab.test/page (1)',
+    })
+  })
+
+  it('runs bulk actions from the bar', async () => {
+    const { module, bar } = await setupBulkActions()
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: jest.fn(() => Promise.resolve()) },
+      configurable: true,
+    })
+    module.toggleResultMark(0)
+
+    bar.querySelector('[data-bulk-action="markdown"]').click()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('- [Bookmark \\[draft\\]](https://bookmark.test/a)')
+    expect(bar.querySelector('.bulk-count').textContent).toBe('Copied as Markdown')
+
+    bar.querySelector('[data-bulk-action="clear"]').click()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(bar.hidden).toBe(true)
+  })
+})
+
+describe('searchBulkActions helpers', () => {
+  it('formats results as Markdown links', async () => {
+    const { module } = await setupBulkActions()
+
+    expect(
+      module.formatMarkdownLinks([
+        { title: 'A [b]', originalUrl: 'https://a.test/x (y)' },
+        { title: '', originalUrl: 'https://b.test' },
+        { title: 'No URL' },
+      ]),
+    ).toBe('- [A \\[b\\]](https://a.test/x%20%28y%29)\n- [https://b.test](https://b.test)')
+  })
+
+  it('collects bookmark folders with their full path', async () => {
+    const { module } = await setupBulkActions()
+    const tree = [
+      {
+        id: '0',
+        title: '',
+        children: [
+          {
+            id: '1',
+            title: 'Bookmarks Bar',
+            children: [
+              { id: '3', title: 'Work', children: [{ id: '4', title: 'Link', url: 'https://a.test' }] },
+              { id: '5', title: 'Link', url: 'https://b.test' },
+            ],
+          },
+          { id: '2', title: 'Other Bookmarks', children: [] },
+        ],
+      },
+    ]
+
+    expect(module.collectBookmarkFolders(tree)).toEqual([
+      { id: '1', path: 'Bookmarks Bar' },
+      { id: '3', path: 'Bookmarks Bar / Work' },
+      { id: '2', path: 'Other Bookmarks' },
+    ])
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ * ✅ Covered behaviors: registration of the built-in commands, closing duplicate tabs
+ *   while keeping the most recently used one, closing stale tabs, confirming tab cleanups,
+ *   bookmarking all tabs of the current window, saving the current window as workspace.
+ * ⚠️ Known gaps: page navigation and file downloads are not verified in jsdom.
+ * 🐞 Added BUG tests: none.
+ */
+
+import { jest } from '@jest/globals'
+import { answerInlineDialog, flushPromises } from '../../__tests__/testUtils.js'
+
+async function setupCommands({ tabs = [] } = {}) {
+  jest.resetModules()
+  const commandsModule = await import('../searchCommands.js')
+  const paletteModule = await import('../../search/commandPalette.js')
+
+  document.body.innerHTML = `
+    <input id="q" />
+    <ul id="results"></ul>
+  `
+  global.ext = {
+    dom: {
+      resultList: document.getElementById('results'),
+      searchInput: document.getElementById('q'),
+    },
+    model: {
+      result: tabs.map((tab) => ({ ...tab })),
+      tabs: tabs.map((tab) => ({ ...tab })),
+      bookmarks: [],
+      searchTerm: '',
+      currentItem: 0,
+    },
+    opts: { staleTabDays: 7 },
+    browserApi: {
+      tabs: {
+        remove: jest.fn(() => Promise.resolve()),
+        query: jest.fn(() =>
+          Promise.resolve([
+            { title: 'Docs', url: 'https://docs.test/' },
+            { title: 'Docs again', url: 'https://docs.test' },
+            { title: 'Settings', url: 'chrome://settings' },
+            { title: '', url: 'https://mail.test/inbox' },
+          ]),
+        ),
+      },
+      bookmarks: {
+        getTree: jest.fn(),
+        create: jest.fn(({ url }) => Promise.resolve({ id: url ? 'bm' : 'folder-1' })),
+      },
+      storage: {
+        local: { set: jest.fn(() => Promise.resolve()) },
+      },
+    },
+  }
+  return { module: commandsModule, palette: paletteModule }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  delete global.ext
+  document.body.innerHTML = ''
+})
+
+describe('searchCommands', () => {
+  it('registers the built-in commands that are available in this browser', async () => {
+    const { module, palette } = await setupCommands()
+
+    module.registerDefaultCommands()
+    const ids = palette.getCommands().map((command) => command.id)
+
+    expect(ids).toEqual(
+      expect.arrayContaining([
+        'open-bookmark-manager',
+        'export-bookmarks',
+        'close-duplicate-tabs',
+        'close-stale-tabs',
+        'save-window-workspace',
+        'toggle-search-strategy',
+      ]),
+    )
+    expect(ids).not.toContain('open-groups')
+    expect(palette.searchCommands('export html')[0].originalId).toBe('export-bookmarks')
+  })
+
+  it('closes duplicate tabs and keeps the active or most recently used tab', async () => {
+    const { module } = await setupCommands({
+      tabs: [
+        { type: 'tab', originalId: 1, title: 'A1', url: 'a.test', lastVisitSecondsAgo: 50 },
+        { type: 'tab', originalId: 2, title: 'A2', url: 'a.test', lastVisitSecondsAgo: 5 },
+        { type: 'tab', originalId: 3, title: 'A3', url: 'a.test', lastVisitSecondsAgo: 500 },
+        { type: 'tab', originalId: 4, title: 'B1', url: 'b.test', lastVisitSecondsAgo: 100 },
+        { type: 'tab', originalId: 5, title: 'B2', url: 'b.test', lastVisitSecondsAgo: 1, active: true },
+        { type: 'tab', originalId: 6, title: 'C', url: 'c.test' },
+      ],
+    })
+    const closing = module.closeDuplicateTabs()
+    await Promise.resolve()
+    const dialog = document.getElementById('inline-dialog')
+    expect(dialog.querySelector('p').textContent).toBe('Close 3 duplicate tabs?')
+    expect([...dialog.querySelectorAll('li')].map((li) => li.textContent)).toEqual(['A1', 'A3', 'B1'])
+    expect(ext.browserApi.tabs.remove).not.toHaveBeenCalled()
+
+    await answerInlineDialog(true)
+    await expect(closing).resolves.toBe(3)
+
+    expect(ext.browserApi.tabs.remove).toHaveBeenCalledWith([1, 3, 4])
+    expect(ext.model.tabs.map((tab) => tab.originalId)).toEqual([2, 5, 6])
+    expect(ext.model.result.map((tab) => tab.originalId)).toEqual([2, 5, 6])
+  })
+
+  it('does nothing without duplicate tabs', async () => {
+    const { module } = await setupCommands({ tabs: [{ type: 'tab', originalId: 1, url: 'a.test' }] })
+
+    await expect(module.closeDuplicateTabs()).resolves.toBe(0)
+    expect(ext.browserApi.tabs.remove).not.toHaveBeenCalled()
+  })
+
+  it('keeps the tabs open when the cleanup is not confirmed', async () => {
+    const { module } = await setupCommands({
+      tabs: [
+        { type: 'tab', originalId: 1, url: 'a.test' },
+        { type: 'tab', originalId: 2, url: 'a.test' },
+      ],
+    })
+    const closing = module.closeDuplicateTabs()
+    await answerInlineDialog(false)
+
+    await expect(closing).resolves.toBe(0)
+    expect(ext.browserApi.tabs.remove).not.toHaveBeenCalled()
+    expect(ext.model.tabs).toHaveLength(2)
+  })
+
+  it('closes tabs that were not used for the configured number of days', async () => {
+    const day = 24 * 60 * 60
+    const { module } = await setupCommands({
+      tabs: [
+        { type: 'tab', originalId: 1, title: 'Old', url: 'a.test', lastVisitSecondsAgo: 8 * day },
+        { type: 'tab', originalId: 2, title: 'Recent', url: 'b.test', lastVisitSecondsAgo: day },
+        { type: 'tab', originalId: 3, title: 'Pinned', url: 'c.test', lastVisitSecondsAgo: 30 * day, pinned: true },
+        { type: 'tab', originalId: 4, title: 'Oldest', url: 'd.test', lastVisitSecondsAgo: 20 * day },
+      ],
+    })
+    const closing = module.closeStaleTabs()
+    await Promise.resolve()
+    const dialog = document.getElementById('inline-dialog')
+    expect(dialog.querySelector('p').textContent).toBe('Close 2 stale tabs?')
+    expect([...dialog.querySelectorAll('li')].map((li) => li.textContent)).toEqual(['Oldest', 'Old'])
+
+    await answerInlineDialog(true)
+    await expect(closing).resolves.toBe(2)
+
+    expect(ext.browserApi.tabs.remove).toHaveBeenCalledWith([4, 1])
+    expect(ext.model.tabs.map((tab) => tab.originalId)).toEqual([2, 3])
+  })
+
+  it('bookmarks the tabs of the current window into a new folder once per URL', async () => {
+    const { module } = await setupCommands()
+
+    await expect(module.bookmarkWindowTabs()).resolves.toBe(2)
+
+    expect(ext.browserApi.tabs.query).toHaveBeenCalledWith({ currentWindow: true })
+    expect(ext.browserApi.bookmarks.create).toHaveBeenNthCalledWith(1, { title: expect.stringMatching(/^Tabs \d{4}-/) })
+    expect(ext.browserApi.bookmarks.create).toHaveBeenNthCalledWith(2, {
+      parentId: 'folder-1',
+      title: 'Docs',
+      url: 'https://docs.test/',
+    })
+    expect(ext.browserApi.bookmarks.create).toHaveBeenNthCalledWith(3, {
+      parentId: 'folder-1',
+      title: 'https://mail.test/inbox',
+      url: 'https://mail.test/inbox',
+    })
+  })
+  it('saves the tabs of the current window as workspace under the entered name', async () => {
+    const { module } = await setupCommands()
+    const saving = module.saveWindowAsWorkspace()
+    await flushPromises()
+    expect(document.querySelector('#inline-dialog label').textContent).toBe('Save this workspace as:')
+    expect(document.querySelector('#inline-dialog input').value).toMatch(/^Window \d{4}-/)
+
+    await answerInlineDialog('Project')
+    await expect(saving).resolves.toBe(true)
+
+    expect(ext.model.workspaces).toEqual([expect.objectContaining({ name: 'Project' })])
+    expect(ext.model.workspaces[0].tabs.map((tab) => tab.url)).toEqual([
+      'https://docs.test/',
+      'https://docs.test',
+      'https://mail.test/inbox',
+    ])
+    expect(ext.browserApi.storage.local.set).toHaveBeenCalledWith({ workspaces: ext.model.workspaces })
+  })
+})
@@ -1,11 +1,13 @@
 /**
  * ✅ Covered behaviors: result opening flows (close, copy, modifiers, tab switching),
- *   and search approach toggling.
+ *   learning opened results, recording and recalling search queries, saving and running saved searches, restoring recently closed sessions,
+ *   opening downloads, switching to windows, running commands, and search approach toggling.
  * ⚠️ Known gaps: does not verify browser navigation side effects beyond mocked APIs.
  * 🐞 Added BUG tests: tab deletion with findIndex returning -1.
  */
 
 import { jest } from '@jest/globals'
+import { answerInlineDialog, flushPromises } from '../../__tests__/testUtils.js'
 
 const originalWindowClose = window.close
 const originalWindowOpen = window.open
@@ -50,6 +52,7 @@ async function setupSearchEvents({ results = createResults(), bookmarks = [], op
   jest.unstable_mockModule('../../model/optionsStorage.js', () => ({
     getUserOptions,
     setUserOptions,
+    getEffectiveOptions: jest.fn(),
   }))
   jest.unstable_mockModule('../../search/common.js', () => ({
     search: searchMock,
@@ -321,6 +324,31 @@ describe('searchEvents openResultItem', () => {
     expect(ext.model.bookmarks[1].openTabTitle).toBe('Other Tab')
   })
 
+  it('marks results with Shift+click instead of opening them', async () => {
+    const { viewModule, elements } = await setupSearchEvents()
+    await viewModule.renderSearchResults()
+    window.close = jest.fn()
+
+    const item = elements.resultList.children[0]
+    item.querySelector('.title').dispatchEvent(new MouseEvent('mouseup', { bubbles: true, shiftKey: true, button: 0 }))
+
+    expect(item.classList.contains('marked')).toBe(true)
+    expect(ext.model.markedResults.size).toBe(1)
+    expect(window.close).not.toHaveBeenCalled()
+    expect(ext.browserApi.tabs.update).not.toHaveBeenCalled()
+  })
+
+  it('opens results in a background tab with Ctrl+click', async () => {
+    const { viewModule, elements } = await setupSearchEvents()
+    await viewModule.renderSearchResults()
+
+    const item = elements.resultList.children[0]
+    item.querySelector('.title').dispatchEvent(new MouseEvent('mouseup', { bubbles: true, ctrlKey: true, button: 0 }))
+
+    expect(item.classList.contains('marked')).toBe(false)
+    expect(ext.browserApi.tabs.create).toHaveBeenCalledWith({ active: false, url: 'https://bookmark.test' })
+  })
+
   it('ignores stale close buttons without a valid tab id', async () => {
     const { module } = await setupSearchEvents()
 
@@ -695,6 +723,252 @@ describe('searchEvents openResultItem', () => {
     expect(window.close).toHaveBeenCalledTimes(1)
   })
 
+  it('learns the opened result for the current query without field filters', async () => {
+    const { module, viewModule } = await setupSearchEvents({ opts: { scoreSelectionBonusScore: 5 } })
+    await viewModule.renderSearchResults()
+    ext.model.searchTerm = 'Query domain:bookmark.test'
+    ext.model.resultSelections = {}
+    ext.browserApi.storage = { local: { set: jest.fn(() => Promise.resolve()) } }
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+
+    expect(ext.model.resultSelections).toEqual({ query: { 'bookmark.test': [expect.any(Number)] } })
+    expect(ext.browserApi.storage.local.set).toHaveBeenCalledWith({ resultSelections: ext.model.resultSelections })
+  })
+
+  it('records the query and the opened result in the search history', async () => {
+    const { module, viewModule } = await setupSearchEvents({ opts: { enableSearchHistory: true } })
+    await viewModule.renderSearchResults()
+    ext.dom.searchInput.value = 'Query #alpha'
+    ext.model.searchHistory = []
+    ext.browserApi.storage = { local: { set: jest.fn(() => Promise.resolve()) } }
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+
+    expect(ext.model.searchHistory).toEqual([
+      {
+        query: 'Query #alpha',
+        searchedAt: expect.any(Number),
+        selection: { title: 'Bookmark Title', url: 'https://bookmark.test', type: 'bookmark' },
+      },
+    ])
+    expect(ext.browserApi.storage.local.set).toHaveBeenCalledWith({ searchQueryHistory: ext.model.searchHistory })
+  })
+
+  it('searches a recent query again instead of recording it', async () => {
+    const { module, viewModule, mocks } = await setupSearchEvents({
+      results: [{ type: 'recentSearch', title: 'b react', originalId: 'b react', description: 'Recent search' }],
+      opts: { enableSearchHistory: true },
+    })
+    await viewModule.renderSearchResults()
+    ext.model.searchHistory = []
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+
+    expect(ext.dom.searchInput.value).toBe('b react')
+    expect(mocks.search).toHaveBeenCalled()
+    expect(ext.model.searchHistory).toEqual([])
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+  })
+
+  it('runs the query of a saved search', async () => {
+    const { module, viewModule, mocks } = await setupSearchEvents({
+      results: [{ type: 'savedSearch', title: 'Roadmap', query: '#work ~Projects  roadmap', originalId: 'saved-1' }],
+    })
+    await viewModule.renderSearchResults()
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+
+    expect(ext.dom.searchInput.value).toBe('#work ~Projects  roadmap')
+    expect(mocks.search).toHaveBeenCalled()
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+  })
+
+  it('saves the current query under the name entered inline', async () => {
+    const { module } = await setupSearchEvents()
+    const promptSpy = jest.spyOn(window, 'prompt')
+    ext.dom.searchInput.value = '#work ~Projects  roadmap '
+    ext.model.savedSearches = []
+    ext.searchCache = new Map([['roadmap_precise_savedSearches', []]])
+    ext.browserApi.storage = { sync: { set: jest.fn(() => Promise.resolve()) } }
+
+    const saving = module.saveCurrentSearch()
+    await flushPromises()
+    expect(document.querySelector('#inline-dialog label').textContent).toBe('Save this search as:')
+    expect(document.querySelector('#inline-dialog input').value).toBe('#work ~Projects  roadmap')
+    await answerInlineDialog('Roadmap')
+    await expect(saving).resolves.toBe(true)
+    expect(promptSpy).not.toHaveBeenCalled()
+    promptSpy.mockRestore()
+
+    expect(ext.model.savedSearches).toEqual([
+      { id: expect.any(String), name: 'Roadmap', query: '#work ~Projects  roadmap', createdAt: expect.any(Number) },
+    ])
+    expect(ext.browserApi.storage.sync.set).toHaveBeenCalledWith({ savedSearches: ext.model.savedSearches })
+    expect(ext.searchCache.size).toBe(0)
+  })
+
+  it('does not save command palette and saved search queries', async () => {
+    const { module } = await setupSearchEvents()
+    ext.model.savedSearches = []
+
+    ext.dom.searchInput.value = '>export'
+    await expect(module.saveCurrentSearch()).resolves.toBe(false)
+    ext.dom.searchInput.value = 'saved:road'
+    await expect(module.saveCurrentSearch()).resolves.toBe(false)
+    expect(document.getElementById('inline-dialog')?.hidden ?? true).toBe(true)
+  })
+
+  it('does not save the query when the name input is cancelled', async () => {
+    const { module } = await setupSearchEvents()
+    ext.dom.searchInput.value = 'roadmap'
+    ext.model.savedSearches = []
+
+    const saving = module.saveCurrentSearch()
+    await answerInlineDialog(null)
+
+    await expect(saving).resolves.toBe(false)
+    expect(ext.model.savedSearches).toEqual([])
+  })
+
+  it('restores recently closed tabs and windows instead of opening their URL', async () => {
+    const session = { type: 'session', sessionId: 's1', originalUrl: 'https://closed.test', url: 'closed.test' }
+    const { module, viewModule } = await setupSearchEvents({ results: [session] })
+    await viewModule.renderSearchResults()
+    ext.browserApi.sessions = { restore: jest.fn(() => Promise.resolve()) }
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(ext.browserApi.sessions.restore).toHaveBeenCalledWith('s1')
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+    expect(window.close).toHaveBeenCalledTimes(1)
+  })
+
+  it('switches to the window of a window result', async () => {
+    const { module, viewModule } = await setupSearchEvents({
+      results: [{ type: 'window', title: 'Research', description: '2 tabs', originalId: 7 }],
+    })
+    await viewModule.renderSearchResults()
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(ext.browserApi.windows.update).toHaveBeenCalledWith(7, { focused: true })
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+    expect(window.close).toHaveBeenCalledTimes(1)
+  })
+
+  it('restores a workspace into a new window instead of opening a URL', async () => {
+    const { module, viewModule } = await setupSearchEvents({
+      results: [{ type: 'workspace', title: 'Project', description: '1 tab', originalId: 'ws-1' }],
+    })
+    await viewModule.renderSearchResults()
+    ext.model.workspaces = [
+      { id: 'ws-1', name: 'Project', tabs: [{ url: 'https://docs.test/', title: 'Docs' }], groups: [] },
+    ]
+    ext.browserApi.windows = {
+      create: jest.fn(() => Promise.resolve({ id: 5, tabs: [{ id: 10 }] })),
+      update: jest.fn(() => Promise.resolve()),
+    }
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(ext.browserApi.windows.create).toHaveBeenCalledWith({ url: ['https://docs.test/'], focused: false })
+    expect(ext.browserApi.windows.update).toHaveBeenCalledWith(5, { focused: true })
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+    expect(window.close).toHaveBeenCalledTimes(1)
+  })
+
+  it('opens downloaded files that still exist and the download URL otherwise', async () => {
+    const downloads = [
+      {
+        type: 'download',
+        originalId: 7,
+        originalUrl: 'https://files.test/a.pdf',
+        url: 'files.test/a.pdf',
+        fileExists: true,
+      },
+      {
+        type: 'download',
+        originalId: 8,
+        originalUrl: 'https://files.test/b.pdf',
+        url: 'files.test/b.pdf',
+        fileExists: false,
+      },
+    ]
+    const { module, viewModule } = await setupSearchEvents({ results: downloads })
+    await viewModule.renderSearchResults()
+    ext.browserApi.downloads = { open: jest.fn(() => Promise.resolve()) }
+    const event = {
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    }
+
+    module.openResultItem(event)
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(ext.browserApi.downloads.open).toHaveBeenCalledWith(7)
+    expect(window.close).toHaveBeenCalledTimes(1)
+
+    ext.model.currentItem = 1
+    module.openResultItem(event)
+    expect(ext.browserApi.downloads.open).toHaveBeenCalledTimes(1)
+    expect(ext.browserApi.tabs.create).toHaveBeenCalledWith({ active: true, url: 'https://files.test/b.pdf' })
+  })
+
+  it('runs command palette results and returns to the default results', async () => {
+    const { module, viewModule, mocks } = await setupSearchEvents({
+      results: [{ type: 'command', originalId: 'test-command', title: 'Test Command', description: 'Runs a test' }],
+    })
+    const { registerCommand } = await import('../../search/commandPalette.js')
+    const run = jest.fn()
+    registerCommand({ id: 'test-command', title: 'Test Command', run })
+    await viewModule.renderSearchResults()
+    ext.dom.searchInput.value = '>test'
+
+    module.openResultItem({
+      button: 0,
+      target: { nodeName: 'LI', getAttribute: () => null, className: '' },
+      stopPropagation: jest.fn(),
+    })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(ext.dom.searchInput.value).toBe('')
+    expect(mocks.search).toHaveBeenCalled()
+    expect(ext.browserApi.tabs.create).not.toHaveBeenCalled()
+  })
+
   it('falls back to window.open when no browser tab APIs are available', async () => {
     const { module, viewModule } = await setupSearchEvents()
     await viewModule.renderSearchResults()
@@ -865,6 +1139,34 @@ describe('search approach controls', () => {
     expect(mocks.search).toHaveBeenCalledTimes(1)
   })
 
+  it('cycles to semantic search only when the local language model is available', async () => {
+    const { module, mocks, elements } = await setupSearchEvents()
+    ext.opts.searchStrategy = 'fuzzy'
+
+    await module.toggleSearchApproach()
+    expect(ext.opts.searchStrategy).toBe('precise')
+
+    const availability = jest.fn(() => Promise.resolve('downloadable'))
+    globalThis.LanguageModel = { availability }
+    try {
+      ext.opts.searchStrategy = 'fuzzy'
+      await module.toggleSearchApproach()
+      expect(ext.opts.searchStrategy).toBe('precise')
+
+      availability.mockResolvedValue('available')
+      ext.opts.searchStrategy = 'fuzzy'
+      await module.toggleSearchApproach()
+      expect(ext.opts.searchStrategy).toBe('semantic')
+      expect(mocks.setUserOptions).toHaveBeenLastCalledWith({ searchStrategy: 'semantic' })
+      expect(elements.searchApproachToggle.className).toBe('semantic')
+
+      await module.toggleSearchApproach()
+      expect(ext.opts.searchStrategy).toBe('precise')
+    } finally {
+      delete globalThis.LanguageModel
+    }
+  })
+
   it('updateSearchApproachToggle reflects current strategy', async () => {
     const { module, elements } = await setupSearchEvents()
     ext.opts.searchStrategy = 'precise'
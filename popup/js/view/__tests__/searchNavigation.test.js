@@ -1,6 +1,7 @@
 /**
- * ✅ Covered behaviors: keyboard navigation (arrow keys, vim-style, Enter, Escape),
- *   selection management, scrolling, and hover handling.
+ * ✅ Covered behaviors: keyboard navigation (arrow keys, vim-style, Enter, Escape), custom keybindings,
+ *   recalling queries from the search history,
+ *   selection management (including section headers), scrolling, hover handling and marking results with Space.
  * ⚠️ Known gaps: does not verify browser navigation side effects beyond mocked APIs.
  * 🐞 Added BUG tests: none.
  */
@@ -143,6 +144,23 @@ describe('searchNavigation selection helpers', () => {
     })
   })
 
+  it('selectListItem skips section headers of the default results', async () => {
+    const [bookmark, tab] = createResults()
+    const { module, viewModule, elements } = await setupSearchNavigation({
+      results: [
+        { ...bookmark, sectionTitle: 'Current Page' },
+        { ...tab, sectionTitle: 'Recent Tabs' },
+      ],
+    })
+    await viewModule.renderSearchResults()
+
+    module.selectListItem(1)
+
+    expect(elements.resultList.children).toHaveLength(4)
+    expect(document.getElementById('sel')).toBe(elements.resultList.children[3])
+    expect(document.getElementById('sel').getAttribute('x-index')).toBe('1')
+  })
+
   it('hoverResultItem only selects after mouse has actually moved', async () => {
     const { module, viewModule, elements } = await setupSearchNavigation()
     await viewModule.renderSearchResults()
@@ -405,6 +423,47 @@ describe('searchNavigation navigationKeyListener', () => {
     expect(focusMock).toHaveBeenCalledTimes(1)
   })
 
+  it('marks the selected result with Space only after keyboard navigation', async () => {
+    const { module, viewModule, elements } = await setupSearchNavigation()
+    await viewModule.renderSearchResults()
+    Array.from(elements.resultList.children).forEach((child) => {
+      child.scrollIntoView = jest.fn()
+    })
+
+    const typedSpace = { key: ' ', preventDefault: jest.fn() }
+    module.navigationKeyListener(typedSpace)
+    expect(typedSpace.preventDefault).not.toHaveBeenCalled()
+    expect(ext.model.markedResults).toBeUndefined()
+
+    module.navigationKeyListener({ key: 'ArrowDown', preventDefault: jest.fn() })
+    const markingSpace = { key: ' ', preventDefault: jest.fn() }
+    module.navigationKeyListener(markingSpace)
+    expect(markingSpace.preventDefault).toHaveBeenCalledTimes(1)
+    expect([...ext.model.markedResults.keys()]).toEqual(['tab:2'])
+    expect(elements.resultList.children[1].classList.contains('marked')).toBe(true)
+
+    // Typing ends keyboard navigation, so Space is typed again
+    module.navigationKeyListener({ key: 'a', preventDefault: jest.fn() })
+    const spaceAfterTyping = { key: ' ', preventDefault: jest.fn() }
+    module.navigationKeyListener(spaceAfterTyping)
+    expect(spaceAfterTyping.preventDefault).not.toHaveBeenCalled()
+    expect(ext.model.markedResults.size).toBe(1)
+  })
+
+  it('clears marked results with Escape before resetting the search', async () => {
+    const { module, viewModule, elements } = await setupSearchNavigation()
+    await viewModule.renderSearchResults()
+    elements.searchInput.focus = jest.fn()
+    ext.model.markedResults = new Map([['tab:2', ext.model.result[1]]])
+
+    module.navigationKeyListener({ key: 'Escape', preventDefault: jest.fn() })
+    expect(ext.model.markedResults.size).toBe(0)
+    expect(window.location.hash).toBe('#search/query')
+
+    module.navigationKeyListener({ key: 'Escape', preventDefault: jest.fn() })
+    expect(window.location.hash).toBe('#search/')
+  })
+
   it('toggles search strategy with Ctrl+F', async () => {
     const { module, viewModule } = await setupSearchNavigation()
     await viewModule.renderSearchResults()
@@ -504,4 +563,53 @@ describe('searchNavigation navigationKeyListener', () => {
     expect(dispatchEvent).toHaveBeenCalledTimes(1)
     expect(dispatchEvent.mock.calls[0][0].type).toBe('input')
   })
+
+  it('uses the keys configured in the keybindings option', async () => {
+    const { module, viewModule, elements } = await setupSearchNavigation({
+      opts: { keybindings: { selectNext: ['Alt+J'], selectPrevious: ['Alt+K'], editBookmark: [] } },
+    })
+    await viewModule.renderSearchResults()
+    const preventDefault = jest.fn()
+    Array.from(elements.resultList.children).forEach((child) => {
+      child.scrollIntoView = jest.fn()
+    })
+
+    await module.navigationKeyListener({ key: 'ArrowDown', preventDefault })
+    expect(ext.model.currentItem).toBe(0)
+    expect(preventDefault).not.toHaveBeenCalled()
+
+    await module.navigationKeyListener({ key: 'j', altKey: true, preventDefault })
+    expect(ext.model.currentItem).toBe(1)
+    await module.navigationKeyListener({ key: 'k', altKey: true, preventDefault })
+    expect(ext.model.currentItem).toBe(0)
+
+    const unboundPreventDefault = jest.fn()
+    expect(await module.navigationKeyListener({ key: 'F2', preventDefault: unboundPreventDefault })).toBeUndefined()
+    expect(unboundPreventDefault).not.toHaveBeenCalled()
+  })
+
+  it('recalls queries from the search history with Ctrl+ArrowUp and Ctrl+ArrowDown', async () => {
+    const { module, elements } = await setupSearchNavigation()
+    ext.model.searchHistory = [{ query: 'b react' }, { query: 'hooks' }]
+    ext.model.result = []
+    const key = (name) => ({ key: name, ctrlKey: true, preventDefault: jest.fn() })
+
+    await module.navigationKeyListener(key('ArrowUp'))
+    expect(elements.searchInput.value).toBe('b react')
+    await module.navigationKeyListener(key('ArrowUp'))
+    expect(elements.searchInput.value).toBe('hooks')
+    await module.navigationKeyListener(key('ArrowUp'))
+    expect(elements.searchInput.value).toBe('hooks')
+
+    await module.navigationKeyListener(key('ArrowDown'))
+    expect(elements.searchInput.value).toBe('b react')
+    await module.navigationKeyListener(key('ArrowDown'))
+    expect(elements.searchInput.value).toBe('')
+
+    // Editing the recalled query starts over from the newest query
+    await module.navigationKeyListener(key('ArrowUp'))
+    elements.searchInput.value = 'b react native'
+    await module.navigationKeyListener(key('ArrowUp'))
+    expect(elements.searchInput.value).toBe('b react')
+  })
 })
@@ -0,0 +1,220 @@
+/**
+ * ✅ Covered behaviors: pinning, muting, reloading and discarding tabs (also when some tabs fail),
+ *   moving tabs into a new or another window with updated window labels, adding tabs to new and existing tab groups, patching `ext.model.tabs` and the shown results in place.
+ * ⚠️ Known gaps: browser-specific tab ID changes on discard are only covered by a single replaced tab.
+ * 🐞 Added BUG tests: none.
+ */
+
+import { jest } from '@jest/globals'
+
+function createBrowserTabs() {
+  return [
+    { id: 1, windowId: 1, active: true, title: 'Docs', url: 'https://docs.test/' },
+    { id: 2, windowId: 1, title: 'Mail', url: 'https://mail.test/' },
+    { id: 3, windowId: 1, title: 'News', url: 'https://news.test/' },
+  ]
+}
+
+async function setupTabActions() {
+  jest.resetModules()
+
+  const tabActionsModule = await import('../searchTabActions.js')
+  const viewModule = await import('../searchView.js')
+  const { convertBrowserTabs } = await import('../../helper/browserApi.js')
+
+  document.body.innerHTML = `
+    <input id="q" />
+    <ul id="results"></ul>
+  `
+
+  const browserTabs = new Map(createBrowserTabs().map((tab) => [tab.id, tab]))
+  const groups = new Map([[7, { id: 7, title: 'Work', color: 'blue' }]])
+  const tabs = convertBrowserTabs([...browserTabs.values()])
+
+  global.ext = {
+    dom: {
+      resultList: document.getElementById('results'),
+      searchInput: document.getElementById('q'),
+    },
+    model: {
+      tabs,
+      bookmarks: [],
+      history: [],
+      result: tabs.map((tab) => ({ ...tab })),
+      searchTerm: '',
+    },
+    opts: { enableTabs: true, displayTabGroup: true },
+    searchCache: new Map([['cached', []]]),
+    browserApi: {
+      tabs: {
+        get: jest.fn(async (tabId) => ({ ...browserTabs.get(tabId) })),
+        update: jest.fn(async (tabId, { pinned, muted }) => {
+          const tab = browserTabs.get(tabId)
+          if (pinned !== undefined) tab.pinned = pinned
+          if (muted !== undefined) tab.mutedInfo = { muted }
+          return { ...tab }
+        }),
+        reload: jest.fn(async () => {}),
+        discard: jest.fn(async (tabId) => {
+          const tab = browserTabs.get(tabId)
+          tab.discarded = true
+          return { ...tab }
+        }),
+        move: jest.fn(async (tabIds, { windowId }) => {
+          for (const tabId of tabIds) browserTabs.get(tabId).windowId = windowId
+        }),
+        group: jest.fn(async ({ tabIds, groupId = 8 }) => {
+          if (!groups.has(groupId)) groups.set(groupId, { id: groupId, title: '', color: 'red' })
+          for (const tabId of tabIds) browserTabs.get(tabId).groupId = groupId
+          return groupId
+        }),
+      },
+      tabGroups: {
+        get: jest.fn(async (groupId) => groups.get(groupId)),
+        query: jest.fn(async () => [...groups.values()]),
+        update: jest.fn(async (groupId, { title }) => Object.assign(groups.get(groupId), { title })),
+      },
+      windows: {
+        create: jest.fn(async ({ tabId }) => {
+          browserTabs.get(tabId).windowId = 9
+          return { id: 9 }
+        }),
+      },
+    },
+  }
+
+  await viewModule.renderSearchResults()
+  return { module: tabActionsModule, browserTabs }
+}
+
+afterEach(() => {
+  delete global.ext
+  document.body.innerHTML = ''
+})
+
+describe('searchTabActions', () => {
+  it('pins and mutes tabs and updates the tabs and the shown results in place', async () => {
+    const { module } = await setupTabActions()
+    const tabs = module.getMatchingTabResults().slice(1)
+
+    await module.setTabsPinned(tabs, true)
+    await module.setTabsMuted(tabs.slice(0, 1), true)
+
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith(2, { pinned: true })
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith(3, { pinned: true })
+    expect(ext.browserApi.tabs.update).toHaveBeenCalledWith(2, { muted: true })
+    expect(ext.model.tabs.map((tab) => [tab.originalId, tab.pinned, tab.muted])).toEqual([
+      [1, undefined, undefined],
+      [2, true, true],
+      [3, true, undefined],
+    ])
+    expect(ext.model.result[1]).toMatchObject({ pinned: true, muted: true })
+    expect(ext.dom.resultList.children[1].textContent).toContain('Pinned')
+    expect(ext.dom.resultList.children[1].textContent).toContain('Muted')
+    expect(ext.searchCache.size).toBe(0)
+
+    await module.setTabsPinned(tabs, false)
+
+    expect(ext.model.result[1].pinned).toBeUndefined()
+    expect(ext.dom.resultList.children[1].textContent).not.toContain('Pinned')
+  })
+
+  it('reloads tabs and discards all but the active tab', async () => {
+    const { module } = await setupTabActions()
+    const tabs = module.getMatchingTabResults()
+
+    await module.reloadTabs(tabs.slice(2))
+    expect(ext.browserApi.tabs.reload).toHaveBeenCalledWith(3)
+
+    await expect(module.discardTabs(tabs)).resolves.toBe(2)
+    expect(ext.browserApi.tabs.discard.mock.calls.map(([tabId]) => tabId)).toEqual([2, 3])
+    expect(ext.model.tabs.map((tab) => Boolean(tab.discarded))).toEqual([false, true, true])
+    expect(ext.model.result[2].discarded).toBe(true)
+  })
+
+  it('updates the tabs that succeeded when the action fails for some of them', async () => {
+    const { module } = await setupTabActions()
+    const tabs = module.getMatchingTabResults()
+    const closedError = new Error('No tab with id: 2.')
+    ext.browserApi.tabs.update.mockRejectedValueOnce(closedError)
+    ext.browserApi.tabs.discard.mockRejectedValueOnce(closedError)
+    ext.browserApi.tabs.reload.mockRejectedValueOnce(closedError)
+
+    await expect(module.setTabsPinned(tabs.slice(1), true)).rejects.toBe(closedError)
+    expect(ext.model.tabs.map((tab) => Boolean(tab.pinned))).toEqual([false, false, true])
+    expect(ext.model.result[2].pinned).toBe(true)
+
+    await expect(module.discardTabs(tabs)).rejects.toBe(closedError)
+    expect(ext.model.tabs.map((tab) => Boolean(tab.discarded))).toEqual([false, false, true])
+    expect(ext.model.result[2].discarded).toBe(true)
+
+    ext.browserApi.tabs.get.mockClear()
+    await expect(module.reloadTabs(tabs.slice(1))).rejects.toBe(closedError)
+    expect(ext.browserApi.tabs.get.mock.calls.map(([tabId]) => tabId)).toEqual([3])
+  })
+
+  it('replaces a tab that the browser discarded under a new ID', async () => {
+    const { module, browserTabs } = await setupTabActions()
+    ext.browserApi.tabs.discard.mockImplementationOnce(async () => {
+      browserTabs.set(20, { ...browserTabs.get(2), id: 20, discarded: true })
+      return browserTabs.get(20)
+    })
+
+    await module.discardTabs(module.getMatchingTabResults().slice(1, 2))
+
+    expect(ext.model.tabs.map((tab) => tab.originalId)).toEqual([1, 3, 20])
+    expect(ext.model.result.map((result) => result.originalId)).toEqual([1, 3])
+  })
+
+  it('moves tabs into a new window', async () => {
+    const { module } = await setupTabActions()
+
+    await expect(module.moveTabsToNewWindow(module.getMatchingTabResults().slice(1))).resolves.toBe(9)
+
+    expect(ext.browserApi.windows.create).toHaveBeenCalledWith({ tabId: 2, focused: false })
+    expect(ext.browserApi.tabs.move).toHaveBeenCalledWith([3], { windowId: 9, index: -1 })
+    expect(ext.model.tabs.map((tab) => tab.windowId)).toEqual([1, 9, 9])
+    expect(ext.model.result.map((result) => result.windowId)).toEqual([1, 9, 9])
+  })
+
+  it('moves a tab to another window and updates the window labels of both windows', async () => {
+    const { module, browserTabs } = await setupTabActions()
+    const { convertBrowserTabs } = await import('../../helper/browserApi.js')
+    const { applyWindowLabels } = await import('../../model/windowLabels.js')
+    browserTabs.set(4, { id: 4, windowId: 2, active: true, title: 'Chat', url: 'https://chat.test/' })
+    ext.model.tabs = applyWindowLabels(convertBrowserTabs([...browserTabs.values()]))
+    ext.model.result = ext.model.tabs.map((tab) => ({ ...tab }))
+    ext.browserApi.tabs.move.mockImplementation(async (tabId, { windowId }) => {
+      Object.assign(browserTabs.get(tabId), { windowId, active: false })
+      browserTabs.get(2).active = true
+    })
+
+    await module.moveTabToWindow(module.getMatchingTabResults()[0], 2)
+
+    expect(ext.browserApi.tabs.move).toHaveBeenCalledWith(1, { windowId: 2, index: -1 })
+    expect(ext.model.result.map((result) => [result.originalId, result.windowId, result.windowLabel])).toEqual([
+      [1, 2, 'Chat'],
+      [2, 1, 'Mail'],
+      [3, 1, 'Mail'],
+      [4, 2, 'Chat'],
+    ])
+    expect(ext.searchCache.size).toBe(0)
+  })
+
+  it('adds tabs to an existing or a new named tab group', async () => {
+    const { module } = await setupTabActions()
+    const [docs, mail, news] = module.getMatchingTabResults()
+
+    await expect(module.getTabGroupChoices()).resolves.toEqual([{ id: 7, title: 'Work', color: 'blue' }])
+
+    await module.addTabsToGroup([docs], 7)
+    await expect(module.addTabsToGroup([mail, news], 'new', ' Reading ')).resolves.toBe(8)
+
+    expect(ext.browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [1], groupId: 7 })
+    expect(ext.browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [2, 3] })
+    expect(ext.browserApi.tabGroups.update).toHaveBeenCalledWith(8, { title: 'Reading' })
+    expect(ext.model.tabs.map((tab) => tab.group)).toEqual(['Work', 'Reading', 'Reading'])
+    expect(ext.model.result[2]).toMatchObject({ groupId: 8, group: 'Reading', groupLower: 'reading' })
+    expect(ext.dom.resultList.children[2].textContent).toContain('@Reading')
+  })
+})
@@ -1,6 +1,6 @@
 /**
  * ✅ Covered behaviors: rendering of search results with metadata, badges, highlights,
- *   HTML escaping, and initial selection state.
+ *   HTML escaping, section headers of the default results and initial selection state.
  * ⚠️ Known gaps: does not verify browser navigation side effects beyond mocked APIs.
  * 🐞 Added BUG tests: mouse hover fragility, missing error boundary, missing length check
  *
@@ -211,6 +211,107 @@ describe('searchView renderSearchResults', () => {
     expect(ext.model.currentItem).toBe(0)
   })
 
+  it('renders page content snippets below the URL', async () => {
+    const { module, elements } = await setupSearchView({
+      results: [{ ...createResults()[0], contentSnippet: '…about <mark>error budgets</mark>…' }, createResults()[1]],
+    })
+
+    await module.renderSearchResults()
+
+    const listItems = elements.resultList.querySelectorAll('li')
+    expect(listItems[0].querySelector('.url + .content-snippet').innerHTML).toBe('…about <mark>error budgets</mark>…')
+    expect(listItems[1].querySelector('.content-snippet')).toBeNull()
+  })
+
+  it('renders a device badge that filters by the device of synced tabs', async () => {
+    const { module, elements } = await setupSearchView({
+      results: [
+        {
+          type: 'syncedTab',
+          originalId: 'Work Laptop:4',
+          originalUrl: 'https://synced.test',
+          url: 'synced.test',
+          title: 'Synced Tab',
+          deviceName: 'Work <Laptop>',
+          deviceNameLower: 'work <laptop>',
+        },
+      ],
+    })
+
+    await module.renderSearchResults()
+
+    const badge = elements.resultList.querySelector('.badge.device')
+    expect(badge.textContent).toBe('Work <Laptop>')
+    expect(badge.getAttribute('x-link')).toBe('#search/device%3A%22work%20%3Claptop%3E%22%20')
+  })
+
+  it('renders a window badge that filters by the window of tabs unless disabled', async () => {
+    const tab = {
+      type: 'tab',
+      originalId: 4,
+      originalUrl: 'https://tab.test',
+      url: 'tab.test',
+      title: 'Tab',
+      windowId: 2,
+      windowLabel: 'Research <Notes>',
+      windowLabelLower: 'research <notes>',
+    }
+    const { module, elements } = await setupSearchView({ results: [tab], opts: { displayWindowLabel: true } })
+
+    await module.renderSearchResults()
+
+    const badge = elements.resultList.querySelector('.badge.window-label')
+    expect(badge.textContent).toBe('Research <Notes>')
+    expect(badge.getAttribute('x-link')).toBe('#search/win%3A%22research%20%3Cnotes%3E%22%20')
+
+    ext.opts.displayWindowLabel = false
+    await module.renderSearchResults()
+    expect(elements.resultList.querySelector('.badge.window-label')).toBeNull()
+  })
+
+  it('links window and device badges with quotes to a quote-free part of their label', async () => {
+    const tab = {
+      type: 'tab',
+      originalId: 4,
+      originalUrl: 'https://tab.test',
+      url: 'tab.test',
+      title: 'Tab',
+      windowId: 2,
+      windowLabel: '"Q3" Roadmap Review',
+      windowLabelLower: '"q3" roadmap review',
+      deviceName: '""',
+      deviceNameLower: '""',
+    }
+    const { module, elements } = await setupSearchView({ results: [tab], opts: { displayWindowLabel: true } })
+
+    await module.renderSearchResults()
+
+    const windowBadge = elements.resultList.querySelector('.badge.window-label')
+    expect(windowBadge.textContent).toBe('"Q3" Roadmap Review')
+    expect(windowBadge.getAttribute('x-link')).toBe('#search/win%3A%22roadmap%20review%22%20')
+    expect(elements.resultList.querySelector('.badge.device').hasAttribute('x-link')).toBe(false)
+  })
+
+  it('renders command results with their description instead of a URL', async () => {
+    const { module, elements } = await setupSearchView({
+      results: [
+        {
+          type: 'command',
+          originalId: 'export-bookmarks',
+          title: 'Export Bookmarks as HTML',
+          description: 'Download all bookmarks',
+        },
+      ],
+    })
+
+    await module.renderSearchResults()
+
+    const item = elements.resultList.querySelector('li.command')
+    expect(item.querySelector('.title-text').textContent.trim()).toBe('Export Bookmarks as HTML')
+    expect(item.querySelector('.url').textContent).toBe('Download all bookmarks')
+    expect(item.hasAttribute('x-open-url')).toBe(false)
+  })
+
   it('renders favicon images only for results that have a favicon URL', async () => {
     const { module, elements } = await setupSearchView({
       results: [
@@ -459,6 +560,21 @@ describe('searchView renderSearchResults', () => {
     const tBadge = badges.find((b) => b.textContent === 'T')
     expect(tBadge).toBeUndefined()
   })
+
+  it('renders section headers before the first entry of a default result section', async () => {
+    const [bookmark, tab] = createResults()
+    const { module, elements } = await setupSearchView({
+      results: [{ ...bookmark, sectionTitle: 'Current <Page>' }, { ...tab }],
+    })
+
+    await module.renderSearchResults()
+
+    const listItems = Array.from(elements.resultList.children)
+    expect(listItems.map((item) => item.className)).toEqual(['result-section-header', 'bookmark', 'tab'])
+    expect(listItems[0].textContent).toBe('Current <Page>')
+    expect(listItems[0].hasAttribute('x-index')).toBe(false)
+    expect(listItems.slice(1).map((item) => item.getAttribute('x-index'))).toEqual(['0', '1'])
+  })
 })
 
 describe('✅ FIXED: Error Handling Robustness', () => {
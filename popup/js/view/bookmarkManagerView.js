@@ -2,8 +2,10 @@
  * @file Renders the dedicated bookmark manager page.
  */
 
+import { matchesKeybinding } from '../helper/keybindings.js'
 import { escapeHtml } from '../helper/utils.js'
 import { canEditCurrentManagedBookmark, findBookmarkById, findFolderById } from '../model/bookmarkManagerOperations.js'
+import { createSavedSearchFolderId, findSavedSearchByFolderId } from '../model/savedSearches.js'
 import {
   clearDuplicateBookmarkSelection,
   getSelectedDuplicateBookmarkIds,
@@ -51,6 +53,10 @@ export function getBookmarkManagerDom() {
     status: document.getElementById('manager-status'),
     bookmarkSearch: document.getElementById('bookmark-manager-search'),
     bookmarkFolderTree: document.getElementById('bookmark-folder-tree'),
+    savedSearchTree: document.getElementById('bookmark-saved-searches'),
+    exportSavedSearches: document.getElementById('export-saved-searches'),
+    importSavedSearches: document.getElementById('import-saved-searches'),
+    importSavedSearchesFile: document.getElementById('import-saved-searches-file'),
     bookmarkBrowserSummary: document.getElementById('bookmark-browser-summary'),
     managedBookmarkList: document.getElementById('managed-bookmark-list'),
     selectVisibleBookmarks: document.getElementById('select-visible-bookmarks'),
@@ -192,6 +198,9 @@ export function bindBookmarkManagerEvents({
   onExportBookmarks,
   onExportUndoHistory,
   onImportUndoHistory,
+  onExportSavedSearches,
+  onImportSavedSearches,
+  onDeleteSavedSearch,
   onGenerateCleanupPrompt,
   onGenerateCleanupPromptFull,
   onCleanupScopeChange,
@@ -210,6 +219,11 @@ export function bindBookmarkManagerEvents({
   dom.importUndoHistory.addEventListener('click', () => dom.importUndoHistoryFile.click())
   dom.importUndoHistoryFile.addEventListener('change', () => onImportUndoHistory(dom.importUndoHistoryFile.files?.[0]))
   dom.exportBookmarks.addEventListener('click', onExportBookmarks)
+  dom.exportSavedSearches.addEventListener('click', onExportSavedSearches)
+  dom.importSavedSearches.addEventListener('click', () => dom.importSavedSearchesFile.click())
+  dom.importSavedSearchesFile.addEventListener('change', () =>
+    onImportSavedSearches(dom.importSavedSearchesFile.files?.[0]),
+  )
   dom.generateCleanupPrompt.addEventListener('click', onGenerateCleanupPrompt)
   dom.generateCleanupPromptFull.addEventListener('click', onGenerateCleanupPromptFull)
   dom.cleanupFolderScope.addEventListener('change', onCleanupScopeChange)
@@ -247,6 +261,22 @@ export function bindBookmarkManagerEvents({
     onBookmarkNavigation()
     onBookmarkSearch()
   })
+  dom.savedSearchTree.addEventListener('click', (event) => {
+    const deleteButton = event.target.closest('[data-delete-saved-search-id]')
+    if (deleteButton) {
+      onDeleteSavedSearch(deleteButton.dataset.deleteSavedSearchId)
+      return
+    }
+
+    const button = event.target.closest('[data-manager-folder-id]')
+    if (!button) {
+      return
+    }
+
+    ext.model.bookmarkManagerFolderId = button.dataset.managerFolderId
+    onBookmarkNavigation()
+    onBookmarkSearch()
+  })
   dom.managedBookmarkList.addEventListener('change', (event) => {
     if (!event.target.matches('[data-managed-bookmark-id]')) {
       return
@@ -378,10 +408,69 @@ export function bindBookmarkManagerEvents({
     }
   })
 
+  document.removeEventListener('keydown', managerKeydownListener)
+  managerKeydownListener = (event) => handleManagerKeydown(event, { onSaveBookmark, onUndoBookmarkChange })
+  document.addEventListener('keydown', managerKeydownListener)
+
   window.addEventListener('hashchange', renderActiveManagerScreen)
   renderActiveManagerScreen()
 }
 
+let managerKeydownListener = null
+
+/**
+ * Run the Bookmark Manager shortcuts of the `keybindings` option.
+ * Saving also works while editing a field; the other shortcuts keep their usual meaning inside text fields.
+ *
+ * @param {KeyboardEvent} event Key event.
+ * @param {Object} handlers Manager action handlers.
+ * @param {Function} handlers.onSaveBookmark Single bookmark save handler.
+ * @param {Function} handlers.onUndoBookmarkChange Restore the latest undo snapshot.
+ * @returns {boolean} True if the key ran a shortcut.
+ */
+export function handleManagerKeydown(event, { onSaveBookmark, onUndoBookmarkChange }) {
+  if (event.isComposing || event.defaultPrevented) {
+    return false
+  }
+
+  const dom = ext.dom.manager
+  const editingText = Boolean(event.target?.closest?.('input, textarea, select, [contenteditable]'))
+  const onBookmarksScreen = window.location.hash === '#bookmarks'
+
+  if (matchesKeybinding(event, 'managerSave')) {
+    if (!onBookmarksScreen || dom.saveManagedBookmark.disabled) {
+      return false
+    }
+    event.preventDefault()
+    onSaveBookmark()
+    return true
+  }
+  if (editingText) {
+    return false
+  }
+
+  if (matchesKeybinding(event, 'managerFocusSearch')) {
+    event.preventDefault()
+    if (!onBookmarksScreen) {
+      window.location.hash = '#bookmarks'
+      renderActiveManagerScreen()
+    }
+    dom.bookmarkSearch.focus()
+    dom.bookmarkSearch.select()
+    return true
+  }
+  if (matchesKeybinding(event, 'managerUndo') && !dom.undoBookmarkChange.disabled) {
+    event.preventDefault()
+    onUndoBookmarkChange()
+    return true
+  }
+  if (matchesKeybinding(event, 'managerClearSelection') && onBookmarksScreen) {
+    dom.clearManagedSelection.click()
+    return true
+  }
+  return false
+}
+
 function openBookmarkFromList(event, onOpenBookmark) {
   const bookmark = event.target.closest('[data-open-managed-bookmark-id]')
   if (!bookmark) {
@@ -667,6 +756,10 @@ export function renderBookmarkWorkspace(visibleBookmarks, canUpdateBookmarks, ca
   ext.model.bookmarkManagerVisibleBookmarks = visibleBookmarks
 
   dom.bookmarkFolderTree.innerHTML = renderFolderTree(model.folderTree, ext.model.bookmarkManagerFolderId || 'all')
+  dom.savedSearchTree.innerHTML = renderSavedSearchFolders(
+    ext.model.savedSearches,
+    ext.model.bookmarkManagerFolderId || 'all',
+  )
   dom.bookmarkMoveFolder.innerHTML = renderFolderOptions(model.folderOptions)
   dom.bookmarkMoveFolder.disabled = !canMoveBookmarks
   dom.managedBookmarkList.innerHTML = renderManagedBookmarkList(
@@ -1248,6 +1341,34 @@ function renderFolderNode(folder, activeFolderId) {
   `
 }
 
+function renderSavedSearchFolders(savedSearches, activeFolderId) {
+  if (!savedSearches?.length) {
+    return '<p class="empty-state">No saved searches yet. Save a query in the search popup.</p>'
+  }
+
+  return `
+    <ul class="folder-tree-list">
+      ${savedSearches
+        .map((savedSearch) => {
+          const folderId = createSavedSearchFolderId(savedSearch)
+          const isActive = folderId === String(activeFolderId)
+          return `
+            <li class="saved-search-item">
+              <button class="folder-tree-button${isActive ? ' active' : ''}" type="button"
+                data-manager-folder-id="${escapeHtml(folderId)}" title="${escapeHtml(savedSearch.query)}">
+                <span>${escapeHtml(savedSearch.name)}</span>
+              </button>
+              <button class="saved-search-delete" type="button" data-delete-saved-search-id="${escapeHtml(
+                savedSearch.id,
+              )}" title="Delete saved search" aria-label="Delete saved search ${escapeHtml(savedSearch.name)}">×</button>
+            </li>
+          `
+        })
+        .join('')}
+    </ul>
+  `
+}
+
 function renderFolderOptions(folderOptions) {
   if (!folderOptions.length) {
     return '<option value="">No folders</option>'
@@ -1324,7 +1445,11 @@ function renderBrowserSummary(visibleCount, selectedCount) {
   const folderId = ext.model.bookmarkManagerFolderId || 'all'
   const query = ext.dom.manager.bookmarkSearch.value.trim()
   const folder = findFolderById(ext.model.bookmarkManager?.folderTree, folderId)
-  const folderName = folderId === 'all' || !folder ? 'All Bookmarks' : folder.path.join(' / ')
+  const savedSearch = findSavedSearchByFolderId(ext.model.savedSearches, folderId)
+  let folderName = folderId === 'all' || !folder ? 'All Bookmarks' : folder.path.join(' / ')
+  if (savedSearch) {
+    folderName = `saved search "${savedSearch.name}"`
+  }
   const searchText = query ? ` matching "${query}"` : ''
 
   return `${formatInteger(selectedCount)}/${formatInteger(visibleCount)} selected in ${folderName}${searchText}`
@@ -17,6 +17,9 @@ const TOKEN_SPLIT_REGEX = /[\s,._\-/\\|[\]{}()]+/
 
 import { browserApi } from '../helper/browserApi.js'
 import { getUserOptions, setUserOptions } from '../model/optionsStorage.js'
+import { clearPageContent } from '../model/pageContentIndex.js'
+import { clearResultSelections } from '../model/resultSelections.js'
+import { clearSearchHistory } from '../model/searchQueryHistory.js'
 import { validateOptions } from '../model/validateOptions.js'
 
 const OPTION_SECTIONS = {
@@ -29,6 +32,7 @@ const OPTION_SECTIONS = {
   history: 'History',
   searchEngines: 'Search Engines',
   scores: 'Scoring',
+  keyboard: 'Keyboard Shortcuts',
   powerUsers: 'Power Users',
 }
 
@@ -71,6 +75,8 @@ function initOptionControls() {
 
   const resetBtn = document.getElementById('opt-reset')
   const saveBtn = document.getElementById('opt-save')
+  const clearSelectionsBtn = document.getElementById('opt-clear-selections')
+  const clearSearchHistoryBtn = document.getElementById('opt-clear-search-history')
   const configEl = document.getElementById('config')
   const formEl = document.getElementById('options-form')
 
@@ -86,6 +92,18 @@ function initOptionControls() {
       saveOptions()
     })
   }
+  if (clearSelectionsBtn) {
+    clearSelectionsBtn.addEventListener('click', (event) => {
+      event.preventDefault()
+      clearLearnedRanking()
+    })
+  }
+  if (clearSearchHistoryBtn) {
+    clearSearchHistoryBtn.addEventListener('click', (event) => {
+      event.preventDefault()
+      clearRecentSearches()
+    })
+  }
   if (configEl) configEl.addEventListener('focus', hideErrors)
   if (configEl) configEl.addEventListener('input', syncOptionsFromYaml)
   if (formEl) formEl.addEventListener('input', syncYamlFromForm)
@@ -509,17 +527,22 @@ async function saveOptions() {
     setConfigYaml(normalizedUserOptions)
     syncFormFromOptions(normalizedUserOptions)
 
-    // Handle optional permissions
-    // Favicon permission is needed for displayFavicons
-    if (userOptions?.displayFavicons === true && browserApi.permissions) {
-      const granted = await browserApi.permissions.request({ permissions: ['favicon'] })
+    // Handle optional permissions, requested together so the browser shows a single prompt
+    const requiredPermissions = getRequiredPermissions(userOptions)
+    if (requiredPermissions && browserApi.permissions) {
+      const { permissions, origins, features } = requiredPermissions
+      const granted = await browserApi.permissions.request(origins.length ? { permissions, origins } : { permissions })
       if (!granted) {
-        throw new Error('The "favicon" permission is required to enable website icons.')
+        throw new Error(`The requested browser permissions are required to enable ${features.join(', ')}.`)
       }
     }
 
     await setUserOptions(normalizedUserOptions)
 
+    if (userOptions?.enablePageContentIndex !== true) {
+      await clearPageContent()
+    }
+
     // Clear any previous error messages
     hideErrors()
   } catch (e) {
@@ -535,6 +558,72 @@ async function saveOptions() {
   }
 }
 
+/**
+ * Collect the optional permissions needed by the enabled options, so they can be requested in one prompt.
+ *
+ * - favicon: displayFavicons
+ * - scripting and host access: enablePageContentIndex (capture page text)
+ * - sessions: enableSessions (recently closed tabs) and enableSyncedTabs (tabs from other devices)
+ * - readingList: enableReadingList
+ * - downloads and downloads.open: enableDownloads (list downloads and open the downloaded files)
+ *
+ * @param {Object|null} userOptions - Parsed user options
+ * @returns {{permissions: string[], origins: string[], features: string[]}|null} Null if nothing is required
+ */
+function getRequiredPermissions(userOptions) {
+  const requirements = [
+    { enabled: userOptions?.displayFavicons, permissions: ['favicon'], feature: 'website icons' },
+    {
+      enabled: userOptions?.enablePageContentIndex,
+      permissions: ['scripting'],
+      origins: ['<all_urls>'],
+      feature: 'page content indexing',
+    },
+    {
+      enabled: userOptions?.enableSessions || userOptions?.enableSyncedTabs,
+      permissions: ['sessions'],
+      feature: 'recently closed and synced tabs',
+    },
+    { enabled: userOptions?.enableReadingList, permissions: ['readingList'], feature: 'the Reading List' },
+    { enabled: userOptions?.enableDownloads, permissions: ['downloads', 'downloads.open'], feature: 'downloads' },
+  ].filter((requirement) => requirement.enabled === true)
+  if (!requirements.length) return null
+
+  return {
+    permissions: requirements.flatMap((requirement) => requirement.permissions),
+    origins: requirements.flatMap((requirement) => requirement.origins ?? []),
+    features: requirements.map((requirement) => requirement.feature),
+  }
+}
+
+/**
+ * Forget the learned result selections used for the selection bonus.
+ * Takes effect immediately, independent of unsaved option edits.
+ */
+async function clearLearnedRanking() {
+  try {
+    await clearResultSelections()
+    showOptionsStatus('Learned ranking cleared', 'success')
+  } catch (error) {
+    console.error(error)
+    showOptionsStatus(error?.message || 'Could not clear the learned ranking', 'error')
+  }
+}
+
+/**
+ * Forget the recent search queries of the popup.
+ * Takes effect immediately, independent of unsaved option edits.
+ */
+async function clearRecentSearches() {
+  try {
+    await clearSearchHistory()
+    showOptionsStatus('Search history cleared', 'success')
+  } catch (error) {
+    console.error(error)
+    showOptionsStatus(error?.message || 'Could not clear the search history', 'error')
+  }
+}
+
 /**
  * Clear user overrides, reverting to defaults on next load.
  */
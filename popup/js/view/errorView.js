@@ -55,8 +55,8 @@ export function printError(err, text) {
   }
   errorQueue.push(errorInfo)
 
-  // Render to the error overlay
-  const overlay = document.getElementById('error-overlay')
+  // Render to the error overlay (not available in the omnibox service worker)
+  const overlay = typeof document !== 'undefined' ? document.getElementById('error-overlay') : null
 
   if (overlay) {
     renderErrorOverlay(overlay, errorQueue)
@@ -4,11 +4,53 @@
  * Responsibilities:
  * - Aggregate open tab groups with tab counts to build a browsable taxonomy.
  * - Render lightweight badge markup that links back to the main search filtered by the chosen group.
+ * - List the open tab groups with operations to collapse or expand, rename, recolor, close
+ *   and save them as bookmark folder, and restore a bookmark folder as a new tab group (see tabGroupOperations.js).
+ * - List the saved workspaces with operations to restore and delete them, and save a group
+ *   or the current window as workspace (see workspaces.js).
  */
 
+import { escapeHtml } from '../helper/utils.js'
+import { getSearchData } from '../model/searchData.js'
+import {
+  closeTabGroup,
+  getRestorableFolders,
+  getTabGroupLabel,
+  getTabGroupsWithTabs,
+  renameTabGroup,
+  restoreFolderAsTabGroup,
+  saveTabGroupAsFolder,
+  setTabGroupCollapsed,
+  setTabGroupColor,
+  TAB_GROUP_COLORS,
+} from '../model/tabGroupOperations.js'
+import {
+  createTabGroupSnapshot,
+  createWindowSnapshot,
+  deleteWorkspace,
+  describeWorkspace,
+  findWorkspace,
+  restoreWorkspace,
+  saveWorkspace,
+} from '../model/workspaces.js'
 import { getUniqueGroups } from '../search/taxonomySearch.js'
+import { printError } from './errorView.js'
+import { confirmInline, promptInline } from './inlineDialog.js'
 import { renderTaxonomy } from './taxonomyViewHelper.js'
 
+/** Colors of the browser tab group color names. */
+const TAB_GROUP_COLOR_VALUES = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e',
+}
+
 /**
  * Render the unique tab groups as clickable badges.
  */
@@ -72,4 +114,174 @@ export async function loadGroupsOverview() {
       </div>
     `,
   })
+
+  // 3. Group Operations
+  await renderGroupOperations()
+}
+
+/**
+ * Render the list of open tab groups with their operations, the folder restore form and the saved workspaces.
+ *
+ * @returns {Promise<void>}
+ */
+export async function renderGroupOperations() {
+  const container = document.getElementById('groups-manage')
+  if (!container || !ext.browserApi.tabGroups?.update) return
+
+  const [groups, folders] = await Promise.all([getTabGroupsWithTabs(), getRestorableFolders()])
+
+  const groupsHtml = groups
+    .map((group) => {
+      const colorOptions = TAB_GROUP_COLORS.map(
+        (color) => `<option value="${color}"${color === group.color ? ' selected' : ''}>${color}</option>`,
+      ).join('')
+      const saveButton = ext.browserApi.bookmarks?.create
+        ? '<button class="button" data-action="save" title="Save the tabs as bookmark folder">Save</button>'
+        : ''
+      const workspaceButton = ext.browserApi.storage?.local
+        ? '<button class="button" data-action="save-workspace" title="Save the group as workspace">Workspace</button>'
+        : ''
+      return `
+        <li x-group-id="${group.id}">
+          <span class="group-color" style="background-color: ${TAB_GROUP_COLOR_VALUES[group.color] || '#6a4fbb'}"></span>
+          <span class="group-title">${escapeHtml(getTabGroupLabel(group))}</span>
+          <small>(${group.tabs.length})</small>
+          <span class="group-actions">
+            <button class="button" data-action="toggle-collapsed">${group.collapsed ? 'Expand' : 'Collapse'}</button>
+            <button class="button" data-action="rename">Rename</button>
+            <select data-action="color" aria-label="Color of the tab group">${colorOptions}</select>
+            ${saveButton}
+            ${workspaceButton}
+            <button class="button destructive" data-action="close" title="Close all tabs of the group">Close</button>
+          </span>
+        </li>`
+    })
+    .join('')
+
+  const folderOptions = folders
+    .map((folder) => `<option value="${escapeHtml(folder.id)}">${escapeHtml(folder.path)} (${folder.count})</option>`)
+    .join('')
+
+  container.innerHTML = `
+    ${groups.length ? `<ul class="group-operations">${groupsHtml}</ul>` : ''}
+    ${
+      folders.length && ext.browserApi.tabs?.group
+        ? `<div class="group-restore">
+            <label for="restore-folder">Restore a bookmark folder as new tab group</label>
+            <select id="restore-folder">${folderOptions}</select>
+            <button class="button" data-action="restore">Restore</button>
+          </div>`
+        : ''
+    }
+    ${renderWorkspaces()}
+  `
+  setupGroupOperationEvents(container)
+}
+
+function renderWorkspaces() {
+  if (!ext.browserApi.storage?.local) return ''
+  const workspacesHtml = (ext.model.workspaces || [])
+    .map(
+      (workspace) => `
+        <li x-workspace-id="${escapeHtml(workspace.id)}">
+          <span class="group-title">${escapeHtml(workspace.name)}</span>
+          <small>${escapeHtml(describeWorkspace(workspace))}</small>
+          <span class="group-actions">
+            <button class="button" data-action="restore-workspace" title="Open the tabs in a new window">Restore</button>
+            <button class="button destructive" data-action="delete-workspace">Delete</button>
+          </span>
+        </li>`,
+    )
+    .join('')
+
+  return `
+    <div class="group-workspaces">
+      <h3>Workspaces</h3>
+      ${workspacesHtml ? `<ul class="group-operations">${workspacesHtml}</ul>` : '<p>No workspaces saved yet.</p>'}
+      <button class="button" data-action="save-window-workspace">Save Current Window as Workspace</button>
+    </div>`
+}
+
+/**
+ * Run a tab group or workspace operation of the Groups page.
+ *
+ * @param {string} action - Operation name from the `data-action` attribute.
+ * @param {number|undefined} groupId - Tab group ID. Undefined for folder restores and workspace operations.
+ * @param {string} [value] - Selected color, folder ID or workspace ID.
+ * @returns {Promise<boolean>} True if an operation ran and the page was updated.
+ */
+export async function runGroupOperation(action, groupId, value) {
+  const group = groupId == null ? undefined : await ext.browserApi.tabGroups.get(groupId)
+
+  if (action === 'toggle-collapsed') {
+    await setTabGroupCollapsed(groupId, !group?.collapsed)
+  } else if (action === 'rename') {
+    const title = await promptInline('New name of the tab group:', group?.title || '', { submitLabel: 'Rename' })
+    if (title === null) return false
+    await renameTabGroup(groupId, title)
+  } else if (action === 'color') {
+    await setTabGroupColor(groupId, value)
+  } else if (action === 'save') {
+    const { count } = await saveTabGroupAsFolder(groupId)
+    if (!count) return false
+  } else if (action === 'close') {
+    const tabCount = (await ext.browserApi.tabs.query({ groupId })).length
+    const label = group ? getTabGroupLabel(group) : 'the group'
+    const message = `Close ${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'} of "${label}"?`
+    if (!(await confirmInline(message, { confirmLabel: 'Close Tabs' }))) return false
+    await closeTabGroup(groupId)
+  } else if (action === 'restore') {
+    if (!value || (await restoreFolderAsTabGroup(value)) === undefined) return false
+  } else if (action === 'save-workspace' || action === 'save-window-workspace') {
+    const snapshot = action === 'save-workspace' ? await createTabGroupSnapshot(groupId) : await createWindowSnapshot()
+    const name = await promptInline('Save this workspace as:', snapshot.name)
+    if (!name?.trim()) return false
+    ext.model.workspaces ||= []
+    await saveWorkspace(ext.model.workspaces, name, snapshot)
+  } else if (action === 'restore-workspace') {
+    const workspace = findWorkspace(ext.model.workspaces, value)
+    if (!workspace) return false
+    await restoreWorkspace(workspace)
+  } else if (action === 'delete-workspace') {
+    const workspace = findWorkspace(ext.model.workspaces, value)
+    if (!workspace) return false
+    if (!(await confirmInline(`Delete workspace "${workspace.name}"?`, { confirmLabel: 'Delete' }))) return false
+    await deleteWorkspace(ext.model.workspaces, value)
+  } else {
+    return false
+  }
+
+  // Group names and tabs changed, so the tabs are loaded again
+  const { tabs } = await getSearchData()
+  ext.model.tabs = tabs
+  await loadGroupsOverview()
+  return true
+}
+
+function setupGroupOperationEvents(container) {
+  if (container.dataset.eventsSetup) return
+  container.dataset.eventsSetup = 'true'
+
+  const handle = (event, value) => {
+    const action = event.target.dataset?.action
+    if (!action) return
+    const groupId = event.target.closest('li[x-group-id]')?.getAttribute('x-group-id')
+    runGroupOperation(action, groupId == null ? undefined : Number(groupId), value).catch((err) => {
+      printError(
+        err,
+        action.includes('workspace') ? 'Could not update the workspace.' : 'Could not update the tab group.',
+      )
+    })
+  }
+
+  container.addEventListener('click', (event) => {
+    if (event.target.tagName !== 'BUTTON') return
+    const workspaceId = event.target.closest('li[x-workspace-id]')?.getAttribute('x-workspace-id')
+    handle(event, workspaceId ?? document.getElementById('restore-folder')?.value)
+  })
+  container.addEventListener('change', (event) => {
+    if (event.target.tagName === 'SELECT' && event.target.dataset.action === 'color') {
+      handle(event, event.target.value)
+    }
+  })
 }
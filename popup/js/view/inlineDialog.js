@@ -0,0 +1,118 @@
+/**
+ * @file Inline name inputs and confirmations for the popup pages.
+ *
+ * Responsibilities:
+ * - Ask for a text, e.g. the name of a saved search, with `promptInline()`.
+ * - Ask for a confirmation, optionally listing what is affected, with `confirmInline()`.
+ * - Submit with Enter, cancel with Escape or the Cancel button, and keep those keys away from the
+ *   result navigation of the search popup.
+ * - Return the focus to the previously focused element (usually the search input) afterwards.
+ *
+ * Browser-action popups cannot rely on `window.prompt()` and `window.confirm()`, e.g. Firefox does not show
+ * them in its panels. The Bookmark Manager runs in a tab and keeps using the native dialogs.
+ */
+
+import { escapeHtml } from '../helper/utils.js'
+
+const DIALOG_ID = 'inline-dialog'
+
+/** State of the open dialog, or null if closed. */
+let dialog = null
+
+/**
+ * Ask for a text inside the page.
+ *
+ * @param {string} message - Question shown above the input.
+ * @param {string} [defaultValue=''] - Initial, selected value of the input.
+ * @param {{submitLabel?: string}} [options] - Label of the submit button.
+ * @returns {Promise<string|null>} Entered text, or null if cancelled.
+ */
+export function promptInline(message, defaultValue = '', { submitLabel = 'Save' } = {}) {
+  return openDialog({ message, value: String(defaultValue ?? ''), submitLabel })
+}
+
+/**
+ * Ask for a confirmation inside the page.
+ *
+ * @param {string} message - Question, e.g. `Close 3 tabs?`.
+ * @param {{details?: Array<string>, confirmLabel?: string}} [options] - Lines listed below the question
+ *   (e.g. the titles of the tabs to close) and the label of the confirm button.
+ * @returns {Promise<boolean>} True if confirmed.
+ */
+export async function confirmInline(message, { details = [], confirmLabel = 'Confirm' } = {}) {
+  return (await openDialog({ message, details, submitLabel: confirmLabel, destructive: true })) !== null
+}
+
+function openDialog({ message, value, details = [], submitLabel, destructive = false }) {
+  // Only one question at a time, an open one counts as cancelled
+  finishDialog(null)
+
+  const element = getDialogElement()
+  const hasInput = value !== undefined
+  element.innerHTML = `
+    <form class="inline-dialog-form">
+      ${hasInput ? `<label for="${DIALOG_ID}-input">${escapeHtml(message)}</label>` : `<p>${escapeHtml(message)}</p>`}
+      ${hasInput ? `<input id="${DIALOG_ID}-input" type="text" spellcheck="false" autocomplete="off" />` : ''}
+      ${details.length ? `<ul>${details.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+      <div class="inline-dialog-buttons">
+        <button type="submit" class="inline-dialog-submit${destructive ? ' destructive' : ''}">${escapeHtml(submitLabel)}</button>
+        <button type="button" class="inline-dialog-cancel">Cancel</button>
+      </div>
+    </form>`
+  element.hidden = false
+
+  const input = element.querySelector('input')
+  const previousFocus = document.activeElement
+
+  return new Promise((resolve) => {
+    dialog = { element, input, previousFocus, resolve }
+
+    element.querySelector('form').addEventListener('submit', (event) => {
+      event.preventDefault()
+      finishDialog(input ? input.value : '')
+    })
+    element.querySelector('.inline-dialog-cancel').addEventListener('click', () => finishDialog(null))
+
+    if (input) {
+      input.value = value
+      input.focus()
+      input.select()
+    } else {
+      element.querySelector('.inline-dialog-submit').focus()
+    }
+  })
+}
+
+function finishDialog(value) {
+  if (!dialog) return
+  const { element, previousFocus, resolve } = dialog
+  dialog = null
+  element.hidden = true
+  element.replaceChildren()
+  previousFocus?.focus?.()
+  resolve(value)
+}
+
+function getDialogElement() {
+  let element = document.getElementById(DIALOG_ID)
+  if (element) return element
+
+  element = document.createElement('div')
+  element.id = DIALOG_ID
+  element.setAttribute('role', 'dialog')
+  element.hidden = true
+  // The dialog handles its own keys, the page (e.g. the result navigation) does not see them
+  element.addEventListener('keydown', (event) => {
+    event.stopPropagation()
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      finishDialog(null)
+    } else if (event.key === 'Enter' && event.target === dialog?.input && !event.isComposing) {
+      event.preventDefault()
+      finishDialog(dialog.input.value)
+    }
+  })
+  element.addEventListener('mousedown', (event) => event.stopPropagation())
+  document.body.appendChild(element)
+  return element
+}
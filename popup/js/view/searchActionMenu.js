@@ -0,0 +1,671 @@
+/**
+ * @file Action menu for a single search result in the popup.
+ *
+ * Responsibilities:
+ * - Open the menu with a right-click on a result, or with the `openActionMenu` keybinding
+ *   (default `Shift+F10` / the context menu key) for the selected result.
+ * - Offer the actions that fit the result type: copy URL, copy as Markdown link, open in a new or private window,
+ *   move a tab to another window, name the window of a tab, delete a bookmark and remove the URL from the browser history.
+ * - Offer the tab management actions of searchTabActions.js for a tab, or for all tab results of the query.
+ * - Offer the tab group operations of tabGroupOperations.js for the group of a tab while an `@group` search is active.
+ * - Handle keyboard navigation inside the menu while the search input keeps the focus.
+ * - Patch the loaded search data after destructive actions, so the results update right away.
+ */
+
+import { matchesKeybinding } from '../helper/keybindings.js'
+import { removeBookmarkSubtree, removeHistoryVisits } from '../model/searchDataChanges.js'
+import {
+  getTabGroupLabel,
+  renameTabGroup,
+  saveTabGroupAsFolder,
+  setTabGroupCollapsed,
+  setTabGroupColor,
+  TAB_GROUP_COLORS,
+} from '../model/tabGroupOperations.js'
+import { createTabGroupSnapshot } from '../model/workspaces.js'
+import { resetFuzzySearchState } from '../search/fuzzySearch.js'
+import { resetSimpleSearchState } from '../search/simpleSearch.js'
+import { printError } from './errorView.js'
+import { promptInline } from './inlineDialog.js'
+import { formatMarkdownLink, unmarkResult } from './searchBulkActions.js'
+import { saveWorkspaceSnapshot } from './searchEvents.js'
+import {
+  addTabsToGroup,
+  closeTabGroupTabs,
+  discardTabs,
+  getMatchingTabResults,
+  getTabGroupChoices,
+  moveTabsToNewWindow,
+  moveTabToWindow,
+  nameWindow,
+  refreshTabGroup,
+  reloadTabs,
+  setTabsMuted,
+  setTabsPinned,
+} from './searchTabActions.js'
+import { renderSearchResults } from './searchView.js'
+
+/** Result types that can be removed from the browser history. */
+const HISTORY_RESULT_TYPES = new Set(['bookmark', 'tab', 'history'])
+
+/**
+ * Tab management actions, offered for a tab result and for all tab results of the query.
+ * `label` gets the subject, e.g. `Tab` or `12 Tabs`. `available` and `run` get the tab results.
+ */
+const TAB_ACTIONS = [
+  {
+    id: 'pin',
+    label: (subject) => `Pin ${subject}`,
+    available: (tabs) => Boolean(ext.browserApi.tabs?.update) && tabs.some((tab) => !tab.pinned),
+    run: (tabs) => setTabsPinned(tabs, true),
+  },
+  {
+    id: 'unpin',
+    label: (subject) => `Unpin ${subject}`,
+    available: (tabs) => Boolean(ext.browserApi.tabs?.update) && tabs.some((tab) => tab.pinned),
+    run: (tabs) => setTabsPinned(tabs, false),
+  },
+  {
+    id: 'mute',
+    label: (subject) => `Mute ${subject}`,
+    available: (tabs) => Boolean(ext.browserApi.tabs?.update) && tabs.some((tab) => !tab.muted),
+    run: (tabs) => setTabsMuted(tabs, true),
+  },
+  {
+    id: 'unmute',
+    label: (subject) => `Unmute ${subject}`,
+    available: (tabs) => Boolean(ext.browserApi.tabs?.update) && tabs.some((tab) => tab.muted),
+    run: (tabs) => setTabsMuted(tabs, false),
+  },
+  {
+    id: 'reload',
+    label: (subject) => `Reload ${subject}`,
+    available: () => Boolean(ext.browserApi.tabs?.reload),
+    run: (tabs) => reloadTabs(tabs),
+  },
+  {
+    id: 'discard',
+    label: (subject) => `Discard ${subject} to Free Memory`,
+    available: (tabs) => Boolean(ext.browserApi.tabs?.discard) && tabs.some((tab) => !tab.active && !tab.discarded),
+    run: async (tabs) => {
+      await discardTabs(tabs)
+    },
+  },
+  {
+    id: 'move-new-window',
+    label: (subject) => `Move ${subject} to New Window`,
+    // A single tab is moved with "Move Tab to Window…", which also offers a new window
+    available: (tabs) => tabs.length > 1 && Boolean(ext.browserApi.windows?.create && ext.browserApi.tabs?.move),
+    run: async (tabs) => {
+      await moveTabsToNewWindow(tabs)
+    },
+  },
+  {
+    id: 'group',
+    label: (subject) => `Add ${subject} to Group…`,
+    available: () => Boolean(ext.browserApi.tabs?.group),
+    run: (tabs) => showTabGroupChoices(tabs),
+  },
+]
+
+/**
+ * Available result actions in menu order.
+ * `available` decides per result whether the action is offered.
+ */
+const RESULT_ACTIONS = [
+  {
+    id: 'copy-url',
+    label: 'Copy URL',
+    available: () => true,
+    run: (result) => copyResultUrl(result),
+  },
+  {
+    id: 'copy-markdown',
+    label: 'Copy as Markdown Link',
+    available: () => true,
+    run: (result) => copyResultAsMarkdown(result),
+  },
+  {
+    id: 'open-window',
+    label: 'Open in New Window',
+    available: () => Boolean(ext.browserApi.windows?.create),
+    run: (result) => openResultInWindow(result),
+  },
+  {
+    id: 'open-private',
+    label: 'Open in Private Window',
+    available: () => Boolean(ext.browserApi.windows?.create),
+    run: (result) => openResultInWindow(result, { incognito: true }),
+  },
+  {
+    id: 'move-tab',
+    label: 'Move Tab to Window…',
+    available: (result) => result.type === 'tab' && Boolean(ext.browserApi.tabs?.move),
+    run: (result) => showMoveTabChoices(result),
+  },
+  {
+    id: 'name-window',
+    label: 'Name Window…',
+    available: (result) => result.type === 'tab' && result.windowId != null && Boolean(ext.browserApi.storage?.local),
+    run: (result) => promptWindowName(result),
+  },
+  ...TAB_ACTIONS.map((action) => ({
+    id: `${action.id}-tab`,
+    label: action.label('Tab'),
+    available: (result) => result.type === 'tab' && action.available([result]),
+    run: (result) => action.run([result]),
+  })),
+  {
+    id: 'matching-tabs',
+    label: 'All Matching Tabs…',
+    available: (result) => result.type === 'tab' && getMatchingTabResults().length > 1,
+    run: () => showMatchingTabActions(),
+  },
+  {
+    id: 'tab-group',
+    label: 'Tab Group…',
+    available: (result) =>
+      ext.model.searchMode === 'groups' &&
+      result.type === 'tab' &&
+      result.groupId != null &&
+      Boolean(ext.browserApi.tabGroups?.update),
+    run: (result) => showTabGroupActions(result),
+  },
+  {
+    id: 'delete-bookmark',
+    label: 'Delete Bookmark',
+    confirmLabel: 'Confirm: Delete Bookmark',
+    available: (result) => result.type === 'bookmark' && Boolean(ext.browserApi.bookmarks?.remove),
+    run: (result) => deleteResultBookmark(result),
+  },
+  {
+    id: 'remove-history',
+    label: 'Remove from History',
+    confirmLabel: 'Confirm: Remove from History',
+    available: (result) => HISTORY_RESULT_TYPES.has(result.type) && Boolean(ext.browserApi.history?.deleteUrl),
+    run: (result) => removeResultFromHistory(result),
+  },
+]
+
+/** State of the open menu, or null if closed. */
+let menu = null
+
+let menuEventsSetup = false
+
+/**
+ * Check if the result action menu is open.
+ *
+ * @returns {boolean} True if open.
+ */
+export function isResultMenuOpen() {
+  return menu !== null
+}
+
+/**
+ * Open the action menu for a result.
+ *
+ * @param {number} index - Index in `ext.model.result`.
+ * @param {{x: number, y: number}} [position] - Pointer position. Defaults to below the result item.
+ * @returns {boolean} True if the menu was opened.
+ */
+export function openResultMenu(index, position) {
+  const result = ext.model.result?.[index]
+  const element = getMenuElement()
+  if (!result?.originalUrl || !element) {
+    return false
+  }
+
+  menu = {
+    result,
+    items: RESULT_ACTIONS.filter((action) => action.available(result)),
+    active: 0,
+    confirming: null,
+  }
+  setupMenuEvents(element)
+  renderResultMenu()
+  positionMenu(element, index, position)
+  return true
+}
+
+/**
+ * Close the action menu.
+ */
+export function closeResultMenu() {
+  menu = null
+  const element = getMenuElement()
+  if (element) {
+    element.hidden = true
+    element.replaceChildren()
+  }
+}
+
+/**
+ * Handle a key press while the menu is open.
+ * Runs synchronously, so unhandled keys keep their default behavior.
+ *
+ * @param {KeyboardEvent} event - Key event from the search popup.
+ * @returns {boolean} True if the key was handled by the menu.
+ */
+export function handleResultMenuKey(event) {
+  if (!menu) {
+    return false
+  }
+
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault()
+    const step = event.key === 'ArrowDown' ? 1 : -1
+    menu.active = (menu.active + step + menu.items.length) % menu.items.length
+    menu.confirming = null
+    renderResultMenu()
+    return true
+  }
+  if (event.key === 'Home' || event.key === 'End') {
+    event.preventDefault()
+    menu.active = event.key === 'Home' ? 0 : menu.items.length - 1
+    renderResultMenu()
+    return true
+  }
+  if (event.key === 'Enter') {
+    event.preventDefault()
+    runMenuItem(menu.active)
+    return true
+  }
+  if (event.key === 'Escape') {
+    event.preventDefault()
+    closeResultMenu()
+    return true
+  }
+
+  // Any other key (e.g. typing a new query) closes the menu and keeps its default behavior
+  closeResultMenu()
+  return false
+}
+
+/**
+ * Check if a key event should open the action menu for the selected result.
+ *
+ * @param {KeyboardEvent} event - Key event.
+ * @returns {boolean} True for the `openActionMenu` keybinding (default: context menu key and `Shift+F10`).
+ */
+export function isResultMenuKey(event) {
+  return matchesKeybinding(event, 'openActionMenu')
+}
+
+/**
+ * Copy the URL of a result to the clipboard.
+ *
+ * @param {Object} result - Search result.
+ * @returns {Promise<void>}
+ */
+export async function copyResultUrl(result) {
+  await navigator.clipboard.writeText(result.originalUrl)
+}
+
+/**
+ * Copy a result as Markdown link to the clipboard.
+ *
+ * @param {Object} result - Search result.
+ * @returns {Promise<void>}
+ */
+export async function copyResultAsMarkdown(result) {
+  await navigator.clipboard.writeText(formatMarkdownLink(result))
+}
+
+/**
+ * Open a result in a new browser window and close the popup.
+ *
+ * @param {Object} result - Search result.
+ * @param {{incognito?: boolean}} [options] - Open a private window.
+ * @returns {Promise<void>}
+ */
+export async function openResultInWindow(result, { incognito = false } = {}) {
+  try {
+    await ext.browserApi.windows.create({ url: result.originalUrl, focused: true, ...(incognito && { incognito }) })
+  } catch (err) {
+    // Private windows fail if the extension is not allowed to run in them
+    printError(err, incognito ? 'Could not open a private window.' : 'Could not open a new window.')
+    return
+  }
+  window.close()
+}
+
+/**
+ * Delete the bookmark of a result and remove it from the loaded search data.
+ *
+ * @param {Object} result - Bookmark result.
+ * @returns {Promise<void>}
+ */
+export async function deleteResultBookmark(result) {
+  await ext.browserApi.bookmarks.remove(result.originalId)
+  removeBookmarkSubtree(result.originalId, { id: result.originalId, url: result.originalUrl })
+  resetDatasetSearchState('bookmarks')
+  removeResults((el) => el.type === 'bookmark' && el.originalId === result.originalId)
+}
+
+/**
+ * Remove the URL of a result from the browser history and from the loaded search data.
+ *
+ * @param {Object} result - Bookmark, tab or history result.
+ * @returns {Promise<void>}
+ */
+export async function removeResultFromHistory(result) {
+  await ext.browserApi.history.deleteUrl({ url: result.originalUrl })
+  removeHistoryVisits({ allHistory: false, urls: [result.originalUrl] })
+  resetDatasetSearchState('history')
+  removeResults((el) => el.type === 'history' && el.originalUrl === result.originalUrl)
+}
+
+async function runMenuItem(index) {
+  const action = menu?.items[index]
+  if (!action) {
+    return
+  }
+
+  // Destructive actions need a second activation
+  if (action.confirmLabel && menu.confirming !== action.id) {
+    menu.active = index
+    menu.confirming = action.id
+    renderResultMenu()
+    return
+  }
+
+  try {
+    // Actions return true if they replaced the menu entries, e.g. with window choices
+    const keepOpen = await action.run(menu.result)
+    if (!keepOpen) {
+      closeResultMenu()
+    }
+  } catch (err) {
+    closeResultMenu()
+    printError(err, `Result action "${action.label}" failed.`)
+  }
+}
+
+/**
+ * Replace the menu entries with the windows a tab can be moved to.
+ *
+ * @param {Object} result - Tab result.
+ * @returns {Promise<boolean>} True to keep the menu open.
+ */
+async function showMoveTabChoices(result) {
+  const currentWindowId = ext.model.tabs?.find((tab) => tab.originalId === result.originalId)?.windowId
+  const windows = ext.browserApi.windows?.getAll
+    ? await ext.browserApi.windows.getAll({ populate: true, windowTypes: ['normal'] })
+    : []
+
+  const choices = windows
+    .filter((win) => win.id !== currentWindowId && !win.incognito)
+    .map((win, i) => {
+      const activeTab = win.tabs?.find((tab) => tab.active)
+      const tabCount = win.tabs?.length || 0
+      return {
+        id: `move-tab-${win.id}`,
+        label: `Window ${i + 1}: ${activeTab?.title || 'Untitled'} (${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'})`,
+        run: (tab) => moveTabToWindow(tab, win.id),
+      }
+    })
+  choices.push({ id: 'move-tab-new', label: 'New Window', run: (tab) => moveTabToWindow(tab, 'new') })
+
+  menu.items = choices
+  menu.active = 0
+  renderResultMenu()
+  return true
+}
+
+/**
+ * Ask for a new name of the window of a tab.
+ *
+ * @param {Object} result - Tab result.
+ * @returns {Promise<void>}
+ */
+async function promptWindowName(result) {
+  const currentName = ext.model.windowNames?.[result.windowId] || ''
+  const name = await promptAfterMenu('Name of the window (empty to use the title of its active tab):', currentName)
+  if (name !== null) {
+    await nameWindow(result.windowId, name)
+  }
+}
+
+/**
+ * Replace the menu entries with the tab actions for all tab results of the query.
+ *
+ * @returns {boolean} True to keep the menu open.
+ */
+function showMatchingTabActions() {
+  const tabs = getMatchingTabResults()
+  const subject = `${tabs.length} Tabs`
+  menu.items = TAB_ACTIONS.filter((action) => action.available(tabs)).map((action) => ({
+    id: `matching-${action.id}`,
+    label: action.label(subject),
+    run: () => action.run(tabs),
+  }))
+  menu.active = 0
+  renderResultMenu()
+  return true
+}
+
+/**
+ * Replace the menu entries with the tab groups the tabs can be added to.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @returns {Promise<boolean>} True to keep the menu open.
+ */
+async function showTabGroupChoices(tabs) {
+  const groups = await getTabGroupChoices()
+  const choices = groups.map((group) => ({
+    id: `group-${group.id}`,
+    label: getTabGroupLabel(group),
+    run: async () => {
+      await addTabsToGroup(tabs, group.id)
+    },
+  }))
+  choices.push({
+    id: 'group-new',
+    label: 'New Group…',
+    run: async () => {
+      const title = await promptAfterMenu('Name of the new tab group:', '', { submitLabel: 'Create Group' })
+      if (title !== null) {
+        await addTabsToGroup(tabs, 'new', title)
+      }
+    },
+  })
+
+  menu.items = choices
+  menu.active = 0
+  renderResultMenu()
+  return true
+}
+
+/**
+ * Replace the menu entries with the operations for the tab group of a tab.
+ *
+ * @param {Object} result - Tab result in a tab group.
+ * @returns {Promise<boolean>} True to keep the menu open.
+ */
+async function showTabGroupActions(result) {
+  const groupId = result.groupId
+  const group = await ext.browserApi.tabGroups.get(groupId)
+  const tabCount = (ext.model.tabs || []).filter((tab) => tab.groupId === groupId).length
+
+  menu.items = [
+    {
+      id: 'group-collapse',
+      label: group?.collapsed ? 'Expand Group' : 'Collapse Group',
+      run: () => setTabGroupCollapsed(groupId, !group?.collapsed),
+    },
+    {
+      id: 'group-rename',
+      label: 'Rename Group…',
+      run: async () => {
+        const title = await promptAfterMenu('New name of the tab group:', group?.title || '', { submitLabel: 'Rename' })
+        if (title !== null) {
+          await renameTabGroup(groupId, title)
+          await refreshTabGroup(groupId)
+        }
+      },
+    },
+    {
+      id: 'group-color',
+      label: 'Change Group Color…',
+      run: () => showTabGroupColors(groupId, group?.color),
+    },
+    ...(ext.browserApi.bookmarks?.create
+      ? [
+          {
+            id: 'group-save',
+            label: 'Save Group as Bookmark Folder',
+            run: async () => {
+              await saveTabGroupAsFolder(groupId)
+            },
+          },
+        ]
+      : []),
+    ...(ext.browserApi.storage?.local
+      ? [
+          {
+            id: 'group-workspace',
+            label: 'Save Group as Workspace…',
+            run: async () => {
+              const snapshot = await createTabGroupSnapshot(groupId)
+              // The name is asked inline, which the menu would cover
+              closeResultMenu()
+              await saveWorkspaceSnapshot(snapshot)
+            },
+          },
+        ]
+      : []),
+    {
+      id: 'group-close',
+      label: 'Close All Tabs in Group',
+      confirmLabel: `Confirm: Close ${tabCount} ${tabCount === 1 ? 'Tab' : 'Tabs'}`,
+      run: async () => {
+        await closeTabGroupTabs(groupId)
+      },
+    },
+  ]
+  menu.active = 0
+  menu.confirming = null
+  renderResultMenu()
+  return true
+}
+
+/**
+ * Replace the menu entries with the colors of a tab group.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @param {string} [currentColor] - Current color of the group, listed first.
+ * @returns {boolean} True to keep the menu open.
+ */
+function showTabGroupColors(groupId, currentColor) {
+  menu.items = TAB_GROUP_COLORS.map((color) => ({
+    id: `group-color-${color}`,
+    label: `${color[0].toUpperCase()}${color.slice(1)}${color === currentColor ? ' (current)' : ''}`,
+    run: async () => {
+      await setTabGroupColor(groupId, color)
+    },
+  }))
+  menu.active = Math.max(0, TAB_GROUP_COLORS.indexOf(currentColor))
+  renderResultMenu()
+  return true
+}
+
+/**
+ * Close the menu, which would cover the inline input, and ask for a text.
+ *
+ * @param {string} message - Question shown above the input.
+ * @param {string} defaultValue - Initial value of the input.
+ * @param {{submitLabel?: string}} [options] - Label of the submit button.
+ * @returns {Promise<string|null>} Entered text, or null if cancelled.
+ */
+function promptAfterMenu(message, defaultValue, options) {
+  closeResultMenu()
+  return promptInline(message, defaultValue, options)
+}
+
+function removeResults(predicate) {
+  const results = ext.model.result || []
+  for (let i = results.length - 1; i >= 0; i--) {
+    if (predicate(results[i])) {
+      unmarkResult(results[i])
+      results.splice(i, 1)
+    }
+  }
+  renderSearchResults()
+}
+
+function resetDatasetSearchState(dataset) {
+  ext.searchCache?.clear()
+  resetSimpleSearchState(dataset)
+  resetFuzzySearchState(dataset)
+}
+
+function getMenuElement() {
+  return document.getElementById('result-menu')
+}
+
+function renderResultMenu() {
+  const element = getMenuElement()
+  if (!element || !menu) {
+    return
+  }
+
+  element.replaceChildren(
+    ...menu.items.map((action, i) => {
+      const item = document.createElement('div')
+      item.className = 'menu-item'
+      item.id = `result-menu-${action.id}`
+      item.setAttribute('role', 'menuitem')
+      item.dataset.index = String(i)
+      item.textContent = menu.confirming === action.id ? action.confirmLabel : action.label
+      if (i === menu.active) item.classList.add('active')
+      if (action.confirmLabel) item.classList.add('destructive')
+      return item
+    }),
+  )
+  element.hidden = false
+  ext.dom.searchInput?.setAttribute('aria-activedescendant', `result-menu-${menu.items[menu.active]?.id}`)
+}
+
+function positionMenu(element, index, position) {
+  const listItem = ext.dom.resultList?.querySelector(`li[x-index="${index}"]`)
+  const itemRect = listItem?.getBoundingClientRect()
+  let x = position?.x ?? (itemRect ? itemRect.left + 24 : 24)
+  let y = position?.y ?? (itemRect ? itemRect.bottom : 60)
+
+  // Keep the menu inside the popup
+  const maxX = window.innerWidth - element.offsetWidth - 4
+  const maxY = window.innerHeight - element.offsetHeight - 4
+  if (x > maxX) x = Math.max(4, maxX)
+  if (y > maxY) y = Math.max(4, (itemRect ? itemRect.top : y) - element.offsetHeight)
+
+  element.style.left = `${x}px`
+  element.style.top = `${y}px`
+}
+
+function setupMenuEvents(element) {
+  if (menuEventsSetup) {
+    return
+  }
+  menuEventsSetup = true
+
+  // Keep the search input focused, so keyboard navigation continues after a click
+  element.addEventListener('mousedown', (event) => {
+    event.preventDefault()
+    event.stopPropagation()
+  })
+
+  element.addEventListener('mouseup', (event) => {
+    event.stopPropagation()
+    const item = event.target.closest('.menu-item')
+    if (item && event.button === 0) {
+      runMenuItem(Number(item.dataset.index))
+    }
+  })
+
+  // Close the menu on any click outside of it
+  document.addEventListener('mousedown', () => {
+    if (menu) {
+      closeResultMenu()
+    }
+  })
+}
@@ -0,0 +1,298 @@
+/**
+ * @file Multi-select and bulk actions for search results in the popup.
+ *
+ * Responsibilities:
+ * - Mark and unmark results (Space after keyboard navigation, or Shift+click) and keep marks across re-renders.
+ * - Show the bulk action bar with the number of marked results.
+ * - Open all marked results in a new window, close all marked tabs, bookmark all into a folder
+ *   or copy all URLs as a Markdown list.
+ *
+ * Marks are keyed by result type and original ID, so they survive new searches and re-renders.
+ * The marked result objects are kept as snapshots, so results can be collected from several searches.
+ */
+
+import { escapeHtml } from '../helper/utils.js'
+import { removeClosedTab } from './searchEvents.js'
+import { renderSearchResults } from './searchView.js'
+
+const MARKDOWN_TITLE_ESCAPE_REGEX = /([[\]\\])/g
+const MARKDOWN_URL_ESCAPE_REGEX = /[()\s]/g
+
+/** Result types that can be marked. Search engine and direct URL results are not bulk actionable. */
+const MARKABLE_TYPES = new Set(['bookmark', 'tab', 'history'])
+
+let bulkActionEventsSetup = false
+
+/**
+ * Return the stable key of a result for the marked set.
+ *
+ * @param {Object} result - Search result.
+ * @returns {string} Key of type and original ID.
+ */
+export function getResultMarkKey(result) {
+  return `${result.type}:${result.originalId}`
+}
+
+/**
+ * Check if a result is marked for bulk actions.
+ *
+ * @param {Object} result - Search result.
+ * @returns {boolean} True if marked.
+ */
+export function isResultMarked(result) {
+  return Boolean(ext.model.markedResults?.has(getResultMarkKey(result)))
+}
+
+/**
+ * Return the marked results in the order they were marked.
+ *
+ * @returns {Array<Object>} Marked results.
+ */
+export function getMarkedResults() {
+  return ext.model.markedResults ? [...ext.model.markedResults.values()] : []
+}
+
+/**
+ * Toggle the mark of the result at the given index of the current results.
+ *
+ * @param {number} index - Index in `ext.model.result`.
+ * @returns {boolean} True if the result is marked afterwards.
+ */
+export function toggleResultMark(index) {
+  const result = ext.model.result?.[index]
+  if (!result || !MARKABLE_TYPES.has(result.type) || result.originalId == null) {
+    return false
+  }
+
+  if (!ext.model.markedResults) {
+    ext.model.markedResults = new Map()
+  }
+  const key = getResultMarkKey(result)
+  const marked = !ext.model.markedResults.has(key)
+  if (marked) {
+    ext.model.markedResults.set(key, result)
+  } else {
+    ext.model.markedResults.delete(key)
+  }
+
+  ext.dom.resultList?.querySelector(`li[x-index="${index}"]`)?.classList.toggle('marked', marked)
+  renderBulkActions()
+  return marked
+}
+
+/**
+ * Remove a result from the marked set, e.g. after its tab was closed.
+ *
+ * @param {{type: string, originalId: *}} result - Result or result identity.
+ */
+export function unmarkResult(result) {
+  if (ext.model.markedResults?.delete(getResultMarkKey(result))) {
+    renderBulkActions()
+  }
+}
+
+/**
+ * Remove all marks.
+ */
+export function clearResultMarks() {
+  ext.model.markedResults?.clear()
+  for (const item of ext.dom.resultList?.querySelectorAll('li.marked') || []) {
+    item.classList.remove('marked')
+  }
+  renderBulkActions()
+}
+
+/**
+ * Show the bulk action bar while results are marked, or hide it.
+ *
+ * @param {string} [message] - Status text to show instead of the marked count.
+ */
+export function renderBulkActions(message) {
+  const bar = document.getElementById('bulk-actions')
+  if (!bar) return
+
+  const marked = getMarkedResults()
+  bar.hidden = marked.length === 0
+  if (bar.hidden) return
+
+  setupBulkActionEvents(bar)
+  bar.querySelector('.bulk-count').textContent = message || `${marked.length} marked`
+  bar.querySelector('[data-bulk-action="close"]').disabled = !marked.some((result) => result.type === 'tab')
+}
+
+/**
+ * Open all marked results in a new browser window and close the popup.
+ *
+ * @returns {Promise<void>}
+ */
+export async function openMarkedInNewWindow() {
+  const urls = getMarkedResults()
+    .map((result) => result.originalUrl)
+    .filter(Boolean)
+  if (!urls.length) return
+
+  if (ext.browserApi.windows?.create) {
+    await ext.browserApi.windows.create({ url: urls, focused: true })
+  } else {
+    for (const url of urls) {
+      window.open(url, '_newtab')
+    }
+  }
+  clearResultMarks()
+  window.close()
+}
+
+/**
+ * Close all marked tabs. Other marked results stay marked.
+ *
+ * @returns {Promise<number>} Number of closed tabs.
+ */
+export async function closeMarkedTabs() {
+  const tabIds = getMarkedResults()
+    .filter((result) => result.type === 'tab')
+    .map((result) => result.originalId)
+  if (!tabIds.length || !ext.browserApi.tabs?.remove) return 0
+
+  await ext.browserApi.tabs.remove(tabIds)
+  for (const tabId of tabIds) {
+    removeClosedTab(tabId)
+  }
+  renderSearchResults()
+  renderBulkActions(`Closed ${tabIds.length} ${tabIds.length === 1 ? 'tab' : 'tabs'}`)
+  return tabIds.length
+}
+
+/**
+ * Bookmark all marked results into a folder. URLs that are already bookmarked in that folder are skipped.
+ *
+ * @param {string} folderId - Target bookmark folder ID.
+ * @returns {Promise<number>} Number of created bookmarks.
+ */
+export async function bookmarkMarkedResults(folderId) {
+  if (!folderId || !ext.browserApi.bookmarks?.create) return 0
+
+  const existingUrls = new Set(
+    (ext.model.bookmarks || []).filter((bookmark) => bookmark.folderId === folderId).map((bookmark) => bookmark.url),
+  )
+  let created = 0
+  for (const result of getMarkedResults()) {
+    if (!result.originalUrl || existingUrls.has(result.url)) continue
+    await ext.browserApi.bookmarks.create({
+      parentId: folderId,
+      title: result.title || result.originalUrl,
+      url: result.originalUrl,
+    })
+    existingUrls.add(result.url)
+    created++
+  }
+  renderBulkActions(`Bookmarked ${created} ${created === 1 ? 'result' : 'results'}`)
+  return created
+}
+
+/**
+ * Copy the URLs of all marked results as a Markdown list.
+ *
+ * @returns {Promise<string>} The copied Markdown.
+ */
+export async function copyMarkedAsMarkdown() {
+  const markdown = formatMarkdownLinks(getMarkedResults())
+  await navigator.clipboard.writeText(markdown)
+  renderBulkActions('Copied as Markdown')
+  return markdown
+}
+
+/**
+ * Format results as a Markdown list of links.
+ *
+ * @param {Array<Object>} results - Results with `title` and `originalUrl`.
+ * @returns {string} One `- [title](url)` line per result.
+ */
+export function formatMarkdownLinks(results) {
+  return results
+    .filter((result) => result.originalUrl)
+    .map((result) => `- ${formatMarkdownLink(result)}`)
+    .join('\n')
+}
+
+/**
+ * Format a result as Markdown link.
+ *
+ * @param {Object} result - Result with `title` and `originalUrl`.
+ * @returns {string} `[title](url)` with escaped title and URL.
+ */
+export function formatMarkdownLink(result) {
+  const title = (result.title || result.originalUrl).replace(MARKDOWN_TITLE_ESCAPE_REGEX, '\\$1')
+  const url = result.originalUrl.replace(MARKDOWN_URL_ESCAPE_REGEX, percentEncodeChar)
+  return `[${title}](${url})`
+}
+
+function percentEncodeChar(char) {
+  return `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+}
+
+/**
+ * Flatten a bookmark tree into folder choices with their full path.
+ *
+ * @param {Array<Object>} nodes - Browser bookmark tree nodes.
+ * @param {string} [path] - Path of the parent folder.
+ * @param {Array<{id: string, path: string}>} [folders] - Accumulator.
+ * @returns {Array<{id: string, path: string}>} Folders in tree order.
+ */
+export function collectBookmarkFolders(nodes, path = '', folders = []) {
+  for (const node of nodes || []) {
+    if (node.url || !node.children) continue
+    const nodePath = node.title ? (path ? `${path} / ${node.title}` : node.title) : path
+    if (node.title) {
+      folders.push({ id: node.id, path: nodePath })
+    }
+    collectBookmarkFolders(node.children, nodePath, folders)
+  }
+  return folders
+}
+
+/**
+ * Fill the folder picker of the bulk action bar once.
+ *
+ * @param {HTMLSelectElement} select - Folder picker.
+ * @returns {Promise<void>}
+ */
+async function loadFolderChoices(select) {
+  if (select.dataset.loaded || !ext.browserApi.bookmarks?.getTree) return
+  select.dataset.loaded = 'true'
+  const folders = collectBookmarkFolders(await ext.browserApi.bookmarks.getTree())
+  select.insertAdjacentHTML(
+    'beforeend',
+    folders.map((folder) => `<option value="${escapeHtml(folder.id)}">${escapeHtml(folder.path)}</option>`).join(''),
+  )
+}
+
+function setupBulkActionEvents(bar) {
+  if (bulkActionEventsSetup) return
+  bulkActionEventsSetup = true
+
+  // Keep the search input focused, so keyboard navigation continues after a click
+  bar.addEventListener('mousedown', (event) => {
+    if (event.target.nodeName !== 'SELECT') event.preventDefault()
+  })
+
+  bar.addEventListener('click', (event) => {
+    const action = event.target.closest('[data-bulk-action]')?.dataset.bulkAction
+    const run = {
+      window: openMarkedInNewWindow,
+      close: closeMarkedTabs,
+      markdown: copyMarkedAsMarkdown,
+      clear: clearResultMarks,
+    }[action]
+    if (run) {
+      Promise.resolve(run()).catch((err) => renderBulkActions(`Failed: ${err.message}`))
+    }
+  })
+
+  const folderSelect = bar.querySelector('.bulk-folder')
+  loadFolderChoices(folderSelect).catch((err) => console.warn('Could not load bookmark folders', err))
+  folderSelect.addEventListener('change', () => {
+    const folderId = folderSelect.value
+    folderSelect.value = ''
+    bookmarkMarkedResults(folderId).catch((err) => renderBulkActions(`Failed: ${err.message}`))
+  })
+}
@@ -0,0 +1,199 @@
+/**
+ * @file Built-in commands of the popup command palette (`>` search mode).
+ *
+ * Responsibilities:
+ * - Register the default extension commands with the command registry.
+ * - Implement commands that have no other home yet, like closing duplicate or stale tabs,
+ *   bookmarking all tabs of the current window or saving it as workspace.
+ *
+ * Other modules can add their own commands with `registerCommand()` from commandPalette.js.
+ */
+
+import { cleanUpUrl, downloadFile } from '../helper/utils.js'
+import { createBookmarkExportFilename, createBookmarkExportHtml } from '../model/bookmarkExport.js'
+import { createTabCleanupConfirmation, getDuplicateTabsToClose, getStaleTabs } from '../model/tabCleanup.js'
+import { createWindowSnapshot } from '../model/workspaces.js'
+import { registerCommand } from '../search/commandPalette.js'
+import { isBookmarkableUrl } from '../search/defaultResults.js'
+import { confirmInline } from './inlineDialog.js'
+import { removeClosedTab, saveWorkspaceSnapshot, toggleSearchApproach } from './searchEvents.js'
+import { renderSearchResults } from './searchView.js'
+
+/** Default commands, in the order they are listed for an empty `>` query. */
+const DEFAULT_COMMANDS = [
+  {
+    id: 'open-bookmark-manager',
+    title: 'Open Bookmark Manager',
+    description: 'Manage, tag and clean up bookmarks in a new tab',
+    keywords: ['edit', 'organize'],
+    run: () => openExtensionPage('./bookmarkManager.html'),
+  },
+  {
+    id: 'open-options',
+    title: 'Open Options',
+    description: 'Edit the user configuration',
+    keywords: ['settings', 'preferences', 'configuration'],
+    run: () => openExtensionPage('./bookmarkManager.html#options'),
+  },
+  {
+    id: 'open-tags',
+    title: 'Show Tags',
+    description: 'List all bookmark tags',
+    run: () => {
+      window.location = './tags.html'
+    },
+  },
+  {
+    id: 'open-folders',
+    title: 'Show Folders',
+    description: 'List all bookmark folders',
+    run: () => {
+      window.location = './folders.html'
+    },
+  },
+  {
+    id: 'open-groups',
+    title: 'Show Tab Groups',
+    description: 'List all tab groups',
+    available: () => Boolean(ext.browserApi.tabGroups),
+    run: () => {
+      window.location = './groups.html'
+    },
+  },
+  {
+    id: 'toggle-search-strategy',
+    title: 'Toggle Fuzzy Search',
+    description: 'Switch between the precise, fuzzy and semantic search strategy',
+    keywords: ['strategy', 'precise', 'semantic'],
+    run: toggleSearchApproach,
+  },
+  {
+    id: 'export-bookmarks',
+    title: 'Export Bookmarks as HTML',
+    description: 'Download all bookmarks as a browser-compatible HTML file',
+    keywords: ['backup', 'download'],
+    available: () => Boolean(ext.browserApi.bookmarks?.getTree),
+    run: exportBookmarksHtml,
+  },
+  {
+    id: 'close-duplicate-tabs',
+    title: 'Close Duplicate Tabs',
+    description: 'Keep only the most recently used tab of each URL, list them with t is:duplicate',
+    keywords: ['clean', 'dedupe'],
+    available: () => Boolean(ext.browserApi.tabs?.remove),
+    run: closeDuplicateTabs,
+  },
+  {
+    id: 'close-stale-tabs',
+    title: 'Close Stale Tabs',
+    description: 'Close tabs that were not used for staleTabDays days, list them with t is:stale',
+    keywords: ['clean', 'old', 'unused'],
+    available: () => Boolean(ext.browserApi.tabs?.remove),
+    run: closeStaleTabs,
+  },
+  {
+    id: 'bookmark-window-tabs',
+    title: 'Bookmark All Tabs in Window',
+    description: 'Save the tabs of the current window into a new bookmark folder',
+    keywords: ['save', 'session'],
+    available: () => Boolean(ext.browserApi.tabs?.query && ext.browserApi.bookmarks?.create),
+    run: bookmarkWindowTabs,
+  },
+  {
+    id: 'save-window-workspace',
+    title: 'Save Window as Workspace',
+    description: 'Save the tabs and tab groups of the current window, restore them later with ws:',
+    keywords: ['session', 'snapshot', 'groups'],
+    available: () => Boolean(ext.browserApi.tabs?.query && ext.browserApi.storage?.local),
+    run: saveWindowAsWorkspace,
+  },
+]
+
+/**
+ * Register the built-in commands with the command registry.
+ */
+export function registerDefaultCommands() {
+  for (const command of DEFAULT_COMMANDS) {
+    registerCommand(command)
+  }
+}
+
+/**
+ * Download all bookmarks as HTML file in the browser bookmark export format.
+ *
+ * @returns {Promise<void>}
+ */
+export async function exportBookmarksHtml() {
+  const bookmarkTree = await ext.browserApi.bookmarks.getTree()
+  downloadFile(createBookmarkExportHtml(bookmarkTree), createBookmarkExportFilename(), 'text/html;charset=utf-8')
+}
+
+/**
+ * Close all but the active or most recently used tab of each URL, after a confirmation listing them.
+ *
+ * @returns {Promise<number>} Number of closed tabs.
+ */
+export async function closeDuplicateTabs() {
+  return closeTabsAfterConfirmation(getDuplicateTabsToClose(ext.model.tabs), 'duplicate')
+}
+
+/**
+ * Close the tabs that were not used for `staleTabDays` days, after a confirmation listing them.
+ * Active and pinned tabs are kept.
+ *
+ * @returns {Promise<number>} Number of closed tabs.
+ */
+export async function closeStaleTabs() {
+  return closeTabsAfterConfirmation(getStaleTabs(ext.model.tabs, ext.opts.staleTabDays), 'stale')
+}
+
+async function closeTabsAfterConfirmation(tabs, reason) {
+  if (!tabs.length) return 0
+  const { message, details } = createTabCleanupConfirmation(tabs, reason)
+  if (!(await confirmInline(message, { details, confirmLabel: 'Close Tabs' }))) return 0
+
+  const tabIds = tabs.map((tab) => tab.originalId)
+  await ext.browserApi.tabs.remove(tabIds)
+  for (const tabId of tabIds) {
+    removeClosedTab(tabId)
+  }
+  renderSearchResults()
+  return tabIds.length
+}
+
+/**
+ * Bookmark all tabs of the current window into a new folder named after the current date.
+ * The folder is created in the browser's default bookmark location.
+ *
+ * @returns {Promise<number>} Number of created bookmarks.
+ */
+export async function bookmarkWindowTabs() {
+  const tabs = (await ext.browserApi.tabs.query({ currentWindow: true })).filter((tab) => isBookmarkableUrl(tab.url))
+  if (!tabs.length) return 0
+
+  const folder = await ext.browserApi.bookmarks.create({
+    title: `Tabs ${new Date().toISOString().substring(0, 10)}`,
+  })
+  const seenUrls = new Set()
+  for (const tab of tabs) {
+    const url = cleanUpUrl(tab.url)
+    if (seenUrls.has(url)) continue
+    seenUrls.add(url)
+    await ext.browserApi.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url })
+  }
+  return seenUrls.size
+}
+
+/**
+ * Ask for a name and save the tabs and tab groups of the current window as workspace.
+ *
+ * @returns {Promise<boolean>} True if the workspace was saved.
+ */
+export async function saveWindowAsWorkspace() {
+  return saveWorkspaceSnapshot(await createWindowSnapshot())
+}
+
+function openExtensionPage(url) {
+  window.open(url, '_blank')
+  window.close()
+}
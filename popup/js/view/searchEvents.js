@@ -3,17 +3,33 @@
  *
  * Responsibilities:
  * - Handle click/mouse events on search results with different behaviors based on modifiers and target elements.
- * - Manage tab closing, URL copying, and navigation flows.
+ * - Manage tab closing, URL copying, and navigation flows, and run selected command palette commands.
+ * - Remember searched queries with their opened result and recall them into the search input.
+ * - Save the current query as named saved search and run saved searches.
+ * - Save tab groups and windows as named workspaces and restore them into a new window.
+ * - Switch to the window of a selected `window` result.
  * - Switch between fuzzy and precise search strategies.
  * - Update search strategy toggle button appearance.
  * - Coordinate with search and navigation modules for result interactions.
  */
 
+import { getLocalAiTagAvailability } from '../helper/localAiTags.js'
 import { cleanUpUrl } from '../helper/utils.js'
 import { getUserOptions, setUserOptions } from '../model/optionsStorage.js'
+import { recordResultSelection } from '../model/resultSelections.js'
+import { saveSearch } from '../model/savedSearches.js'
+import { clearBookmarkOpenTabState } from '../model/searchData.js'
+import { recordSearchQuery } from '../model/searchQueryHistory.js'
+import { findWorkspace, restoreWorkspace, saveWorkspace } from '../model/workspaces.js'
+import { runCommand } from '../search/commandPalette.js'
 import { search } from '../search/common.js'
 import { resetFuzzySearchState } from '../search/fuzzySearch.js'
+import { parseQueryFilters, resolveSearchMode } from '../search/queryParser.js'
 import { resetSimpleSearchState } from '../search/simpleSearch.js'
+import { printError } from './errorView.js'
+import { promptInline } from './inlineDialog.js'
+import { openResultMenu } from './searchActionMenu.js'
+import { toggleResultMark, unmarkResult } from './searchBulkActions.js'
 import { clearSelection, hoverResultItem } from './searchNavigation.js'
 import { renderSearchResults } from './searchView.js'
 
@@ -22,29 +38,8 @@ import { renderSearchResults } from './searchView.js'
 // survives any potential DOM replacement and prevents duplicate event listeners.
 let eventDelegationSetup = false
 
-function clearBookmarkOpenTabState(closedTab) {
-  if (!closedTab?.url || !Array.isArray(ext.model.bookmarks)) {
-    return
-  }
-
-  for (const bookmark of ext.model.bookmarks) {
-    if (bookmark?.url !== closedTab.url) {
-      continue
-    }
-
-    delete bookmark.tab
-    delete bookmark.openTabTitle
-    delete bookmark.openTabActive
-
-    if (bookmark.favIconUrl === closedTab.favIconUrl) {
-      delete bookmark.favIconUrl
-    }
-
-    delete bookmark.group
-    delete bookmark.groupLower
-    delete bookmark.groupId
-  }
-}
+/** Result types whose selections are learned for the selection bonus. */
+const LEARNED_RESULT_TYPES = new Set(['bookmark', 'tab', 'history'])
 
 /**
  * Handle click/mouse events on search results with different behaviors based on modifiers and target elements
@@ -100,25 +95,7 @@ export function openResultItem(event) {
         domElement.remove()
       }
 
-      // Update the application state - only remove if found (findIndex returns -1 if not found)
-      const tabIndex = ext.model.tabs.findIndex((el) => el.originalId === targetId)
-      if (tabIndex !== -1) {
-        const closedTab = ext.model.tabs[tabIndex]
-        ext.model.tabs.splice(tabIndex, 1)
-        clearBookmarkOpenTabState(closedTab)
-      }
-
-      const resultIndex = ext.model.result.findIndex((el) => el.originalId === targetId)
-      if (resultIndex !== -1) {
-        ext.model.result.splice(resultIndex, 1)
-      }
-
-      // Clear the search cache to prevent ghost tabs in cached results
-      if (ext.searchCache) {
-        ext.searchCache.clear()
-      }
-      resetSimpleSearchState('tabs')
-      resetFuzzySearchState('tabs')
+      removeClosedTab(targetId)
 
       // Re-render to update indices and selection
       renderSearchResults()
@@ -138,11 +115,52 @@ export function openResultItem(event) {
     return
   }
 
+  if (selectedResult?.type === 'command') {
+    runSelectedCommand(selectedResult)
+    return
+  }
+
+  if (selectedResult?.type === 'recentSearch') {
+    recallSearchQuery(selectedResult.title)
+    return
+  }
+
+  if (selectedResult?.type === 'savedSearch') {
+    recallSearchQuery(selectedResult.query)
+    return
+  }
+
+  if (selectedResult?.type === 'workspace') {
+    openWorkspace(selectedResult)
+    return
+  }
+
+  if (selectedResult?.type === 'window') {
+    focusWindow(selectedResult)
+    return
+  }
+
   if (selectedResult?.type === 'bookmarkCreate') {
     window.location = buildNewBookmarkEditorUrl(selectedResult)
     return
   }
 
+  rememberSearchQuery(selectedResult)
+
+  // Recently closed tabs and windows are restored, so they return to their original window
+  if (selectedResult?.type === 'session' && ext.browserApi.sessions?.restore) {
+    restoreSession(selectedResult)
+    return
+  }
+
+  rememberResultSelection(selectedResult)
+
+  // Downloads open the downloaded file while it still exists, otherwise their download URL
+  if (selectedResult?.type === 'download' && selectedResult.fileExists && ext.browserApi.downloads?.open) {
+    openDownload(selectedResult)
+    return
+  }
+
   // Handle Ctrl modifier - always open in background tab, regardless of the
   // `openInCurrentTab` option.
   if (event.ctrlKey) {
@@ -223,6 +241,205 @@ export function openResultItem(event) {
   }
 }
 
+/**
+ * Remove a closed tab from the search data, the current results and the marked results.
+ * The caller re-renders the results.
+ *
+ * @param {number} tabId - ID of the closed browser tab.
+ */
+export function removeClosedTab(tabId) {
+  // Update the application state - only remove if found (findIndex returns -1 if not found)
+  const tabIndex = ext.model.tabs.findIndex((el) => el.originalId === tabId)
+  if (tabIndex !== -1) {
+    const closedTab = ext.model.tabs[tabIndex]
+    ext.model.tabs.splice(tabIndex, 1)
+    clearBookmarkOpenTabState(ext.model.bookmarks, closedTab)
+  }
+
+  const resultIndex = ext.model.result.findIndex((el) => el.originalId === tabId)
+  if (resultIndex !== -1) {
+    ext.model.result.splice(resultIndex, 1)
+  }
+  unmarkResult({ type: 'tab', originalId: tabId })
+
+  // Clear the search cache to prevent ghost tabs in cached results
+  if (ext.searchCache) {
+    ext.searchCache.clear()
+  }
+  resetSimpleSearchState('tabs')
+  resetFuzzySearchState('tabs')
+}
+
+/**
+ * Run the command of a command palette result and return to the default results.
+ * Commands that navigate away or close the popup make the reset a no-op.
+ *
+ * @param {Object} result - Command result with the command ID as `originalId`.
+ * @returns {Promise<void>}
+ */
+export async function runSelectedCommand(result) {
+  if (await runCommand(result.originalId)) {
+    ext.dom.searchInput.value = ''
+    search()
+  }
+}
+
+/**
+ * Put a query into the search input and search for it.
+ *
+ * @param {string} query - Query as typed, including mode prefixes and filters.
+ * @returns {Promise<void>}
+ */
+export function recallSearchQuery(query) {
+  ext.dom.searchInput.value = query
+  ext.dom.searchInput.focus()
+  return search()
+}
+
+/**
+ * Ask for a name and save the current query as saved search.
+ * Command palette, saved search and workspace queries are not saved, as they do not search the data.
+ *
+ * @returns {Promise<boolean>} True if the search was saved.
+ */
+export async function saveCurrentSearch() {
+  const query = ext.dom.searchInput.value.trim()
+  const { mode } = resolveSearchMode(query.toLowerCase())
+  if (!query || mode === 'commands' || mode === 'savedSearches' || mode === 'workspaces') {
+    return false
+  }
+
+  const name = await promptInline('Save this search as:', query)
+  if (!name?.trim()) {
+    return false
+  }
+
+  try {
+    await saveSearch(ext.model.savedSearches, name, query)
+  } catch (err) {
+    printError(err, 'Could not save the search.')
+    return false
+  }
+  // Cached `saved:` results would miss the new saved search
+  ext.searchCache?.clear()
+  return true
+}
+
+/**
+ * Ask for a name and save a tab group or window snapshot as workspace.
+ *
+ * @param {Object} snapshot - Snapshot from `createTabGroupSnapshot()` or `createWindowSnapshot()`.
+ * @returns {Promise<boolean>} True if the workspace was saved.
+ */
+export async function saveWorkspaceSnapshot(snapshot) {
+  const name = await promptInline('Save this workspace as:', snapshot.name)
+  if (!name?.trim()) {
+    return false
+  }
+
+  try {
+    ext.model.workspaces ||= []
+    await saveWorkspace(ext.model.workspaces, name, snapshot)
+  } catch (err) {
+    printError(err, 'Could not save the workspace.')
+    return false
+  }
+  // Cached `ws:` results would miss the new workspace
+  ext.searchCache?.clear()
+  return true
+}
+
+/**
+ * Restore a recently closed tab or window and close the popup.
+ *
+ * @param {Object} result - Session result with `sessionId`.
+ * @returns {Promise<void>}
+ */
+export async function restoreSession(result) {
+  try {
+    await ext.browserApi.sessions.restore(result.sessionId)
+  } catch (err) {
+    printError(err, 'Could not restore the recently closed tab or window.')
+    return
+  }
+  window.close()
+}
+
+/**
+ * Restore a workspace into a new window and close the popup.
+ *
+ * @param {Object} result - Workspace result with the workspace ID as `originalId`.
+ * @returns {Promise<void>}
+ */
+export async function openWorkspace(result) {
+  const workspace = findWorkspace(ext.model.workspaces, result.originalId)
+  if (!workspace) return
+  try {
+    await restoreWorkspace(workspace)
+  } catch (err) {
+    printError(err, `Could not restore the workspace "${workspace.name}".`)
+    return
+  }
+  window.close()
+}
+
+/**
+ * Switch to the window of a `window` result and close the popup.
+ *
+ * @param {Object} result - Window result with the window ID as `originalId`.
+ * @returns {Promise<void>}
+ */
+export async function focusWindow(result) {
+  try {
+    await ext.browserApi.windows.update(result.originalId, { focused: true })
+  } catch (err) {
+    printError(err, `Could not switch to the window "${result.title}".`)
+    return
+  }
+  window.close()
+}
+
+/**
+ * Open a downloaded file with the default application of the system and close the popup.
+ *
+ * @param {Object} result - Download result with the download ID as `originalId`.
+ * @returns {Promise<void>}
+ */
+export async function openDownload(result) {
+  try {
+    await ext.browserApi.downloads.open(result.originalId)
+  } catch (err) {
+    printError(err, 'Could not open the downloaded file.')
+    return
+  }
+  window.close()
+}
+
+/**
+ * Learn that a bookmark, tab or history result was opened for the current query.
+ *
+ * @param {Object} [result] - Opened search result.
+ */
+function rememberResultSelection(result) {
+  if (!result?.url || !LEARNED_RESULT_TYPES.has(result.type) || !ext.opts.scoreSelectionBonusScore) {
+    return
+  }
+  const query = parseQueryFilters(ext.model.searchTerm || '').term
+  recordResultSelection(ext.model.resultSelections, query, result.url)
+}
+
+/**
+ * Add the current query to the search history, together with the opened result.
+ *
+ * @param {Object} [result] - Opened search result.
+ */
+function rememberSearchQuery(result) {
+  if (!ext.opts.enableSearchHistory) {
+    return
+  }
+  recordSearchQuery(ext.model.searchHistory, ext.dom.searchInput?.value, result)
+}
+
 /**
  * Open the bookmark editor for the selected result.
  * Existing bookmarks are edited directly; tabs, history, and URL results open as new bookmark drafts.
@@ -291,16 +508,20 @@ function getSelectedResult(event) {
 }
 
 /**
- * Switch between fuzzy and precise search strategies
+ * Cycle through the precise, fuzzy and semantic search strategies
+ * The semantic strategy is skipped unless the local `LanguageModel` is available (downloaded and ready)
  * Updates user preferences and refreshes search results with the new strategy
  */
 export async function toggleSearchApproach() {
   // Load current user preferences
   const userOptions = await getUserOptions()
 
-  // Toggle the current search strategy
+  // Switch to the next search strategy
   if (ext.opts.searchStrategy === 'precise') {
     ext.opts.searchStrategy = 'fuzzy'
+  } else if (ext.opts.searchStrategy === 'fuzzy' && (await getLocalAiTagAvailability()) === 'available') {
+    // Semantic search never starts the model download, so it is only offered once the model is ready
+    ext.opts.searchStrategy = 'semantic'
   } else {
     ext.opts.searchStrategy = 'precise'
   }
@@ -372,9 +593,22 @@ export function setupResultItemsEvents() {
     (event) => {
       const listItem = event.target.closest('li[x-index]')
       if (listItem) {
+        // Shift+click marks the result for bulk actions instead of opening it.
+        // Ctrl+click keeps opening it in a background tab (see openResultItem), Alt+click opens it in the current tab.
+        if (event.shiftKey && !event.ctrlKey && event.button === 0) {
+          toggleResultMark(Number(listItem.getAttribute('x-index')))
+          return
+        }
         // Update selection for this item
         clearSelection()
         listItem.id = 'sel'
+        // Right-click opens the result action menu
+        if (event.button === 2) {
+          const index = Number(listItem.getAttribute('x-index'))
+          ext.model.currentItem = index
+          openResultMenu(index, { x: event.clientX, y: event.clientY })
+          return
+        }
         openResultItem(event)
       }
     },
@@ -2,51 +2,102 @@
  * @file Manages keyboard and mouse navigation for search results.
  *
  * Responsibilities:
- * - Handle keyboard navigation with arrow keys and vim-style keybindings (Ctrl+P/Ctrl+N, Ctrl+K/Ctrl+J).
+ * - Handle keyboard navigation with the configurable `keybindings` option
+ *   (defaults: arrow keys and vim-style Ctrl+P/Ctrl+N, Ctrl+K/Ctrl+J).
  * - Manage visual selection state of result items with scrolling support.
  * - Handle mouse hover events to update selection only after actual mouse movement.
+ * - Toggle bulk action marks with Space once the selection was moved with the keyboard.
+ * - Recall recent queries from the search history (default Ctrl+ArrowUp / Ctrl+ArrowDown).
+ * - Save the current query as named saved search (default Ctrl+S).
+ * - Open the result action menu (default `Shift+F10` or the context menu key) and route keys to it while it is open.
  * - Coordinate with search result rendering to maintain proper selection state.
  */
 
-import { editSelectedResultAsBookmark, openResultItem, toggleSearchApproach } from './searchEvents.js'
+import { matchesKeybinding } from '../helper/keybindings.js'
+import { handleResultMenuKey, isResultMenuKey, isResultMenuOpen, openResultMenu } from './searchActionMenu.js'
+import { clearResultMarks, getMarkedResults, toggleResultMark } from './searchBulkActions.js'
+import {
+  editSelectedResultAsBookmark,
+  openResultItem,
+  recallSearchQuery,
+  saveCurrentSearch,
+  toggleSearchApproach,
+} from './searchEvents.js'
 
 // Some browsers report IME conversion keys as legacy keyCode/which 229 ("Process").
 // Treat that as composing so Enter/arrow keys used to confirm or navigate candidates
 // do not trigger extension shortcuts.
 const IME_PROCESS_KEY_CODE = 229
 
+/** Keys that do not end keyboard navigation, so Space keeps marking results instead of typing. */
+const NAVIGATION_MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta'])
+
 function isImeComposing(event) {
   return event.isComposing || event.keyCode === IME_PROCESS_KEY_CODE || event.which === IME_PROCESS_KEY_CODE
 }
 
 /**
  * Handle keyboard navigation for search results
- * Supports arrow keys and vim-style keybindings (Ctrl+P/Ctrl+N, Ctrl+K/Ctrl+J)
+ * The keys of each action are configured with the `keybindings` option, see keybindings.js
  */
 export async function navigationKeyListener(event) {
   if (isImeComposing(event)) {
     return
   }
 
+  // The open result action menu handles its own navigation
+  if (isResultMenuOpen() && handleResultMenuKey(event)) {
+    return
+  }
+  if (isResultMenuKey(event)) {
+    event.preventDefault()
+    openResultMenu(ext.model.currentItem)
+    return
+  }
+
+  // Step through the search history, newest query first
+  if (matchesKeybinding(event, 'recallPreviousSearch') || matchesKeybinding(event, 'recallNextSearch')) {
+    event.preventDefault()
+    await recallSearchHistory(matchesKeybinding(event, 'recallPreviousSearch') ? 1 : -1)
+    return
+  }
+
+  if (matchesKeybinding(event, 'saveSearch')) {
+    event.preventDefault()
+    await saveCurrentSearch()
+    return
+  }
+
   // Define navigation directions with multiple keybinding options
-  const up = event.key === 'ArrowUp' || (event.ctrlKey && event.key === 'p') || (event.ctrlKey && event.key === 'k')
-  const down = event.key === 'ArrowDown' || (event.ctrlKey && event.key === 'n') || (event.ctrlKey && event.key === 'j')
+  const up = matchesKeybinding(event, 'selectPrevious')
+  const down = matchesKeybinding(event, 'selectNext')
 
-  // Toggle fuzzy/precise search with Ctrl+F
-  if (event.ctrlKey && (event.key === 'f' || event.key === 'F')) {
+  // Cycle the search strategy (default Ctrl+F)
+  if (matchesKeybinding(event, 'toggleSearchApproach')) {
     event.preventDefault()
     await toggleSearchApproach()
     return
   }
 
   // Edit the selected bookmark, or create a bookmark draft from the selected URL.
-  if (event.key === 'F2') {
+  if (matchesKeybinding(event, 'editBookmark')) {
     event.preventDefault()
     return editSelectedResultAsBookmark()
   }
 
+  // Space marks the selected result for bulk actions after navigating with the keyboard.
+  // Otherwise it is typed into the search input as usual.
+  if (ext.model.keyboardNavigated && matchesKeybinding(event, 'markResult')) {
+    event.preventDefault()
+    toggleResultMark(ext.model.currentItem)
+    return
+  }
+  if (!up && !down && !NAVIGATION_MODIFIER_KEYS.has(event.key)) {
+    ext.model.keyboardNavigated = false
+  }
+
   // Handle Tab key to insert two spaces for hybrid search separator
-  if (event.key === 'Tab') {
+  if (matchesKeybinding(event, 'insertSeparator')) {
     if (document.activeElement === ext.dom.searchInput) {
       event.preventDefault()
       const input = ext.dom.searchInput
@@ -72,6 +123,7 @@ export async function navigationKeyListener(event) {
     if (ext.model.currentItem > 0) {
       selectListItem(ext.model.currentItem - 1, true)
     }
+    ext.model.keyboardNavigated = true
     return
   }
 
@@ -81,10 +133,12 @@ export async function navigationKeyListener(event) {
     if (ext.model.currentItem < ext.model.result.length - 1) {
       selectListItem(ext.model.currentItem + 1, true)
     }
+    ext.model.keyboardNavigated = true
     return
   }
 
-  if (event.key === 'Enter' && ext.model.result.length > 0) {
+  const back = matchesKeybinding(event, 'back')
+  if (matchesKeybinding(event, 'openResult') && ext.model.result.length > 0) {
     // Activate selected result when Enter is pressed
     if (window.location.hash.startsWith('#search/') || !window.location.hash) {
       // Wait for any in-flight search to complete before opening result
@@ -94,13 +148,37 @@ export async function navigationKeyListener(event) {
       }
       openResultItem(event)
     }
-  } else if (event.key === 'Escape') {
+  } else if (back && getMarkedResults().length) {
+    // Escape first clears the marked results
+    event.preventDefault()
+    clearResultMarks()
+  } else if (back) {
     // Return to search mode and focus the search input
     window.location.hash = '#search/'
     ext.dom.searchInput.focus()
   }
 }
 
+/**
+ * Replace the search input with an older (`step` 1) or newer (`step` -1) query of the search history.
+ * Editing a recalled query starts over from the newest query.
+ *
+ * @param {number} step - Direction in the history.
+ * @returns {Promise<void>}
+ */
+export async function recallSearchHistory(step) {
+  const history = ext.model.searchHistory || []
+  const currentIndex = ext.model.searchHistoryIndex ?? -1
+  const startIndex = history[currentIndex]?.query === ext.dom.searchInput.value ? currentIndex : -1
+  const index = Math.min(startIndex + step, history.length - 1)
+  if (index === startIndex || (index < 0 && startIndex < 0)) {
+    return
+  }
+
+  ext.model.searchHistoryIndex = index
+  await recallSearchQuery(index < 0 ? '' : history[index].query)
+}
+
 /**
  * Update the visual selection state of result items
  * Removes previous selection and applies new selection with optional scrolling
@@ -108,13 +186,14 @@ export async function navigationKeyListener(event) {
 export function selectListItem(index, scroll = false) {
   clearSelection()
 
-  // Apply new selection if the item exists
-  if (ext.dom.resultList.children[index]) {
-    ext.dom.resultList.children[index].id = 'sel'
+  // Apply new selection if the item exists. Section headers have no x-index, so look the item up by it
+  const listItem = ext.dom.resultList.querySelector(`li[x-index="${index}"]`)
+  if (listItem) {
+    listItem.id = 'sel'
 
     // Smoothly scroll the selected item into view if requested
     if (scroll) {
-      ext.dom.resultList.children[index].scrollIntoView({
+      listItem.scrollIntoView({
         behavior: 'auto',
         block: 'nearest',
       })
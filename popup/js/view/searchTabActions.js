@@ -0,0 +1,306 @@
+/**
+ * @file Tab management actions of the popup.
+ *
+ * Responsibilities:
+ * - Pin and unpin, mute and unmute, reload and discard tabs.
+ * - Move tabs into another or a new window and add them to a new or an existing tab group.
+ * - Run these actions on a single tab result or on all tab results of the current query
+ *   (offered by the result action menu, see searchActionMenu.js).
+ * - Update the tab results after tab group operations of an `@group` search (see tabGroupOperations.js).
+ * - Name the window of a tab, which becomes its window label (see windowLabels.js).
+ * - Re-read the changed tabs and patch `ext.model.tabs` and the shown results in place,
+ *   like closing a tab does, so the list updates right away.
+ */
+
+import { updateTabGroup, upsertTab } from '../model/searchDataChanges.js'
+import { closeTabGroup } from '../model/tabGroupOperations.js'
+import { applyWindowLabels, saveWindowName } from '../model/windowLabels.js'
+import { resetFuzzySearchState } from '../search/fuzzySearch.js'
+import { resetSimpleSearchState } from '../search/simpleSearch.js'
+import { removeClosedTab } from './searchEvents.js'
+import { renderSearchResults } from './searchView.js'
+
+/** Tab item properties that tab actions change. They are copied onto the shown results. */
+const TAB_STATE_KEYS = [
+  'pinned',
+  'muted',
+  'discarded',
+  'windowId',
+  'windowLabel',
+  'windowLabelLower',
+  'groupId',
+  'group',
+  'groupLower',
+  'searchStringLower',
+]
+
+/**
+ * Return the tab results of the current query.
+ *
+ * @returns {Array<Object>} Tab results in result order.
+ */
+export function getMatchingTabResults() {
+  return (ext.model.result || []).filter((result) => result.type === 'tab' && result.originalId != null)
+}
+
+/**
+ * Pin or unpin tabs.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @param {boolean} pinned - True to pin, false to unpin.
+ * @returns {Promise<void>}
+ */
+export async function setTabsPinned(tabs, pinned) {
+  await updateTabs(tabs, { pinned })
+}
+
+/**
+ * Mute or unmute tabs.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @param {boolean} muted - True to mute, false to unmute.
+ * @returns {Promise<void>}
+ */
+export async function setTabsMuted(tabs, muted) {
+  await updateTabs(tabs, { muted })
+}
+
+/**
+ * Reload tabs.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @returns {Promise<void>}
+ */
+export async function reloadTabs(tabs) {
+  const { succeeded, error } = await runOnTabs(getTabIds(tabs), (tabId) => ext.browserApi.tabs.reload(tabId))
+  await refreshTabs(succeeded.map(({ tabId }) => tabId))
+  if (error) throw error
+}
+
+/**
+ * Discard tabs to free their memory. They stay in the tab strip and load again when selected.
+ * Active tabs cannot be discarded and are skipped.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @returns {Promise<number>} Number of discarded tabs.
+ */
+export async function discardTabs(tabs) {
+  const tabIds = getTabIds(tabs.filter((tab) => !tab.active))
+  const { succeeded, error } = await runOnTabs(tabIds, (tabId) => ext.browserApi.tabs.discard(tabId))
+
+  // Older browsers replace a discarded tab with a new tab ID
+  for (const { tabId, value: discardedTab } of succeeded) {
+    if (discardedTab?.id != null && discardedTab.id !== tabId) {
+      removeClosedTab(tabId)
+    }
+  }
+  await refreshTabs(succeeded.map(({ tabId, value: discardedTab }) => discardedTab?.id ?? tabId))
+  if (error) throw error
+  return succeeded.length
+}
+
+/**
+ * Move tabs into a new window, keeping their order. The popup stays open.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @returns {Promise<number|undefined>} ID of the new window.
+ */
+export async function moveTabsToNewWindow(tabs) {
+  const [firstTabId, ...otherTabIds] = getTabIds(tabs)
+  if (firstTabId == null) return undefined
+
+  const created = await ext.browserApi.windows.create({ tabId: firstTabId, focused: false })
+  if (otherTabIds.length && created?.id != null) {
+    await ext.browserApi.tabs.move(otherTabIds, { windowId: created.id, index: -1 })
+  }
+  await refreshTabs([firstTabId, ...otherTabIds], [...new Set(tabs.map((tab) => tab.windowId)), created?.id])
+  return created?.id
+}
+
+/**
+ * Move a tab to another browser window, or into a new window. The popup stays open.
+ *
+ * @param {Object} tab - Tab result.
+ * @param {number|'new'} windowId - Target window ID, or `new` for a new window.
+ * @returns {Promise<void>}
+ */
+export async function moveTabToWindow(tab, windowId) {
+  const tabId = tab.originalId
+  if (tabId == null) return
+
+  if (windowId === 'new') {
+    const created = await ext.browserApi.windows.create({ tabId, focused: false })
+    windowId = created?.id
+  } else {
+    await ext.browserApi.tabs.move(tabId, { windowId, index: -1 })
+  }
+  await refreshTabs([tabId], [tab.windowId, windowId])
+}
+
+/**
+ * Add tabs to an existing tab group or to a new one.
+ *
+ * @param {Array<Object>} tabs - Tab results.
+ * @param {number|'new'} groupId - ID of an existing tab group, or `new` for a new group.
+ * @param {string} [title] - Title of a new group.
+ * @returns {Promise<number|undefined>} ID of the tab group.
+ */
+export async function addTabsToGroup(tabs, groupId, title = '') {
+  const tabIds = getTabIds(tabs)
+  if (!tabIds.length) return undefined
+
+  const targetGroupId = await ext.browserApi.tabs.group(groupId === 'new' ? { tabIds } : { tabIds, groupId })
+  if (groupId === 'new' && title.trim() && ext.browserApi.tabGroups?.update) {
+    await ext.browserApi.tabGroups.update(targetGroupId, { title: title.trim() })
+  }
+  await refreshTabs(tabIds)
+  return targetGroupId
+}
+
+/**
+ * Load the tab groups a tab can be added to.
+ *
+ * @returns {Promise<Array<{id: number, title: string, color: string}>>} Tab groups, or an empty list without tab group support.
+ */
+export async function getTabGroupChoices() {
+  if (!ext.browserApi.tabGroups?.query) return []
+  return ext.browserApi.tabGroups.query({})
+}
+
+/**
+ * Re-read a changed tab group, e.g. after renaming it, and patch its tabs and the shown results.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @returns {Promise<void>}
+ */
+export async function refreshTabGroup(groupId) {
+  const [group, tabs] = await Promise.all([
+    ext.browserApi.tabGroups.get(groupId),
+    ext.browserApi.tabs.query({ groupId }),
+  ])
+  await updateTabGroup(group)
+  await refreshTabs(tabs.map((tab) => tab.id))
+}
+
+/**
+ * Close all tabs of a tab group and remove them from the search data and the shown results.
+ *
+ * @param {number} groupId - Tab group ID.
+ * @returns {Promise<number>} Number of closed tabs.
+ */
+export async function closeTabGroupTabs(groupId) {
+  const tabIds = await closeTabGroup(groupId)
+  for (const tabId of tabIds) {
+    removeClosedTab(tabId)
+  }
+  renderSearchResults()
+  return tabIds.length
+}
+
+async function updateTabs(tabs, updateProperties) {
+  const { succeeded, error } = await runOnTabs(getTabIds(tabs), (tabId) =>
+    ext.browserApi.tabs.update(tabId, updateProperties),
+  )
+  await refreshTabs(succeeded.map(({ tabId }) => tabId))
+  if (error) throw error
+}
+
+/**
+ * Run a browser tab operation on every tab, also when it fails for some of them (e.g. a tab closed meanwhile).
+ *
+ * @param {Array<number>} tabIds - Tab IDs.
+ * @param {function(number): Promise<*>} operation - Operation per tab ID.
+ * @returns {Promise<{succeeded: Array<{tabId: number, value: *}>, error: *}>} Tabs the operation succeeded for,
+ *   with its return value, and the first error, which the caller throws after refreshing those tabs.
+ */
+async function runOnTabs(tabIds, operation) {
+  const outcomes = await Promise.allSettled(tabIds.map((tabId) => operation(tabId)))
+  const succeeded = []
+  let error
+  outcomes.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      succeeded.push({ tabId: tabIds[i], value: outcome.value })
+    } else {
+      error ??= outcome.reason
+    }
+  })
+  return { succeeded, error }
+}
+
+/**
+ * Name a window. An empty name labels the window with the title of its active tab again.
+ *
+ * @param {number} windowId - Window ID.
+ * @param {string} name - New name of the window.
+ * @returns {Promise<void>}
+ */
+export async function nameWindow(windowId, name) {
+  // Merged with the stored names by `saveWindowName()`, the loaded names may still be missing
+  ext.model.windowNames ||= {}
+  await saveWindowName(ext.model.windowNames, windowId, name)
+  const tabs = applyWindowLabels(ext.model.tabs || [], ext.model.windowNames)
+
+  const label = tabs.find((tab) => tab.windowId === windowId)?.windowLabel
+  for (const result of ext.model.result || []) {
+    if (result.type === 'window' && result.originalId === windowId && label) {
+      result.title = label
+      result.titleLower = label.toLowerCase()
+    }
+  }
+  updateTabResults(tabs.filter((tab) => tab.windowId === windowId).map((tab) => tab.originalId))
+}
+
+/**
+ * Re-read changed tabs from the browser and patch the search data and the shown results.
+ *
+ * @param {Array<number>} tabIds - IDs of the changed tabs.
+ * @param {Array<number>} [windowIds] - Windows that tabs moved between. Their other tabs are re-read too,
+ *   because their active tab and with it the window label may change.
+ * @returns {Promise<void>}
+ */
+async function refreshTabs(tabIds, windowIds = []) {
+  const windowTabIds = (ext.model.tabs || [])
+    .filter((tab) => windowIds.includes(tab.windowId))
+    .map((tab) => tab.originalId)
+  tabIds = [...new Set([...tabIds, ...windowTabIds])]
+  if (ext.browserApi.tabs?.get) {
+    for (const tabId of tabIds) {
+      try {
+        await upsertTab(await ext.browserApi.tabs.get(tabId))
+      } catch (err) {
+        console.warn(`Could not refresh tab ${tabId}`, err)
+      }
+    }
+  }
+  updateTabResults(tabIds)
+}
+
+/**
+ * Copy the changed tab states onto the shown results and render them again.
+ *
+ * @param {Array<number>} tabIds - IDs of the changed tabs.
+ */
+function updateTabResults(tabIds) {
+  for (const result of ext.model.result || []) {
+    if (result.type !== 'tab' || !tabIds.includes(result.originalId)) continue
+    const tab = ext.model.tabs?.find((el) => el.originalId === result.originalId)
+    if (!tab) continue
+    for (const key of TAB_STATE_KEYS) {
+      if (key in tab) {
+        result[key] = tab[key]
+      } else {
+        delete result[key]
+      }
+    }
+  }
+
+  // Group and window changes affect the search data of the tabs
+  ext.searchCache?.clear()
+  resetSimpleSearchState('tabs')
+  resetFuzzySearchState('tabs')
+  renderSearchResults()
+}
+
+function getTabIds(tabs) {
+  return tabs.map((tab) => tab.originalId).filter((tabId) => tabId != null)
+}
@@ -9,6 +9,7 @@
 
 import { escapeHtml, timeSince } from '../helper/utils.js'
 import { printError } from './errorView.js'
+import { isResultMarked } from './searchBulkActions.js'
 import { setupResultItemsEvents } from './searchEvents.js'
 import { selectListItem } from './searchNavigation.js'
 
@@ -16,7 +17,44 @@ import { selectListItem } from './searchNavigation.js'
 const createBadge = (content, title, extraClass = '', extraLink = '', extraStyle = '') =>
   `<span class="badge ${extraClass}"${title ? ` title="${escapeHtml(title)}"` : ''}${extraLink ? ` x-link="${escapeHtml(extraLink)}"` : ''}${extraStyle ? ` style="${extraStyle}"` : ''}>${content}</span>`
 
-const TYPE_LIST = ['bookmark', 'tab', 'history', 'search', 'customSearch', 'direct']
+const TYPE_LIST = [
+  'bookmark',
+  'tab',
+  'history',
+  'session',
+  'syncedTab',
+  'readingList',
+  'download',
+  'search',
+  'customSearch',
+  'direct',
+  'command',
+  'recentSearch',
+  'savedSearch',
+  'workspace',
+  'window',
+]
+
+/** Result types that show a description instead of a URL. */
+const DESCRIPTION_TYPES = new Set(['command', 'recentSearch', 'savedSearch', 'workspace', 'window'])
+
+/**
+ * Create the search link of a badge that filters by a quoted field value, e.g. `win:"my window"`.
+ *
+ * A quoted filter value cannot contain quotes, so values with quotes link to their longest part without quotes.
+ * Filter values match as substrings, so that part still finds the item.
+ *
+ * @param {string} field - Query filter field, see queryParser.js.
+ * @param {string} value - Lowercased value of the item.
+ * @returns {string} Search link, or an empty string if no part of the value is left to link.
+ */
+function createFilterLink(field, value) {
+  const linkValue = value
+    .split('"')
+    .map((part) => part.trim())
+    .reduce((longest, part) => (part.length > longest.length ? part : longest), '')
+  return linkValue ? `#search/${encodeURIComponent(`${field}:"${linkValue}"`)}%20` : ''
+}
 
 /**
  * Render the search results in UI as result items.
@@ -118,6 +156,48 @@ export async function renderSearchResults() {
         )
       }
 
+      if (opts.displayWindowLabel && entry.windowLabel) {
+        badges.push(
+          createBadge(
+            escapeHtml(entry.windowLabel),
+            'Window',
+            'window-label',
+            createFilterLink('win', entry.windowLabelLower),
+          ),
+        )
+      }
+
+      if (entry.sessionTabCount) {
+        const tabCount = entry.sessionTabCount
+        const content = `Window: ${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'}`
+        badges.push(createBadge(content, 'Recently Closed Window', 'session-window'))
+      }
+
+      if (entry.pinned) {
+        badges.push(createBadge('Pinned', 'Pinned Tab', 'tab-state'))
+      }
+      if (entry.muted) {
+        badges.push(createBadge('Muted', 'Muted Tab', 'tab-state'))
+      }
+      if (entry.discarded) {
+        badges.push(createBadge('Discarded', 'Discarded Tab, loads again when opened', 'tab-state'))
+      }
+
+      if (entry.unread) {
+        badges.push(createBadge('Unread', 'Unread Reading List Entry', 'unread'))
+      }
+
+      if (entry.deviceName) {
+        badges.push(
+          createBadge(
+            escapeHtml(entry.deviceName),
+            'Synced Device',
+            'device',
+            createFilterLink('device', entry.deviceNameLower),
+          ),
+        )
+      }
+
       if (opts.displayLastVisit && entry.lastVisitSecondsAgo != null) {
         badges.push(
           createBadge(
@@ -140,8 +220,10 @@ export async function renderSearchResults() {
 
       const title =
         shouldHighlight && entry.highlightedTitle ? entry.highlightedTitle : escapeHtml(entry.title || entry.url || '')
-      const displayUrl = entry.originalUrl || entry.url || ''
-      const url = shouldHighlight && entry.highlightedUrl ? entry.highlightedUrl : escapeHtml(displayUrl)
+      const hasDescription = DESCRIPTION_TYPES.has(type)
+      const displayUrl = hasDescription ? entry.description : entry.originalUrl || entry.url || ''
+      const url =
+        shouldHighlight && entry.highlightedUrl && !hasDescription ? entry.highlightedUrl : escapeHtml(displayUrl)
 
       const typeColor = type === 'bookmarkCreate' ? typeColors.bookmark : typeColors[type]
       let colorStyle = `border-left-color: ${typeColor || ''}`
@@ -176,8 +258,19 @@ export async function renderSearchResults() {
         }
       }
 
+      // Pre-highlighted and escaped excerpt of the page text for `content:` queries
+      const contentSnippetHtml = entry.contentSnippet
+        ? `<div class="content-snippet">${entry.contentSnippet}</div>`
+        : ''
+
+      // Header of an empty-query dashboard section, see defaultResults.js.
+      // It has no x-index, so navigation and result events skip it.
+      if (entry.sectionTitle) {
+        itemsHTML.push(`<li class="result-section-header" role="presentation">${escapeHtml(entry.sectionTitle)}</li>`)
+      }
+
       itemsHTML.push(
-        `<li class="${escapeHtml(type)}"${originalUrl} x-index="${i}"${originalId} style="${colorStyle}">${type === 'bookmark' ? `<img class="edit" x-link="./editBookmark.html#bookmark/${encodeURIComponent(entry.originalId)}${searchTermSuffix}" title="Edit Bookmark" src="./img/edit.svg">` : ''}${type === 'tab' ? '<img class="close" title="Close Tab" src="./img/x.svg">' : ''}${favoriteHtml}<div class="title">${faviconHtml}<span class="title-text">${title} </span>${badges.join('')}</div><div class="url" title="${escapeHtml(displayUrl)}">${url}</div></li>`,
+        `<li class="${escapeHtml(type)}${isResultMarked(entry) ? ' marked' : ''}"${originalUrl} x-index="${i}"${originalId} style="${colorStyle}">${type === 'bookmark' ? `<img class="edit" x-link="./editBookmark.html#bookmark/${encodeURIComponent(entry.originalId)}${searchTermSuffix}" title="Edit Bookmark" src="./img/edit.svg">` : ''}${type === 'tab' ? '<img class="close" title="Close Tab" src="./img/x.svg">' : ''}${favoriteHtml}<div class="title">${faviconHtml}<span class="title-text">${title} </span>${badges.join('')}</div><div class="url" title="${escapeHtml(displayUrl)}">${url}</div>${contentSnippetHtml}</li>`,
       )
     }
 